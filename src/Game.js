@@ -33,7 +33,17 @@ class ElmelonGame {
                 fire: false
             },
             completedTemples: 0,
-            gameProgress: 0 // 0-100%
+            gameProgress: 0, // 0-100%
+            gameCompleted: false,
+            quests: { active: {}, completed: [], tracked: null },
+            dialogueFlags: {}, // Choices made in conversations, such as gifts already given
+            priceModifiers: {}, // Deals struck in dialogue, per shop type
+            templePuzzles: {},
+            puzzleStates: {},
+            puzzleSeed: null, // Seed for puzzle layouts such as the torch order, picked per save
+            worldChunks: {}, // Collected tokens and opened chests per world chunk
+            timeOfDay: 14, // Hours, new games start in the afternoon
+            worldSeed: null // Seed the city was generated from
         };
         
         this.gameSettings = {
@@ -41,7 +51,13 @@ class ElmelonGame {
                 quality: 'high', // low, medium, high
                 shadows: true,
                 particles: true,
-                antialiasing: true
+                antialiasing: true, // MSAA, only applies when rendering without post-processing
+                renderScale: 1, // Internal resolution relative to the window, 0.5 renders a quarter of the pixels
+                adaptiveQuality: true, // Lowers detail automatically when the frame rate drops
+                bloom: true,
+                vignette: true, // Low health warning
+                colorGrading: true,
+                fxaa: true // Antialiasing for the post-processing pipeline
             },
             audio: {
                 masterVolume: 1.0,
@@ -61,8 +77,13 @@ class ElmelonGame {
                     weapon1: 'Digit1',
                     weapon2: 'Digit2',
                     weapon3: 'Digit3',
+                    waterPower: 'KeyZ',
+                    firePower: 'KeyX',
+                    windPower: 'KeyC',
+                    lightningPower: 'KeyV',
                     inventory: 'KeyI',
                     map: 'KeyM',
+                    journal: 'KeyJ',
                     pause: 'Escape'
                 }
             }
@@ -119,12 +140,18 @@ class ElmelonGame {
         this.audioManager = new AudioManager(this);
         this.saveManager = new SaveManager(this);
         this.uiManager = new UIManager(this);
+        this.questSystem = new QuestSystem(this);
+        this.dialogueSystem = new DialogueSystem(this);
+        this.puzzleSystem = new PuzzleSystem(this);
         
         // Initialize systems
         await this.sceneManager.init();
         await this.inputManager.init();
         await this.audioManager.init();
         await this.uiManager.init();
+        await this.questSystem.init();
+        await this.dialogueSystem.init();
+        await this.puzzleSystem.init();
     }
     
     async loadAssets() {
@@ -177,6 +204,7 @@ class ElmelonGame {
         // Game UI buttons
         document.getElementById('fullmapBtn')?.addEventListener('click', () => this.showFullMap());
         document.getElementById('closeMapBtn')?.addEventListener('click', () => this.hideFullMap());
+        document.getElementById('closeJournalBtn')?.addEventListener('click', () => this.hideQuestJournal());
         document.getElementById('skipCutsceneBtn')?.addEventListener('click', () => this.skipCutscene());
         
         // Pause menu buttons
@@ -236,16 +264,36 @@ class ElmelonGame {
         }
     }
     
-    startNewGame() {
+    startNewGame(seed = this.getChosenSeed()) {
         console.log('🍈 Starting new game...');
         
-        // Reset player data
-        this.resetPlayerData();
+        // Reset player data first, the rebuilt temples read their puzzle state from it
+        this.resetPlayerData(Random.parseSeed(seed));
+        
+        // Always a fresh city, even one with the same seed has tokens and chests from the last game
+        this.sceneManager.rebuildWorld(this.playerData.worldSeed);
+        this.applyPlayerData();
         
         // Start with opening cutscene
         this.startOpeningCutscene();
     }
     
+    // Seed typed on the main menu, or a new one when left blank
+    getChosenSeed() {
+        const value = document.getElementById('worldSeedInput')?.value.trim();
+        return value ? Random.parseSeed(value) : Random.generateSeed();
+    }
+    
+    // The live player takes its health, tokens and inventory from the player data
+    applyPlayerData(position = [0, 2, 10]) {
+        this.sceneManager.player?.loadSaveData({
+            position: position,
+            health: this.playerData.health,
+            tokens: this.playerData.tokens,
+            ...this.playerData.inventory
+        });
+    }
+    
     startOpeningCutscene() {
         this.showScreen('cutsceneOverlay');
         this.gameState = 'cutscene';
@@ -260,7 +308,7 @@ class ElmelonGame {
         this.startGameplay();
     }
     
-    startGameplay() {
+    startGameplay(spawnPosition = null) {
         console.log('🍈 Starting gameplay...');
         
         this.showScreen('gameCanvas');
@@ -270,7 +318,11 @@ class ElmelonGame {
         document.getElementById('gameUI').style.display = 'block';
         
         // Initialize gameplay scene
-        this.sceneManager.startGameplayScene();
+        this.sceneManager.startGameplayScene(spawnPosition);
+        
+        // Resume quest tracking for this save
+        this.questSystem?.start();
+        this.puzzleSystem?.start();
         
         // Start game loop
         this.gameEngine.startGameLoop();
@@ -302,14 +354,7 @@ class ElmelonGame {
     
     saveGame() {
         if (this.saveManager) {
-            const saveData = {
-                playerData: this.playerData,
-                gameSettings: this.gameSettings,
-                timestamp: Date.now(),
-                version: '1.0.0'
-            };
-            
-            this.saveManager.saveGame(saveData);
+            this.saveManager.saveGame();
             console.log('🍈 Game saved successfully!');
         }
     }
@@ -318,17 +363,30 @@ class ElmelonGame {
         if (this.saveManager?.hasSavedGame()) {
             const saveData = this.saveManager.loadGame();
             if (saveData) {
-                this.playerData = saveData.playerData;
-                this.gameSettings = saveData.gameSettings;
+                this.resetPlayerData();
+                this.playerData = this.saveManager.restorePlayerData(saveData, this.playerData);
+                
+                // Settings added since the game was saved keep their defaults
+                this.gameSettings = {
+                    ...this.gameSettings,
+                    ...saveData.settings,
+                    graphics: { ...this.gameSettings.graphics, ...saveData.settings?.graphics }
+                };
+                this.gameEngine.updateGraphicsSettings(this.gameSettings.graphics);
                 
-                // Start gameplay with loaded data
-                this.startGameplay();
+                // Always rebuilt, so temples, bosses and the portal match the save instead of this session
+                this.sceneManager.rebuildWorld(this.playerData.worldSeed);
+                this.playerData.worldSeed = Random.getSeed();
+                this.applyPlayerData(saveData.player.position);
+                
+                // Start gameplay where the save was made
+                this.startGameplay(saveData.player.position);
                 console.log('🍈 Game loaded successfully!');
             }
         }
     }
     
-    resetPlayerData() {
+    resetPlayerData(worldSeed = Random.getSeed()) {
         this.playerData = {
             health: 8,
             tokens: 20,
@@ -345,7 +403,17 @@ class ElmelonGame {
                 fire: false
             },
             completedTemples: 0,
-            gameProgress: 0
+            gameProgress: 0,
+            gameCompleted: false,
+            quests: { active: {}, completed: [], tracked: null },
+            dialogueFlags: {},
+            priceModifiers: {},
+            templePuzzles: {},
+            puzzleStates: {},
+            puzzleSeed: Random.generateSeed(),
+            worldChunks: {},
+            timeOfDay: 14,
+            worldSeed: worldSeed
         };
     }
     
@@ -359,18 +427,37 @@ class ElmelonGame {
         this.showScreen('gameCanvas');
     }
     
+    showQuestJournal() {
+        this.showScreen('questJournal');
+        this.inputManager?.disablePointerLock();
+        
+        // Update journal entries
+        this.uiManager?.updateQuestJournal(this.questSystem?.getJournal());
+    }
+    
+    hideQuestJournal() {
+        this.uiManager?.setJournalOpen(false);
+        this.showScreen('gameCanvas');
+        this.inputManager?.enablePointerLock();
+    }
+    
     showSettings() {
         // TODO: Implement settings screen
         console.log('🍈 Settings screen not implemented yet');
     }
     
-    showCredits() {
-        // TODO: Implement credits screen
-        console.log('🍈 Credits screen not implemented yet');
+    async showCredits() {
+        const cutsceneManager = new CutsceneManager(this);
+        await cutsceneManager.playCreditsCutscene();
     }
     
     quitToMenu() {
         this.gameEngine?.pauseGameLoop();
+        this.questSystem?.stop();
+        this.puzzleSystem?.stop();
+        if (this.dialogueSystem?.isActive()) {
+            this.dialogueSystem.end();
+        }
         this.inputManager?.disablePointerLock();
         this.showMainMenu();
         
@@ -400,9 +487,8 @@ class ElmelonGame {
     }
     
     handleKeyUp(event) {
-        if (this.gameState === 'playing') {
-            this.inputManager?.handleKeyUp(event);
-        }
+        // Releases always go through, so a key let go while paused doesn't stay held
+        this.inputManager?.handleKeyUp(event);
     }
     
     handleResize() {
@@ -436,6 +522,8 @@ class ElmelonGame {
     update(deltaTime) {
         if (this.gameState === 'playing') {
             this.sceneManager?.update(deltaTime);
+            this.questSystem?.update(deltaTime);
+            this.puzzleSystem?.update(deltaTime);
             this.uiManager?.update(deltaTime);
             this.audioManager?.update(deltaTime);
         }
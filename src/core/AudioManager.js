@@ -17,6 +17,7 @@ class AudioManager {
         
         // Current playing audio
         this.currentMusic = null;
+        this.currentAmbience = null; // Looping weather sounds under the music
         this.musicVolume = 0.8;
         this.sfxVolume = 1.0;
         this.masterVolume = 1.0;
@@ -41,7 +42,13 @@ class AudioManager {
             { name: 'playerHurt', url: 'assets/audio/hurt.mp3', type: 'sfx' },
             { name: 'itemPickup', url: 'assets/audio/pickup.mp3', type: 'sfx' },
             { name: 'doorOpen', url: 'assets/audio/door.mp3', type: 'sfx' },
-            { name: 'buttonClick', url: 'assets/audio/click.mp3', type: 'sfx' }
+            { name: 'buttonClick', url: 'assets/audio/click.mp3', type: 'sfx' },
+            { name: 'powerUp', url: 'assets/audio/powerup.mp3', type: 'sfx' },
+            { name: 'thunder', url: 'assets/audio/thunder.mp3', type: 'sfx' },
+            // Weather ambience
+            { name: 'rainAmbience', url: 'assets/audio/rain.mp3', type: 'ambience' },
+            { name: 'stormAmbience', url: 'assets/audio/storm.mp3', type: 'ambience' },
+            { name: 'windAmbience', url: 'assets/audio/wind.mp3', type: 'ambience' }
         ];
     }
     
@@ -360,6 +367,7 @@ class AudioManager {
         
         if (this.isMuted) {
             this.stopMusic(false);
+            this.stopAmbience();
         }
     }
     
@@ -377,9 +385,56 @@ class AudioManager {
         }
     }
     
+    // Ambience loops alongside the music, one at a time
+    playAmbience(ambienceName) {
+        if (this.currentAmbience?.name === ambienceName) return;
+        
+        this.stopAmbience();
+        
+        const ambienceData = this.sounds.get(ambienceName);
+        if (!ambienceData) {
+            console.warn(`🔊 Ambience not found: ${ambienceName}`);
+            return;
+        }
+        
+        // In a real implementation, you would loop the actual audio
+        this.currentAmbience = {
+            name: ambienceName,
+            data: ambienceData,
+            volume: this.sfxVolume * this.masterVolume,
+            isPlaying: true
+        };
+        
+        console.log(`🌦️ Now playing ambience: ${ambienceName}`);
+    }
+    
+    stopAmbience() {
+        if (!this.currentAmbience) return;
+        
+        console.log(`🌦️ Stopping ambience: ${this.currentAmbience.name}`);
+        this.currentAmbience = null;
+    }
+    
+    // Weather audio, null or calm weather goes quiet
+    playWeatherAudio(weather) {
+        const weatherSounds = {
+            rain: 'rainAmbience',
+            storm: 'stormAmbience',
+            windy: 'windAmbience'
+        };
+        
+        const ambienceName = weatherSounds[weather];
+        if (ambienceName) {
+            this.playAmbience(ambienceName);
+        } else {
+            this.stopAmbience();
+        }
+    }
+    
     // Cleanup
     dispose() {
         this.stopMusic(false);
+        this.stopAmbience();
         
         if (this.audioContext) {
             this.audioContext.close();
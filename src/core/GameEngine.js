@@ -12,6 +12,7 @@ class GameEngine {
         this.camera = null;
         this.renderer = null;
         this.canvas = null;
+        this.rendererSettings = null; // Options the current renderer was created with
         
         // Rendering components
         this.clock = new THREE.Clock();
@@ -23,6 +24,7 @@ class GameEngine {
         this.fps = 0;
         this.frameCount = 0;
         this.lastFpsUpdate = 0;
+        this.qualityController = new QualityController(this);
         
         // Lighting setup
         this.ambientLight = null;
@@ -31,6 +33,13 @@ class GameEngine {
         
         // Post-processing
         this.composer = null;
+        this.renderPass = null;
+        this.colorPass = null; // Greys the world until its color is restored
+        this.bloomPass = null;
+        this.gradingPass = null;
+        this.vignettePass = null;
+        this.fxaaPass = null;
+        this.colorGradeArea = 'city';
         
         // World bounds
         this.worldSize = 1000; // Size of the game world
@@ -111,9 +120,7 @@ class GameEngine {
         this.camera.lookAt(0, 0, 0);
     }
     
-    initRenderer() {
-        const settings = this.game.getGameSettings().graphics;
-        
+    initRenderer(settings = this.game.getGameSettings().graphics) {
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.canvas,
             antialias: settings.antialiasing,
@@ -122,7 +129,7 @@ class GameEngine {
         });
         
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(this.getPixelRatio(settings));
         
         // Enable shadows if supported
         if (settings.shadows) {
@@ -130,6 +137,11 @@ class GameEngine {
             this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         }
         
+        this.rendererSettings = {
+            antialiasing: settings.antialiasing,
+            shadows: settings.shadows
+        };
+        
         // Set rendering parameters
         this.renderer.outputEncoding = THREE.sRGBEncoding;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
@@ -137,6 +149,40 @@ class GameEngine {
         
         // Enable physically correct lighting
         this.renderer.physicallyCorrectLights = true;
+        
+        // Reset once per frame in render()
+        this.renderer.info.autoReset = false;
+    }
+    
+    // Render scale sets the internal resolution, the canvas always fills the window
+    getPixelRatio(settings = this.game.getGameSettings().graphics) {
+        const adaptiveScale = this.qualityController.getLevel().renderScale;
+        return Math.min(window.devicePixelRatio, 2) * (settings.renderScale ?? 1) * adaptiveScale;
+    }
+    
+    // A canvas keeps the attributes of its first WebGL context, so the old renderer is torn down
+    // and the canvas swapped for a blank copy in the same place; scene and camera carry over as they are
+    rebuildRenderer(settings) {
+        console.log('🎮 Rebuilding renderer...');
+        
+        this.disposePostProcessing();
+        
+        // The shadow map belongs to the old context
+        this.directionalLight.shadow.map?.dispose();
+        this.directionalLight.shadow.map = null;
+        
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+        
+        this.initRenderer(settings);
+        this.initPostProcessing(settings);
+        this.updateShadowQuality(settings);
+        
+        console.log('🎮 Renderer rebuilt');
     }
     
     initLighting() {
@@ -198,10 +244,87 @@ class GameEngine {
         this.scene.add(accentLight4);
     }
     
-    initPostProcessing() {
-        // Post-processing effects would be initialized here
-        // For now, we'll keep it simple without post-processing
+    initPostProcessing(settings = this.game.getGameSettings().graphics) {
+        if (!THREE.EffectComposer) {
+            console.warn('🎮 Post-processing unavailable, rendering directly');
+            this.composer = null;
+            return;
+        }
+        
+        // Half float keeps the lighting in range until the grading pass tone maps it,
+        // the depth texture lets the color pass work out where each pixel is
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const renderTarget = new THREE.WebGLRenderTarget(size.x, size.y, { type: THREE.HalfFloatType });
+        renderTarget.depthTexture = new THREE.DepthTexture(size.x, size.y);
+        
+        // A composer given its own target starts at a pixel ratio of 1, match the renderer
+        this.composer = new THREE.EffectComposer(this.renderer, renderTarget);
+        this.composer.setPixelRatio(this.renderer.getPixelRatio());
+        this.composer.setSize(window.innerWidth, window.innerHeight);
+        
+        this.renderPass = new THREE.RenderPass(this.scene, this.camera);
+        this.composer.addPass(this.renderPass);
+        
+        // Pass order matters: the color pass reads the scene's depth, bloom works on the HDR frame,
+        // grading brings it down to sRGB and FXAA smooths the finished image
+        this.colorPass = new ColorRestorePass(this.camera);
+        this.composer.addPass(this.colorPass);
+        
+        this.bloomPass = new THREE.UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), 0.8, 0.4, 0.85);
+        this.composer.addPass(this.bloomPass);
+        
+        this.gradingPass = new ColorGradingPass();
+        this.composer.addPass(this.gradingPass);
+        
+        this.vignettePass = new THREE.ShaderPass(DamageVignetteShader);
+        this.composer.addPass(this.vignettePass);
+        
+        this.fxaaPass = new THREE.ShaderPass(THREE.FXAAShader);
+        this.composer.addPass(this.fxaaPass);
+        this.updateFXAAResolution();
+        
+        this.gradingPass.setArea(this.colorGradeArea);
+        this.updatePostProcessingSettings(settings);
+    }
+    
+    disposePostProcessing() {
+        if (!this.composer) return;
+        
+        this.composer.passes.forEach(pass => pass.dispose?.());
+        [this.composer.renderTarget1, this.composer.renderTarget2].forEach(renderTarget => {
+            renderTarget.depthTexture?.dispose();
+        });
+        this.composer.dispose();
+        
         this.composer = null;
+        this.renderPass = null;
+        this.colorPass = null;
+        this.bloomPass = null;
+        this.gradingPass = null;
+        this.vignettePass = null;
+        this.fxaaPass = null;
+    }
+    
+    // Passes can be switched on and off at any time, the composer skips disabled ones
+    updatePostProcessingSettings(settings) {
+        if (!this.composer) return;
+        
+        this.bloomPass.enabled = settings.bloom !== false;
+        this.gradingPass.setIntensity(settings.colorGrading !== false ? 1 : 0);
+        this.fxaaPass.enabled = settings.fxaa !== false;
+        
+        // Only switched on while the player is low on health
+        this.vignettePass.enabled = false;
+    }
+    
+    updateFXAAResolution() {
+        if (!this.fxaaPass) return;
+        
+        const pixelRatio = this.renderer.getPixelRatio();
+        this.fxaaPass.uniforms.resolution.value.set(
+            1 / (window.innerWidth * pixelRatio),
+            1 / (window.innerHeight * pixelRatio)
+        );
     }
     
     setupEventHandlers() {
@@ -228,11 +351,13 @@ class GameEngine {
         
         // Update renderer size
         this.renderer.setSize(width, height);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(this.getPixelRatio());
         
         // Update post-processing composer if it exists
         if (this.composer) {
+            this.composer.setPixelRatio(this.renderer.getPixelRatio());
             this.composer.setSize(width, height);
+            this.updateFXAAResolution();
         }
     }
     
@@ -301,6 +426,7 @@ class GameEngine {
         
         // Update any engine-specific systems here
         this.updateLighting(deltaTime);
+        this.updatePostProcessing(deltaTime);
     }
     
     updateLighting(deltaTime) {
@@ -308,7 +434,22 @@ class GameEngine {
         // For now, keep lighting static
     }
     
+    updatePostProcessing(deltaTime) {
+        if (!this.vignettePass) return;
+        
+        // Red edges creep in from 3 of 8 hearts and beat like a pulse
+        const health = this.game.sceneManager?.player?.health ?? 8;
+        const danger = Math.max(0, Math.min(1, (3.5 - health) / 2.5));
+        const pulse = 0.85 + Math.sin(performance.now() * 0.006) * 0.15;
+        
+        this.vignettePass.uniforms.intensity.value = danger * pulse;
+        this.vignettePass.enabled = danger > 0 && this.game.getGameSettings().graphics.vignette !== false;
+    }
+    
     render() {
+        // Stats cover the whole frame, not just the last post-processing pass
+        this.renderer.info.reset();
+        
         if (this.composer) {
             // Render with post-processing
             this.composer.render();
@@ -323,9 +464,12 @@ class GameEngine {
         const now = performance.now();
         
         if (now >= this.lastFpsUpdate + 1000) {
-            this.fps = Math.round((this.frameCount * 1000) / (now - this.lastFpsUpdate));
+            const elapsed = (now - this.lastFpsUpdate) / 1000;
+            this.fps = Math.round(this.frameCount / elapsed);
             this.frameCount = 0;
             this.lastFpsUpdate = now;
+            
+            this.qualityController.update(this.fps, elapsed);
         }
     }
     
@@ -338,6 +482,26 @@ class GameEngine {
         this.scene.remove(object);
     }
     
+    // Swap the scene being rendered (temple interiors live in their own scenes)
+    setScene(scene) {
+        this.scene = scene;
+        
+        if (this.renderPass) {
+            this.renderPass.scene = scene;
+        }
+    }
+    
+    // Areas are 'city' for the overworld or a temple's element
+    setColorGrade(area) {
+        this.colorGradeArea = area;
+        this.gradingPass?.setArea(area);
+    }
+    
+    // Saturation everywhere plus fully restored districts as { position, radius }
+    setColorRestoration(saturation, districts = []) {
+        this.colorPass?.setRestoration(saturation, districts);
+    }
+    
     // Camera control methods
     setCameraPosition(x, y, z) {
         this.camera.position.set(x, y, z);
@@ -386,31 +550,63 @@ class GameEngine {
         };
     }
     
-    // Graphics settings management
+    // Graphics settings management, everything applies without a restart
     updateGraphicsSettings(settings) {
-        // Update renderer settings
-        this.renderer.shadowMap.enabled = settings.shadows;
-        
-        // Update lighting quality
-        if (settings.quality === 'low') {
-            this.directionalLight.shadow.mapSize.setScalar(1024);
-        } else if (settings.quality === 'medium') {
-            this.directionalLight.shadow.mapSize.setScalar(2048);
+        // Materials build shadow support into their shaders, so that needs a fresh renderer. So does
+        // antialiasing, which is fixed when the context is created, but the composer's targets
+        // never use it - with post-processing FXAA smooths the image instead
+        const antialiasingChanged = !this.composer && settings.antialiasing !== this.rendererSettings.antialiasing;
+        if (antialiasingChanged || settings.shadows !== this.rendererSettings.shadows) {
+            this.rebuildRenderer(settings);
         } else {
-            this.directionalLight.shadow.mapSize.setScalar(4096);
+            this.updateShadowQuality(settings);
+            this.updatePostProcessingSettings(settings);
+        }
+        
+        this.updateRenderScale(settings);
+    }
+    
+    updateShadowQuality(settings) {
+        const sizes = { low: 1024, medium: 2048, high: 4096 };
+        const size = Math.min(sizes[settings.quality] || sizes.high, this.qualityController.getLevel().shadowMapSize);
+        const shadow = this.directionalLight.shadow;
+        
+        if (shadow.mapSize.x !== size) {
+            shadow.mapSize.setScalar(size);
+            
+            // Reallocated at the new size on the next frame
+            shadow.map?.dispose();
+            shadow.map = null;
         }
+    }
+    
+    updateRenderScale(settings = this.game.getGameSettings().graphics) {
+        this.renderer.setPixelRatio(this.getPixelRatio(settings));
         
-        // Update antialiasing (requires renderer recreation)
-        if (this.renderer.getContext().getParameter(this.renderer.getContext().SAMPLES) !== (settings.antialiasing ? 4 : 0)) {
-            // Would need to recreate renderer for antialiasing change
-            console.log('Antialiasing change requires restart');
+        if (this.composer) {
+            this.composer.setPixelRatio(this.renderer.getPixelRatio());
+            this.updateFXAAResolution();
         }
     }
     
+    // Adaptive quality, the controller picks a level from the frame time
+    applyQualityLevel(level) {
+        this.updateShadowQuality(this.game.getGameSettings().graphics);
+        this.updateRenderScale();
+        this.game.sceneManager?.setGrassDensity(level.grass);
+    }
+    
+    // Share of each particle effect's full count to draw
+    getParticleScale() {
+        return this.qualityController.getLevel().particles;
+    }
+    
     // Performance monitoring
     getPerformanceStats() {
         return {
             fps: this.fps,
+            frameTime: this.fps ? 1000 / this.fps : 0,
+            qualityLevel: this.qualityController.level,
             memoryUsage: this.renderer.info.memory,
             renderCalls: this.renderer.info.render.calls,
             triangles: this.renderer.info.render.triangles
@@ -426,9 +622,7 @@ class GameEngine {
             this.renderer.dispose();
         }
         
-        if (this.composer) {
-            this.composer.dispose();
-        }
+        this.disposePostProcessing();
         
         // Clear scene
         if (this.scene) {
@@ -14,7 +14,8 @@ class InputManager {
             x: 0,
             y: 0,
             deltaX: 0,
-            deltaY: 0
+            deltaY: 0,
+            secondaryHeld: false
         };
         
         // Movement state
@@ -67,12 +68,12 @@ class InputManager {
     }
     
     setupEventListeners() {
-        // Keyboard events
-        document.addEventListener('keydown', (event) => this.handleKeyDown(event));
-        document.addEventListener('keyup', (event) => this.handleKeyUp(event));
+        // Keyboard events come through the game, which only forwards them during gameplay
         
         // Mouse events
         document.addEventListener('click', (event) => this.handleMouseClick(event));
+        document.addEventListener('mousedown', (event) => this.handleMouseDown(event));
+        document.addEventListener('mouseup', (event) => this.handleMouseUp(event));
         document.addEventListener('mousemove', (event) => this.handleMouseMove(event));
         
         // Pointer lock events
@@ -136,14 +137,22 @@ class InputManager {
         
         // Weapon selection
         if (key === bindings.weapon1) {
-            this.game.getPlayerData().inventory.activeWeapon = 0;
-            this.game.uiManager?.updateWeaponSelection(0);
+            this.selectWeapon(0);
         } else if (key === bindings.weapon2) {
-            this.game.getPlayerData().inventory.activeWeapon = 1;
-            this.game.uiManager?.updateWeaponSelection(1);
+            this.selectWeapon(1);
         } else if (key === bindings.weapon3) {
-            this.game.getPlayerData().inventory.activeWeapon = 2;
-            this.game.uiManager?.updateWeaponSelection(2);
+            this.selectWeapon(2);
+        }
+        
+        // Elemental powers
+        if (key === bindings.waterPower) {
+            this.handleElementalPower('water');
+        } else if (key === bindings.firePower) {
+            this.handleElementalPower('fire');
+        } else if (key === bindings.windPower) {
+            this.handleElementalPower('wind');
+        } else if (key === bindings.lightningPower) {
+            this.handleElementalPower('lightning');
         }
         
         // Interface toggles
@@ -151,6 +160,8 @@ class InputManager {
             this.toggleInventory();
         } else if (key === bindings.map) {
             this.toggleMap();
+        } else if (key === bindings.journal) {
+            this.toggleJournal();
         }
         
         // Interaction
@@ -159,6 +170,14 @@ class InputManager {
         }
     }
     
+    selectWeapon(slot) {
+        this.game.getPlayerData().inventory.activeWeapon = slot;
+        this.game.uiManager?.updateWeaponSelection(slot);
+        
+        // Switch the live weapon too so holstering (rope release, charge cancel) runs
+        this.game.sceneManager?.player?.switchWeapon(slot);
+    }
+    
     handleMouseClick(event) {
         // Request pointer lock on click if in gameplay
         if (this.game.getGameState() === 'playing' && !this.isPointerLockEnabled) {
@@ -166,12 +185,25 @@ class InputManager {
         }
         
         // Handle weapon firing or interactions
-        if (this.isPointerLockEnabled) {
-            if (event.button === 0) { // Left click
-                this.handlePrimaryAction();
-            } else if (event.button === 2) { // Right click
-                this.handleSecondaryAction();
-            }
+        // Right click is handled on press/release so weapons can charge
+        if (this.isPointerLockEnabled && event.button === 0) { // Left click
+            this.handlePrimaryAction();
+        }
+    }
+    
+    handleMouseDown(event) {
+        if (!this.isPointerLockEnabled) return;
+        
+        if (event.button === 2) { // Right button pressed
+            this.mouseState.secondaryHeld = true;
+            this.handleSecondaryActionStart();
+        }
+    }
+    
+    handleMouseUp(event) {
+        if (event.button === 2 && this.mouseState.secondaryHeld) { // Right button released
+            this.mouseState.secondaryHeld = false;
+            this.handleSecondaryAction();
         }
     }
     
@@ -241,11 +273,27 @@ class InputManager {
         }
     }
     
+    handleSecondaryActionStart() {
+        // Begin charging the secondary action
+        const player = this.game.sceneManager?.player;
+        if (player) {
+            player.startSecondaryAction();
+        }
+    }
+    
     handleSecondaryAction() {
-        // Secondary weapon action or aim
+        // Secondary weapon action or aim (fires on release)
+        const player = this.game.sceneManager?.player;
+        if (player) {
+            player.releaseSecondaryAction();
+        }
+    }
+    
+    handleElementalPower(element) {
+        // Use an unlocked elemental ability
         const player = this.game.sceneManager?.player;
         if (player) {
-            player.secondaryAction();
+            player.useElementalPower(element);
         }
     }
     
@@ -267,6 +315,15 @@ class InputManager {
         this.game.showFullMap();
     }
     
+    toggleJournal() {
+        // Toggle quest journal display
+        if (this.game.uiManager?.isJournalOpen) {
+            this.game.hideQuestJournal();
+        } else {
+            this.game.showQuestJournal();
+        }
+    }
+    
     // Pointer lock management
     enablePointerLock() {
         if (this.game.getGameState() === 'playing') {
@@ -362,6 +419,8 @@ class InputManager {
         document.removeEventListener('keydown', this.handleKeyDown);
         document.removeEventListener('keyup', this.handleKeyUp);
         document.removeEventListener('click', this.handleMouseClick);
+        document.removeEventListener('mousedown', this.handleMouseDown);
+        document.removeEventListener('mouseup', this.handleMouseUp);
         document.removeEventListener('mousemove', this.handleMouseMove);
         document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
         document.removeEventListener('pointerlockerror', this.handlePointerLockError);
@@ -0,0 +1,269 @@
+/**
+ * PostProcessing - Shaders and passes for the GameEngine's effect composer
+ * Built on the three.js examples (EffectComposer, RenderPass, ShaderPass) loaded in index.html
+ */
+
+// Greys the frame, except where color has been restored around completed temples
+const ColorRestoreShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        tDepth: { value: null },
+        saturation: { value: 0 }, // Everywhere, 0 = grey world, 1 = full color
+        districtCenters: { value: [new THREE.Vector2(), new THREE.Vector2(), new THREE.Vector2(), new THREE.Vector2()] },
+        districtRadii: { value: [0, 0, 0, 0] },
+        districtFalloff: { value: 50 },
+        cameraProjectionMatrixInverse: { value: new THREE.Matrix4() },
+        cameraMatrixWorld: { value: new THREE.Matrix4() }
+    },
+    
+    vertexShader: `
+        varying vec2 vUv;
+        
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tDepth;
+        uniform float saturation;
+        uniform vec2 districtCenters[4];
+        uniform float districtRadii[4];
+        uniform float districtFalloff;
+        uniform mat4 cameraProjectionMatrixInverse;
+        uniform mat4 cameraMatrixWorld;
+        varying vec2 vUv;
+        
+        vec3 getWorldPosition(float depth) {
+            vec4 view = cameraProjectionMatrixInverse * vec4(vec3(vUv, depth) * 2.0 - 1.0, 1.0);
+            return (cameraMatrixWorld * vec4(view.xyz / view.w, 1.0)).xyz;
+        }
+        
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            float amount = saturation;
+            
+            // The far plane has no position, it keeps the world's saturation
+            float depth = texture2D(tDepth, vUv).x;
+            if (depth < 1.0) {
+                vec2 position = getWorldPosition(depth).xz;
+                for (int i = 0; i < 4; i++) {
+                    float d = length(position - districtCenters[i]);
+                    amount = max(amount, 1.0 - smoothstep(districtRadii[i] - districtFalloff, districtRadii[i], d));
+                }
+            }
+            
+            // Same luminance weights as the World's grey sky
+            float grey = dot(color.rgb, vec3(0.3, 0.59, 0.11));
+            gl_FragColor = vec4(mix(vec3(grey), color.rgb, amount), color.a);
+        }
+    `
+};
+
+// Reads the scene's depth to place each pixel in the world, so it has to come straight after the RenderPass
+class ColorRestorePass extends THREE.ShaderPass {
+    constructor(camera) {
+        super(ColorRestoreShader);
+        this.camera = camera;
+    }
+    
+    render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+        this.uniforms.tDepth.value = readBuffer.depthTexture;
+        this.uniforms.cameraProjectionMatrixInverse.value.copy(this.camera.projectionMatrixInverse);
+        this.uniforms.cameraMatrixWorld.value.copy(this.camera.matrixWorld);
+        
+        super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+    }
+    
+    // Districts are { position, radius } around each temple, unused slots stay grey
+    setRestoration(saturation, districts = []) {
+        this.uniforms.saturation.value = saturation;
+        
+        const centers = this.uniforms.districtCenters.value;
+        const radii = this.uniforms.districtRadii.value;
+        radii.fill(0);
+        districts.slice(0, radii.length).forEach((district, index) => {
+            centers[index].set(district.position.x, district.position.z);
+            radii[index] = district.radius;
+        });
+    }
+}
+
+// Tone maps the HDR frame to sRGB, then grades it through a lookup table
+const ColorGradingShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        lut: { value: null },
+        lutSize: { value: 16 },
+        intensity: { value: 1 },
+        toneMappingExposure: { value: 1 }
+    },
+    
+    vertexShader: `
+        varying vec2 vUv;
+        
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    
+    fragmentShader: `
+        #include <tonemapping_pars_fragment>
+        
+        uniform sampler2D tDiffuse;
+        uniform sampler2D lut;
+        uniform float lutSize;
+        uniform float intensity;
+        varying vec2 vUv;
+        
+        // The table is a strip of blue slices, each slice red across and green up
+        vec3 lookup(vec3 color) {
+            float blue = color.b * (lutSize - 1.0);
+            float slice = floor(blue);
+            vec2 uv = vec2(
+                (color.r * (lutSize - 1.0) + 0.5) / (lutSize * lutSize),
+                (color.g * (lutSize - 1.0) + 0.5) / lutSize
+            );
+            
+            vec3 lower = texture2D(lut, uv + vec2(slice / lutSize, 0.0)).rgb;
+            vec3 upper = texture2D(lut, uv + vec2(min(slice + 1.0, lutSize - 1.0) / lutSize, 0.0)).rgb;
+            return mix(lower, upper, blue - slice);
+        }
+        
+        void main() {
+            vec4 texel = texture2D(tDiffuse, vUv);
+            vec3 color = clamp(LinearTosRGB(vec4(ACESFilmicToneMapping(texel.rgb), 1.0)).rgb, 0.0, 1.0);
+            
+            gl_FragColor = vec4(mix(color, lookup(color), intensity), texel.a);
+        }
+    `
+};
+
+// Always runs, it is where the frame leaves HDR; switching grading off only drops the table's intensity
+class ColorGradingPass extends THREE.ShaderPass {
+    constructor() {
+        super(ColorGradingShader);
+        
+        // Tone mapping is done here by hand, the renderer must not add its own
+        this.material.toneMapped = false;
+        
+        this.luts = {};
+        this.area = null;
+        this.setArea('city');
+    }
+    
+    render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+        this.uniforms.toneMappingExposure.value = renderer.toneMappingExposure;
+        super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+    }
+    
+    // Areas are the overworld ('city') and each temple's element
+    setArea(area) {
+        const grade = ColorGradingPass.grades[area] ? area : 'city';
+        if (grade === this.area) return;
+        
+        if (!this.luts[grade]) {
+            this.luts[grade] = ColorGradingPass.createLut(ColorGradingPass.grades[grade], this.uniforms.lutSize.value);
+        }
+        
+        this.area = grade;
+        this.uniforms.lut.value = this.luts[grade];
+    }
+    
+    setIntensity(intensity) {
+        this.uniforms.intensity.value = intensity;
+    }
+    
+    // Bakes a grade (gain, lift, contrast, saturation) into a lookup table strip
+    static createLut(grade, size) {
+        const data = new Uint8Array(size * size * size * 4);
+        const color = [0, 0, 0];
+        
+        for (let b = 0; b < size; b++) {
+            for (let g = 0; g < size; g++) {
+                for (let r = 0; r < size; r++) {
+                    [r, g, b].forEach((value, channel) => {
+                        const c = value / (size - 1);
+                        const lifted = c * grade.gain[channel] + grade.lift[channel] * (1 - c);
+                        color[channel] = (lifted - 0.5) * grade.contrast + 0.5;
+                    });
+                    
+                    const luma = color[0] * 0.3 + color[1] * 0.59 + color[2] * 0.11;
+                    const index = (g * size * size + b * size + r) * 4;
+                    color.forEach((value, channel) => {
+                        const saturated = luma + (value - luma) * grade.saturation;
+                        data[index + channel] = Math.round(Math.max(0, Math.min(1, saturated)) * 255);
+                    });
+                    data[index + 3] = 255;
+                }
+            }
+        }
+        
+        const texture = new THREE.DataTexture(data, size * size, size, THREE.RGBAFormat);
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+    
+    dispose() {
+        super.dispose();
+        Object.values(this.luts).forEach(texture => texture.dispose());
+        this.luts = {};
+    }
+}
+
+// Gain multiplies, lift tints the shadows, both per RGB channel
+ColorGradingPass.grades = {
+    city: { gain: [1, 1, 1.02], lift: [0, 0, 0.02], contrast: 1.05, saturation: 1 },
+    water: { gain: [0.9, 1, 1.1], lift: [0, 0.02, 0.05], contrast: 1.05, saturation: 1.05 },
+    fire: { gain: [1.1, 1, 0.85], lift: [0.04, 0.01, 0], contrast: 1.1, saturation: 1.1 },
+    wind: { gain: [0.95, 1.08, 0.95], lift: [0.01, 0.03, 0.01], contrast: 1, saturation: 1.05 },
+    lightning: { gain: [1.05, 1.05, 0.9], lift: [0.02, 0, 0.05], contrast: 1.15, saturation: 0.95 }
+};
+
+// Red edges that close in as the player runs out of hearts
+const DamageVignetteShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        intensity: { value: 0 },
+        color: { value: new THREE.Color(0x8B0000) }
+    },
+    
+    vertexShader: `
+        varying vec2 vUv;
+        
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float intensity;
+        uniform vec3 color;
+        varying vec2 vUv;
+        
+        void main() {
+            vec4 texel = texture2D(tDiffuse, vUv);
+            float edge = smoothstep(0.4, 1.0, length(vUv - 0.5) * 1.414) * intensity;
+            
+            gl_FragColor = vec4(mix(texel.rgb, color, edge * 0.6) * (1.0 - edge * 0.4), texel.a);
+        }
+    `
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ColorRestoreShader,
+        ColorRestorePass,
+        ColorGradingShader,
+        ColorGradingPass,
+        DamageVignetteShader
+    };
+}
@@ -0,0 +1,91 @@
+/**
+ * QualityController - Adaptive quality for Elemelon
+ * Watches the GameEngine's frame time and steps render scale, shadow map size, particle counts
+ * and grass density down while frames run over budget, and back up again when there is headroom
+ */
+
+class QualityController {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        
+        // Start at the top, slow machines drop within a few seconds
+        this.level = QualityController.levels.length - 1;
+        
+        // Frame time budget in milliseconds
+        this.frameBudget = 1000 / 30;
+        this.headroom = 0.7; // Step back up once frames take less than this share of the budget
+        
+        // Seconds a condition has to hold before the level changes
+        this.downgradeDelay = 2;
+        this.upgradeDelay = 8;
+        this.maxUpgradeDelay = 120;
+        this.overBudgetTime = 0;
+        this.underBudgetTime = 0;
+        this.lastUpgradeTime = -Infinity;
+        this.time = 0;
+    }
+    
+    getLevel() {
+        return QualityController.levels[this.level];
+    }
+    
+    // Called with each fps measurement and the seconds it covers
+    update(fps, elapsed) {
+        const settings = this.gameEngine.game.getGameSettings().graphics;
+        const topLevel = QualityController.levels.length - 1;
+        
+        if (settings.adaptiveQuality === false) {
+            if (this.level !== topLevel) this.setLevel(topLevel);
+            return;
+        }
+        
+        // A measurement spanning a pause or a loading hitch says nothing about the steady frame time
+        if (elapsed > 2) return;
+        this.time += elapsed;
+        
+        const frameTime = 1000 / Math.max(fps, 1);
+        if (frameTime > this.frameBudget) {
+            this.overBudgetTime += elapsed;
+            this.underBudgetTime = 0;
+        } else if (frameTime < this.frameBudget * this.headroom) {
+            this.underBudgetTime += elapsed;
+            this.overBudgetTime = 0;
+        } else {
+            this.overBudgetTime = 0;
+            this.underBudgetTime = 0;
+        }
+        
+        if (this.overBudgetTime >= this.downgradeDelay && this.level > 0) {
+            // Stepping up didn't hold, wait longer before trying again
+            if (this.time - this.lastUpgradeTime < this.upgradeDelay + this.downgradeDelay) {
+                this.upgradeDelay = Math.min(this.upgradeDelay * 2, this.maxUpgradeDelay);
+            }
+            this.setLevel(this.level - 1);
+        } else if (this.underBudgetTime >= this.upgradeDelay && this.level < topLevel) {
+            this.lastUpgradeTime = this.time;
+            this.setLevel(this.level + 1);
+        }
+    }
+    
+    setLevel(level) {
+        this.level = level;
+        this.overBudgetTime = 0;
+        this.underBudgetTime = 0;
+        
+        console.log(`⚙️ Quality level ${level + 1}/${QualityController.levels.length} (${this.gameEngine.fps} fps)`);
+        this.gameEngine.applyQualityLevel(this.getLevel());
+    }
+}
+
+// Lowest first; render scale multiplies the player's own setting, shadow maps never exceed the quality setting
+QualityController.levels = [
+    { renderScale: 0.5, shadowMapSize: 512, particles: 0.25, grass: 0.2 },
+    { renderScale: 0.65, shadowMapSize: 1024, particles: 0.5, grass: 0.4 },
+    { renderScale: 0.8, shadowMapSize: 2048, particles: 0.75, grass: 0.7 },
+    { renderScale: 1, shadowMapSize: 4096, particles: 1, grass: 1 }
+];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityController;
+}
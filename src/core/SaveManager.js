@@ -134,8 +134,11 @@ class SaveManager {
     
     // Create save data from current game state
     createSaveData() {
+        this.game.puzzleSystem?.saveStates();
+        
         const playerData = this.game.getPlayerData();
         const player = this.game.sceneManager?.player;
+        const position = this.game.sceneManager?.getOverworldPosition();
         
         const saveData = {
             version: this.saveVersion,
@@ -143,9 +146,9 @@ class SaveManager {
             
             // Player data
             player: {
-                position: player ? player.position.toArray() : [0, 2, 10],
-                health: playerData.health,
-                tokens: playerData.tokens,
+                position: player && position ? position.toArray() : [0, 2, 10],
+                health: player?.health ?? playerData.health,
+                tokens: player?.tokens ?? playerData.tokens,
                 inventory: {
                     weapons: playerData.inventory.weapons,
                     consumables: playerData.inventory.consumables,
@@ -158,16 +161,28 @@ class SaveManager {
                 collectedElements: playerData.collectedElements,
                 completedTemples: playerData.completedTemples,
                 gameProgress: playerData.gameProgress,
+                gameCompleted: playerData.gameCompleted || false,
+                quests: playerData.quests,
+                dialogueFlags: playerData.dialogueFlags || {},
+                priceModifiers: playerData.priceModifiers || {},
+                templePuzzles: playerData.templePuzzles || {},
+                puzzleStates: playerData.puzzleStates || {},
+                puzzleSeed: playerData.puzzleSeed ?? null,
                 currentScene: this.game.sceneManager?.currentScene || 'gameplay'
             },
             
             // World state
             world: {
+                seed: playerData.worldSeed ?? Random.getSeed(),
+                timeOfDay: playerData.timeOfDay ?? 14,
                 defeatedEnemies: [], // Would track defeated enemies
-                openedChests: [], // Would track opened treasure chests
-                completedQuests: [] // Would track completed quests
+                openedChests: this.getOpenedChests(playerData.worldChunks),
+                chunks: playerData.worldChunks || {},
+                completedQuests: playerData.quests?.completed || []
             },
             
+            settings: this.game.getGameSettings(),
+            
             // Statistics
             stats: {
                 playTime: this.getPlayTime(),
@@ -181,6 +196,35 @@ class SaveManager {
         return saveData;
     }
     
+    // The reverse of createSaveData - fields missing from older saves keep the given new-game values
+    restorePlayerData(saveData, playerData) {
+        const player = saveData.player;
+        const progress = saveData.progress;
+        const world = saveData.world || {};
+        const [x, y, z] = player.position;
+        
+        return {
+            ...playerData,
+            position: { x, y, z },
+            health: player.health ?? playerData.health,
+            tokens: player.tokens ?? playerData.tokens,
+            inventory: { ...playerData.inventory, ...player.inventory },
+            collectedElements: { ...playerData.collectedElements, ...progress.collectedElements },
+            completedTemples: progress.completedTemples ?? playerData.completedTemples,
+            gameProgress: progress.gameProgress ?? playerData.gameProgress,
+            gameCompleted: progress.gameCompleted ?? playerData.gameCompleted,
+            quests: progress.quests ?? playerData.quests,
+            dialogueFlags: progress.dialogueFlags ?? playerData.dialogueFlags,
+            priceModifiers: progress.priceModifiers ?? playerData.priceModifiers,
+            templePuzzles: progress.templePuzzles ?? playerData.templePuzzles,
+            puzzleStates: progress.puzzleStates ?? playerData.puzzleStates,
+            puzzleSeed: progress.puzzleSeed ?? playerData.puzzleSeed,
+            worldChunks: world.chunks ?? playerData.worldChunks,
+            timeOfDay: world.timeOfDay ?? playerData.timeOfDay,
+            worldSeed: world.seed ?? playerData.worldSeed
+        };
+    }
+    
     validateSaveData(saveData) {
         // Check required fields
         const requiredFields = ['version', 'timestamp', 'player', 'progress'];
@@ -404,6 +448,13 @@ class SaveManager {
         return Date.now() - (this.game.startTime || Date.now());
     }
     
+    // Chest ids as `${chunkKey}:${index}` from the per-chunk world state
+    getOpenedChests(worldChunks = {}) {
+        return Object.entries(worldChunks).flatMap(([key, state]) => {
+            return (state.chests || []).map(index => `${key}:${index}`);
+        });
+    }
+    
     formatTimestamp(timestamp) {
         return new Date(timestamp).toLocaleString();
     }
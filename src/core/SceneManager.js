@@ -17,8 +17,30 @@ class SceneManager {
         
         // Environment objects
         this.cityObjects = [];
+        this.grassPatches = []; // Patch centers, the blades themselves are drawn by grassBatch
+        this.grassDensity = 1; // Share of blades shown, lowered by the adaptive quality
+        this.grassBatch = null;
+        this.rockBatches = null;
+        this.pathStoneBatch = null;
+        this.stonePaths = []; // Stone positions along each winding path
         this.temples = [];
         this.shops = [];
+        this.activeTemple = null; // Temple instance the player is currently inside
+        this.templeInteriors = {}; // TempleInteriorScene per temple type
+        this.activeInterior = null;
+        this.overworld = null; // Scene, collision set and enemies set aside while inside a temple
+        this.returnPoint = null; // Where the player steps back out of a temple
+        this.isTransitioning = false;
+        this.portal = null; // Central portal to the final battle
+        this.skybox = null;
+        this.ground = null;
+        this.isColorRestored = false;
+        this.worldObjects = []; // Everything generateWorld added to the overworld scene
+        this.random = null; // Seeded stream used while generating
+        
+        // Navigation
+        this.navGrid = null;
+        this.streetPoints = []; // Path stone positions NPCs prefer to walk along
         
         // Current scene state
         this.currentScene = 'menu'; // menu, cutscene, gameplay
@@ -34,24 +56,97 @@ class SceneManager {
         this.isLoaded = true;
     }
     
-    async createWorld() {
+    async createWorld(seed = Random.getSeed()) {
         console.log('🌍 Creating Elemelon World...');
         
+        this.generateWorld(seed);
+        
+        // Create player
+        this.player = new Player(this.game);
+        await this.player.init();
+        
+        console.log('🌍 Elemelon World created successfully!');
+    }
+    
+    // Everything the world seed decides; the player is kept across rebuilds
+    generateWorld(seed) {
+        Random.setSeed(seed);
+        this.random = Random.createStream('world');
+        
+        const existingObjects = new Set(this.gameEngine.scene.children);
+        
         // Create the grey world environment
         this.createSkybox();
         this.createGround();
         this.createCity();
+        this.createPortal();
         this.createTemples();
         this.createShops();
         
-        // Create player
-        this.player = new Player(this.game);
-        await this.player.init();
+        // Buildings, lamps and loot beyond the hand-built city stream in chunks around the player
+        this.world = new World(this.game);
+        this.world.init();
+        
+        // Bake navigation once all static obstacles exist
+        this.buildNavigationGrid();
         
         // Create NPCs
         this.createNPCs();
         
-        console.log('🌍 Elemelon World created successfully!');
+        // Remember what was added so a rebuild can take it all down again
+        this.worldObjects = this.gameEngine.scene.children.filter(object => !existingObjects.has(object));
+    }
+    
+    // A new game or a save made in another world needs that world's city
+    rebuildWorld(seed) {
+        console.log(`🌍 Rebuilding world for seed ${seed}...`);
+        
+        this.unloadInterior();
+        this.clearTransientObjects();
+        this.disposeWorld();
+        this.generateWorld(seed);
+    }
+    
+    disposeWorld() {
+        this.world?.dispose();
+        this.world = null;
+        
+        Object.values(this.templeInteriors).forEach(interior => interior.dispose());
+        this.templeInteriors = {};
+        
+        this.portal?.dispose();
+        this.portal = null;
+        
+        this.npcs.forEach(npc => npc.dispose());
+        [...this.enemies].forEach(enemy => enemy.dispose());
+        
+        this.worldObjects.forEach(object => {
+            this.gameEngine.removeFromScene(object);
+            object.traverse(child => {
+                child.geometry?.dispose();
+                child.material?.dispose?.();
+                if (child.isInstancedMesh) child.dispose();
+            });
+        });
+        this.worldObjects = [];
+        
+        this.cityObjects = [];
+        this.grassPatches = [];
+        this.grassBatch = null;
+        this.rockBatches = null;
+        this.pathStoneBatch = null;
+        this.stonePaths = [];
+        this.collisionObjects = [];
+        this.temples = [];
+        this.shops = [];
+        this.npcs = [];
+        this.enemies = [];
+        this.streetPoints = [];
+        this.navGrid = null;
+        this.skybox = null;
+        this.ground = null;
+        this.activeTemple = null;
+        this.isColorRestored = false;
     }
     
     createSkybox() {
@@ -65,6 +160,7 @@ class SceneManager {
         
         const skybox = new THREE.Mesh(skyGeometry, skyMaterial);
         this.gameEngine.addToScene(skybox);
+        this.skybox = skybox;
     }
     
     createGround() {
@@ -81,6 +177,17 @@ class SceneManager {
         ground.receiveShadow = true;
         
         this.gameEngine.addToScene(ground);
+        this.ground = ground;
+    }
+    
+    createPortal() {
+        // Sealed portal in the middle of the central plaza
+        this.portal = new Portal(this.game, new THREE.Vector3(0, 0, 0));
+        
+        // A finished save keeps its open portal
+        if (this.game.getPlayerData().gameCompleted) {
+            this.portal.onEncounterComplete();
+        }
     }
     
     createCity() {
@@ -157,108 +264,130 @@ class SceneManager {
         const rockCount = 150; // Tons of rocks
         const worldSize = 1800;
         
+        // A handful of shared rock shapes, drawn in one batch each
+        const rockMaterial = new THREE.MeshLambertMaterial({
+            color: 0x4a4a4a // Dark grey rock
+        });
+        this.rockBatches = {
+            main: this.createRockBatches(8, 6, [0.3, 0.2, 0.3], rockCount, rockMaterial),
+            small: this.createRockBatches(6, 4, [0.4, 0.3, 0.4], rockCount * 7, rockMaterial)
+        };
+        
         for (let i = 0; i < rockCount; i++) {
             const rockGroup = this.createDetailedRock();
             
             // Spread them far apart across the world
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 100 + Math.random() * 800; // Very spread out
+            const angle = this.random.next() * Math.PI * 2;
+            const distance = 100 + this.random.next() * 800; // Very spread out
             
             rockGroup.position.x = Math.cos(angle) * distance;
             rockGroup.position.z = Math.sin(angle) * distance;
-            rockGroup.position.y = Math.random() * 5; // Slight height variation
+            rockGroup.position.y = this.random.next() * 5; // Slight height variation
             
             // Random rotation for natural look
-            rockGroup.rotation.y = Math.random() * Math.PI * 2;
+            rockGroup.rotation.y = this.random.next() * Math.PI * 2;
             
             // Add collision
             rockGroup.userData.isCollidable = true;
             rockGroup.userData.boundingBox = new THREE.Box3().setFromObject(rockGroup);
             this.collisionObjects.push(rockGroup);
             
+            // The group stays out of the scene; it is only hit by collision, raycasts and the minimap
+            rockGroup.children.forEach(rock => {
+                rock.userData.batch.addMesh(rock, rock.userData.color);
+            });
+            
             this.cityObjects.push(rockGroup);
-            this.gameEngine.addToScene(rockGroup);
         }
     }
     
-    createDetailedRock() {
-        const rockGroup = new THREE.Group();
-        
-        // Main rock (irregular shape)
-        const mainRockSize = 8 + Math.random() * 20;
-        const rockGeometry = new THREE.SphereGeometry(mainRockSize, 8, 6);
+    // Deformed unit spheres, scaled per rock; jitter is the deformation per axis
+    createRockBatches(widthSegments, heightSegments, jitter, capacity, material) {
+        const batches = [];
         
-        // Deform the sphere to make it look more natural
-        const vertices = rockGeometry.attributes.position.array;
-        for (let i = 0; i < vertices.length; i += 3) {
-            vertices[i] += (Math.random() - 0.5) * mainRockSize * 0.3;
-            vertices[i + 1] += (Math.random() - 0.5) * mainRockSize * 0.2;
-            vertices[i + 2] += (Math.random() - 0.5) * mainRockSize * 0.3;
+        for (let variant = 0; variant < SceneManager.rockVariants; variant++) {
+            const rockGeometry = new THREE.SphereGeometry(1, widthSegments, heightSegments);
+            
+            // Deform the sphere to make it look more natural
+            const vertices = rockGeometry.attributes.position.array;
+            for (let i = 0; i < vertices.length; i += 3) {
+                vertices[i] += (this.random.next() - 0.5) * jitter[0];
+                vertices[i + 1] += (this.random.next() - 0.5) * jitter[1];
+                vertices[i + 2] += (this.random.next() - 0.5) * jitter[2];
+            }
+            rockGeometry.computeVertexNormals();
+            
+            const batch = new InstancedBatch(rockGeometry, material, capacity, { castShadow: true, receiveShadow: true });
+            this.gameEngine.addToScene(batch.mesh);
+            batches.push(batch);
         }
-        rockGeometry.computeVertexNormals();
         
-        const rockMaterial = new THREE.MeshLambertMaterial({
-            color: 0x4a4a4a, // Dark grey rock
-            roughness: 0.9
-        });
+        return batches;
+    }
+    
+    createDetailedRock() {
+        const rockGroup = new THREE.Group();
         
-        const mainRock = new THREE.Mesh(rockGeometry, rockMaterial);
-        mainRock.castShadow = true;
-        mainRock.receiveShadow = true;
+        // Main rock (irregular shape)
+        const mainRockSize = 8 + this.random.next() * 20;
+        const mainRock = this.createRockMesh(this.rockBatches.main, mainRockSize);
         rockGroup.add(mainRock);
         
         // Add smaller rocks around it
-        const smallRockCount = 3 + Math.floor(Math.random() * 5);
+        const smallRockCount = 3 + Math.floor(this.random.next() * 5);
         for (let i = 0; i < smallRockCount; i++) {
-            const smallRockSize = 2 + Math.random() * 4;
-            const smallRockGeometry = new THREE.SphereGeometry(smallRockSize, 6, 4);
-            
-            // Deform small rocks too
-            const smallVertices = smallRockGeometry.attributes.position.array;
-            for (let j = 0; j < smallVertices.length; j += 3) {
-                smallVertices[j] += (Math.random() - 0.5) * smallRockSize * 0.4;
-                smallVertices[j + 1] += (Math.random() - 0.5) * smallRockSize * 0.3;
-                smallVertices[j + 2] += (Math.random() - 0.5) * smallRockSize * 0.4;
-            }
-            smallRockGeometry.computeVertexNormals();
-            
-            const smallRock = new THREE.Mesh(smallRockGeometry, rockMaterial);
+            const smallRockSize = 2 + this.random.next() * 4;
+            const smallRock = this.createRockMesh(this.rockBatches.small, smallRockSize);
             smallRock.position.set(
-                (Math.random() - 0.5) * mainRockSize * 1.5,
-                Math.random() * 3,
-                (Math.random() - 0.5) * mainRockSize * 1.5
+                (this.random.next() - 0.5) * mainRockSize * 1.5,
+                this.random.next() * 3,
+                (this.random.next() - 0.5) * mainRockSize * 1.5
             );
-            smallRock.castShadow = true;
-            smallRock.receiveShadow = true;
             rockGroup.add(smallRock);
         }
         
         return rockGroup;
     }
     
+    createRockMesh(batches, size) {
+        const batch = batches[Math.floor(this.random.next() * batches.length)];
+        
+        const rock = new THREE.Mesh(batch.mesh.geometry, batch.mesh.material);
+        rock.scale.setScalar(size);
+        rock.userData.batch = batch;
+        
+        // Bigger rocks weather a little lighter
+        const shade = 0.9 + (size / 28) * 0.2;
+        rock.userData.color = new THREE.Color(shade, shade, shade);
+        
+        return rock;
+    }
+    
     // Create grass patches scattered around
     createGrassPatches() {
         const grassPatchCount = 300; // Tons of grass patches
         const worldSize = 1600;
+        const blades = [];
         
         for (let i = 0; i < grassPatchCount; i++) {
             const grassPatch = this.createGrassPatch();
             
-            grassPatch.position.x = (Math.random() - 0.5) * worldSize;
-            grassPatch.position.z = (Math.random() - 0.5) * worldSize;
+            grassPatch.position.x = (this.random.next() - 0.5) * worldSize;
+            grassPatch.position.z = (this.random.next() - 0.5) * worldSize;
             grassPatch.position.y = 0.1; // Slightly above ground
             
             // Random rotation
-            grassPatch.rotation.y = Math.random() * Math.PI * 2;
+            grassPatch.rotation.y = this.random.next() * Math.PI * 2;
+            grassPatch.updateMatrixWorld(true);
             
-            this.cityObjects.push(grassPatch);
-            this.gameEngine.addToScene(grassPatch);
+            grassPatch.children.forEach((blade, index) => {
+                blades.push({ blade, share: index / grassPatch.children.length });
+            });
+            this.grassPatches.push(grassPatch.position.clone());
         }
-    }
-    
-    createGrassPatch() {
-        const grassGroup = new THREE.Group();
-        const grassBladeCount = 20 + Math.floor(Math.random() * 30);
+        
+        // Blades go in by their place within their patch, so lowering the density thins every patch evenly
+        blades.sort((a, b) => a.share - b.share);
         
         // Grey grass material (colorless world)
         const grassMaterial = new THREE.MeshLambertMaterial({
@@ -266,18 +395,45 @@ class SceneManager {
             side: THREE.DoubleSide
         });
         
+        // Unit blade standing on its base, each instance scales it to its height
+        const bladeGeometry = new THREE.PlaneGeometry(0.1, 1);
+        bladeGeometry.translate(0, 0.5, 0);
+        
+        this.grassBatch = new InstancedBatch(bladeGeometry, grassMaterial, blades.length);
+        blades.forEach(({ blade }) => {
+            // Taller blades catch a little more light
+            const shade = 0.85 + (blade.scale.y - 0.5) * 0.2;
+            this.grassBatch.add(blade.matrixWorld, new THREE.Color(shade, shade, shade));
+        });
+        
+        this.gameEngine.addToScene(this.grassBatch.mesh);
+        
+        this.setGrassDensity(this.grassDensity);
+    }
+    
+    // Thins every patch rather than dropping whole patches, so the ground stays evenly covered
+    setGrassDensity(density) {
+        this.grassDensity = density;
+        this.grassBatch?.setDrawFraction(density);
+    }
+    
+    // Only lays out the blades, createGrassPatches draws them all through one batch
+    createGrassPatch() {
+        const grassGroup = new THREE.Group();
+        const grassBladeCount = 20 + Math.floor(this.random.next() * 30);
+        
         for (let i = 0; i < grassBladeCount; i++) {
-            const bladeHeight = 0.5 + Math.random() * 1.5;
-            const bladeGeometry = new THREE.PlaneGeometry(0.1, bladeHeight);
+            const bladeHeight = 0.5 + this.random.next() * 1.5;
             
-            const grassBlade = new THREE.Mesh(bladeGeometry, grassMaterial);
+            const grassBlade = new THREE.Object3D();
             grassBlade.position.set(
-                (Math.random() - 0.5) * 4,
-                bladeHeight / 2,
-                (Math.random() - 0.5) * 4
+                (this.random.next() - 0.5) * 4,
+                0,
+                (this.random.next() - 0.5) * 4
             );
-            grassBlade.rotation.y = Math.random() * Math.PI;
-            grassBlade.rotation.x = (Math.random() - 0.5) * 0.3;
+            grassBlade.scale.y = bladeHeight;
+            grassBlade.rotation.y = this.random.next() * Math.PI;
+            grassBlade.rotation.x = (this.random.next() - 0.5) * 0.3;
             
             grassGroup.add(grassBlade);
         }
@@ -289,15 +445,28 @@ class SceneManager {
     createStonePaths() {
         const pathCount = 8; // Several winding paths
         
+        // Every stone is the same hexagon, scaled to its size (paths have at most 250 stones)
+        this.pathStoneBatch = new InstancedBatch(
+            new THREE.CylinderGeometry(1, 1, 0.2, 6),
+            new THREE.MeshLambertMaterial({
+                color: 0x666666 // Grey stone
+            }),
+            pathCount * 250,
+            { receiveShadow: true }
+        );
+        
         for (let i = 0; i < pathCount; i++) {
             this.createWindingPath(i);
         }
+        
+        this.gameEngine.addToScene(this.pathStoneBatch.mesh);
     }
     
     createWindingPath(pathIndex) {
-        const pathLength = 200 + Math.random() * 300;
-        const pathWidth = 4 + Math.random() * 2;
+        const pathLength = 200 + this.random.next() * 300;
+        const pathWidth = 4 + this.random.next() * 2;
         const stoneCount = Math.floor(pathLength / 2);
+        const path = [];
         
         // Starting position
         const startAngle = (pathIndex / 8) * Math.PI * 2;
@@ -313,27 +482,31 @@ class SceneManager {
             stone.position.y = 0.05;
             
             // Random rotation for natural look
-            stone.rotation.y = Math.random() * Math.PI * 2;
+            stone.rotation.y = this.random.next() * Math.PI * 2;
+            stone.updateMatrix();
+            
+            // Smaller stones are worn a little darker
+            const shade = 0.8 + (stone.scale.x - 0.8) * 0.5;
+            this.pathStoneBatch.add(stone.matrix, new THREE.Color(shade, shade, shade));
             
-            this.cityObjects.push(stone);
-            this.gameEngine.addToScene(stone);
+            this.streetPoints.push(stone.position.clone());
+            path.push(stone.position.clone());
             
             // Move to next position with slight curve
-            currentAngle += (Math.random() - 0.5) * 0.3;
+            currentAngle += (this.random.next() - 0.5) * 0.3;
             currentX += Math.cos(currentAngle) * 2;
             currentZ += Math.sin(currentAngle) * 2;
         }
+        
+        this.stonePaths.push(path);
     }
     
+    // Only the stone's placement, the path stone batch draws it
     createPathStone() {
-        const stoneSize = 0.8 + Math.random() * 0.4;
-        const stoneGeometry = new THREE.CylinderGeometry(stoneSize, stoneSize, 0.2, 6);
-        const stoneMaterial = new THREE.MeshLambertMaterial({
-            color: 0x666666, // Grey stone
-        });
+        const stoneSize = 0.8 + this.random.next() * 0.4;
         
-        const stone = new THREE.Mesh(stoneGeometry, stoneMaterial);
-        stone.receiveShadow = true;
+        const stone = new THREE.Object3D();
+        stone.scale.set(stoneSize, 1, stoneSize);
         
         return stone;
     }
@@ -346,8 +519,8 @@ class SceneManager {
         for (let i = 0; i < structureCount; i++) {
             const structure = this.createKungFuStructure();
             
-            structure.position.x = (Math.random() - 0.5) * worldSize;
-            structure.position.z = (Math.random() - 0.5) * worldSize;
+            structure.position.x = (this.random.next() - 0.5) * worldSize;
+            structure.position.z = (this.random.next() - 0.5) * worldSize;
             
             // Ensure not too close to spawn
             if (Math.abs(structure.position.x) < 100 && Math.abs(structure.position.z) < 100) {
@@ -366,7 +539,7 @@ class SceneManager {
     
     createKungFuStructure() {
         const structureGroup = new THREE.Group();
-        const structureType = Math.floor(Math.random() * 3);
+        const structureType = Math.floor(this.random.next() * 3);
         
         if (structureType === 0) {
             // Pagoda-style tower
@@ -382,7 +555,7 @@ class SceneManager {
     
     createPagodaTower() {
         const towerGroup = new THREE.Group();
-        const levels = 3 + Math.floor(Math.random() * 3);
+        const levels = 3 + Math.floor(this.random.next() * 3);
         
         const greyWoodMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
         const greyRoofMaterial = new THREE.MeshLambertMaterial({ color: 0x444444 });
@@ -454,16 +627,16 @@ class SceneManager {
         mountainGroup.add(mainPeak);
         
         // Smaller peaks around it
-        const smallPeakCount = 3 + Math.floor(Math.random() * 3);
+        const smallPeakCount = 3 + Math.floor(this.random.next() * 3);
         for (let i = 0; i < smallPeakCount; i++) {
-            const peakSize = 5 + Math.random() * 8;
-            const peakHeight = 10 + Math.random() * 15;
+            const peakSize = 5 + this.random.next() * 8;
+            const peakHeight = 10 + this.random.next() * 15;
             const peakGeometry = new THREE.ConeGeometry(peakSize, peakHeight, 6);
             const peak = new THREE.Mesh(peakGeometry, rockMaterial);
             
             const angle = (i / smallPeakCount) * Math.PI * 2;
-            peak.position.x = Math.cos(angle) * (20 + Math.random() * 10);
-            peak.position.z = Math.sin(angle) * (20 + Math.random() * 10);
+            peak.position.x = Math.cos(angle) * (20 + this.random.next() * 10);
+            peak.position.z = Math.sin(angle) * (20 + this.random.next() * 10);
             peak.position.y = peakHeight / 2;
             
             peak.castShadow = true;
@@ -550,17 +723,17 @@ class SceneManager {
         treeGroup.add(trunk);
         
         // Dead branches
-        const branchCount = 5 + Math.floor(Math.random() * 3);
+        const branchCount = 5 + Math.floor(this.random.next() * 3);
         for (let i = 0; i < branchCount; i++) {
-            const branchLength = 3 + Math.random() * 4;
+            const branchLength = 3 + this.random.next() * 4;
             const branchGeometry = new THREE.CylinderGeometry(0.3, 0.5, branchLength, 6);
             const branch = new THREE.Mesh(branchGeometry, trunkMaterial);
             
             const angle = (i / branchCount) * Math.PI * 2;
             branch.position.x = Math.cos(angle) * 2;
-            branch.position.y = 10 + Math.random() * 5;
+            branch.position.y = 10 + this.random.next() * 5;
             branch.position.z = Math.sin(angle) * 2;
-            branch.rotation.z = (Math.random() - 0.5) * Math.PI / 2;
+            branch.rotation.z = (this.random.next() - 0.5) * Math.PI / 2;
             branch.rotation.y = angle;
             
             branch.castShadow = true;
@@ -579,17 +752,17 @@ class SceneManager {
         // Broken pillars
         const pillarCount = 8;
         for (let i = 0; i < pillarCount; i++) {
-            const pillarHeight = 5 + Math.random() * 10; // Varying broken heights
+            const pillarHeight = 5 + this.random.next() * 10; // Varying broken heights
             const pillarGeometry = new THREE.CylinderGeometry(1.5, 1.5, pillarHeight, 8);
             const pillar = new THREE.Mesh(pillarGeometry, ruinMaterial);
             
-            pillar.position.x = (Math.random() - 0.5) * 60;
-            pillar.position.z = (Math.random() - 0.5) * 60;
+            pillar.position.x = (this.random.next() - 0.5) * 60;
+            pillar.position.z = (this.random.next() - 0.5) * 60;
             pillar.position.y = pillarHeight / 2;
             
             // Random tilt for broken look
-            pillar.rotation.x = (Math.random() - 0.5) * 0.3;
-            pillar.rotation.z = (Math.random() - 0.5) * 0.3;
+            pillar.rotation.x = (this.random.next() - 0.5) * 0.3;
+            pillar.rotation.z = (this.random.next() - 0.5) * 0.3;
             
             pillar.castShadow = true;
             pillar.receiveShadow = true;
@@ -599,15 +772,15 @@ class SceneManager {
         // Scattered stone blocks
         const blockCount = 20;
         for (let i = 0; i < blockCount; i++) {
-            const blockSize = 1 + Math.random() * 3;
+            const blockSize = 1 + this.random.next() * 3;
             const blockGeometry = new THREE.BoxGeometry(blockSize, blockSize, blockSize);
             const block = new THREE.Mesh(blockGeometry, ruinMaterial);
             
-            block.position.x = (Math.random() - 0.5) * 80;
-            block.position.z = (Math.random() - 0.5) * 80;
+            block.position.x = (this.random.next() - 0.5) * 80;
+            block.position.z = (this.random.next() - 0.5) * 80;
             block.position.y = blockSize / 2;
             
-            block.rotation.y = Math.random() * Math.PI * 2;
+            block.rotation.y = this.random.next() * Math.PI * 2;
             block.castShadow = true;
             block.receiveShadow = true;
             
@@ -621,13 +794,13 @@ class SceneManager {
     
     createBuilding() {
         // Random building dimensions
-        const width = 5 + Math.random() * 10;
-        const height = 10 + Math.random() * 30;
-        const depth = 5 + Math.random() * 10;
+        const width = 5 + this.random.next() * 10;
+        const height = 10 + this.random.next() * 30;
+        const depth = 5 + this.random.next() * 10;
         
         const geometry = new THREE.BoxGeometry(width, height, depth);
         const material = new THREE.MeshLambertMaterial({
-            color: new THREE.Color().setHSL(0, 0, 0.3 + Math.random() * 0.3) // Grey variations
+            color: new THREE.Color().setHSL(0, 0, 0.3 + this.random.next() * 0.3) // Grey variations
         });
         
         const building = new THREE.Mesh(geometry, material);
@@ -700,6 +873,10 @@ class SceneManager {
             }
             
             this.gameEngine.addToScene(temple);
+            
+            // The shell gets an entrance door, the inside is its own scene
+            const templeInstance = new Temple(this.game, pos.type, temple.position.clone(), { exterior: temple });
+            this.templeInteriors[pos.type] = new TempleInteriorScene(this.game, templeInstance);
         });
     }
     
@@ -758,11 +935,11 @@ class SceneManager {
         // Broken stone structures around the platform
         for (let i = 0; i < 8; i++) {
             const angle = (i / 8) * Math.PI * 2;
-            const distance = 30 + Math.random() * 15;
+            const distance = 30 + this.random.next() * 15;
             
             // Broken pillars of varying heights
-            const pillarHeight = 15 + Math.random() * 20;
-            const pillarGeometry = new THREE.CylinderGeometry(2 + Math.random(), 2.5 + Math.random(), pillarHeight, 8);
+            const pillarHeight = 15 + this.random.next() * 20;
+            const pillarGeometry = new THREE.CylinderGeometry(2 + this.random.next(), 2.5 + this.random.next(), pillarHeight, 8);
             const pillar = new THREE.Mesh(pillarGeometry, platformMaterial);
             
             pillar.position.x = Math.cos(angle) * distance;
@@ -770,8 +947,8 @@ class SceneManager {
             pillar.position.y = pillarHeight / 2;
             
             // Random tilt for broken appearance
-            pillar.rotation.x = (Math.random() - 0.5) * 0.3;
-            pillar.rotation.z = (Math.random() - 0.5) * 0.3;
+            pillar.rotation.x = (this.random.next() - 0.5) * 0.3;
+            pillar.rotation.z = (this.random.next() - 0.5) * 0.3;
             
             pillar.castShadow = true;
             pillar.receiveShadow = true;
@@ -982,12 +1159,12 @@ class SceneManager {
         // Floating stone platforms around the ship
         for (let i = 0; i < 6; i++) {
             const angle = (i / 6) * Math.PI * 2;
-            const distance = 40 + Math.random() * 20;
-            const height = 15 + Math.random() * 10;
+            const distance = 40 + this.random.next() * 20;
+            const height = 15 + this.random.next() * 10;
             
             const platformGeometry = new THREE.CylinderGeometry(
-                5 + Math.random() * 3, 
-                6 + Math.random() * 3, 
+                5 + this.random.next() * 3, 
+                6 + this.random.next() * 3, 
                 3, 8
             );
             const platform = new THREE.Mesh(platformGeometry, hullMaterial);
@@ -1089,26 +1266,76 @@ class SceneManager {
             
             // Random position in city
             const angle = (i / npcCount) * Math.PI * 2;
-            const radius = 30 + Math.random() * 80;
+            const radius = 30 + this.random.next() * 80;
             
             npc.position.set(
                 Math.cos(angle) * radius,
                 0,
                 Math.sin(angle) * radius
             );
+            npc.wanderCenter.copy(npc.position);
             
             this.npcs.push(npc);
             this.gameEngine.addToScene(npc.mesh);
         }
+        
+        // The elder waits by the plaza to greet the player
+        const elder = new NPC(this.game, {
+            id: 'elder',
+            type: 'melon_elder',
+            name: 'Melon Elder',
+            dialogueId: 'elder'
+        });
+        elder.setPosition(8, 0, 14);
+        elder.wanderRadius = 3;
+        elder.streetSearchRadius = 0; // Stays by the plaza instead of strolling the streets
+        
+        this.npcs.push(elder);
+        this.gameEngine.addToScene(elder.mesh);
+        
+        // Rind trades next to the Melon Arms Shop
+        const merchant = new NPC(this.game, {
+            id: 'merchant',
+            type: 'melon_merchant',
+            name: 'Rind the Trader',
+            dialogueId: 'merchant'
+        });
+        merchant.setPosition(-38, 0, 8);
+        merchant.wanderRadius = 2;
+        merchant.streetSearchRadius = 0;
+        
+        this.npcs.push(merchant);
+        this.gameEngine.addToScene(merchant.mesh);
+    }
+    
+    buildNavigationGrid() {
+        // Walkability grid for enemy and NPC pathfinding
+        this.navGrid = new NavigationGrid({ worldSize: this.world.size, cellSize: 2, agentRadius: 1 });
+        
+        // Streamed buildings can be in both lists, each obstacle is counted once so unloading it frees its cells
+        const obstacles = new Set([...(this.collisionObjects || []), ...this.shops]);
+        if (this.world && this.world.buildings) {
+            this.world.buildings.forEach(building => obstacles.add(building));
+        }
+        
+        this.navGrid.bake([...obstacles]);
+        this.navGrid.markStreets(this.streetPoints, 2);
     }
     
-    startGameplayScene() {
+    startGameplayScene(spawnPosition = null) {
         console.log('🎮 Starting gameplay scene...');
         this.currentScene = 'gameplay';
         
-        // Position player at spawn point
+        // New and loaded games always start in the overworld
+        this.unloadInterior();
+        
+        // Chunks are streamed back in with this save's collected tokens and opened chests
+        this.world?.reset();
+        
+        // Position player at the spawn point, or where a loaded save was made
         if (this.player) {
-            this.player.setPosition(0, 2, 10);
+            const [x, y, z] = spawnPosition || [0, 2, 10];
+            this.player.setPosition(x, y, z);
         }
         
         // Start game systems
@@ -1136,8 +1363,13 @@ class SceneManager {
             this.player.update(deltaTime);
         }
         
-        // Update NPCs
-        this.npcs.forEach(npc => npc.update(deltaTime));
+        // Update NPCs (they stay behind in the overworld while the player is in a temple)
+        if (!this.activeInterior) {
+            this.npcs.forEach(npc => npc.update(deltaTime));
+        }
+        
+        // Chunk streaming, the day/night clock and night creatures
+        this.world?.update(deltaTime);
         
         // Update enemies
         this.enemies.forEach(enemy => enemy.update(deltaTime));
@@ -1153,6 +1385,15 @@ class SceneManager {
     }
     
     updateWorldSystems(deltaTime) {
+        // Update puzzles and the boss of the temple the player is in
+        this.activeTemple?.update(deltaTime);
+        
+        // The overworld is unloaded while inside a temple
+        if (this.activeInterior) return;
+        
+        // Update the central portal and final encounter
+        this.portal?.update(deltaTime);
+        
         // Update temple effects
         this.temples.forEach(temple => {
             if (temple.userData.type) {
@@ -1172,7 +1413,20 @@ class SceneManager {
     getNearbyInteractables(position, radius = 5) {
         const interactables = [];
         
-        // Check temples
+        // Inside a temple only its puzzle elements (nearest first) and the way out count
+        if (this.activeInterior) {
+            return this.activeInterior.getNearbyInteractables(position, radius);
+        }
+        
+        // Check temples (entered through their doors)
+        const doorPosition = new THREE.Vector3();
+        Object.values(this.templeInteriors).forEach(interior => {
+            const door = interior.temple.door;
+            if (door && position.distanceTo(door.getWorldPosition(doorPosition)) <= radius) {
+                interactables.push(door);
+            }
+        });
+        
         this.temples.forEach(temple => {
             if (position.distanceTo(temple.position) <= radius) {
                 interactables.push(temple);
@@ -1189,10 +1443,20 @@ class SceneManager {
         // Check NPCs
         this.npcs.forEach(npc => {
             if (position.distanceTo(npc.position) <= radius) {
-                interactables.push(npc);
+                interactables.push(npc.mesh);
             }
         });
         
+        // Check portal (the ring is large, so allow a little extra reach)
+        if (this.portal && position.distanceTo(this.portal.position) <= radius + 4) {
+            interactables.push(this.portal.mesh);
+        }
+        
+        // Tokens and chests in the streamed chunks
+        if (this.world) {
+            interactables.push(...this.world.getNearbyInteractables(position, radius));
+        }
+        
         return interactables;
     }
     
@@ -1208,11 +1472,80 @@ class SceneManager {
             this.enterShop(object.userData.type);
         } else if (object.userData.isNPC) {
             this.talkToNPC(object);
+        } else if (object.userData.isPortal) {
+            object.userData.portal.interact();
+        } else if (object.userData.isPuzzleElement) {
+            this.activeTemple?.interactWithElement(object);
+        } else if (object.userData.isTempleExit) {
+            this.exitTemple();
+        } else if (object.userData.type === 'chest') {
+            this.world?.openChest(object);
         }
     }
     
-    enterTemple(type) {
-        console.log(`🏛️ Entering ${type} temple...`);
+    // Bring color back to the grey world after Dr. Hegesh is defeated
+    restoreWorldColor(duration = 5000) {
+        if (this.isColorRestored) return Promise.resolve();
+        this.isColorRestored = true;
+        
+        console.log('🌈 Restoring color to the world...');
+        
+        const scene = this.gameEngine.scene;
+        const palette = [0xE57373, 0xFFB74D, 0xFFF176, 0x81C784, 0x64B5F6, 0xBA68C8, 0xA1887F];
+        const tweens = [];
+        
+        const addTween = (color, targetHex) => {
+            if (!color) return;
+            tweens.push({ color, from: color.clone(), to: new THREE.Color(targetHex) });
+        };
+        
+        // Ground and atmosphere (the sky and fog follow the day/night cycle, which fades its color in too)
+        addTween(this.ground?.material.color, 0x5DAE4B);
+        addTween(this.gameEngine.ambientLight?.color, 0xffffff);
+        
+        // Grey buildings and props each pick up a color from the palette
+        scene.traverse(object => {
+            const material = object.material;
+            if (!object.isMesh || !(material instanceof THREE.MeshLambertMaterial)) return;
+            if (object === this.ground) return;
+            
+            const hsl = material.color.getHSL({});
+            if (hsl.s > 0.15) return;
+            
+            // Derive a stable color from the material so shared materials stay consistent
+            const hash = material.uuid.split('').reduce((sum, char) => sum + char.charCodeAt(0), 0);
+            const target = new THREE.Color(palette[hash % palette.length]).lerp(material.color, 0.3);
+            
+            if (!tweens.some(tween => tween.color === material.color)) {
+                addTween(material.color, target.getHex());
+            }
+        });
+        
+        return new Promise(resolve => {
+            const startTime = Date.now();
+            
+            const animate = () => {
+                const progress = Math.min((Date.now() - startTime) / duration, 1);
+                
+                tweens.forEach(tween => {
+                    tween.color.copy(tween.from).lerp(tween.to, progress);
+                });
+                
+                if (progress < 1) {
+                    requestAnimationFrame(animate);
+                } else {
+                    console.log('🌈 World color restored');
+                    resolve();
+                }
+            };
+            
+            animate();
+        });
+    }
+    
+    async enterTemple(type) {
+        const interior = this.templeInteriors[type];
+        if (!interior || this.activeInterior || this.isTransitioning) return;
         
         // Prevent multiple rapid entrances
         if (this.lastInteractionTime && Date.now() - this.lastInteractionTime < 1000) {
@@ -1220,13 +1553,107 @@ class SceneManager {
         }
         this.lastInteractionTime = Date.now();
         
-        // Show temple message via UI instead of alert
-        if (this.game.uiManager) {
-            this.game.uiManager.showNotification(`🏛️ Entered ${type} temple! Temple puzzles coming soon...`, 'info');
+        console.log(`🏛️ Entering ${type} temple...`);
+        this.isTransitioning = true;
+        
+        await this.game.uiManager?.fadeScreen(true);
+        
+        // Step back out where the player went in
+        this.returnPoint = this.player.position.clone();
+        
+        this.loadInterior(interior);
+        interior.temple.onPlayerEnter(this.player);
+        
+        const spawn = interior.getSpawnPoint();
+        this.player.setPosition(spawn.x, spawn.y, spawn.z);
+        
+        await this.game.uiManager?.fadeScreen(false);
+        this.isTransitioning = false;
+    }
+    
+    async exitTemple() {
+        const interior = this.activeInterior;
+        if (!interior || this.isTransitioning) return;
+        
+        // The guardian keeps the doors shut until it falls
+        if (interior.temple.isExitSealed) {
+            this.game.uiManager?.showNotification('🔒 The doors are sealed!', 'warning', 2000);
+            return;
+        }
+        
+        console.log(`🏛️ Leaving ${interior.temple.type} temple...`);
+        this.isTransitioning = true;
+        
+        await this.game.uiManager?.fadeScreen(true);
+        this.unloadInterior();
+        await this.game.uiManager?.fadeScreen(false);
+        
+        this.isTransitioning = false;
+    }
+    
+    loadInterior(interior) {
+        interior.load();
+        
+        // The overworld is set aside - nothing in it is rendered, updated or collided with
+        this.overworld = {
+            scene: this.gameEngine.scene,
+            collisionObjects: this.collisionObjects,
+            enemies: this.enemies
+        };
+        this.clearTransientObjects();
+        
+        this.collisionObjects = interior.collisionObjects;
+        this.enemies = interior.enemies;
+        this.moveToScene(interior.scene);
+        this.gameEngine.setColorGrade(interior.temple.type);
+        
+        this.activeInterior = interior;
+    }
+    
+    unloadInterior() {
+        const interior = this.activeInterior;
+        if (!interior) return;
+        
+        interior.temple.onPlayerExit(this.player);
+        this.clearTransientObjects();
+        
+        this.collisionObjects = this.overworld.collisionObjects;
+        this.enemies = this.overworld.enemies;
+        this.moveToScene(this.overworld.scene);
+        this.gameEngine.setColorGrade('city');
+        
+        this.activeInterior = null;
+        this.overworld = null;
+        
+        if (this.returnPoint && this.player) {
+            this.player.setPosition(this.returnPoint.x, this.returnPoint.y, this.returnPoint.z);
         }
+        this.returnPoint = null;
+    }
+    
+    moveToScene(scene) {
+        this.gameEngine.setScene(scene);
+        
+        // The player's capsule and the camera rig travel with the player
+        const travellers = [this.player?.mesh, this.game.inputManager?.pointerLockControls?.getObject()];
+        travellers.forEach(object => {
+            if (object) scene.add(object);
+        });
+    }
+    
+    clearTransientObjects() {
+        // Shots and grapple ropes belong to the scene they were fired in
+        this.projectiles.forEach(projectile => projectile.destroy());
+        this.projectiles = [];
         
-        // TODO: Implement actual temple entrance
-        console.log(`🏛️ Temple entrance system not yet implemented`);
+        this.player?.weapons.forEach(weapon => {
+            if (weapon?.isGrappling) weapon.release();
+        });
+    }
+    
+    // Saves made inside a temple put the player back outside its door
+    getOverworldPosition() {
+        return (this.returnPoint || this.player?.position)?.clone() || null;
     }
     
     enterShop(type) {
@@ -1247,10 +1674,14 @@ class SceneManager {
         console.log(`🏪 Shop system not yet implemented`);
     }
     
-    talkToNPC(npc) {
-        console.log('🍈 Talking to NPC...');
-        // TODO: Implement dialogue system
-        alert('🍈 Melon NPC: "Welcome to the grey world! Find the elemental temples to restore color!"');
+    talkToNPC(object) {
+        const npc = object.userData.npc;
+        if (!npc) return;
+        
+        console.log(`🍈 Talking to ${npc.name}...`);
+        npc.onInteract(this.player);
+        
+        this.game.questSystem?.trigger('talk', { npc: npc.id });
     }
     
     // Scene transition methods
@@ -1273,11 +1704,8 @@ class SceneManager {
         // Check collision with all collidable objects
         for (const object of this.collisionObjects || []) {
             if (object.userData.boundingBox) {
-                // Update bounding box to current object position
-                const worldBoundingBox = object.userData.boundingBox.clone();
-                worldBoundingBox.translate(object.position);
-                
-                if (worldBoundingBox.intersectsBox(playerBox)) {
+                // Bounding boxes are computed after placement, so they are already in world space
+                if (object.userData.boundingBox.intersectsBox(playerBox)) {
                     // Debug collision
                     console.log(`🚫 Collision detected with object at ${object.position.x}, ${object.position.z}`);
                     return true; // Collision detected
@@ -1288,6 +1716,25 @@ class SceneManager {
         return false; // No collision
     }
     
+    applyElementalPower(element, context) {
+        // Forward elemental abilities to the puzzle elements of the current temple
+        if (!this.activeTemple) return [];
+        
+        return this.activeTemple.applyElementalPower(element, context);
+    }
+    
+    getGrappleTargets() {
+        // Solid scenery the grappling hook can attach to: rocks, structures,
+        // temples (including their pillars) and shop buildings
+        const targets = [...(this.collisionObjects || []), ...this.shops];
+        
+        if (this.world && this.world.buildings) {
+            targets.push(...this.world.buildings);
+        }
+        
+        return targets;
+    }
+    
     getValidMovement(playerPosition, desiredMovement) {
         // Try the full movement first
         if (!this.checkCollision(playerPosition, desiredMovement)) {
@@ -1316,6 +1763,14 @@ class SceneManager {
     // Cleanup
     dispose() {
         // Clean up all scene objects
+        this.unloadInterior();
+        Object.values(this.templeInteriors).forEach(interior => interior.dispose());
+        this.templeInteriors = {};
+        
+        this.portal?.dispose();
+        this.portal = null;
+        this.world?.dispose();
+        this.world = null;
         this.cityObjects = [];
         this.temples = [];
         this.shops = [];
@@ -1324,6 +1779,9 @@ class SceneManager {
     }
 }
 
+// Shared shapes per rock size, more variants look less repetitive but each is one more draw call
+SceneManager.rockVariants = 4;
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SceneManager;
@@ -0,0 +1,176 @@
+/**
+ * BehaviorTree - Small behavior tree runtime for Elemelon enemies
+ * Trees are built from plain JSON so new enemy behaviors don't need new code paths
+ */
+
+class BehaviorTree {
+    constructor(root) {
+        this.root = root;
+    }
+    
+    static get SUCCESS() { return 'success'; }
+    static get FAILURE() { return 'failure'; }
+    static get RUNNING() { return 'running'; }
+    
+    // Build a tree from a JSON definition using the given condition/action library
+    static fromJSON(definition, library) {
+        return new BehaviorTree(BehaviorTree.createNode(definition, library));
+    }
+    
+    static createNode(definition, library) {
+        const children = (definition.children || []).map(child => BehaviorTree.createNode(child, library));
+        
+        switch (definition.type) {
+            case 'selector':
+                return new SelectorNode(children);
+            case 'sequence':
+                return new SequenceNode(children);
+            case 'decorator':
+                return new DecoratorNode(definition.decorator, BehaviorTree.createNode(definition.child, library), definition.params);
+            case 'condition': {
+                const condition = library.conditions[definition.name];
+                if (!condition) {
+                    throw new Error(`Unknown behavior condition: ${definition.name}`);
+                }
+                return new ConditionNode(definition.name, condition, definition.params);
+            }
+            case 'action': {
+                const action = library.actions[definition.name];
+                if (!action) {
+                    throw new Error(`Unknown behavior action: ${definition.name}`);
+                }
+                return new ActionNode(definition.name, action, definition.params);
+            }
+            case 'subtree': {
+                // Inline another named tree so archetypes can share branches
+                const subtree = library.trees[definition.name];
+                if (!subtree) {
+                    throw new Error(`Unknown behavior subtree: ${definition.name}`);
+                }
+                return BehaviorTree.createNode(subtree, library);
+            }
+            default:
+                throw new Error(`Unknown behavior node type: ${definition.type}`);
+        }
+    }
+    
+    tick(agent, deltaTime) {
+        return this.root.tick(agent, deltaTime);
+    }
+}
+
+// Runs children in order until one doesn't fail
+class SelectorNode {
+    constructor(children) {
+        this.children = children;
+    }
+    
+    tick(agent, deltaTime) {
+        for (const child of this.children) {
+            const status = child.tick(agent, deltaTime);
+            if (status !== BehaviorTree.FAILURE) {
+                return status;
+            }
+        }
+        return BehaviorTree.FAILURE;
+    }
+}
+
+// Runs children in order until one doesn't succeed
+class SequenceNode {
+    constructor(children) {
+        this.children = children;
+    }
+    
+    tick(agent, deltaTime) {
+        for (const child of this.children) {
+            const status = child.tick(agent, deltaTime);
+            if (status !== BehaviorTree.SUCCESS) {
+                return status;
+            }
+        }
+        return BehaviorTree.SUCCESS;
+    }
+}
+
+// Wraps a single child and changes how its result is reported
+class DecoratorNode {
+    constructor(kind, child, params = {}) {
+        this.kind = kind;
+        this.child = child;
+        this.params = params;
+        this.lastRun = -Infinity;
+    }
+    
+    tick(agent, deltaTime) {
+        switch (this.kind) {
+            case 'inverter': {
+                const status = this.child.tick(agent, deltaTime);
+                if (status === BehaviorTree.SUCCESS) return BehaviorTree.FAILURE;
+                if (status === BehaviorTree.FAILURE) return BehaviorTree.SUCCESS;
+                return status;
+            }
+            
+            case 'succeeder':
+                this.child.tick(agent, deltaTime);
+                return BehaviorTree.SUCCESS;
+            
+            case 'cooldown': {
+                // Child may only run once every `seconds`, scaled by the agent (e.g. boss phases)
+                const now = Date.now() / 1000;
+                const seconds = (this.params.seconds || 1) * (agent.blackboard?.cooldownScale || 1);
+                if (now - this.lastRun < seconds) {
+                    return BehaviorTree.FAILURE;
+                }
+                
+                const status = this.child.tick(agent, deltaTime);
+                if (status === BehaviorTree.SUCCESS) {
+                    this.lastRun = now;
+                }
+                return status;
+            }
+            
+            case 'chance':
+                // Child only runs some of the time
+                if (Random.stream('ai').next() > (this.params.probability ?? 0.5)) {
+                    return BehaviorTree.FAILURE;
+                }
+                return this.child.tick(agent, deltaTime);
+            
+            default:
+                console.warn(`Unknown decorator: ${this.kind}`);
+                return this.child.tick(agent, deltaTime);
+        }
+    }
+}
+
+// Leaf that checks a named predicate
+class ConditionNode {
+    constructor(name, predicate, params = {}) {
+        this.name = name;
+        this.predicate = predicate;
+        this.params = params;
+    }
+    
+    tick(agent, deltaTime) {
+        return this.predicate(agent, this.params, deltaTime) ? BehaviorTree.SUCCESS : BehaviorTree.FAILURE;
+    }
+}
+
+// Leaf that performs a named action and reports its status
+class ActionNode {
+    constructor(name, action, params = {}) {
+        this.name = name;
+        this.action = action;
+        this.params = params;
+    }
+    
+    tick(agent, deltaTime) {
+        return this.action(agent, this.params, deltaTime) || BehaviorTree.SUCCESS;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BehaviorTree, SelectorNode, SequenceNode, DecoratorNode, ConditionNode, ActionNode };
+}
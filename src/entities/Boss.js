@@ -0,0 +1,892 @@
+/**
+ * Boss - Multi-phase temple bosses for Elemelon
+ * Health-threshold phases, telegraphed attacks and the boss health bar
+ */
+
+class Boss extends Enemy {
+    constructor(game, type, options = {}) {
+        super(game, type, options);
+        
+        this.displayName = options.name || 'Temple Guardian';
+        this.element = options.element || null;
+        this.encounter = null;
+        this.tokenReward = 50;
+        
+        // Phases, ordered by the health ratio they start at
+        this.phases = [];
+        this.phaseIndex = 0;
+        this.baseStats = null;
+        this.transitionDuration = 1.5;
+        this.transitionTimer = 0;
+        
+        // Telegraphed attacks
+        this.telegraphs = [];
+        this.windUpTimer = 0;
+        this.lastAttackName = null;
+        
+        this.setPhases([{ name: 'Awakened', threshold: 1, attacks: [] }]);
+    }
+    
+    createMesh() {
+        // Every boss uses the large boss body, tinted by the subclass
+        const group = new THREE.Group();
+        this.createBossMesh(group);
+        
+        this.mesh = group;
+        this.mesh.userData = { isEnemy: true, enemy: this };
+    }
+    
+    setPhases(phases) {
+        this.phases = [...phases].sort((a, b) => b.threshold - a.threshold);
+        this.phaseIndex = 0;
+        
+        // Phase multipliers are always applied to the stats the boss started with
+        this.baseStats = {
+            speed: this.speed,
+            attackCooldown: this.attackCooldown
+        };
+        
+        this.applyPhaseStats(this.phases[0]);
+    }
+    
+    getCurrentPhase() {
+        return this.phases[this.phaseIndex];
+    }
+    
+    update(deltaTime) {
+        this.windUpTimer = Math.max(0, this.windUpTimer - deltaTime);
+        this.transitionTimer = Math.max(0, this.transitionTimer - deltaTime);
+        
+        this.updateTelegraphs(deltaTime);
+        super.update(deltaTime);
+    }
+    
+    updateAI(deltaTime) {
+        // Bosses stand their ground while winding up an attack or changing phase
+        if (this.windUpTimer > 0 || this.transitionTimer > 0) return;
+        
+        super.updateAI(deltaTime);
+    }
+    
+    takeDamage(amount) {
+        if (this.state === 'dead') return;
+        
+        // Immune while roaring into the next phase
+        if (this.transitionTimer > 0) {
+            console.log(`🛡️ ${this.displayName} is shrugging off damage`);
+            return;
+        }
+        
+        super.takeDamage(amount);
+        
+        if (this.state !== 'dead') {
+            this.checkPhaseTransition();
+        }
+        
+        this.updateHealthBar();
+    }
+    
+    checkPhaseTransition() {
+        const healthRatio = this.health / this.maxHealth;
+        let nextIndex = this.phaseIndex;
+        
+        // Big hits can skip straight past a phase
+        while (nextIndex + 1 < this.phases.length && healthRatio <= this.phases[nextIndex + 1].threshold) {
+            nextIndex++;
+        }
+        
+        if (nextIndex !== this.phaseIndex) {
+            this.enterPhase(nextIndex);
+        }
+    }
+    
+    enterPhase(index) {
+        this.phaseIndex = index;
+        const phase = this.getCurrentPhase();
+        
+        console.log(`💢 ${this.displayName} enters phase ${index + 1}: ${phase.name}`);
+        
+        // Pending attacks are cancelled by the phase change
+        this.clearTelegraphs();
+        this.windUpTimer = 0;
+        this.transitionTimer = this.transitionDuration;
+        
+        if (phase.archetype) {
+            this.setBehavior(phase.archetype);
+        }
+        this.applyPhaseStats(phase);
+        
+        this.game.uiManager?.showNotification(`💢 ${this.displayName}: ${phase.name}!`, 'warning', 2500);
+        this.playPhaseTransitionEffect();
+        this.onPhaseChanged(phase, index);
+    }
+    
+    applyPhaseStats(phase) {
+        this.speed = this.baseStats.speed * (phase.speedMultiplier || 1);
+        this.attackCooldown = this.baseStats.attackCooldown * (phase.cooldownMultiplier || 1);
+        
+        // Behavior tree cooldown decorators read this to speed up special attacks
+        this.blackboard.cooldownScale = phase.cooldownMultiplier || 1;
+    }
+    
+    onPhaseChanged(phase, index) {
+        // Overridden by bosses that change shape or summon help between phases
+    }
+    
+    specialAttack() {
+        const attacks = this.getCurrentPhase().attacks || [];
+        if (attacks.length === 0) return;
+        
+        // Avoid repeating the same attack back to back when there's a choice
+        const options = attacks.length > 1 ? attacks.filter(name => name !== this.lastAttackName) : attacks;
+        const attackName = Random.stream('ai').choice(options);
+        
+        if (typeof this[attackName] !== 'function') {
+            console.warn(`⚠️ ${this.displayName} has no attack named ${attackName}`);
+            return;
+        }
+        
+        this.lastAttackName = attackName;
+        this[attackName]();
+    }
+    
+    telegraphAttack(options) {
+        const telegraph = new BossTelegraph(this.game, {
+            color: Utils.getElementalColor(this.element),
+            ...options
+        });
+        this.telegraphs.push(telegraph);
+        
+        // The boss holds still until its own wind-up finishes
+        if (options.rootBoss !== false) {
+            this.windUpTimer = Math.max(this.windUpTimer, telegraph.windUp);
+        }
+        
+        return telegraph;
+    }
+    
+    updateTelegraphs(deltaTime) {
+        if (this.telegraphs.length === 0) return;
+        
+        this.telegraphs.forEach(telegraph => telegraph.update(deltaTime));
+        this.telegraphs = this.telegraphs.filter(telegraph => !telegraph.isFinished);
+    }
+    
+    clearTelegraphs() {
+        this.telegraphs.forEach(telegraph => telegraph.dispose());
+        this.telegraphs = [];
+    }
+    
+    getTargetPosition() {
+        const player = this.game.sceneManager?.player;
+        return player ? player.position.clone() : this.position.clone();
+    }
+    
+    getDirectionToTarget() {
+        const direction = this.getTargetPosition().sub(this.position);
+        direction.y = 0;
+        if (direction.lengthSq() === 0) direction.set(0, 0, 1);
+        return direction.normalize();
+    }
+    
+    updateHealthBar() {
+        this.game.uiManager?.updateBossHealth(
+            this.health,
+            this.maxHealth,
+            this.phaseIndex,
+            this.phases.length,
+            this.getCurrentPhase().name
+        );
+    }
+    
+    showHealthBar() {
+        const thresholds = this.phases.slice(1).map(phase => phase.threshold);
+        this.game.uiManager?.showBossHealthBar(this.displayName, this.element, thresholds);
+        this.updateHealthBar();
+    }
+    
+    playPhaseTransitionEffect() {
+        if (!this.mesh) return;
+        
+        // Roar: swell up while immune to damage
+        const startTime = Date.now();
+        const duration = this.transitionDuration * 1000;
+        
+        const animate = () => {
+            const progress = Math.min((Date.now() - startTime) / duration, 1);
+            if (!this.mesh || this.state === 'dead') return;
+            
+            this.mesh.scale.setScalar(1 + Math.sin(progress * Math.PI) * 0.3);
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            }
+        };
+        
+        animate();
+        this.game.audioManager?.playSound('enemyHit');
+    }
+    
+    die() {
+        this.clearTelegraphs();
+        this.game.uiManager?.hideBossHealthBar();
+        
+        super.die();
+    }
+    
+    giveRewards() {
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        // Elemental powers are handed out by the temple once the encounter resolves
+        player.addTokens(this.tokenReward);
+        console.log(`🏆 ${this.displayName} defeated!`);
+    }
+    
+    dispose() {
+        this.clearTelegraphs();
+        super.dispose();
+    }
+}
+
+// Ground marker that fills up during an attack's wind-up, then resolves
+class BossTelegraph {
+    constructor(game, options) {
+        this.game = game;
+        this.shape = options.shape || 'circle'; // circle, cone, line
+        this.position = options.position.clone();
+        this.direction = (options.direction || new THREE.Vector3(0, 0, 1)).clone().setY(0).normalize();
+        this.radius = options.radius || 4; // Circle radius or cone range
+        this.angle = options.angle || Math.PI / 3;
+        this.length = options.length || 15;
+        this.width = options.width || 3;
+        this.windUp = options.windUp || 1;
+        this.damage = options.damage ?? 1;
+        this.knockback = options.knockback || 0;
+        this.color = options.color || 0xff4040;
+        this.onResolve = options.onResolve || null;
+        
+        this.elapsed = 0;
+        this.isFinished = false;
+        
+        this.createMarker();
+    }
+    
+    createMarker() {
+        const group = new THREE.Group();
+        const player = this.game.sceneManager?.player;
+        const groundY = player ? player.getTerrainHeight(this.position.x, this.position.z) : this.position.y;
+        group.position.set(this.position.x, groundY + 0.05, this.position.z);
+        
+        this.outlineMaterial = new THREE.MeshBasicMaterial({
+            color: this.color,
+            transparent: true,
+            opacity: 0.25,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        this.fillMaterial = new THREE.MeshBasicMaterial({
+            color: this.color,
+            transparent: true,
+            opacity: 0.45,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        let outlineGeometry;
+        let fillGeometry;
+        
+        switch (this.shape) {
+            case 'cone':
+                outlineGeometry = new THREE.CircleGeometry(this.radius, 24, -this.angle / 2, this.angle);
+                fillGeometry = outlineGeometry.clone();
+                // Flat circle geometry opens along +X, so turn it to face the attack direction
+                group.rotation.y = Math.atan2(-this.direction.z, this.direction.x);
+                break;
+            
+            case 'line':
+                outlineGeometry = new THREE.PlaneGeometry(this.width, this.length);
+                fillGeometry = new THREE.PlaneGeometry(this.width, this.length);
+                // Shift the planes so the strip starts at the origin and runs along -Z
+                outlineGeometry.translate(0, this.length / 2, 0);
+                fillGeometry.translate(0, this.length / 2, 0);
+                group.rotation.y = Math.atan2(-this.direction.x, -this.direction.z);
+                break;
+            
+            default:
+                outlineGeometry = new THREE.CircleGeometry(this.radius, 48);
+                fillGeometry = outlineGeometry.clone();
+                break;
+        }
+        
+        this.outline = new THREE.Mesh(outlineGeometry, this.outlineMaterial);
+        this.fill = new THREE.Mesh(fillGeometry, this.fillMaterial);
+        
+        // Lay both flat on the ground
+        this.outline.rotation.x = -Math.PI / 2;
+        this.fill.rotation.x = -Math.PI / 2;
+        this.fill.position.y = 0.02;
+        this.fill.scale.setScalar(0.01);
+        
+        group.add(this.outline);
+        group.add(this.fill);
+        
+        this.marker = group;
+        this.game.gameEngine.addToScene(group);
+    }
+    
+    update(deltaTime) {
+        if (this.isFinished) return;
+        
+        this.elapsed += deltaTime;
+        const progress = Math.min(this.elapsed / this.windUp, 1);
+        
+        // Fill grows outward (or along the strip) as the attack charges
+        if (this.shape === 'line') {
+            this.fill.scale.set(1, Math.max(progress, 0.01), 1);
+        } else {
+            this.fill.scale.setScalar(Math.max(progress, 0.01));
+        }
+        
+        // Outline flickers during the last moments as a final warning
+        if (progress > 0.75) {
+            this.outlineMaterial.opacity = 0.25 + Math.abs(Math.sin(this.elapsed * 30)) * 0.35;
+        }
+        
+        if (progress >= 1) {
+            this.resolve();
+        }
+    }
+    
+    resolve() {
+        this.isFinished = true;
+        
+        const player = this.game.sceneManager?.player;
+        const hit = !!player && this.containsPoint(player.position);
+        
+        if (hit) {
+            if (this.damage > 0) {
+                player.takeDamage(this.damage);
+            }
+            
+            if (this.knockback > 0) {
+                player.currentVelocity.add(this.getKnockbackDirection(player.position).multiplyScalar(this.knockback));
+            }
+        }
+        
+        this.onResolve?.(hit);
+        
+        // Brief flash, then clean up
+        this.fillMaterial.opacity = 0.8;
+        this.fill.scale.setScalar(1);
+        setTimeout(() => this.dispose(), 200);
+    }
+    
+    getKnockbackDirection(point) {
+        if (this.shape !== 'circle') return this.direction.clone();
+        
+        const push = point.clone().sub(this.position);
+        push.y = 0;
+        if (push.lengthSq() === 0) return this.direction.clone();
+        return push.normalize();
+    }
+    
+    containsPoint(point) {
+        const offset = point.clone().sub(this.position);
+        offset.y = 0;
+        const distance = offset.length();
+        
+        switch (this.shape) {
+            case 'cone':
+                if (distance > this.radius) return false;
+                return distance < 0.5 || offset.angleTo(this.direction) <= this.angle / 2;
+            
+            case 'line': {
+                const along = offset.dot(this.direction);
+                const across = Math.sqrt(Math.max(0, distance * distance - along * along));
+                return along >= 0 && along <= this.length && across <= this.width / 2;
+            }
+            
+            default:
+                return distance <= this.radius;
+        }
+    }
+    
+    dispose() {
+        if (!this.marker) return;
+        
+        this.game.gameEngine.removeFromScene(this.marker);
+        this.outline.geometry.dispose();
+        this.fill.geometry.dispose();
+        this.outlineMaterial.dispose();
+        this.fillMaterial.dispose();
+        this.marker = null;
+    }
+}
+
+// Specific boss classes
+class WaterTempleBoss extends Boss {
+    constructor(game) {
+        super(game, 'water_boss', { name: 'Tide Warden', element: 'water' });
+        
+        this.health = 60;
+        this.maxHealth = 60;
+        
+        this.setPhases([
+            { name: 'Rising Tide', threshold: 1, attacks: ['tidalWave'] },
+            { name: 'Undertow', threshold: 0.6, attacks: ['tidalWave', 'whirlpools'], speedMultiplier: 1.2, cooldownMultiplier: 0.85 },
+            { name: 'Maelstrom', threshold: 0.3, attacks: ['tidalWave', 'whirlpools'], speedMultiplier: 1.4, cooldownMultiplier: 0.7 }
+        ]);
+        
+        this.createWaterEffects();
+    }
+    
+    createWaterEffects() {
+        // Add water-specific visual effects
+        if (this.mesh) {
+            // Blue tint
+            this.mesh.children.forEach(child => {
+                if (child.material) {
+                    child.material.color.setHex(0x0066cc);
+                }
+            });
+        }
+    }
+    
+    specialAttack() {
+        console.log('🌊 Water Boss uses Tidal Wave!');
+        super.specialAttack();
+    }
+    
+    tidalWave() {
+        // Shockwave around the boss - get out of the ring
+        this.telegraphAttack({
+            shape: 'circle',
+            position: this.position,
+            radius: 9,
+            windUp: 1.4,
+            damage: 2,
+            knockback: 15
+        });
+    }
+    
+    whirlpools() {
+        // Pools open under the player, more of them in the last phase
+        const count = this.phaseIndex >= 2 ? 3 : 2;
+        const target = this.getTargetPosition();
+        
+        for (let i = 0; i < count; i++) {
+            const offset = i === 0 ? new THREE.Vector3() : new THREE.Vector3(
+                Random.stream('ai').float(-5, 5),
+                0,
+                Random.stream('ai').float(-5, 5)
+            );
+            
+            this.telegraphAttack({
+                shape: 'circle',
+                position: target.clone().add(offset),
+                radius: 3.5,
+                windUp: 1.1 + i * 0.2,
+                damage: 1,
+                rootBoss: i === 0
+            });
+        }
+    }
+}
+
+class FireTempleBoss extends Boss {
+    constructor(game) {
+        super(game, 'fire_boss', { name: 'Ember Colossus', element: 'fire' });
+        
+        this.health = 60;
+        this.maxHealth = 60;
+        this.damage = 4;
+        
+        this.setPhases([
+            { name: 'Smoldering', threshold: 1, attacks: ['flameBurst'] },
+            { name: 'Blazing', threshold: 0.6, attacks: ['flameBurst', 'meteors'], cooldownMultiplier: 0.85 },
+            { name: 'Inferno', threshold: 0.3, attacks: ['flameBurst', 'meteors'], speedMultiplier: 1.3, cooldownMultiplier: 0.7 }
+        ]);
+        
+        this.createFireEffects();
+    }
+    
+    createFireEffects() {
+        // Add fire-specific visual effects
+        if (this.mesh) {
+            // Red/orange tint
+            this.mesh.children.forEach(child => {
+                if (child.material) {
+                    child.material.color.setHex(0xff4400);
+                    child.material.emissive?.setHex(0x442200);
+                    child.material.emissiveIntensity = 0.3;
+                }
+            });
+        }
+    }
+    
+    specialAttack() {
+        console.log('🔥 Fire Boss uses Flame Burst!');
+        super.specialAttack();
+    }
+    
+    flameBurst() {
+        // Wide cone of fire in front of the boss
+        this.telegraphAttack({
+            shape: 'cone',
+            position: this.position,
+            direction: this.getDirectionToTarget(),
+            radius: 14,
+            angle: this.phaseIndex >= 2 ? Math.PI / 2 : Math.PI / 3,
+            windUp: 1.0,
+            damage: 2
+        });
+    }
+    
+    meteors() {
+        // Meteors rain down on and around the player
+        const count = this.phaseIndex >= 2 ? 5 : 3;
+        const target = this.getTargetPosition();
+        
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const offset = i === 0 ? new THREE.Vector3() : new THREE.Vector3(Math.cos(angle) * 5, 0, Math.sin(angle) * 5);
+            
+            this.telegraphAttack({
+                shape: 'circle',
+                position: target.clone().add(offset),
+                radius: 3,
+                windUp: 1.3 + i * 0.15,
+                damage: 2,
+                rootBoss: i === 0
+            });
+        }
+    }
+}
+
+class WindTempleBoss extends Boss {
+    constructor(game) {
+        super(game, 'wind_boss', { name: 'Gale Sovereign', element: 'wind' });
+        
+        this.health = 55;
+        this.maxHealth = 55;
+        this.speed = 3.5;
+        
+        this.setPhases([
+            { name: 'Breeze', threshold: 1, attacks: ['gust'] },
+            { name: 'Squall', threshold: 0.6, attacks: ['gust', 'cyclones'], speedMultiplier: 1.2, cooldownMultiplier: 0.85 },
+            { name: 'Tempest', threshold: 0.3, attacks: ['gust', 'cyclones', 'tempest'], speedMultiplier: 1.4, cooldownMultiplier: 0.7 }
+        ]);
+        
+        this.createWindEffects();
+    }
+    
+    createWindEffects() {
+        if (this.mesh) {
+            // Pale green tint
+            this.mesh.children.forEach(child => {
+                if (child.material) {
+                    child.material.color.setHex(0x66cc88);
+                }
+            });
+        }
+    }
+    
+    specialAttack() {
+        console.log('💨 Wind Boss summons a gale!');
+        super.specialAttack();
+    }
+    
+    gust() {
+        // Straight blast that throws the player back
+        this.telegraphAttack({
+            shape: 'line',
+            position: this.position,
+            direction: this.getDirectionToTarget(),
+            length: 22,
+            width: 4,
+            windUp: 0.9,
+            damage: 1,
+            knockback: 25
+        });
+    }
+    
+    cyclones() {
+        // Cyclones spin up where the player is standing
+        const target = this.getTargetPosition();
+        
+        for (let i = 0; i < 2; i++) {
+            this.telegraphAttack({
+                shape: 'circle',
+                position: target.clone().add(new THREE.Vector3(Random.stream('ai').float(-3, 3), 0, Random.stream('ai').float(-3, 3))),
+                radius: 4,
+                windUp: 1.2 + i * 0.3,
+                damage: 1,
+                knockback: 12,
+                rootBoss: i === 0
+            });
+        }
+    }
+    
+    tempest() {
+        // Four gusts in a cross, aimed so one always lines up with the player
+        const forward = this.getDirectionToTarget();
+        
+        for (let i = 0; i < 4; i++) {
+            const direction = forward.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), i * Math.PI / 2);
+            
+            this.telegraphAttack({
+                shape: 'line',
+                position: this.position,
+                direction,
+                length: 20,
+                width: 3,
+                windUp: 1.3,
+                damage: 2,
+                knockback: 20
+            });
+        }
+    }
+}
+
+class LightningTempleBoss extends Boss {
+    constructor(game) {
+        super(game, 'lightning_boss', { name: 'Storm Herald', element: 'lightning' });
+        
+        this.health = 55;
+        this.maxHealth = 55;
+        
+        this.setPhases([
+            { name: 'Static', threshold: 1, attacks: ['strike'] },
+            { name: 'Thunderhead', threshold: 0.6, attacks: ['strike', 'chainStrikes'], cooldownMultiplier: 0.85 },
+            { name: 'Supercell', threshold: 0.3, attacks: ['chainStrikes', 'nova'], speedMultiplier: 1.3, cooldownMultiplier: 0.7 }
+        ]);
+        
+        this.createLightningEffects();
+    }
+    
+    createLightningEffects() {
+        if (this.mesh) {
+            // Electric yellow tint
+            this.mesh.children.forEach(child => {
+                if (child.material) {
+                    child.material.color.setHex(0xcccc33);
+                }
+            });
+        }
+    }
+    
+    specialAttack() {
+        console.log('⚡ Lightning Boss calls down the storm!');
+        super.specialAttack();
+    }
+    
+    strike() {
+        // Fast, small bolt right on the player
+        this.telegraphAttack({
+            shape: 'circle',
+            position: this.getTargetPosition(),
+            radius: 3,
+            windUp: 0.7,
+            damage: 2
+        });
+    }
+    
+    chainStrikes() {
+        // Bolts walk from the boss toward the player one after another
+        const target = this.getTargetPosition();
+        const steps = 5;
+        
+        for (let i = 1; i <= steps; i++) {
+            this.telegraphAttack({
+                shape: 'circle',
+                position: this.position.clone().lerp(target, i / steps),
+                radius: 2.5,
+                windUp: 0.6 + i * 0.15,
+                damage: 1,
+                rootBoss: i === 1
+            });
+        }
+    }
+    
+    nova() {
+        // Huge discharge around the boss - the slowest wind-up of the fight
+        this.telegraphAttack({
+            shape: 'circle',
+            position: this.position,
+            radius: 11,
+            windUp: 1.6,
+            damage: 3,
+            knockback: 10
+        });
+    }
+}
+
+class DrHegeshBoss extends Boss {
+    constructor(game) {
+        super(game, 'final_boss', { name: 'Dr. Hegesh' });
+        
+        this.health = 120;
+        this.maxHealth = 120;
+        this.damage = 3;
+        this.detectionRange = 60;
+        this.tokenReward = 200;
+        
+        // Shields - each one only breaks to the matching elemental power
+        this.shieldElement = null;
+        this.shieldMesh = null;
+        this.lastShieldHint = 0;
+        
+        this.setPhases([
+            { name: 'Tidal Barrier', threshold: 1, shield: 'water', attacks: ['greyWave', 'elementalBarrage'] },
+            { name: 'Flame Barrier', threshold: 0.75, shield: 'fire', attacks: ['greyWave', 'elementalBarrage', 'portalBeam'], cooldownMultiplier: 0.9 },
+            { name: 'Gale Barrier', threshold: 0.5, shield: 'wind', attacks: ['elementalBarrage', 'portalBeam'], speedMultiplier: 1.2, cooldownMultiplier: 0.8 },
+            { name: 'Storm Barrier', threshold: 0.25, shield: 'lightning', attacks: ['greyWave', 'elementalBarrage', 'portalBeam'], speedMultiplier: 1.4, cooldownMultiplier: 0.7 }
+        ]);
+        
+        this.createHegeshEffects();
+        this.raiseShield(this.getCurrentPhase().shield);
+    }
+    
+    createHegeshEffects() {
+        if (this.mesh) {
+            // Drained of all color, like the world he made
+            this.mesh.children.forEach(child => {
+                if (child.material) {
+                    child.material.color.setHex(0x505050);
+                }
+            });
+        }
+    }
+    
+    onPhaseChanged(phase) {
+        this.raiseShield(phase.shield);
+    }
+    
+    raiseShield(element) {
+        this.lowerShield();
+        if (!element) return;
+        
+        this.shieldElement = element;
+        
+        const geometry = new THREE.SphereGeometry(4, 24, 16);
+        const material = new THREE.MeshBasicMaterial({
+            color: Utils.getElementalColor(element),
+            transparent: true,
+            opacity: 0.3,
+            depthWrite: false
+        });
+        
+        this.shieldMesh = new THREE.Mesh(geometry, material);
+        this.shieldMesh.position.y = 2.5;
+        this.mesh?.add(this.shieldMesh);
+        
+        const power = this.game.sceneManager?.player?.elementalPowers?.powers[element];
+        const hint = power ? `${power.icon} ${power.name}` : `the ${element} power`;
+        this.game.uiManager?.showNotification(`🛡️ Dr. Hegesh raises a ${element} shield! Use ${hint} to break it`, 'warning', 3500);
+    }
+    
+    lowerShield() {
+        if (this.shieldMesh) {
+            this.mesh?.remove(this.shieldMesh);
+            this.shieldMesh.geometry.dispose();
+            this.shieldMesh.material.dispose();
+            this.shieldMesh = null;
+        }
+        this.shieldElement = null;
+    }
+    
+    onElementalHit(element) {
+        if (!this.shieldElement || element !== this.shieldElement) return;
+        
+        console.log(`💥 Dr. Hegesh's ${element} shield shatters!`);
+        this.lowerShield();
+        
+        this.game.uiManager?.showNotification('💥 The shield shatters! Strike now!', 'success', 2500);
+        this.game.audioManager?.playSound('enemyHit');
+        this.playAttackAnimation();
+    }
+    
+    takeDamage(amount) {
+        if (this.shieldElement) {
+            // Shield soaks everything - remind the player what breaks it now and then
+            if (Date.now() - this.lastShieldHint > 2000) {
+                this.lastShieldHint = Date.now();
+                this.game.uiManager?.showNotification(`🛡️ The ${this.shieldElement} shield absorbs the blow`, 'info', 1500);
+            }
+            
+            if (this.shieldMesh) {
+                this.shieldMesh.material.opacity = 0.6;
+                setTimeout(() => {
+                    if (this.shieldMesh) this.shieldMesh.material.opacity = 0.3;
+                }, 100);
+            }
+            return;
+        }
+        
+        super.takeDamage(amount);
+    }
+    
+    specialAttack() {
+        console.log('🧪 Dr. Hegesh unleashes grey energy!');
+        super.specialAttack();
+    }
+    
+    greyWave() {
+        // Colorless shockwave around Dr. Hegesh
+        this.telegraphAttack({
+            shape: 'circle',
+            position: this.position,
+            radius: 12,
+            windUp: 1.5,
+            damage: 2,
+            knockback: 18,
+            color: 0x808080
+        });
+    }
+    
+    elementalBarrage() {
+        // Turns the stolen elements against the player, one circle per element
+        const target = this.getTargetPosition();
+        const elements = ['water', 'fire', 'wind', 'lightning'];
+        
+        elements.forEach((element, i) => {
+            const angle = (i / elements.length) * Math.PI * 2;
+            const offset = i === 0 ? new THREE.Vector3() : new THREE.Vector3(Math.cos(angle) * 6, 0, Math.sin(angle) * 6);
+            
+            this.telegraphAttack({
+                shape: 'circle',
+                position: target.clone().add(offset),
+                radius: 3,
+                windUp: 1.0 + i * 0.25,
+                damage: 1,
+                color: Utils.getElementalColor(element),
+                rootBoss: i === 0
+            });
+        });
+    }
+    
+    portalBeam() {
+        // Long beam drawn from the portal's power
+        this.telegraphAttack({
+            shape: 'line',
+            position: this.position,
+            direction: this.getDirectionToTarget(),
+            length: 35,
+            width: 5,
+            windUp: 1.3,
+            damage: 3,
+            color: 0x9C27B0
+        });
+    }
+    
+    die() {
+        this.lowerShield();
+        super.die();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Boss, BossTelegraph, WaterTempleBoss, FireTempleBoss, WindTempleBoss, LightningTempleBoss, DrHegeshBoss };
+}
@@ -0,0 +1,409 @@
+/**
+ * ElementalPowers - Active abilities granted by the collected elemelons
+ * Each element unlocks one power with its own key, cooldown and puzzle hooks
+ */
+
+class ElementalPowers {
+    constructor(game, player) {
+        this.game = game;
+        this.player = player;
+        
+        // One power per elemelon, in HUD order
+        this.powers = {
+            water: new WaterPower(game),
+            fire: new FirePower(game),
+            wind: new WindPower(game),
+            lightning: new LightningPower(game)
+        };
+    }
+    
+    isUnlocked(element) {
+        const collectedElements = this.game.getPlayerData().collectedElements;
+        return !!(collectedElements && collectedElements[element]);
+    }
+    
+    use(element) {
+        const power = this.powers[element];
+        if (!power) return false;
+        
+        if (!this.isUnlocked(element)) {
+            this.game.uiManager?.showNotification(`Defeat the ${element} temple guardian to unlock this power`, 'info', 2000);
+            return false;
+        }
+        
+        if (power.cooldownRemaining > 0) {
+            console.log(`⏳ ${power.name} recharging (${power.cooldownRemaining.toFixed(1)}s)`);
+            return false;
+        }
+        
+        console.log(`${power.icon} ${power.name}!`);
+        power.activate(this.player);
+        power.cooldownRemaining = power.cooldown;
+        
+        return true;
+    }
+    
+    onPowerUnlocked(element) {
+        const power = this.powers[element];
+        if (!power) return;
+        
+        const key = this.game.getGameSettings().controls.keyBindings[`${element}Power`] || '';
+        const keyLabel = key.replace('Key', '');
+        
+        this.game.uiManager?.showNotification(`${power.icon} ${power.name} unlocked! Press ${keyLabel} to use it`, 'success', 4000);
+        this.updateHUD();
+    }
+    
+    update(deltaTime) {
+        Object.values(this.powers).forEach(power => {
+            if (power.cooldownRemaining > 0) {
+                power.cooldownRemaining = Math.max(0, power.cooldownRemaining - deltaTime);
+            }
+        });
+        
+        this.updateHUD();
+    }
+    
+    updateHUD() {
+        const states = Object.entries(this.powers).map(([element, power]) => ({
+            element,
+            icon: power.icon,
+            unlocked: this.isUnlocked(element),
+            cooldown: power.cooldown,
+            cooldownRemaining: power.cooldownRemaining
+        }));
+        
+        this.game.uiManager?.updateElementalPowers(states);
+    }
+    
+    reset() {
+        Object.values(this.powers).forEach(power => {
+            power.cooldownRemaining = 0;
+        });
+    }
+}
+
+// Base class for a single elemental ability
+class ElementalPower {
+    constructor(game, element) {
+        this.game = game;
+        this.element = element;
+        this.name = element;
+        this.icon = '✨';
+        this.cooldown = 5;
+        this.cooldownRemaining = 0;
+    }
+    
+    activate(player) {
+        // Overridden by each element
+    }
+    
+    getForward() {
+        const forward = this.game.gameEngine.getCameraDirection();
+        forward.y = 0;
+        return forward.normalize();
+    }
+    
+    getEnemiesInRange(origin, range) {
+        const enemies = this.game.sceneManager?.enemies || [];
+        return enemies.filter(enemy => enemy.state !== 'dead' && enemy.position.distanceTo(origin) <= range + (enemy.hitRadius || 1));
+    }
+    
+    isInCone(origin, forward, target, range, angle) {
+        const toTarget = target.clone().sub(origin);
+        toTarget.y = 0;
+        
+        const distance = toTarget.length();
+        if (distance > range) return false;
+        if (distance < 0.5) return true;
+        
+        return forward.angleTo(toTarget) <= angle / 2;
+    }
+    
+    notifyPuzzleElements(context) {
+        // Let the temple the player is in react (torches, circuits, crystals...)
+        return this.game.sceneManager?.applyElementalPower(this.element, context) || [];
+    }
+    
+    createBurstEffect(position, color, radius, duration = 400) {
+        const geometry = new THREE.SphereGeometry(1, 16, 12);
+        const material = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.5,
+            depthWrite: false
+        });
+        
+        const effect = new THREE.Mesh(geometry, material);
+        effect.position.copy(position);
+        this.game.gameEngine.addToScene(effect);
+        
+        // Expand and fade
+        const startTime = Date.now();
+        const animate = () => {
+            const progress = Math.min((Date.now() - startTime) / duration, 1);
+            effect.scale.setScalar(0.1 + radius * progress);
+            material.opacity = 0.5 * (1 - progress);
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                this.game.gameEngine.removeFromScene(effect);
+                geometry.dispose();
+                material.dispose();
+            }
+        };
+        
+        animate();
+    }
+}
+
+// Water - healing pulse that also puts out fires
+class WaterPower extends ElementalPower {
+    constructor(game) {
+        super(game, 'water');
+        this.name = 'Healing Tide';
+        this.icon = '💧';
+        this.cooldown = 12;
+        this.healAmount = 2;
+        this.radius = 8;
+    }
+    
+    activate(player) {
+        player.heal(this.healAmount);
+        
+        // Washes over nearby enemies (breaks water-attuned shields)
+        this.getEnemiesInRange(player.position, this.radius).forEach(enemy => {
+            enemy.onElementalHit?.(this.element);
+        });
+        
+        this.notifyPuzzleElements({
+            origin: player.position.clone(),
+            radius: this.radius
+        });
+        
+        this.createBurstEffect(player.position, 0x4080ff, this.radius, 600);
+        this.game.audioManager?.playSound('powerUp');
+    }
+}
+
+// Fire - cone of flame that burns enemies and lights torches
+class FirePower extends ElementalPower {
+    constructor(game) {
+        super(game, 'fire');
+        this.name = 'Flame Burst';
+        this.icon = '🔥';
+        this.cooldown = 4;
+        this.damage = 3;
+        this.range = 8;
+        this.angle = Math.PI / 3;
+    }
+    
+    activate(player) {
+        const origin = player.position.clone();
+        const forward = this.getForward();
+        
+        this.getEnemiesInRange(origin, this.range).forEach(enemy => {
+            if (this.isInCone(origin, forward, enemy.position, this.range + (enemy.hitRadius || 1), this.angle)) {
+                enemy.onElementalHit?.(this.element);
+                enemy.takeDamage(this.getDamage());
+            }
+        });
+        
+        this.notifyPuzzleElements({
+            origin,
+            direction: forward,
+            radius: this.range,
+            angle: this.angle
+        });
+        
+        this.createConeEffect(origin, forward);
+    }
+    
+    // Rain dampens the flames, down to half in a downpour
+    getDamage() {
+        const rain = this.game.sceneManager?.world?.getRainIntensity() ?? 0;
+        return Math.max(1, Math.round(this.damage * (1 - rain * 0.5)));
+    }
+    
+    createConeEffect(origin, forward) {
+        const geometry = new THREE.ConeGeometry(Math.tan(this.angle / 2) * this.range, this.range, 16, 1, true);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xff6020,
+            transparent: true,
+            opacity: 0.4,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        const cone = new THREE.Mesh(geometry, material);
+        
+        // Cone tip at the player, opening along the view direction
+        cone.quaternion.setFromUnitVectors(new THREE.Vector3(0, -1, 0), forward);
+        cone.position.copy(origin).add(forward.clone().multiplyScalar(this.range / 2));
+        cone.position.y += 1.2;
+        
+        this.game.gameEngine.addToScene(cone);
+        
+        setTimeout(() => {
+            this.game.gameEngine.removeFromScene(cone);
+            geometry.dispose();
+            material.dispose();
+        }, 250);
+    }
+}
+
+// Wind - dash along the ground, or an updraft jump when airborne
+class WindPower extends ElementalPower {
+    constructor(game) {
+        super(game, 'wind');
+        this.name = 'Gale Step';
+        this.icon = '💨';
+        this.cooldown = 3;
+        this.dashSpeed = 40;
+        this.updraftSpeed = 18;
+        this.pushRadius = 6;
+        this.pushForce = 12;
+    }
+    
+    activate(player) {
+        const forward = this.getForward();
+        
+        if (player.isGrounded) {
+            // Dash - normal deceleration in updateMovement bleeds the speed off
+            player.currentVelocity.copy(forward).multiplyScalar(this.dashSpeed);
+        } else {
+            // Updraft - a second, stronger jump
+            player.velocity.y = Math.max(player.velocity.y, this.updraftSpeed);
+        }
+        
+        // Gust shoves nearby enemies away
+        this.getEnemiesInRange(player.position, this.pushRadius).forEach(enemy => {
+            const push = enemy.position.clone().sub(player.position);
+            push.y = 0;
+            if (push.lengthSq() === 0) push.copy(forward);
+            enemy.applyKnockback?.(push.normalize(), this.pushForce);
+            enemy.onElementalHit?.(this.element);
+        });
+        
+        this.notifyPuzzleElements({
+            origin: player.position.clone(),
+            direction: forward,
+            radius: this.pushRadius
+        });
+        
+        this.createBurstEffect(player.position, 0x80ff80, this.pushRadius, 300);
+    }
+}
+
+// Lightning - arcs between enemies and powers conductive puzzle elements
+class LightningPower extends ElementalPower {
+    constructor(game) {
+        super(game, 'lightning');
+        this.name = 'Chain Lightning';
+        this.icon = '⚡';
+        this.cooldown = 6;
+        this.damage = 3;
+        this.range = 15;
+        this.chainRange = 8;
+        this.maxChains = 4;
+    }
+    
+    activate(player) {
+        const origin = player.position.clone();
+        const forward = this.getForward();
+        const chain = this.buildChain(origin, forward);
+        
+        // Damage falls off by one for every other jump
+        chain.forEach((enemy, index) => {
+            enemy.onElementalHit?.(this.element);
+            enemy.takeDamage(Math.max(1, this.getDamage() - Math.floor(index / 2)));
+        });
+        
+        this.notifyPuzzleElements({
+            origin,
+            direction: forward,
+            radius: this.range,
+            angle: Math.PI / 2
+        });
+        
+        // Draw the bolt from the player through every enemy hit
+        const points = [origin.clone().setY(origin.y + 1.5)];
+        if (chain.length === 0) {
+            points.push(origin.clone().add(forward.clone().multiplyScalar(this.range)).setY(origin.y + 1.5));
+        }
+        chain.forEach(enemy => points.push(enemy.position.clone().setY(enemy.position.y + 1)));
+        
+        this.createBoltEffect(points);
+        this.game.audioManager?.playSound('enemyHit');
+    }
+    
+    // Storms charge the bolt, up to half again as strong
+    getDamage() {
+        const storm = this.game.sceneManager?.world?.getStormIntensity() ?? 0;
+        return Math.round(this.damage * (1 + storm * 0.5));
+    }
+    
+    buildChain(origin, forward) {
+        const candidates = this.getEnemiesInRange(origin, this.range);
+        
+        // First target is the closest enemy in front of the player
+        const first = candidates
+            .filter(enemy => this.isInCone(origin, forward, enemy.position, this.range + (enemy.hitRadius || 1), Math.PI / 2))
+            .sort((a, b) => a.position.distanceTo(origin) - b.position.distanceTo(origin))[0];
+        
+        if (!first) return [];
+        
+        const chain = [first];
+        const remaining = (this.game.sceneManager?.enemies || []).filter(enemy => enemy !== first && enemy.state !== 'dead');
+        
+        // Jump to the nearest unhit enemy each time
+        while (chain.length <= this.maxChains && remaining.length > 0) {
+            const last = chain[chain.length - 1];
+            remaining.sort((a, b) => a.position.distanceTo(last.position) - b.position.distanceTo(last.position));
+            
+            if (remaining[0].position.distanceTo(last.position) > this.chainRange) break;
+            chain.push(remaining.shift());
+        }
+        
+        return chain;
+    }
+    
+    createBoltEffect(points) {
+        // Jagged line between each pair of points
+        const jagged = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const end = points[i + 1];
+            const segments = 6;
+            
+            for (let s = 0; s < segments; s++) {
+                const point = start.clone().lerp(end, s / segments);
+                if (s > 0) {
+                    point.x += (Math.random() - 0.5) * 0.8;
+                    point.y += (Math.random() - 0.5) * 0.8;
+                    point.z += (Math.random() - 0.5) * 0.8;
+                }
+                jagged.push(point);
+            }
+        }
+        jagged.push(points[points.length - 1]);
+        
+        const geometry = new THREE.BufferGeometry().setFromPoints(jagged);
+        const material = new THREE.LineBasicMaterial({ color: 0xffff80 });
+        const bolt = new THREE.Line(geometry, material);
+        
+        this.game.gameEngine.addToScene(bolt);
+        
+        setTimeout(() => {
+            this.game.gameEngine.removeFromScene(bolt);
+            geometry.dispose();
+            material.dispose();
+        }, 200);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ElementalPowers, ElementalPower, WaterPower, FirePower, WindPower, LightningPower };
+}
@@ -4,7 +4,7 @@
  */
 
 class Enemy {
-    constructor(game, type = 'basic') {
+    constructor(game, type = 'basic', options = {}) {
         this.game = game;
         this.type = type;
         
@@ -24,8 +24,25 @@ class Enemy {
         this.lastAttack = 0;
         this.attackCooldown = 2;
         
+        // Behavior tree - archetype name or a JSON tree definition
+        this.archetype = options.archetype || EnemyBehaviors.getArchetypeForType(type);
+        this.behaviorTree = null;
+        this.blackboard = {
+            home: new THREE.Vector3() // Spawn point for guarding, patrolling and returning
+        };
+        
+        // Navigation
+        this.pathFollower = null;
+        this.repathInterval = 0.5;
+        this.repathTimer = 0;
+        
+        // Physics
+        this.hitRadius = 1;
+        this.knockbackVelocity = new THREE.Vector3();
+        this.knockbackDamping = 8;
+        
         // State
-        this.state = 'idle'; // idle, chasing, attacking, dead
+        this.state = 'idle'; // idle, patrolling, returning, chasing, attacking, fleeing, dead
         
         this.createMesh();
     }
@@ -36,6 +53,8 @@ class Enemy {
         
         if (this.type === 'temple_boss') {
             this.createBossMesh(group);
+        } else if (this.type === 'night_creature') {
+            this.createNightCreatureMesh(group);
         } else {
             this.createBasicEnemyMesh(group);
         }
@@ -88,6 +107,36 @@ class Enemy {
         group.add(rightEye);
     }
     
+    createNightCreatureMesh(group) {
+        // Quicker and sharper-eyed than daytime creatures, but easier to put down
+        this.health = 6;
+        this.maxHealth = 6;
+        this.speed = 4;
+        this.detectionRange = 20;
+        
+        const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0x1A1A2E });
+        const body = new THREE.Mesh(new THREE.SphereGeometry(0.9, 10, 8), bodyMaterial);
+        body.position.y = 1;
+        body.scale.set(1, 0.8, 1.2);
+        body.castShadow = true;
+        group.add(body);
+        
+        // Ragged ears
+        [-0.45, 0.45].forEach(x => {
+            const ear = new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.7, 4), bodyMaterial);
+            ear.position.set(x, 1.8, 0.1);
+            group.add(ear);
+        });
+        
+        // Eyes that catch the lamplight
+        const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0x66FFFF });
+        [-0.3, 0.3].forEach(x => {
+            const eye = new THREE.Mesh(new THREE.SphereGeometry(0.12, 8, 8), eyeMaterial);
+            eye.position.set(x, 1.2, 0.95);
+            group.add(eye);
+        });
+    }
+    
     createBossMesh(group) {
         // Create larger, more intimidating boss
         this.health = 50;
@@ -95,6 +144,7 @@ class Enemy {
         this.damage = 3;
         this.speed = 2;
         this.attackRange = 5;
+        this.hitRadius = 2;
         
         // Main body - larger and more detailed
         const bodyGeometry = new THREE.BoxGeometry(3, 4, 3);
@@ -133,70 +183,159 @@ class Enemy {
     
     setPosition(x, y, z) {
         this.position.set(x, y, z);
+        this.blackboard.home.copy(this.position);
         if (this.mesh) {
             this.mesh.position.copy(this.position);
         }
     }
     
+    setBehavior(archetypeOrDefinition) {
+        this.archetype = archetypeOrDefinition;
+        this.behaviorTree = null;
+        
+        // Forget anything the old tree was tracking
+        const home = this.blackboard.home;
+        this.blackboard = { home };
+    }
+    
     update(deltaTime) {
+        this.updateKnockback(deltaTime);
         this.updateAI(deltaTime);
         this.updateAnimation(deltaTime);
         this.updateAttackCooldown(deltaTime);
     }
     
-    updateAI(deltaTime) {
-        const player = this.game.sceneManager?.player;
-        if (!player) return;
+    applyKnockback(direction, force) {
+        // Bosses are heavier and get pushed less
+        const resistance = this.type.includes('boss') ? 0.25 : 1;
+        this.knockbackVelocity.add(direction.clone().multiplyScalar(force * resistance));
+    }
+    
+    updateKnockback(deltaTime) {
+        if (this.knockbackVelocity.lengthSq() < 0.01) {
+            this.knockbackVelocity.set(0, 0, 0);
+            return;
+        }
         
-        const distanceToPlayer = this.position.distanceTo(player.position);
+        const movement = this.knockbackVelocity.clone().multiplyScalar(deltaTime);
+        movement.y = 0;
         
-        // State machine
-        switch (this.state) {
-            case 'idle':
-                if (distanceToPlayer <= this.detectionRange) {
-                    this.state = 'chasing';
-                    this.target = player;
-                }
-                break;
-                
-            case 'chasing':
-                if (distanceToPlayer > this.detectionRange * 1.5) {
-                    this.state = 'idle';
-                    this.target = null;
-                } else if (distanceToPlayer <= this.attackRange) {
-                    this.state = 'attacking';
-                } else {
-                    this.moveTowardsTarget(deltaTime);
-                }
-                break;
-                
-            case 'attacking':
-                if (distanceToPlayer > this.attackRange) {
-                    this.state = 'chasing';
-                } else {
-                    this.attackTarget();
-                }
-                break;
+        // Don't push enemies through buildings and rocks
+        if (this.game.sceneManager?.getValidMovement) {
+            movement.copy(this.game.sceneManager.getValidMovement(this.position, movement));
+        }
+        
+        this.position.add(movement);
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+        }
+        
+        // Damp the push over time
+        this.knockbackVelocity.multiplyScalar(Math.max(0, 1 - this.knockbackDamping * deltaTime));
+    }
+    
+    updateAI(deltaTime) {
+        if (this.state === 'dead') return;
+        
+        // Trees are built lazily so designers can swap archetypes after spawning
+        if (!this.behaviorTree) {
+            this.behaviorTree = EnemyBehaviors.createTree(this.archetype);
         }
+        
+        this.behaviorTree.tick(this, deltaTime);
     }
     
     moveTowardsTarget(deltaTime) {
         if (!this.target) return;
         
-        const direction = this.target.position.clone().sub(this.position);
-        direction.y = 0; // Keep movement horizontal
-        direction.normalize();
-        direction.multiplyScalar(this.speed * deltaTime);
+        this.moveTowardsPosition(this.target.position, deltaTime, 1, true);
+    }
+    
+    moveTowardsPosition(goal, deltaTime, speedMultiplier = 1, faceGoal = false) {
+        // Route around obstacles when the goal isn't in plain sight
+        let direction = this.getPathDirection(goal, deltaTime);
+        const isPathing = !!direction;
+        
+        if (!direction) {
+            direction = goal.clone().sub(this.position);
+            direction.y = 0; // Keep movement horizontal
+            if (direction.lengthSq() === 0) return;
+            direction.normalize();
+        }
         
-        this.position.add(direction);
+        const movement = direction.clone().multiplyScalar(this.speed * speedMultiplier * deltaTime);
+        this.position.add(movement);
         
-        // Face target
+        // Face the goal, or the way we're walking while following a path
         if (this.mesh) {
-            this.mesh.lookAt(this.target.position);
+            if (faceGoal && !isPathing) {
+                this.mesh.lookAt(goal.x, this.position.y, goal.z);
+            } else {
+                this.mesh.lookAt(this.position.clone().add(direction));
+            }
             this.mesh.position.copy(this.position);
         }
     }
     
+    moveAwayFrom(threat, deltaTime, speedMultiplier = 1) {
+        const away = this.position.clone().sub(threat);
+        away.y = 0;
+        if (away.lengthSq() === 0) away.set(1, 0, 0);
+        
+        // Aim for a point well away from the threat so pathing can steer around walls
+        const goal = this.position.clone().add(away.normalize().multiplyScalar(10));
+        this.moveTowardsPosition(goal, deltaTime, speedMultiplier);
+    }
+    
+    getPathDirection(goal, deltaTime) {
+        const navGrid = this.game.sceneManager?.navGrid;
+        if (!navGrid) return null;
+        
+        if (navGrid.hasLineOfSight(this.position, goal)) {
+            this.pathFollower?.clear();
+            return null;
+        }
+        
+        if (!this.pathFollower) {
+            this.pathFollower = new PathFollower(navGrid);
+        }
+        
+        // Re-plan periodically or when the goal has moved away from the old destination
+        this.repathTimer -= deltaTime;
+        const destination = this.pathFollower.destination;
+        const goalMoved = !destination || destination.distanceTo(goal) > 3;
+        
+        if (this.repathTimer <= 0 || goalMoved || !this.pathFollower.hasPath()) {
+            this.pathFollower.setDestination(this.position, goal);
+            this.repathTimer = this.repathInterval;
+        }
+        
+        return this.pathFollower.getSteeringDirection(this.position, deltaTime);
+    }
+    
+    createPatrolRoute(radius, count) {
+        const home = this.blackboard.home;
+        const navGrid = this.game.sceneManager?.navGrid;
+        const points = [];
+        
+        // Walk between street points near home when we have a nav grid
+        for (let i = 0; i < count; i++) {
+            const streetPoint = navGrid?.getRandomStreetPoint(home, radius);
+            if (streetPoint) {
+                points.push(streetPoint);
+            } else {
+                const angle = (i / count) * Math.PI * 2;
+                points.push(new THREE.Vector3(
+                    home.x + Math.cos(angle) * radius,
+                    home.y,
+                    home.z + Math.sin(angle) * radius
+                ));
+            }
+        }
+        
+        return points;
+    }
+    
     attackTarget() {
         if (this.lastAttack <= 0) {
             console.log(`👹 ${this.type} attacks!`);
@@ -213,6 +352,25 @@ class Enemy {
         }
     }
     
+    shootAtTarget(options = {}) {
+        if (!this.target) return;
+        
+        console.log(`👹 ${this.type} shoots!`);
+        
+        const start = this.position.clone();
+        start.y += 1.5;
+        
+        const projectile = new EnemyProjectile(this.game, start, this.target.position.clone().sub(start), {
+            damage: options.damage || this.damage,
+            speed: options.speed,
+            color: options.color
+        });
+        this.game.sceneManager?.projectiles.push(projectile);
+        
+        this.lastAttack = this.attackCooldown;
+        this.playAttackAnimation();
+    }
+    
     updateAttackCooldown(deltaTime) {
         if (this.lastAttack > 0) {
             this.lastAttack -= deltaTime;
@@ -225,13 +383,13 @@ class Enemy {
         const time = Date.now() * 0.001;
         
         // Idle breathing animation
-        if (this.state === 'idle') {
+        if (this.state === 'idle' || this.state === 'patrolling' || this.state === 'returning') {
             const breathe = Math.sin(time * 2) * 0.05;
             this.mesh.scale.y = 1 + breathe;
         }
         
-        // Aggressive pulsing when chasing/attacking
-        if (this.state === 'chasing' || this.state === 'attacking') {
+        // Aggressive pulsing when chasing/attacking/fleeing
+        if (this.state === 'chasing' || this.state === 'attacking' || this.state === 'fleeing') {
             const pulse = Math.sin(time * 8) * 0.1;
             this.mesh.scale.setScalar(1 + pulse);
             
@@ -304,6 +462,8 @@ class Enemy {
         // Give rewards to player
         this.giveRewards();
         
+        this.game.questSystem?.trigger('defeat', { enemy: this.type });
+        
         // Remove from scene after animation
         setTimeout(() => {
             this.dispose();
@@ -377,60 +537,72 @@ class Enemy {
     }
 }
 
-// Specific boss classes
-class WaterTempleBoss extends Enemy {
-    constructor(game) {
-        super(game, 'water_boss');
-        this.element = 'water';
-        this.createWaterEffects();
+// Slow shot fired by ranged enemies
+class EnemyProjectile {
+    constructor(game, startPos, direction, options = {}) {
+        this.game = game;
+        this.position = startPos.clone();
+        this.direction = direction.normalize();
+        this.speed = options.speed || 18;
+        this.damage = options.damage || 1;
+        this.color = options.color || 0xff4040;
+        this.maxDistance = 40;
+        this.traveledDistance = 0;
+        this.isActive = true;
+        
+        this.createMesh();
     }
     
-    createWaterEffects() {
-        // Add water-specific visual effects
-        if (this.mesh) {
-            // Blue tint
-            this.mesh.children.forEach(child => {
-                if (child.material) {
-                    child.material.color.setHex(0x0066cc);
-                }
-            });
-        }
+    createMesh() {
+        const geometry = new THREE.SphereGeometry(0.25, 8, 8);
+        const material = new THREE.MeshBasicMaterial({ color: this.color });
+        
+        // Brighter than white so the bloom pass picks it up
+        material.color.multiplyScalar(3);
+        
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.copy(this.position);
+        
+        this.game.gameEngine.addToScene(this.mesh);
     }
     
-    specialAttack() {
-        console.log('🌊 Water Boss uses Tidal Wave!');
-        // TODO: Implement water-based attack
-    }
-}
-
-class FireTempleBoss extends Enemy {
-    constructor(game) {
-        super(game, 'fire_boss');
-        this.element = 'fire';
-        this.createFireEffects();
+    update(deltaTime) {
+        if (!this.isActive) return;
+        
+        const movement = this.direction.clone().multiplyScalar(this.speed * deltaTime);
+        this.position.add(movement);
+        this.traveledDistance += movement.length();
+        
+        // Wind carries shots off course
+        this.game.sceneManager?.world?.applyWind(this.position, deltaTime);
+        this.mesh.position.copy(this.position);
+        
+        // Hit the player
+        const player = this.game.sceneManager?.player;
+        if (player && this.position.distanceTo(player.position) < 1.2) {
+            player.takeDamage(this.damage);
+            this.destroy();
+            return;
+        }
+        
+        if (this.traveledDistance >= this.maxDistance) {
+            this.destroy();
+        }
     }
     
-    createFireEffects() {
-        // Add fire-specific visual effects
+    destroy() {
+        this.isActive = false;
+        
         if (this.mesh) {
-            // Red/orange tint
-            this.mesh.children.forEach(child => {
-                if (child.material) {
-                    child.material.color.setHex(0xff4400);
-                    child.material.emissive.setHex(0x442200);
-                    child.material.emissiveIntensity = 0.3;
-                }
-            });
+            this.game.gameEngine.removeFromScene(this.mesh);
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
         }
     }
-    
-    specialAttack() {
-        console.log('🔥 Fire Boss uses Flame Burst!');
-        // TODO: Implement fire-based attack
-    }
 }
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Enemy, WaterTempleBoss, FireTempleBoss };
+    module.exports = { Enemy, EnemyProjectile };
 }
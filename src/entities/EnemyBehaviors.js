@@ -0,0 +1,558 @@
+/**
+ * EnemyBehaviors - Conditions, actions and archetype trees for enemy AI
+ * Archetypes are plain JSON so designers can add enemies without touching Enemy.js
+ */
+
+class EnemyBehaviors {
+    static getLibrary() {
+        return {
+            conditions: EnemyBehaviors.conditions,
+            actions: EnemyBehaviors.actions,
+            trees: EnemyBehaviors.archetypes
+        };
+    }
+    
+    static getArchetypeForType(type) {
+        return EnemyBehaviors.archetypes[type] ? type : 'basic';
+    }
+    
+    static createTree(archetypeOrDefinition) {
+        const definition = typeof archetypeOrDefinition === 'string'
+            ? EnemyBehaviors.archetypes[archetypeOrDefinition]
+            : archetypeOrDefinition;
+        
+        if (!definition) {
+            console.warn(`⚠️ Unknown enemy archetype: ${archetypeOrDefinition}, using basic`);
+            return BehaviorTree.fromJSON(EnemyBehaviors.archetypes.basic, EnemyBehaviors.getLibrary());
+        }
+        
+        return BehaviorTree.fromJSON(definition, EnemyBehaviors.getLibrary());
+    }
+    
+    static registerArchetype(name, definition) {
+        EnemyBehaviors.archetypes[name] = definition;
+        console.log(`🧠 Registered enemy archetype: ${name}`);
+    }
+    
+    static registerCondition(name, condition) {
+        EnemyBehaviors.conditions[name] = condition;
+    }
+    
+    static registerAction(name, action) {
+        EnemyBehaviors.actions[name] = action;
+    }
+    
+    static async loadArchetypes(url) {
+        // JSON file of { name: tree } pairs
+        const archetypes = await Utils.loadJSON(url);
+        if (!archetypes) return;
+        
+        Object.entries(archetypes).forEach(([name, definition]) => {
+            EnemyBehaviors.registerArchetype(name, definition);
+        });
+    }
+    
+    static getPlayer(enemy) {
+        return enemy.game.sceneManager?.player || null;
+    }
+    
+    static getDistanceToPlayer(enemy) {
+        const player = EnemyBehaviors.getPlayer(enemy);
+        return player ? enemy.position.distanceTo(player.position) : Infinity;
+    }
+}
+
+// Conditions: (enemy, params, deltaTime) => boolean
+EnemyBehaviors.conditions = {
+    hasTarget: (enemy) => !!enemy.target,
+    
+    targetDetected: (enemy, params) => {
+        // Enemies that were called for help know where the player is
+        if (enemy.blackboard.alertedUntil > Date.now()) return true;
+        
+        // Once chasing, the target has to get further away before we give up
+        const baseRange = params.range || enemy.detectionRange;
+        const range = enemy.target ? baseRange * (params.loseMultiplier || 1.5) : baseRange;
+        return EnemyBehaviors.getDistanceToPlayer(enemy) <= range;
+    },
+    
+    targetInAttackRange: (enemy) => EnemyBehaviors.getDistanceToPlayer(enemy) <= enemy.attackRange,
+    
+    targetCloserThan: (enemy, params) => EnemyBehaviors.getDistanceToPlayer(enemy) < params.distance,
+    
+    targetFartherThan: (enemy, params) => EnemyBehaviors.getDistanceToPlayer(enemy) > params.distance,
+    
+    targetInArea: (enemy, params) => {
+        const player = EnemyBehaviors.getPlayer(enemy);
+        return !!player && player.position.distanceTo(enemy.blackboard.home) <= params.radius;
+    },
+    
+    healthBelow: (enemy, params) => enemy.health / enemy.maxHealth < params.ratio,
+    
+    awayFromHome: (enemy, params) => enemy.position.distanceTo(enemy.blackboard.home) > (params.distance || 1.5)
+};
+
+// Actions: (enemy, params, deltaTime) => 'success' | 'failure' | 'running'
+EnemyBehaviors.actions = {
+    idle: (enemy) => {
+        enemy.state = 'idle';
+        return BehaviorTree.SUCCESS;
+    },
+    
+    acquireTarget: (enemy) => {
+        const player = EnemyBehaviors.getPlayer(enemy);
+        if (!player) return BehaviorTree.FAILURE;
+        
+        enemy.target = player;
+        return BehaviorTree.SUCCESS;
+    },
+    
+    loseTarget: (enemy) => {
+        enemy.target = null;
+        enemy.state = 'idle';
+        return BehaviorTree.SUCCESS;
+    },
+    
+    chaseTarget: (enemy, params, deltaTime) => {
+        if (!enemy.target) return BehaviorTree.FAILURE;
+        
+        enemy.state = 'chasing';
+        enemy.moveTowardsTarget(deltaTime);
+        return BehaviorTree.RUNNING;
+    },
+    
+    meleeAttack: (enemy) => {
+        if (!enemy.target) return BehaviorTree.FAILURE;
+        
+        enemy.state = 'attacking';
+        enemy.attackTarget();
+        return BehaviorTree.SUCCESS;
+    },
+    
+    shootAtTarget: (enemy, params) => {
+        if (!enemy.target) return BehaviorTree.FAILURE;
+        
+        enemy.state = 'attacking';
+        enemy.mesh?.lookAt(enemy.target.position.x, enemy.position.y, enemy.target.position.z);
+        
+        // Hold position while reloading
+        if (enemy.lastAttack > 0) return BehaviorTree.RUNNING;
+        
+        enemy.shootAtTarget(params);
+        return BehaviorTree.SUCCESS;
+    },
+    
+    keepDistance: (enemy, params, deltaTime) => {
+        if (!enemy.target) return BehaviorTree.FAILURE;
+        
+        const distance = enemy.position.distanceTo(enemy.target.position);
+        
+        if (distance < params.min) {
+            // Back off from the target
+            enemy.state = 'fleeing';
+            enemy.moveAwayFrom(enemy.target.position, deltaTime, params.speedMultiplier || 1);
+            return BehaviorTree.RUNNING;
+        }
+        
+        if (distance > params.max) {
+            enemy.state = 'chasing';
+            enemy.moveTowardsTarget(deltaTime);
+            return BehaviorTree.RUNNING;
+        }
+        
+        return BehaviorTree.SUCCESS;
+    },
+    
+    fleeFromTarget: (enemy, params, deltaTime) => {
+        const player = EnemyBehaviors.getPlayer(enemy);
+        if (!player) return BehaviorTree.FAILURE;
+        
+        enemy.state = 'fleeing';
+        enemy.moveAwayFrom(player.position, deltaTime, params.speedMultiplier || 1.3);
+        return BehaviorTree.RUNNING;
+    },
+    
+    patrol: (enemy, params, deltaTime) => {
+        const blackboard = enemy.blackboard;
+        
+        if (!blackboard.patrolPoints) {
+            blackboard.patrolPoints = enemy.createPatrolRoute(params.radius || 12, params.points || 4);
+            blackboard.patrolIndex = 0;
+        }
+        
+        const waypoint = blackboard.patrolPoints[blackboard.patrolIndex];
+        if (enemy.position.distanceTo(waypoint) < 1.5) {
+            blackboard.patrolIndex = (blackboard.patrolIndex + 1) % blackboard.patrolPoints.length;
+        }
+        
+        enemy.state = 'patrolling';
+        enemy.moveTowardsPosition(blackboard.patrolPoints[blackboard.patrolIndex], deltaTime, params.speedMultiplier || 0.6);
+        return BehaviorTree.RUNNING;
+    },
+    
+    returnHome: (enemy, params, deltaTime) => {
+        enemy.target = null;
+        
+        if (enemy.position.distanceTo(enemy.blackboard.home) < 1.5) {
+            enemy.state = 'idle';
+            return BehaviorTree.SUCCESS;
+        }
+        
+        enemy.state = 'returning';
+        enemy.moveTowardsPosition(enemy.blackboard.home, deltaTime);
+        return BehaviorTree.RUNNING;
+    },
+    
+    callForHelp: (enemy, params) => {
+        const enemies = enemy.game.sceneManager?.enemies || [];
+        const player = EnemyBehaviors.getPlayer(enemy);
+        if (!player) return BehaviorTree.FAILURE;
+        
+        const radius = params.radius || 25;
+        const duration = (params.duration || 8) * 1000;
+        
+        const allies = enemies.filter(other => other !== enemy &&
+            other.state !== 'dead' &&
+            other.position.distanceTo(enemy.position) <= radius);
+        
+        allies.forEach(ally => {
+            ally.target = player;
+            ally.blackboard.alertedUntil = Date.now() + duration;
+        });
+        
+        console.log(`📣 ${enemy.type} calls for help! ${allies.length} allies alerted`);
+        enemy.playAttackAnimation();
+        return BehaviorTree.SUCCESS;
+    },
+    
+    specialAttack: (enemy) => {
+        if (!enemy.specialAttack) return BehaviorTree.FAILURE;
+        
+        enemy.state = 'attacking';
+        enemy.specialAttack();
+        enemy.playAttackAnimation();
+        return BehaviorTree.SUCCESS;
+    }
+};
+
+// Archetype trees - shared branches are pulled in with { type: 'subtree' }
+EnemyBehaviors.archetypes = {
+    // Spot the player, close in and hit them
+    engage: {
+        type: 'sequence',
+        children: [
+            { type: 'condition', name: 'targetDetected' },
+            { type: 'action', name: 'acquireTarget' },
+            {
+                type: 'selector',
+                children: [
+                    {
+                        type: 'sequence',
+                        children: [
+                            { type: 'condition', name: 'targetInAttackRange' },
+                            { type: 'action', name: 'meleeAttack' }
+                        ]
+                    },
+                    { type: 'action', name: 'chaseTarget' }
+                ]
+            }
+        ]
+    },
+    
+    basic: {
+        type: 'selector',
+        children: [
+            { type: 'subtree', name: 'engage' },
+            { type: 'action', name: 'loseTarget' }
+        ]
+    },
+    
+    patrol: {
+        type: 'selector',
+        children: [
+            { type: 'subtree', name: 'engage' },
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'action', name: 'loseTarget' },
+                    { type: 'action', name: 'patrol', params: { radius: 12, points: 4 } }
+                ]
+            }
+        ]
+    },
+    
+    coward: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'healthBelow', params: { ratio: 0.3 } },
+                    { type: 'condition', name: 'targetDetected' },
+                    { type: 'action', name: 'fleeFromTarget', params: { speedMultiplier: 1.3 } }
+                ]
+            },
+            { type: 'subtree', name: 'engage' },
+            { type: 'action', name: 'loseTarget' }
+        ]
+    },
+    
+    shooter: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'targetDetected' },
+                    { type: 'action', name: 'acquireTarget' },
+                    {
+                        type: 'decorator',
+                        decorator: 'succeeder',
+                        child: { type: 'action', name: 'keepDistance', params: { min: 7, max: 12 } }
+                    },
+                    { type: 'action', name: 'shootAtTarget', params: { damage: 1, speed: 18 } }
+                ]
+            },
+            { type: 'action', name: 'loseTarget' }
+        ]
+    },
+    
+    caller: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'targetDetected' },
+                    {
+                        type: 'decorator',
+                        decorator: 'succeeder',
+                        child: {
+                            type: 'decorator',
+                            decorator: 'cooldown',
+                            params: { seconds: 10 },
+                            child: { type: 'action', name: 'callForHelp', params: { radius: 25, duration: 8 } }
+                        }
+                    },
+                    { type: 'subtree', name: 'engage' }
+                ]
+            },
+            { type: 'action', name: 'loseTarget' }
+        ]
+    },
+    
+    guard: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'targetInArea', params: { radius: 12 } },
+                    { type: 'subtree', name: 'engage' }
+                ]
+            },
+            { type: 'action', name: 'returnHome' }
+        ]
+    },
+    
+    water_boss: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'targetDetected' },
+                    { type: 'action', name: 'acquireTarget' },
+                    {
+                        type: 'selector',
+                        children: [
+                            {
+                                type: 'decorator',
+                                decorator: 'cooldown',
+                                params: { seconds: 8 },
+                                child: {
+                                    type: 'sequence',
+                                    children: [
+                                        { type: 'condition', name: 'targetCloserThan', params: { distance: 12 } },
+                                        { type: 'action', name: 'specialAttack' }
+                                    ]
+                                }
+                            },
+                            {
+                                type: 'sequence',
+                                children: [
+                                    { type: 'condition', name: 'targetInAttackRange' },
+                                    { type: 'action', name: 'meleeAttack' }
+                                ]
+                            },
+                            { type: 'action', name: 'chaseTarget' }
+                        ]
+                    }
+                ]
+            },
+            { type: 'action', name: 'returnHome' }
+        ]
+    },
+    
+    fire_boss: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'targetDetected' },
+                    { type: 'action', name: 'acquireTarget' },
+                    {
+                        type: 'selector',
+                        children: [
+                            {
+                                // Flame burst is a ranged attack, so keep the player at arm's length
+                                type: 'decorator',
+                                decorator: 'cooldown',
+                                params: { seconds: 6 },
+                                child: {
+                                    type: 'sequence',
+                                    children: [
+                                        { type: 'condition', name: 'targetFartherThan', params: { distance: 6 } },
+                                        { type: 'condition', name: 'targetCloserThan', params: { distance: 20 } },
+                                        { type: 'action', name: 'specialAttack' }
+                                    ]
+                                }
+                            },
+                            {
+                                type: 'sequence',
+                                children: [
+                                    { type: 'condition', name: 'targetInAttackRange' },
+                                    { type: 'action', name: 'meleeAttack' }
+                                ]
+                            },
+                            { type: 'action', name: 'chaseTarget' }
+                        ]
+                    }
+                ]
+            },
+            { type: 'action', name: 'returnHome' }
+        ]
+    },
+    
+    wind_boss: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'targetDetected' },
+                    { type: 'action', name: 'acquireTarget' },
+                    {
+                        type: 'selector',
+                        children: [
+                            {
+                                type: 'decorator',
+                                decorator: 'cooldown',
+                                params: { seconds: 5 },
+                                child: {
+                                    type: 'sequence',
+                                    children: [
+                                        { type: 'condition', name: 'targetCloserThan', params: { distance: 22 } },
+                                        { type: 'action', name: 'specialAttack' }
+                                    ]
+                                }
+                            },
+                            {
+                                type: 'sequence',
+                                children: [
+                                    { type: 'condition', name: 'targetInAttackRange' },
+                                    { type: 'action', name: 'meleeAttack' }
+                                ]
+                            },
+                            { type: 'action', name: 'chaseTarget' }
+                        ]
+                    }
+                ]
+            },
+            { type: 'action', name: 'returnHome' }
+        ]
+    },
+    
+    lightning_boss: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'targetDetected' },
+                    { type: 'action', name: 'acquireTarget' },
+                    {
+                        type: 'selector',
+                        children: [
+                            {
+                                type: 'decorator',
+                                decorator: 'cooldown',
+                                params: { seconds: 4 },
+                                child: { type: 'action', name: 'specialAttack' }
+                            },
+                            {
+                                type: 'sequence',
+                                children: [
+                                    { type: 'condition', name: 'targetInAttackRange' },
+                                    { type: 'action', name: 'meleeAttack' }
+                                ]
+                            },
+                            {
+                                // Storm caller - hangs back between strikes
+                                type: 'action',
+                                name: 'keepDistance',
+                                params: { min: 8, max: 16 }
+                            }
+                        ]
+                    }
+                ]
+            },
+            { type: 'action', name: 'returnHome' }
+        ]
+    },
+    
+    final_boss: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'targetDetected' },
+                    { type: 'action', name: 'acquireTarget' },
+                    {
+                        type: 'selector',
+                        children: [
+                            {
+                                type: 'decorator',
+                                decorator: 'cooldown',
+                                params: { seconds: 4 },
+                                child: {
+                                    type: 'sequence',
+                                    children: [
+                                        { type: 'condition', name: 'targetCloserThan', params: { distance: 30 } },
+                                        { type: 'action', name: 'specialAttack' }
+                                    ]
+                                }
+                            },
+                            {
+                                type: 'sequence',
+                                children: [
+                                    { type: 'condition', name: 'targetInAttackRange' },
+                                    { type: 'action', name: 'meleeAttack' }
+                                ]
+                            },
+                            { type: 'action', name: 'chaseTarget' }
+                        ]
+                    }
+                ]
+            },
+            { type: 'action', name: 'returnHome' }
+        ]
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnemyBehaviors;
+}
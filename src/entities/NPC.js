@@ -4,13 +4,17 @@
  */
 
 class NPC {
-    constructor(game) {
+    constructor(game, options = {}) {
         this.game = game;
         
         // NPC properties
         this.position = new THREE.Vector3();
         this.mesh = null;
-        this.type = 'melon_citizen';
+        this.type = options.type || 'melon_citizen';
+        this.id = options.id || null; // Named NPCs can be quest targets
+        this.name = options.name || 'Melon Citizen';
+        this.dialogueId = options.dialogueId || null; // Branching conversation, see DialogueSystem
+        this.dialogues = options.dialogues || NPC.defaultDialogues;
         
         // Behavior properties
         this.walkSpeed = 2;
@@ -18,9 +22,11 @@ class NPC {
         this.wanderCenter = new THREE.Vector3();
         this.targetPosition = new THREE.Vector3();
         this.isMoving = false;
+        this.streetSearchRadius = 40; // How far to look for a street to stroll along
+        this.pathFollower = null;
         
         // Animation properties
-        this.bobOffset = Math.random() * Math.PI * 2;
+        this.bobOffset = Random.stream('ai').float(0, Math.PI * 2);
         this.bobSpeed = 2;
         
         this.createMesh();
@@ -150,7 +156,7 @@ class NPC {
     updateMovement(deltaTime) {
         if (!this.isMoving) {
             // Randomly decide to start moving
-            if (Math.random() < 0.01) { // 1% chance per frame
+            if (Random.stream('ai').chance(0.01)) { // 1% chance per frame
                 this.pickNewTarget();
             }
             return;
@@ -166,21 +172,29 @@ class NPC {
             
             // Wait before picking new target
             setTimeout(() => {
-                if (Math.random() < 0.7) { // 70% chance to move again
+                if (Random.stream('ai').chance(0.7)) { // 70% chance to move again
                     this.pickNewTarget();
                 }
-            }, 2000 + Math.random() * 3000); // Wait 2-5 seconds
+            }, Random.stream('ai').float(2000, 5000)); // Wait 2-5 seconds
             
         } else {
-            // Move towards target
-            direction.normalize();
+            // Follow the street path when we have one, otherwise walk straight
+            const steering = this.pathFollower?.getSteeringDirection(this.position, deltaTime);
+            if (steering) {
+                direction.copy(steering);
+            } else {
+                direction.normalize();
+            }
+            direction.y = 0;
+            
+            const facing = this.position.clone().add(direction);
             direction.multiplyScalar(this.walkSpeed * deltaTime);
             
             this.position.add(direction);
             
             // Face movement direction
             if (this.mesh) {
-                this.mesh.lookAt(this.targetPosition);
+                this.mesh.lookAt(facing);
             }
         }
         
@@ -255,7 +269,7 @@ class NPC {
         }
         
         // Random blink animation
-        if (Math.random() < 0.005) { // 0.5% chance per frame
+        if (Random.stream('ai').chance(0.005)) { // 0.5% chance per frame
             this.blink();
         }
     }
@@ -278,43 +292,56 @@ class NPC {
     }
     
     pickNewTarget() {
-        // Pick random point within wander radius
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * this.wanderRadius;
+        const navGrid = this.game.sceneManager?.navGrid;
         
-        this.targetPosition.set(
-            this.wanderCenter.x + Math.cos(angle) * distance,
-            this.wanderCenter.y,
-            this.wanderCenter.z + Math.sin(angle) * distance
-        );
+        // Prefer strolling to a nearby street point
+        const streetPoint = navGrid?.getRandomStreetPoint(this.wanderCenter, this.streetSearchRadius);
+        
+        if (streetPoint) {
+            this.targetPosition.set(streetPoint.x, this.wanderCenter.y, streetPoint.z);
+        } else {
+            // Pick random point within wander radius
+            const angle = Random.stream('ai').next() * Math.PI * 2;
+            const distance = Random.stream('ai').next() * this.wanderRadius;
+            
+            this.targetPosition.set(
+                this.wanderCenter.x + Math.cos(angle) * distance,
+                this.wanderCenter.y,
+                this.wanderCenter.z + Math.sin(angle) * distance
+            );
+        }
         
         // Ensure target is within world bounds
         const worldBound = 200;
         this.targetPosition.x = Math.max(-worldBound, Math.min(worldBound, this.targetPosition.x));
         this.targetPosition.z = Math.max(-worldBound, Math.min(worldBound, this.targetPosition.z));
         
+        // Plan a route that sticks to streets and avoids walls
+        if (navGrid) {
+            this.pathFollower = this.pathFollower || new PathFollower(navGrid);
+            this.pathFollower.setDestination(this.position, this.targetPosition, { preferStreets: true });
+            
+            // Snap the goal to where the path actually ends (target may be unreachable)
+            const path = this.pathFollower.path;
+            if (path.length > 0) {
+                const end = path[path.length - 1];
+                this.targetPosition.set(end.x, this.targetPosition.y, end.z);
+            }
+        }
+        
         this.isMoving = true;
     }
     
     // Interaction methods
     onInteract(player) {
-        console.log('🍈 NPC: Hello! Welcome to the grey world!');
-        
-        // Random NPC dialogue
-        const dialogues = [
-            "🍈 The world wasn't always grey... something happened to the colors.",
-            "🍈 I heard there are temples around the city with strange powers.",
-            "🍈 Be careful out there! Strange creatures roam at night.",
-            "🍈 The shops have good equipment, but they're expensive!",
-            "🍈 Have you seen the portal in the center? It's been locked for ages.",
-            "🍈 Dr. Hegesh... that name gives me chills. Stay away from him!",
-            "🍈 Find the elemental temples - they hold the key to restoring color!"
-        ];
+        console.log(`🍈 ${this.name}: Hello! Welcome to the grey world!`);
         
-        const randomDialogue = dialogues[Math.floor(Math.random() * dialogues.length)];
-        
-        // Show dialogue to player
-        this.game.uiManager?.showDialogue('Melon Citizen', randomDialogue);
+        // Named characters have real conversations, everyone else says a random line
+        const startedConversation = this.dialogueId && this.game.dialogueSystem?.start(this.dialogueId, this);
+        if (!startedConversation) {
+            const randomDialogue = Random.stream('ai').choice(this.dialogues);
+            this.game.uiManager?.showDialogue(this.name, randomDialogue);
+        }
         
         // Face the player
         if (this.mesh && player) {
@@ -345,6 +372,16 @@ class NPC {
     }
 }
 
+NPC.defaultDialogues = [
+    "🍈 The world wasn't always grey... something happened to the colors.",
+    "🍈 I heard there are temples around the city with strange powers.",
+    "🍈 Be careful out there! Strange creatures roam at night.",
+    "🍈 The shops have good equipment, but they're expensive!",
+    "🍈 Have you seen the portal in the center? It's been locked for ages.",
+    "🍈 Dr. Hegesh... that name gives me chills. Stay away from him!",
+    "🍈 Find the elemental temples - they hold the key to restoring color!"
+];
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = NPC;
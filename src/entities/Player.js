@@ -48,6 +48,9 @@ class Player {
         this.activeWeapon = 0;
         this.consumables = Array(12).fill(null);
         
+        // Elemental powers (unlocked by collected elemelons)
+        this.elementalPowers = null;
+        
         // Interaction
         this.interactionRange = 5;
         this.nearbyInteractables = [];
@@ -73,6 +76,9 @@ class Player {
         // Initialize weapons
         this.initializeWeapons();
         
+        // Elemental abilities
+        this.elementalPowers = new ElementalPowers(this.game, this);
+        
         // Setup collision detection
         this.setupCollisionDetection();
         
@@ -134,6 +140,9 @@ class Player {
         // Update weapons
         this.updateWeapons(deltaTime);
         
+        // Update elemental power cooldowns
+        this.elementalPowers?.update(deltaTime);
+        
         // Update mesh position
         if (this.mesh) {
             this.mesh.position.copy(this.position);
@@ -143,6 +152,14 @@ class Player {
     updateMovement(deltaTime) {
         if (!this.inputManager) return;
         
+        // Grappling hook takes over movement while the rope is attached
+        const weapon = this.weapons[this.activeWeapon];
+        if (weapon && weapon.isAttached) {
+            weapon.updateTether(this, deltaTime);
+            this.enforceWorldBounds();
+            return;
+        }
+        
         const input = this.inputManager.getMovementInput();
         const camera = this.camera;
         
@@ -292,6 +309,9 @@ class Player {
         if (weapon) {
             weapon.update(deltaTime);
         }
+        
+        // Heat gauge only matters while the blaster is out
+        this.game.uiManager?.setHeatBarVisible(weapon?.type === 'blaster');
     }
     
     checkCollision(newPosition) {
@@ -320,6 +340,9 @@ class Player {
     // checkGrounded method removed - terrain following now handled in updateMovement
     
     getTerrainHeight(x, z) {
+        // Temple interiors have a flat floor
+        if (this.game.sceneManager?.activeInterior) return 0;
+        
         // Calculate terrain height using same formula as World.js terrain generation
         const scale1 = 0.01;
         const scale2 = 0.02;
@@ -391,6 +414,29 @@ class Player {
         }
     }
     
+    startSecondaryAction() {
+        // Weapons with a charged secondary start charging on press
+        const weapon = this.weapons[this.activeWeapon];
+        if (weapon && weapon.startCharge) {
+            weapon.startCharge();
+        }
+    }
+    
+    releaseSecondaryAction() {
+        const weapon = this.weapons[this.activeWeapon];
+        if (!weapon) return;
+        
+        if (weapon.releaseCharge) {
+            weapon.releaseCharge();
+        } else {
+            weapon.secondaryFire();
+        }
+    }
+    
+    useElementalPower(element) {
+        return this.elementalPowers?.use(element) || false;
+    }
+    
     interact() {
         if (this.nearbyInteractables.length > 0) {
             const target = this.nearbyInteractables[0];
@@ -422,19 +468,13 @@ class Player {
         const value = token.userData.value || 1;
         this.addTokens(value);
         
-        // Remove token from scene
-        this.game.gameEngine.removeFromScene(token);
-        
-        // Remove from world's collision groups
-        const world = this.game.sceneManager;
-        if (world && world.collisionGroups && world.collisionGroups.triggers) {
-            const index = world.collisionGroups.triggers.indexOf(token);
-            if (index > -1) {
-                world.collisionGroups.triggers.splice(index, 1);
-            }
-        }
+        // Remove token from its chunk (remembered so it stays collected)
+        this.game.sceneManager?.world?.collectToken(token);
+        this.game.audioManager?.playUISound('tokenCollect');
         
         console.log(`🪙 Collected ${value} tokens!`);
+        
+        this.game.questSystem?.trigger('collect', { item: 'token', amount: value });
     }
     
     talkToNPC(npc) {
@@ -449,7 +489,7 @@ class Player {
             "Dr. Hegesh's tower looms in the distance... avoid it for now."
         ];
         
-        const randomDialogue = dialogues[Math.floor(Math.random() * dialogues.length)];
+        const randomDialogue = Random.stream('ai').choice(dialogues);
         this.game.uiManager?.showDialogue('Melon Citizen', randomDialogue);
     }
     
@@ -499,6 +539,12 @@ class Player {
     
     switchWeapon(slot) {
         if (slot >= 0 && slot < 3 && this.weapons[slot]) {
+            // Let the previous weapon drop any charge or rope it was holding
+            const previous = this.weapons[this.activeWeapon];
+            if (previous && previous !== this.weapons[slot] && previous.holster) {
+                previous.holster();
+            }
+            
             this.activeWeapon = slot;
             console.log(`🔄 Switched to weapon slot ${slot + 1}`);
             
@@ -539,6 +585,7 @@ class Player {
     // Token management
     addTokens(amount) {
         this.tokens += amount;
+        this.game.getPlayerData().tokens = this.tokens;
         console.log(`🪙 Gained ${amount} tokens. Total: ${this.tokens}`);
         
         // Update UI
@@ -548,6 +595,7 @@ class Player {
     spendTokens(amount) {
         if (this.tokens >= amount) {
             this.tokens -= amount;
+            this.game.getPlayerData().tokens = this.tokens;
             console.log(`💸 Spent ${amount} tokens. Remaining: ${this.tokens}`);
             
             // Update UI
@@ -560,6 +608,26 @@ class Player {
     }
     
     // Consumable management
+    addConsumable(item) {
+        // Stack onto a matching item first, otherwise take the first free slot
+        const existing = this.consumables.find(slotItem => slotItem && slotItem.type === item.type);
+        if (existing) {
+            existing.count += item.count || 1;
+            this.game.uiManager?.updateConsumableSlot(this.consumables.indexOf(existing), existing);
+            return true;
+        }
+        
+        const slot = this.consumables.indexOf(null);
+        if (slot === -1) {
+            console.warn('🎒 No empty consumable slots available');
+            return false;
+        }
+        
+        this.consumables[slot] = { ...item, count: item.count || 1 };
+        this.game.uiManager?.updateConsumableSlot(slot, this.consumables[slot]);
+        return true;
+    }
+    
     useConsumable(slot) {
         if (slot >= 0 && slot < 12 && this.consumables[slot]) {
             const item = this.consumables[slot];
@@ -640,27 +708,81 @@ class BlasterWeapon {
         this.ammo = 100;
         this.fireRate = 0.2; // Seconds between shots
         this.lastFire = 0;
+        
+        // Heat system
+        this.heat = 0;
+        this.maxHeat = 100;
+        this.heatPerShot = 8;
+        this.coolRate = 30; // Heat per second once cooling starts
+        this.coolDelay = 0.4; // Seconds after a shot before cooling starts
+        this.overheatedCoolRate = 20;
+        this.overheatRecoverHeat = 30; // Unlocks again below this heat
+        this.isOverheated = false;
+        
+        // Charged shot
+        this.isCharging = false;
+        this.chargeTime = 0;
+        this.maxChargeTime = 1.5;
+        this.chargedHeatBase = 15;
+        this.chargedHeatMax = 40;
     }
     
     update(deltaTime) {
         this.lastFire += deltaTime;
+        
+        if (this.isCharging) {
+            this.chargeTime = Math.min(this.maxChargeTime, this.chargeTime + deltaTime);
+        }
+        
+        this.updateHeat(deltaTime);
     }
     
-    primaryFire() {
-        if (this.lastFire >= this.fireRate && this.ammo > 0) {
-            console.log('🔫 Blaster fired!');
-            this.ammo--;
-            this.lastFire = 0;
+    updateHeat(deltaTime) {
+        if (this.isOverheated) {
+            this.heat = Math.max(0, this.heat - this.overheatedCoolRate * deltaTime);
             
-            // Create projectile
-            this.createProjectile();
-            
-            // Play sound effect (when audio is enabled)
-            // this.game.audioManager?.playSound('blaster_fire');
+            if (this.heat <= this.overheatRecoverHeat) {
+                this.isOverheated = false;
+                console.log('🔫 Blaster cooled down');
+            }
+        } else if (this.lastFire >= this.coolDelay && !this.isCharging) {
+            this.heat = Math.max(0, this.heat - this.coolRate * deltaTime);
+        }
+        
+        this.game.uiManager?.updateHeat(this.heat, this.maxHeat, this.isOverheated);
+    }
+    
+    addHeat(amount) {
+        this.heat = Math.min(this.maxHeat, this.heat + amount);
+        
+        if (this.heat >= this.maxHeat) {
+            this.isOverheated = true;
+            this.isCharging = false;
+            this.chargeTime = 0;
+            console.log('🔥 Blaster overheated!');
+            this.game.uiManager?.showNotification('Blaster overheated!', 'error', 1500);
         }
     }
     
-    createProjectile() {
+    canFire() {
+        return !this.isOverheated && this.lastFire >= this.fireRate && this.ammo > 0;
+    }
+    
+    primaryFire() {
+        if (this.isCharging || !this.canFire()) return;
+        
+        console.log('🔫 Blaster fired!');
+        this.ammo--;
+        this.lastFire = 0;
+        
+        // Create projectile
+        this.createProjectile();
+        this.addHeat(this.heatPerShot);
+        
+        this.game.audioManager?.playWeaponSound('blaster', 'fire');
+    }
+    
+    createProjectile(options = {}) {
         const player = this.game.sceneManager?.player;
         if (!player) return;
         
@@ -670,7 +792,7 @@ class BlasterWeapon {
         const direction = this.game.gameEngine.getCameraDirection();
         
         // Create projectile
-        const projectile = new BlasterProjectile(this.game, startPos, direction);
+        const projectile = new BlasterProjectile(this.game, startPos, direction, options);
         
         // Add to scene manager for updates
         if (this.game.sceneManager.projectiles) {
@@ -681,8 +803,52 @@ class BlasterWeapon {
     }
     
     secondaryFire() {
-        // Charged shot
-        console.log('🔫 Blaster charged shot!');
+        // Tap without holding fires the weakest charged shot
+        this.startCharge();
+        this.releaseCharge();
+    }
+    
+    startCharge() {
+        if (this.isCharging || !this.canFire()) return;
+        
+        this.isCharging = true;
+        this.chargeTime = 0;
+        console.log('🔫 Charging blaster...');
+    }
+    
+    releaseCharge() {
+        if (!this.isCharging) return;
+        
+        const chargeRatio = this.chargeTime / this.maxChargeTime;
+        this.isCharging = false;
+        this.chargeTime = 0;
+        
+        // Bigger charges cost more ammo, up to three cells
+        const ammoCost = Math.min(this.ammo, 1 + Math.round(chargeRatio * 2));
+        if (ammoCost <= 0) return;
+        
+        this.ammo -= ammoCost;
+        this.lastFire = 0;
+        
+        // Size, damage and pierce all scale with charge time
+        const options = {
+            size: 1 + chargeRatio * 2,
+            damage: 2 + Math.round(chargeRatio * 6),
+            pierce: Math.floor(chargeRatio * 3),
+            color: chargeRatio >= 1 ? 0x00ffff : 0x00ff00
+        };
+        
+        console.log(`🔫 Blaster charged shot! (${Math.round(chargeRatio * 100)}% charge, ${options.damage} damage, pierces ${options.pierce})`);
+        
+        this.createProjectile(options);
+        this.addHeat(this.chargedHeatBase + (this.chargedHeatMax - this.chargedHeatBase) * chargeRatio);
+        
+        this.game.audioManager?.playWeaponSound('blaster', 'fire');
+    }
+    
+    holster() {
+        this.isCharging = false;
+        this.chargeTime = 0;
     }
 }
 
@@ -694,24 +860,192 @@ class SwordWeapon {
         this.range = 3;
         this.attackCooldown = 0.8;
         this.lastAttack = 0;
+        
+        // Light combo chain - each step has its own arc, damage and recovery
+        this.comboSteps = [
+            { damage: 2, arc: Math.PI / 2, cooldown: 0.35, knockback: 4 },
+            { damage: 2, arc: Math.PI * 0.6, cooldown: 0.35, knockback: 4 },
+            { damage: 4, arc: Math.PI * 0.8, cooldown: 0.8, knockback: 10 }
+        ];
+        this.comboIndex = 0;
+        this.comboWindow = 0.6; // Seconds after recovery to chain the next hit
+        
+        // Charged heavy attack
+        this.isCharging = false;
+        this.chargeTime = 0;
+        this.minChargeTime = 0.4; // Shorter holds give the uncharged heavy attack
+        this.maxChargeTime = 1.5;
+        this.heavyStaminaCost = 35;
+        this.heavyDamage = 4;
+        this.heavyMaxDamage = 8;
     }
     
     update(deltaTime) {
         this.lastAttack += deltaTime;
+        
+        if (this.isCharging) {
+            this.chargeTime = Math.min(this.maxChargeTime, this.chargeTime + deltaTime);
+        }
+        
+        // Drop the combo if the player waited too long
+        if (this.comboIndex > 0 && this.lastAttack > this.attackCooldown + this.comboWindow) {
+            this.comboIndex = 0;
+        }
     }
     
     primaryFire() {
-        if (this.lastAttack >= this.attackCooldown) {
-            console.log('⚔️ Sword slash!');
-            this.lastAttack = 0;
+        if (this.isCharging || this.lastAttack < this.attackCooldown) return;
+        
+        const step = this.comboSteps[this.comboIndex];
+        console.log(`⚔️ Sword slash! (combo ${this.comboIndex + 1}/${this.comboSteps.length})`);
+        
+        this.performSwing(step.damage, step.arc, this.range, step.knockback);
+        
+        // Recovery depends on the combo step, the finisher resets the chain
+        this.attackCooldown = step.cooldown;
+        this.lastAttack = 0;
+        this.comboIndex = (this.comboIndex + 1) % this.comboSteps.length;
+    }
+    
+    secondaryFire() {
+        // Quick tap without holding - an uncharged heavy attack
+        if (this.isCharging || this.lastAttack < this.attackCooldown) return;
+        
+        this.heavyAttack(0);
+    }
+    
+    holster() {
+        this.isCharging = false;
+        this.chargeTime = 0;
+        this.comboIndex = 0;
+    }
+    
+    startCharge() {
+        if (this.isCharging || this.lastAttack < this.attackCooldown) return;
+        
+        this.isCharging = true;
+        this.chargeTime = 0;
+        console.log('⚔️ Charging heavy attack...');
+    }
+    
+    releaseCharge() {
+        if (!this.isCharging) return;
+        
+        const chargeTime = this.chargeTime;
+        this.isCharging = false;
+        this.chargeTime = 0;
+        
+        // Released before the minimum charge it is a quick tap, the uncharged heavy attack
+        const chargeRatio = Math.max(0, (chargeTime - this.minChargeTime) / (this.maxChargeTime - this.minChargeTime));
+        this.heavyAttack(chargeRatio);
+    }
+    
+    // Charge ratio 0 is the plain heavy attack, 1 is fully charged
+    heavyAttack(chargeRatio) {
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        if (player.stamina < this.heavyStaminaCost) {
+            console.log('⚔️ Not enough stamina for a heavy attack!');
+            return;
+        }
+        
+        player.stamina -= this.heavyStaminaCost;
+        player.updateStaminaUI();
+        
+        // Scale damage, reach and knockback with charge time
+        const damage = Math.round(this.heavyDamage + (this.heavyMaxDamage - this.heavyDamage) * chargeRatio);
+        const range = this.range * (1.2 + chargeRatio * 0.5);
+        const knockback = 8 + chargeRatio * 12;
+        
+        console.log(`⚔️ Sword heavy attack! (${Math.round(chargeRatio * 100)}% charge, ${damage} damage)`);
+        this.performSwing(damage, Math.PI, range, knockback);
+        
+        this.attackCooldown = 1.0;
+        this.lastAttack = 0;
+        this.comboIndex = 0;
+    }
+    
+    performSwing(damage, arc, range, knockback) {
+        const player = this.game.sceneManager?.player;
+        if (!player) return [];
+        
+        const forward = this.game.gameEngine.getCameraDirection();
+        forward.y = 0;
+        forward.normalize();
+        
+        const hits = this.getTargetsInArc(player.position, forward, arc, range);
+        
+        hits.forEach(enemy => {
+            enemy.takeDamage(damage);
             
-            // TODO: Implement melee attack system
+            // Push the enemy away from the player
+            const pushDirection = enemy.position.clone().sub(player.position);
+            pushDirection.y = 0;
+            if (pushDirection.lengthSq() === 0) {
+                pushDirection.copy(forward);
+            }
+            enemy.applyKnockback?.(pushDirection.normalize(), knockback);
+        });
+        
+        if (hits.length > 0) {
+            console.log(`🎯 Sword hit ${hits.length} ${hits.length === 1 ? 'enemy' : 'enemies'}!`);
+            this.game.audioManager?.playSound('enemyHit');
         }
+        
+        this.game.audioManager?.playWeaponSound('sword', 'attack');
+        this.createSwingEffect(player.position, forward, arc, range);
+        
+        return hits;
     }
     
-    secondaryFire() {
-        // Heavy attack
-        console.log('⚔️ Sword heavy attack!');
+    getTargetsInArc(origin, forward, arc, range) {
+        const enemies = this.game.sceneManager?.enemies || [];
+        const halfArc = arc / 2;
+        
+        return enemies.filter(enemy => {
+            if (!enemy || enemy.state === 'dead' || !enemy.takeDamage) return false;
+            
+            const toEnemy = enemy.position.clone().sub(origin);
+            
+            // Ignore targets far above or below the blade
+            if (Math.abs(toEnemy.y) > 3) return false;
+            toEnemy.y = 0;
+            
+            // Allow for the enemy's body size at the edge of the swing
+            const enemyRadius = enemy.hitRadius || 1;
+            const distance = toEnemy.length();
+            if (distance > range + enemyRadius) return false;
+            if (distance < enemyRadius) return true;
+            
+            return forward.angleTo(toEnemy) <= halfArc;
+        });
+    }
+    
+    createSwingEffect(origin, forward, arc, range) {
+        // Flat slash arc in front of the player
+        const effectGeometry = new THREE.RingGeometry(range * 0.4, range, 16, 1, -arc / 2, arc);
+        const effectMaterial = new THREE.MeshBasicMaterial({
+            color: 0xddeeff,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide
+        });
+        
+        const effect = new THREE.Mesh(effectGeometry, effectMaterial);
+        effect.position.copy(origin);
+        effect.position.y += 1.2;
+        effect.rotation.x = -Math.PI / 2;
+        effect.rotation.z = Math.atan2(-forward.z, forward.x);
+        
+        this.game.gameEngine.addToScene(effect);
+        
+        // Fade out quickly
+        setTimeout(() => {
+            this.game.gameEngine.removeFromScene(effect);
+            effectGeometry.dispose();
+            effectMaterial.dispose();
+        }, 150);
     }
 }
 
@@ -721,36 +1055,330 @@ class GrapplingHookWeapon {
         this.type = 'grappling_hook';
         this.range = 20;
         this.isGrappling = false;
+        this.fireCooldown = 0.5;
+        this.lastFire = 0;
+        
+        // Tether state
+        this.isAttached = false;
+        this.anchor = new THREE.Vector3();
+        this.mode = 'reel'; // reel, swing
+        this.ropeLength = 0;
+        this.reelSpeed = 28;
+        this.reelAcceleration = 6;
+        this.arrivalDistance = 2.5;
+        
+        // Enemy yank
+        this.yankTarget = null;
+        this.yankTimer = 0;
+        this.yankDuration = 0.35;
+        this.maxYankRadius = 1.5; // Only small enemies can be pulled
+        
+        // Rope visuals
+        this.rope = null;
+        this.hookTip = null;
     }
     
     update(deltaTime) {
-        // Update grappling physics
+        this.lastFire += deltaTime;
+        
+        // Keep the rope attached to a yanked enemy for a moment
+        if (this.yankTarget) {
+            this.yankTimer -= deltaTime;
+            if (this.yankTimer <= 0 || this.yankTarget.state === 'dead') {
+                this.yankTarget = null;
+                this.isGrappling = false;
+                this.hideRope();
+            } else {
+                const end = this.yankTarget.position.clone();
+                end.y += 1;
+                this.updateRope(end);
+            }
+        }
+        
+        if (this.isAttached) {
+            this.updateRope(this.anchor);
+        }
     }
     
     primaryFire() {
-        if (!this.isGrappling) {
-            console.log('🪝 Grappling hook fired!');
-            this.isGrappling = true;
-            
-            // TODO: Implement grappling hook physics
+        if (this.isAttached) {
+            // Second click locks the rope length and lets the player swing
+            if (this.mode === 'reel') {
+                this.startSwing();
+            }
+            return;
+        }
+        
+        if (this.isGrappling || this.lastFire < this.fireCooldown) return;
+        this.lastFire = 0;
+        
+        const origin = this.game.gameEngine.camera.position.clone();
+        const direction = this.game.gameEngine.getCameraDirection().normalize();
+        
+        console.log('🪝 Grappling hook fired!');
+        this.game.audioManager?.playWeaponSound('grappling_hook', 'fire');
+        
+        // Enemies in the way take priority over the scenery behind them
+        const enemyHit = this.findEnemyHit(origin, direction);
+        const worldHit = this.findAnchorHit(origin, direction);
+        
+        if (enemyHit && (!worldHit || enemyHit.distance < worldHit.distance)) {
+            if (this.canYank(enemyHit.enemy)) {
+                this.yankEnemy(enemyHit.enemy);
+            } else {
+                console.log('🪝 Target is too heavy to pull!');
+            }
+            return;
+        }
+        
+        if (worldHit) {
+            this.attach(worldHit.point);
+        } else {
+            console.log('🪝 Nothing to hook onto');
         }
     }
     
     secondaryFire() {
         // Release hook
-        console.log('🪝 Grappling hook released!');
+        if (this.isAttached) {
+            console.log('🪝 Grappling hook released!');
+            this.release();
+        }
+    }
+    
+    holster() {
+        // Switching weapons drops the rope
+        if (this.isAttached) {
+            this.release();
+        }
+        this.yankTarget = null;
+        this.isGrappling = false;
+        this.hideRope();
+    }
+    
+    findAnchorHit(origin, direction) {
+        const targets = this.game.sceneManager?.getGrappleTargets?.() || [];
+        const hits = this.game.gameEngine.raycast(origin, direction, targets, this.range);
+        return hits.length > 0 ? hits[0] : null;
+    }
+    
+    findEnemyHit(origin, direction) {
+        const enemies = (this.game.sceneManager?.enemies || []).filter(enemy => enemy.mesh && enemy.state !== 'dead');
+        if (enemies.length === 0) return null;
+        
+        const hits = this.game.gameEngine.raycast(origin, direction, enemies.map(enemy => enemy.mesh), this.range);
+        
+        for (const hit of hits) {
+            // Walk up from the hit child mesh to the enemy group
+            let object = hit.object;
+            while (object && !object.userData?.isEnemy) {
+                object = object.parent;
+            }
+            
+            if (object) {
+                return { enemy: object.userData.enemy, distance: hit.distance };
+            }
+        }
+        
+        return null;
+    }
+    
+    canYank(enemy) {
+        return !enemy.type.includes('boss') && (enemy.hitRadius || 1) <= this.maxYankRadius;
+    }
+    
+    yankEnemy(enemy) {
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        const toPlayer = player.position.clone().sub(enemy.position);
+        toPlayer.y = 0;
+        const distance = toPlayer.length();
+        
+        // Pull hard enough for knockback damping to stop the enemy just in front of the player
+        const pullDistance = Math.max(0, distance - this.arrivalDistance);
+        enemy.applyKnockback?.(toPlayer.normalize(), pullDistance * (enemy.knockbackDamping || 8));
+        
+        // Yanked enemies are stunned out of their attack for a moment
+        enemy.lastAttack = Math.max(enemy.lastAttack, 0.5);
+        
+        console.log(`🪝 Yanked ${enemy.type} toward the player!`);
+        
+        this.isGrappling = true;
+        this.yankTarget = enemy;
+        this.yankTimer = this.yankDuration;
+    }
+    
+    attach(point) {
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        this.anchor.copy(point);
+        this.isAttached = true;
+        this.isGrappling = true;
+        this.mode = 'reel';
+        this.ropeLength = player.position.distanceTo(this.anchor);
+        
+        // Carry current running speed into the tether
+        player.velocity.set(player.currentVelocity.x, player.velocity.y, player.currentVelocity.z);
+        player.isGrounded = false;
+        
+        this.updateRope(this.anchor);
+        console.log(`🪝 Hooked at (${point.x.toFixed(1)}, ${point.y.toFixed(1)}, ${point.z.toFixed(1)})`);
+    }
+    
+    startSwing() {
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        this.mode = 'swing';
+        this.ropeLength = Math.max(this.arrivalDistance, player.position.distanceTo(this.anchor));
+        console.log(`🪝 Swinging on a ${this.ropeLength.toFixed(1)}m rope`);
+    }
+    
+    release() {
+        const player = this.game.sceneManager?.player;
+        
+        this.isAttached = false;
         this.isGrappling = false;
+        this.hideRope();
+        this.game.audioManager?.playWeaponSound('grappling_hook', 'retract');
+        
+        if (player) {
+            // Hand the tether momentum back to normal movement
+            player.currentVelocity.set(player.velocity.x, 0, player.velocity.z);
+            player.velocity.x = 0;
+            player.velocity.z = 0;
+        }
+    }
+    
+    updateTether(player, deltaTime) {
+        const velocity = player.velocity;
+        const toAnchor = this.anchor.clone().sub(player.position);
+        const distance = toAnchor.length();
+        
+        if (this.mode === 'reel') {
+            if (distance <= this.arrivalDistance) {
+                // Small hop at the top so the player can climb onto ledges
+                this.release();
+                player.velocity.y = Math.max(player.velocity.y, player.jumpSpeed * 0.6);
+                return;
+            }
+            
+            // Accelerate along the rope toward the anchor
+            const pull = toAnchor.normalize().multiplyScalar(this.reelSpeed);
+            velocity.lerp(pull, Math.min(1, this.reelAcceleration * deltaTime));
+        } else {
+            // Pendulum - gravity pulls down, the rope keeps us on a sphere around the anchor
+            velocity.y += player.gravity * deltaTime;
+        }
+        
+        const nextPosition = player.position.clone().add(velocity.clone().multiplyScalar(deltaTime));
+        
+        if (this.mode === 'swing') {
+            const offset = nextPosition.clone().sub(this.anchor);
+            
+            if (offset.length() > this.ropeLength) {
+                offset.setLength(this.ropeLength);
+                nextPosition.copy(this.anchor).add(offset);
+                
+                // Remove the outward velocity the rope is resisting
+                const radial = offset.normalize();
+                const radialSpeed = velocity.dot(radial);
+                if (radialSpeed > 0) {
+                    velocity.sub(radial.multiplyScalar(radialSpeed));
+                }
+            }
+        }
+        
+        const movement = nextPosition.sub(player.position);
+        const desiredLength = movement.length();
+        
+        // Respect world collision like normal movement
+        if (this.game.sceneManager && desiredLength > 0) {
+            movement.copy(this.game.sceneManager.getValidMovement(player.position, movement));
+            
+            // Blocked while reeling means we've reached the surface we hooked
+            if (this.mode === 'reel' && movement.length() < desiredLength * 0.1) {
+                this.release();
+                player.velocity.y = Math.max(player.velocity.y, player.jumpSpeed * 0.6);
+                return;
+            }
+        }
+        
+        player.position.add(movement);
+        
+        // Don't swing through the ground
+        const floor = player.getTerrainHeight(player.position.x, player.position.z) + 1;
+        if (player.position.y <= floor) {
+            player.position.y = floor;
+            velocity.y = Math.max(0, velocity.y);
+            player.isGrounded = true;
+        } else {
+            player.isGrounded = false;
+        }
+    }
+    
+    // Rope rendering
+    createRope() {
+        const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+        const material = new THREE.LineBasicMaterial({ color: 0x8b6b3d });
+        this.rope = new THREE.Line(geometry, material);
+        this.rope.frustumCulled = false;
+        
+        const tipGeometry = new THREE.ConeGeometry(0.2, 0.5, 6);
+        const tipMaterial = new THREE.MeshLambertMaterial({ color: 0x888888 });
+        this.hookTip = new THREE.Mesh(tipGeometry, tipMaterial);
+    }
+    
+    updateRope(end) {
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        if (!this.rope) {
+            this.createRope();
+        }
+        
+        if (!this.rope.parent) {
+            this.game.gameEngine.addToScene(this.rope);
+            this.game.gameEngine.addToScene(this.hookTip);
+        }
+        
+        // Rope leaves from the player's hand, slightly below and right of the camera
+        const camera = this.game.gameEngine.camera;
+        const hand = new THREE.Vector3(0.3, -0.3, -0.5).applyQuaternion(camera.quaternion).add(camera.position);
+        
+        const positions = this.rope.geometry.attributes.position;
+        positions.setXYZ(0, hand.x, hand.y, hand.z);
+        positions.setXYZ(1, end.x, end.y, end.z);
+        positions.needsUpdate = true;
+        
+        // Point the hook tip along the rope
+        this.hookTip.position.copy(end);
+        const ropeDirection = end.clone().sub(hand).normalize();
+        this.hookTip.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), ropeDirection);
+    }
+    
+    hideRope() {
+        if (this.rope) {
+            this.game.gameEngine.removeFromScene(this.rope);
+            this.game.gameEngine.removeFromScene(this.hookTip);
+        }
     }
 }
 
 // Projectile system
 class BlasterProjectile {
-    constructor(game, startPos, direction) {
+    constructor(game, startPos, direction, options = {}) {
         this.game = game;
         this.position = startPos.clone();
         this.direction = direction.normalize();
         this.speed = 50;
-        this.damage = 2;
+        this.damage = options.damage || 2;
+        this.size = options.size || 1;
+        this.color = options.color || 0x00ff00;
+        this.pierce = options.pierce || 0; // Extra targets the shot passes through
+        this.hitTargets = new Set();
         this.maxDistance = 100;
         this.traveledDistance = 0;
         this.isActive = true;
@@ -760,20 +1388,23 @@ class BlasterProjectile {
     
     createMesh() {
         // Create projectile visual
-        const geometry = new THREE.SphereGeometry(0.1, 8, 8);
+        const geometry = new THREE.SphereGeometry(0.1 * this.size, 8, 8);
         const material = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            emissive: 0x00ff00,
+            color: this.color,
+            emissive: this.color,
             emissiveIntensity: 0.5
         });
         
+        // Brighter than white so the bloom pass picks it up
+        material.color.multiplyScalar(3);
+        
         this.mesh = new THREE.Mesh(geometry, material);
         this.mesh.position.copy(this.position);
         
         // Add glow effect
-        const glowGeometry = new THREE.SphereGeometry(0.3, 8, 8);
+        const glowGeometry = new THREE.SphereGeometry(0.3 * this.size, 8, 8);
         const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
+            color: this.color,
             transparent: true,
             opacity: 0.3
         });
@@ -793,6 +1424,9 @@ class BlasterProjectile {
         this.position.add(movement);
         this.traveledDistance += movement.length();
         
+        // Wind carries shots off course
+        this.game.sceneManager?.world?.applyWind(this.position, deltaTime);
+        
         // Update mesh positions
         this.mesh.position.copy(this.position);
         this.glow.position.copy(this.position);
@@ -811,10 +1445,25 @@ class BlasterProjectile {
         const world = this.game.sceneManager;
         if (!world) return;
         
+        // Check collision with enemies
+        if (world.enemies) {
+            [...world.enemies].forEach(enemy => {
+                if (!this.isActive || enemy.state === 'dead') return;
+                
+                const hitDistance = (enemy.hitRadius || 1) + 0.3 * this.size;
+                const center = enemy.position.clone();
+                center.y += enemy.hitRadius || 1;
+                
+                if (this.position.distanceTo(center) < hitDistance) {
+                    this.hitTarget(enemy);
+                }
+            });
+        }
+        
         // Check collision with NPCs
         if (world.npcs) {
             world.npcs.forEach(npc => {
-                if (this.position.distanceTo(npc.position) < 2) {
+                if (this.isActive && this.position.distanceTo(npc.position) < 2) {
                     this.hitTarget(npc);
                 }
             });
@@ -831,6 +1480,10 @@ class BlasterProjectile {
     }
     
     hitTarget(target) {
+        // Each target can only be hit once by the same shot
+        if (this.hitTargets.has(target)) return;
+        this.hitTargets.add(target);
+        
         console.log('🎯 Projectile hit target!');
         
         // Deal damage if target has health
@@ -841,12 +1494,18 @@ class BlasterProjectile {
         // Create hit effect
         this.createHitEffect();
         
+        // Charged shots keep going through extra targets
+        if (this.pierce > 0) {
+            this.pierce--;
+            return;
+        }
+        
         this.destroy();
     }
     
     createHitEffect() {
         // Create simple hit effect
-        const effectGeometry = new THREE.SphereGeometry(1, 8, 8);
+        const effectGeometry = new THREE.SphereGeometry(this.size, 8, 8);
         const effectMaterial = new THREE.MeshBasicMaterial({
             color: 0xffff00,
             transparent: true,
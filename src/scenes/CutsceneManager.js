@@ -156,10 +156,91 @@ class CutsceneManager {
         
         await this.playSequences(sequences);
         
+        // Roll credits (skipping the ending skips these too)
+        if (this.isPlaying) {
+            await this.playCredits();
+        }
+        
+        this.isPlaying = false;
+        this.hideCutsceneOverlay();
+        
         // Return to main menu
         this.game.quitToMenu();
     }
     
+    async playCreditsCutscene() {
+        // Credits on their own, from the main menu
+        this.isPlaying = true;
+        this.currentCutscene = 'credits';
+        
+        this.showCutsceneOverlay();
+        await this.playCredits();
+        
+        this.isPlaying = false;
+        this.currentCutscene = null;
+        this.hideCutsceneOverlay();
+    }
+    
+    async playCredits() {
+        if (!this.cutsceneVideo) return;
+        
+        this.cutsceneVideo.innerHTML = '';
+        if (this.dialogueText) {
+            this.dialogueText.textContent = '';
+        }
+        
+        const creditsDiv = document.createElement('div');
+        creditsDiv.className = 'cutscene-credits';
+        creditsDiv.style.cssText = `
+            position: absolute;
+            left: 0;
+            width: 100%;
+            text-align: center;
+            color: #ffffff;
+            font-size: 1.5rem;
+            line-height: 2;
+        `;
+        
+        creditsDiv.innerHTML = this.getCredits().map(section => `
+            <div style="margin-bottom: 3rem;">
+                <div style="font-size: 1rem; opacity: 0.7; text-transform: uppercase; letter-spacing: 0.2em;">${section.title}</div>
+                ${section.names.map(name => `<div>${name}</div>`).join('')}
+            </div>
+        `).join('');
+        
+        this.cutsceneVideo.style.position = 'relative';
+        this.cutsceneVideo.style.overflow = 'hidden';
+        this.cutsceneVideo.appendChild(creditsDiv);
+        
+        // Scroll from below the screen until the last line leaves the top
+        const startY = this.cutsceneVideo.clientHeight;
+        const endY = -creditsDiv.offsetHeight;
+        const duration = 25000;
+        const startTime = Date.now();
+        
+        while (this.isPlaying) {
+            const progress = Math.min((Date.now() - startTime) / duration, 1);
+            creditsDiv.style.top = `${startY + (endY - startY) * progress}px`;
+            
+            if (progress >= 1) break;
+            await this.wait(16);
+        }
+        
+        this.cutsceneVideo.innerHTML = '';
+    }
+    
+    getCredits() {
+        return [
+            { title: 'Elemelon', names: ['Escape the Grey World'] },
+            { title: 'Created by', names: ['The Elemelon Game Project'] },
+            { title: 'Temple Guardians', names: ['Tide Warden', 'Ember Colossus', 'Gale Sovereign', 'Storm Herald'] },
+            { title: 'Final Boss', names: ['Dr. Hegesh'] },
+            { title: 'Built with', names: ['Three.js', 'WebGL'] },
+            { title: 'Special Thanks', names: ['The Three.js Community', 'WebGL Contributors', 'Classic adventure games', 'Our beta testers'] },
+            { title: '', names: ['Thank you for playing! 🍈'] }
+        ];
+    }
+    
     // Sequence playback
     async playSequences(sequences) {
         for (let i = 0; i < sequences.length && this.isPlaying; i++) {
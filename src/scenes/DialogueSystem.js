@@ -0,0 +1,435 @@
+/**
+ * DialogueSystem - Branching conversations for named NPCs
+ * Dialogues are graphs of nodes with choices, gated by conditions and carrying actions
+ */
+
+class DialogueSystem {
+    constructor(game) {
+        this.game = game;
+        
+        // Active conversation
+        this.dialogue = null;
+        this.npc = null;
+        this.node = null;
+        this.choices = [];
+    }
+    
+    async init() {
+        console.log('💬 Initializing Dialogue System...');
+        console.log(`💬 Dialogue System initialized with ${Object.keys(DialogueSystem.dialogues).length} dialogues`);
+    }
+    
+    static registerDialogue(id, definition) {
+        DialogueSystem.dialogues[id] = definition;
+        console.log(`💬 Registered dialogue: ${id}`);
+    }
+    
+    static registerCondition(type, condition) {
+        DialogueSystem.conditions[type] = condition;
+    }
+    
+    static registerAction(type, action) {
+        DialogueSystem.actions[type] = action;
+    }
+    
+    static async loadDialogues(url) {
+        // JSON file of { id: dialogue } pairs
+        const dialogues = await Utils.loadJSON(url);
+        if (!dialogues) return;
+        
+        Object.entries(dialogues).forEach(([id, definition]) => {
+            DialogueSystem.registerDialogue(id, definition);
+        });
+    }
+    
+    isActive() {
+        return this.dialogue !== null;
+    }
+    
+    start(dialogueId, npc = null) {
+        const dialogue = DialogueSystem.dialogues[dialogueId];
+        if (!dialogue) {
+            console.warn(`⚠️ Unknown dialogue: ${dialogueId}`);
+            return false;
+        }
+        
+        this.dialogue = dialogue;
+        this.npc = npc;
+        
+        console.log(`💬 Starting dialogue: ${dialogueId}`);
+        this.goTo(dialogue.start);
+        return true;
+    }
+    
+    goTo(nodeId) {
+        if (!nodeId) {
+            this.end();
+            return;
+        }
+        
+        const node = this.dialogue.nodes[nodeId];
+        if (!node) {
+            console.warn(`⚠️ Unknown dialogue node: ${nodeId}`);
+            this.end();
+            return;
+        }
+        
+        // Redirect nodes just route to the first branch whose conditions pass
+        if (node.redirect) {
+            const branch = node.redirect.find(option => this.checkConditions(option.conditions));
+            this.goTo(branch?.next);
+            return;
+        }
+        
+        this.node = node;
+        this.runActions(node.actions);
+        
+        this.choices = (node.choices || []).filter(choice => this.checkConditions(choice.conditions));
+        
+        const speaker = node.speaker || this.dialogue.speaker || this.npc?.name || '';
+        this.game.uiManager?.showDialogue(speaker, node.text, this.choices.map(choice => this.getChoiceText(choice)));
+    }
+    
+    getChoiceText(choice) {
+        // Purchases show what they cost right now, after any deals
+        const purchase = (choice.actions || []).find(action => action.type === 'buy');
+        if (!purchase) return choice.text;
+        
+        return `${choice.text} (${DialogueSystem.getPrice(this.game, purchase)} coins)`;
+    }
+    
+    // Called by the UI when the player picks a choice (or continues a node without choices)
+    choose(index) {
+        if (!this.isActive()) return;
+        
+        if (this.choices.length === 0) {
+            this.goTo(this.node?.next);
+            return;
+        }
+        
+        const choice = this.choices[index];
+        if (!choice) return;
+        
+        this.runActions(choice.actions);
+        this.goTo(choice.next);
+    }
+    
+    end() {
+        this.dialogue = null;
+        this.node = null;
+        this.choices = [];
+        
+        // Let the NPC go back to wandering
+        if (this.npc) {
+            this.npc.isMoving = true;
+            this.npc = null;
+        }
+        
+        this.game.uiManager?.hideDialogue();
+    }
+    
+    checkConditions(conditions) {
+        if (!conditions || conditions.length === 0) return true;
+        
+        return conditions.every(condition => {
+            const check = DialogueSystem.conditions[condition.type];
+            if (!check) {
+                console.warn(`⚠️ Unknown dialogue condition: ${condition.type}`);
+                return false;
+            }
+            return check(this.game, condition);
+        });
+    }
+    
+    runActions(actions) {
+        (actions || []).forEach(action => {
+            const run = DialogueSystem.actions[action.type];
+            if (!run) {
+                console.warn(`⚠️ Unknown dialogue action: ${action.type}`);
+                return;
+            }
+            run(this.game, action);
+        });
+    }
+    
+    static getFlags(game) {
+        const playerData = game.getPlayerData();
+        if (!playerData.dialogueFlags) {
+            playerData.dialogueFlags = {};
+        }
+        return playerData.dialogueFlags;
+    }
+    
+    // Same rules as Shop.getItemPrice: a deal can cover one item or everything a trader sells
+    static getPrice(game, { shop, item, price }) {
+        const modifiers = game.getPlayerData().priceModifiers?.[shop];
+        if (!modifiers) return price;
+        
+        const multiplier = modifiers[item.id] ?? modifiers.all ?? 1;
+        return Math.max(1, Math.round(price * multiplier));
+    }
+    
+    dispose() {
+        if (this.isActive()) {
+            this.end();
+        }
+        console.log('💬 Dialogue System disposed');
+    }
+}
+
+// Conditions read playerData so they work the same for new and loaded games
+DialogueSystem.conditions = {
+    tokens: (game, { min = 0, max = Infinity }) => {
+        const tokens = game.getPlayerData().tokens;
+        return tokens >= min && tokens <= max;
+    },
+    
+    element: (game, { element, collected = true }) => {
+        return !!game.getPlayerData().collectedElements[element] === collected;
+    },
+    
+    elementsCollected: (game, { min = 0, max = Infinity }) => {
+        const count = Object.values(game.getPlayerData().collectedElements).filter(Boolean).length;
+        return count >= min && count <= max;
+    },
+    
+    quest: (game, { quest, state }) => {
+        const questSystem = game.questSystem;
+        if (!questSystem) return false;
+        
+        switch (state) {
+            case 'active':
+                return questSystem.isQuestActive(quest);
+            case 'completed':
+                return questSystem.isQuestCompleted(quest);
+            case 'available':
+                return questSystem.canStartQuest(quest);
+            case 'notStarted':
+                return !questSystem.isQuestActive(quest) && !questSystem.isQuestCompleted(quest);
+            default:
+                return false;
+        }
+    },
+    
+    flag: (game, { flag, value = true }) => {
+        return (DialogueSystem.getFlags(game)[flag] || false) === value;
+    },
+    
+    canBuy: (game, purchase) => {
+        return game.getPlayerData().tokens >= DialogueSystem.getPrice(game, purchase);
+    }
+};
+
+DialogueSystem.actions = {
+    giveItem: (game, { item }) => {
+        if (game.sceneManager?.player?.addConsumable(item)) {
+            game.uiManager?.showNotification(`🎁 Received ${item.name || item.type}`, 'success', 2500);
+        }
+    },
+    
+    giveTokens: (game, { amount }) => {
+        game.sceneManager?.player?.addTokens(amount);
+    },
+    
+    takeTokens: (game, { amount }) => {
+        game.sceneManager?.player?.spendTokens(amount);
+    },
+    
+    startQuest: (game, { quest }) => {
+        game.questSystem?.startQuest(quest);
+    },
+    
+    // Only charged once the item fits in the player's consumable slots
+    buy: (game, purchase) => {
+        const player = game.sceneManager?.player;
+        const price = DialogueSystem.getPrice(game, purchase);
+        if (!player || player.tokens < price) return;
+        
+        if (player.addConsumable(purchase.item)) {
+            player.spendTokens(price);
+            game.uiManager?.showNotification(`🛒 Bought ${purchase.item.name} for ${price} coins`, 'success', 2500);
+        }
+    },
+    
+    // Price multipliers are kept per shop type (and optionally per item) for Shop.getItemPrice and getPrice
+    changePrice: (game, { shop, item = 'all', multiplier }) => {
+        const playerData = game.getPlayerData();
+        if (!playerData.priceModifiers) {
+            playerData.priceModifiers = {};
+        }
+        if (!playerData.priceModifiers[shop]) {
+            playerData.priceModifiers[shop] = {};
+        }
+        
+        playerData.priceModifiers[shop][item] = multiplier;
+        console.log(`🏪 ${shop} shop price for ${item} now x${multiplier}`);
+    },
+    
+    setFlag: (game, { flag, value = true }) => {
+        DialogueSystem.getFlags(game)[flag] = value;
+    }
+};
+
+// Dialogue graphs
+// Nodes have text plus either choices, a `next` node, or a `redirect` list of { conditions, next }
+DialogueSystem.dialogues = {
+    elder: {
+        speaker: 'Melon Elder',
+        start: 'entry',
+        nodes: {
+            entry: {
+                redirect: [
+                    { conditions: [{ type: 'elementsCollected', min: 4 }], next: 'all_elements' },
+                    { conditions: [{ type: 'flag', flag: 'metElder' }], next: 'return_visit' },
+                    { next: 'greeting' }
+                ]
+            },
+            greeting: {
+                text: "So you're the one who fell into our grey world. I've been waiting for someone like you.",
+                actions: [{ type: 'setFlag', flag: 'metElder' }],
+                next: 'hub'
+            },
+            return_visit: {
+                text: 'Back again, traveler? Sit, sit. What is on your mind?',
+                next: 'hub'
+            },
+            hub: {
+                text: 'Ask me anything. An old melon has little else to do.',
+                choices: [
+                    { text: 'What happened to the colors?', next: 'history' },
+                    { text: 'How do I get home?', next: 'temples' },
+                    {
+                        text: 'Is there anything I can do for you?',
+                        conditions: [{ type: 'quest', quest: 'portal_lore', state: 'available' }],
+                        next: 'errand'
+                    },
+                    {
+                        text: 'Where do I find Rind again?',
+                        conditions: [{ type: 'quest', quest: 'portal_lore', state: 'active' }],
+                        next: 'errand_reminder'
+                    },
+                    {
+                        text: "I'm not sure I'm ready for this.",
+                        conditions: [{ type: 'flag', flag: 'elderGift', value: false }],
+                        next: 'gift'
+                    },
+                    { text: 'Goodbye.', next: null }
+                ]
+            },
+            history: {
+                text: 'Dr. Hegesh. He drained every color from the city and locked them away behind the portal. Since then, nothing has grown and nobody smiles.',
+                next: 'hub'
+            },
+            temples: {
+                text: 'Four temples stand at the corners of the city: water, fire, wind and lightning. Each holds an elemental power. Gather all four and the portal behind me may open again.',
+                next: 'hub'
+            },
+            errand: {
+                text: 'Rind the Trader keeps old maps of the portal. He sets up by the Melon Arms Shop to the west. Ask him what he knows.',
+                choices: [
+                    { text: "I'll go see him.", actions: [{ type: 'startQuest', quest: 'portal_lore' }], next: null },
+                    { text: 'Maybe later.', next: 'hub' }
+                ]
+            },
+            errand_reminder: {
+                text: 'West of the plaza, by the Melon Arms Shop. You cannot miss his cart.',
+                next: 'hub'
+            },
+            gift: {
+                text: "Nobody is, at first. Take this, it's not much, but it will patch you up when the grey creatures bite.",
+                actions: [
+                    { type: 'giveItem', item: { type: 'health', name: 'Health Potion', amount: 2, count: 2 } },
+                    { type: 'setFlag', flag: 'elderGift' }
+                ],
+                next: 'hub'
+            },
+            all_elements: {
+                text: 'Water, fire, wind and lightning... all four! Can you feel the portal stirring? Go, the plaza center awaits.',
+                choices: [
+                    { text: "I'm ready.", next: null }
+                ]
+            }
+        }
+    },
+    
+    merchant: {
+        speaker: 'Rind the Trader',
+        start: 'entry',
+        nodes: {
+            entry: {
+                redirect: [
+                    { conditions: [{ type: 'quest', quest: 'portal_lore', state: 'active' }], next: 'portal_maps' },
+                    { next: 'greeting' }
+                ]
+            },
+            greeting: {
+                text: "Rind's the name, trading's the game. Looking for something special?",
+                choices: [
+                    { text: 'Show me your wares.', next: 'wares' },
+                    {
+                        text: 'Any deals for me?',
+                        conditions: [{ type: 'flag', flag: 'traderDiscount', value: false }],
+                        next: 'deal'
+                    },
+                    { text: 'Just browsing.', next: null }
+                ]
+            },
+            wares: {
+                text: 'Potions, fresh from the last town that still had color. Take your pick.',
+                choices: [
+                    {
+                        text: 'Health Potion',
+                        conditions: [{ type: 'canBuy', shop: 'merchant', item: { id: 'health_potion' }, price: 15 }],
+                        actions: [{ type: 'buy', shop: 'merchant', item: { id: 'health_potion', type: 'health', name: 'Health Potion', amount: 2, count: 1 }, price: 15 }],
+                        next: 'wares'
+                    },
+                    {
+                        text: 'Potion Bundle',
+                        conditions: [{ type: 'canBuy', shop: 'merchant', item: { id: 'potion_bundle' }, price: 40 }],
+                        actions: [{ type: 'buy', shop: 'merchant', item: { id: 'potion_bundle', type: 'health', name: 'Health Potion', amount: 2, count: 3 }, price: 40 }],
+                        next: 'wares'
+                    },
+                    { text: 'Nothing for now.', next: 'greeting' }
+                ]
+            },
+            deal: {
+                text: "For 25 coins you're a regular. Ten percent off everything on my cart, for life.",
+                choices: [
+                    {
+                        text: 'Deal. (25 coins)',
+                        conditions: [{ type: 'tokens', min: 25 }],
+                        actions: [
+                            { type: 'takeTokens', amount: 25 },
+                            { type: 'changePrice', shop: 'merchant', multiplier: 0.9 },
+                            { type: 'setFlag', flag: 'traderDiscount' }
+                        ],
+                        next: 'deal_done'
+                    },
+                    {
+                        text: "I can't afford that.",
+                        conditions: [{ type: 'tokens', max: 24 }],
+                        next: 'broke'
+                    },
+                    { text: 'No thanks.', next: 'greeting' }
+                ]
+            },
+            deal_done: {
+                text: 'Pleasure doing business! Your prices just got a little sweeter.',
+                next: 'greeting'
+            },
+            broke: {
+                text: 'Come back when your pockets jingle. Coins turn up all over the city if you look.',
+                next: 'greeting'
+            },
+            portal_maps: {
+                text: "The elder sent you? Then listen. These maps are older than the grey. The portal only answers someone carrying all four elements, and whoever sealed it is still watching.",
+                next: 'greeting'
+            }
+        }
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DialogueSystem;
+}
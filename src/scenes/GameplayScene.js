@@ -43,17 +43,13 @@ class GameplayScene {
         this.player = this.game.sceneManager?.player;
         this.world = this.game.sceneManager;
         
-        // Initialize quest system
-        this.questSystem = new QuestSystem(this.game);
-        await this.questSystem.init();
+        // Quest and puzzle systems are owned by the game so progress carries across scenes
+        this.questSystem = this.game.questSystem;
+        this.puzzleSystem = this.game.puzzleSystem;
         
         // Initialize combat system
         this.combatSystem = new CombatSystem(this.game);
         await this.combatSystem.init();
-        
-        // Initialize puzzle system
-        this.puzzleSystem = new PuzzleSystem(this.game);
-        await this.puzzleSystem.init();
     }
     
     setupEventHandlers() {
@@ -71,12 +67,9 @@ class GameplayScene {
         this.isActive = true;
         this.isPaused = false;
         
-        // Start game systems
+        // Start game systems (quests auto-start from here)
         this.startGameSystems();
         
-        // Initialize starting quest
-        this.questSystem?.startMainQuest();
-        
         // Play background music
         this.game.audioManager?.playEnvironmentalAudio('city');
     }
@@ -177,7 +170,13 @@ class GameplayScene {
     triggerFinalBoss() {
         console.log('🏆 All elements collected! Triggering final boss...');
         
-        // Play final boss cutscene
+        // The portal encounter plays the cutscene itself before Dr. Hegesh appears
+        const encounter = this.game.sceneManager?.portal?.encounter;
+        if (encounter) {
+            encounter.start();
+            return;
+        }
+        
         const cutsceneManager = new CutsceneManager(this.game);
         cutsceneManager.playFinalBossCutscene();
     }
@@ -254,9 +253,6 @@ class GameplayScene {
         
         // Activate temple puzzles
         this.puzzleSystem?.activateTemplePuzzles(templeType);
-        
-        // Update quest objectives
-        this.questSystem?.updateTempleObjective(templeType);
     }
     
     spawnTempleBoss(templeType) {
@@ -314,9 +310,6 @@ class GameplayScene {
         const cutsceneManager = new CutsceneManager(this.game);
         cutsceneManager.playBossDefeatCutscene(bossType);
         
-        // Update quest progress
-        this.questSystem?.completeBossQuest(bossType);
-        
         // Return to city music
         this.game.audioManager?.playEnvironmentalAudio('city');
     }
@@ -334,6 +327,9 @@ class GameplayScene {
         
         console.log(`✨ Gained ${elementType} power! Progress: ${playerData.gameProgress}%`);
         
+        // Unlock the matching ability
+        this.game.sceneManager?.player?.elementalPowers?.onPowerUnlocked(elementType);
+        
         // Update UI
         this.game.uiManager?.updateGameProgress(playerData.gameProgress);
     }
@@ -422,10 +418,8 @@ class GameplayScene {
     dispose() {
         this.stop();
         
-        // Clean up systems
-        this.questSystem?.dispose();
+        // Clean up systems (the quest and puzzle systems belong to the game)
         this.combatSystem?.dispose();
-        this.puzzleSystem?.dispose();
         
         // Clear enemies
         this.enemies = [];
@@ -434,51 +428,6 @@ class GameplayScene {
     }
 }
 
-// Basic quest system
-class QuestSystem {
-    constructor(game) {
-        this.game = game;
-        this.activeQuests = [];
-        this.completedQuests = [];
-    }
-    
-    async init() {
-        console.log('📋 Quest System initialized');
-    }
-    
-    startMainQuest() {
-        const mainQuest = {
-            id: 'main_quest',
-            title: 'Escape the Grey World',
-            description: 'Collect all four elemental powers and defeat Dr. Hegesh',
-            objectives: [
-                'Find the Water Temple',
-                'Find the Fire Temple', 
-                'Find the Wind Temple',
-                'Find the Lightning Temple',
-                'Defeat Dr. Hegesh'
-            ],
-            progress: 0
-        };
-        
-        this.activeQuests.push(mainQuest);
-        console.log('📋 Main quest started!');
-    }
-    
-    updateTempleObjective(templeType) {
-        console.log(`📋 Updated ${templeType} temple objective`);
-    }
-    
-    completeBossQuest(bossType) {
-        console.log(`📋 Completed ${bossType} boss quest`);
-    }
-    
-    start() {}
-    stop() {}
-    update(deltaTime) {}
-    dispose() {}
-}
-
 // Basic combat system
 class CombatSystem {
     constructor(game) {
@@ -495,26 +444,6 @@ class CombatSystem {
     dispose() {}
 }
 
-// Basic puzzle system
-class PuzzleSystem {
-    constructor(game) {
-        this.game = game;
-    }
-    
-    async init() {
-        console.log('🧩 Puzzle System initialized');
-    }
-    
-    activateTemplePuzzles(templeType) {
-        console.log(`🧩 Activated ${templeType} temple puzzles`);
-    }
-    
-    start() {}
-    stop() {}
-    update(deltaTime) {}
-    dispose() {}
-}
-
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GameplayScene;
@@ -0,0 +1,599 @@
+/**
+ * PuzzleSystem - Reusable puzzle logic for Elemelon
+ * Puzzles wire on/off components (switches, plates, levers, doors, timed gates) through logic gates
+ */
+
+class PuzzleSystem {
+    constructor(game) {
+        this.game = game;
+        this.isActive = false;
+        
+        // Registered puzzles by id
+        this.puzzles = {};
+    }
+    
+    async init() {
+        console.log('🧩 Initializing Puzzle System...');
+        console.log(`🧩 Puzzle System initialized with ${Object.keys(PuzzleSystem.definitions).length} puzzle definitions`);
+    }
+    
+    // Called whenever gameplay (re)starts, so puzzles pick up the state of the current save
+    start() {
+        this.isActive = true;
+        
+        Object.values(this.puzzles).forEach(puzzle => this.restoreState(puzzle));
+    }
+    
+    stop() {
+        this.isActive = false;
+    }
+    
+    static registerDefinition(type, definition) {
+        PuzzleSystem.definitions[type] = definition;
+        console.log(`🧩 Registered puzzle definition: ${type}`);
+    }
+    
+    static async loadDefinitions(url) {
+        // JSON file of { type: definition } pairs
+        const definitions = await Utils.loadJSON(url);
+        if (!definitions) return;
+        
+        Object.entries(definitions).forEach(([type, definition]) => {
+            PuzzleSystem.registerDefinition(type, definition);
+        });
+    }
+    
+    // Build a puzzle from a definition, meshes are bound to its components once the temple builds them
+    static createPuzzle(id, type) {
+        const definition = PuzzleSystem.definitions[type];
+        if (!definition) {
+            console.warn(`⚠️ Unknown puzzle definition: ${type}`);
+            return null;
+        }
+        
+        const puzzle = new Puzzle(id, { type: type, output: definition.output });
+        
+        (definition.components || []).forEach(data => {
+            puzzle.addComponent(new PuzzleComponent(data.id, data.type, data));
+        });
+        
+        // Gates are evaluated in the order they are listed, so list a gate after the gates it reads
+        (definition.gates || []).forEach(data => {
+            puzzle.addGate(new PuzzleGate(data.id, data.type, data.inputs, data));
+        });
+        
+        return puzzle;
+    }
+    
+    register(puzzle) {
+        puzzle.system = this;
+        this.puzzles[puzzle.id] = puzzle;
+        
+        this.restoreState(puzzle);
+        
+        // Every change is written straight into the player data, so saving picks it up
+        puzzle.on('change', () => this.saveState(puzzle));
+        
+        return puzzle;
+    }
+    
+    unregister(id) {
+        delete this.puzzles[id];
+    }
+    
+    getPuzzle(id) {
+        return this.puzzles[id] || null;
+    }
+    
+    getStates() {
+        const playerData = this.game.getPlayerData();
+        if (!playerData.puzzleStates) {
+            playerData.puzzleStates = {};
+        }
+        return playerData.puzzleStates;
+    }
+    
+    saveState(puzzle) {
+        this.getStates()[puzzle.id] = puzzle.serialize();
+    }
+    
+    // Running timers tick without a change, so everything is written out again right before saving
+    saveStates() {
+        Object.values(this.puzzles).forEach(puzzle => this.saveState(puzzle));
+    }
+    
+    restoreState(puzzle) {
+        const state = this.getStates()[puzzle.id];
+        
+        // Pieces the save doesn't mention start from scratch
+        puzzle.reset();
+        if (state) {
+            puzzle.deserialize(state);
+        }
+    }
+    
+    activateTemplePuzzles(templeType) {
+        const puzzles = Object.values(this.puzzles).filter(puzzle => puzzle.temple === templeType);
+        console.log(`🧩 Activated ${puzzles.length} ${templeType} temple puzzles`);
+        return puzzles;
+    }
+    
+    update(deltaTime) {
+        if (!this.isActive) return;
+        
+        Object.values(this.puzzles).forEach(puzzle => puzzle.update(deltaTime));
+    }
+    
+    dispose() {
+        this.puzzles = {};
+        console.log('🧩 Puzzle System disposed');
+    }
+}
+
+// A puzzle owns its components and gates and reports when its output turns on
+class Puzzle {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.type = options.type || id;
+        this.temple = options.temple || null;
+        this.output = options.output || null;
+        this.system = null;
+        
+        this.components = {};
+        this.gates = {};
+        this.isSolved = false;
+        
+        // Free-form state for the puzzle's owner, saved alongside the components
+        this.data = {};
+        
+        this.listeners = {};
+        this.isEvaluating = false;
+        this.needsEvaluation = false;
+    }
+    
+    addComponent(component) {
+        component.puzzle = this;
+        this.components[component.id] = component;
+        return component;
+    }
+    
+    addGate(gate) {
+        this.gates[gate.id] = gate;
+        return gate;
+    }
+    
+    getComponent(id) {
+        return this.components[id] || null;
+    }
+    
+    getGate(id) {
+        return this.gates[id] || null;
+    }
+    
+    getSignal(id) {
+        if (this.components[id]) return this.components[id].isOn;
+        if (this.gates[id]) return this.gates[id].output;
+        
+        console.warn(`⚠️ Unknown puzzle signal: ${id}`);
+        return false;
+    }
+    
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+    
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => callback(...args));
+    }
+    
+    onComponentChanged(component) {
+        this.emit('componentChanged', component);
+        this.evaluate();
+    }
+    
+    evaluate() {
+        // Components changed by listeners or doors re-run the pass instead of recursing
+        if (this.isEvaluating) {
+            this.needsEvaluation = true;
+            return;
+        }
+        
+        this.isEvaluating = true;
+        const changedGates = [];
+        let passes = 0;
+        
+        do {
+            this.needsEvaluation = false;
+            
+            Object.values(this.gates).forEach(gate => {
+                const previous = gate.output;
+                gate.evaluate(this);
+                
+                if (gate.output !== previous && !changedGates.includes(gate)) {
+                    changedGates.push(gate);
+                }
+            });
+            
+            // Doors and timed gates follow the signal they are wired to
+            Object.values(this.components).forEach(component => {
+                if (component.isDriven() && component.input) {
+                    component.drive(this.getSignal(component.input));
+                }
+            });
+            
+            passes++;
+        } while (this.needsEvaluation && passes < 10);
+        
+        this.isEvaluating = false;
+        
+        changedGates.forEach(gate => this.emit('gateChanged', gate));
+        
+        if (!this.isSolved && this.output && this.getSignal(this.output)) {
+            this.solve();
+        }
+        
+        this.emit('change', this);
+    }
+    
+    solve() {
+        if (this.isSolved) return;
+        
+        this.isSolved = true;
+        console.log(`🧩 Puzzle complete: ${this.id}`);
+        
+        this.emit('solved', this);
+        this.emit('change', this);
+    }
+    
+    // Back to the starting state without firing any gameplay events
+    reset() {
+        this.isSolved = false;
+        this.data = {};
+        
+        Object.values(this.components).forEach(component => component.reset());
+        Object.values(this.gates).forEach(gate => gate.reset());
+    }
+    
+    // Starting over during play, saved like any other change
+    restart() {
+        this.reset();
+        this.emit('change', this);
+    }
+    
+    // Owner data is free-form, so owners say when it changed
+    setData(key, value) {
+        this.data[key] = value;
+        this.emit('change', this);
+    }
+    
+    update(deltaTime) {
+        let changed = false;
+        
+        Object.values(this.components).forEach(component => {
+            if (component.update(deltaTime)) changed = true;
+        });
+        Object.values(this.gates).forEach(gate => {
+            if (gate.update(deltaTime)) changed = true;
+        });
+        
+        if (changed) {
+            this.evaluate();
+        }
+    }
+    
+    serialize() {
+        const components = {};
+        Object.values(this.components).forEach(component => {
+            components[component.id] = component.serialize();
+        });
+        
+        const gates = {};
+        Object.values(this.gates).forEach(gate => {
+            gates[gate.id] = gate.serialize();
+        });
+        
+        return {
+            isSolved: this.isSolved,
+            components: components,
+            gates: gates,
+            data: JSON.parse(JSON.stringify(this.data))
+        };
+    }
+    
+    deserialize(state) {
+        this.isSolved = !!state.isSolved;
+        this.data = state.data || {};
+        
+        Object.entries(state.components || {}).forEach(([id, componentState]) => {
+            this.components[id]?.deserialize(componentState);
+        });
+        Object.entries(state.gates || {}).forEach(([id, gateState]) => {
+            this.gates[id]?.deserialize(gateState);
+        });
+    }
+}
+
+// A single on/off piece - switches and levers are toggled by the player, plates are
+// pressed by whatever rests on them, doors and timed gates follow an input signal
+class PuzzleComponent {
+    constructor(id, type, options = {}) {
+        this.id = id;
+        this.type = type; // switch, plate, lever, door, timed_gate
+        this.puzzle = null;
+        
+        this.input = options.input || null;
+        this.duration = options.duration || 5;
+        this.initialState = !!options.isOn;
+        
+        this.isOn = this.initialState;
+        this.timer = 0;
+        this.lastSignal = false;
+        
+        // Optional mesh that reflects the state
+        this.mesh = null;
+        this.restPosition = null;
+    }
+    
+    bindMesh(mesh) {
+        this.mesh = mesh;
+        this.restPosition = mesh.position.clone();
+        mesh.userData.puzzleComponent = this;
+        
+        this.applyVisualState();
+    }
+    
+    isInteractable() {
+        return this.type === 'switch' || this.type === 'lever';
+    }
+    
+    isDriven() {
+        return this.type === 'door' || this.type === 'timed_gate';
+    }
+    
+    interact() {
+        if (!this.isInteractable()) return false;
+        
+        this.setOn(!this.isOn);
+        this.puzzle?.system?.game.audioManager?.playSound(this.type === 'lever' ? 'doorOpen' : 'buttonClick');
+        return true;
+    }
+    
+    setOn(isOn) {
+        if (this.isOn === isOn) return;
+        
+        this.isOn = isOn;
+        this.applyVisualState();
+        this.puzzle?.onComponentChanged(this);
+    }
+    
+    drive(signal) {
+        if (this.type === 'timed_gate') {
+            // Opens when the signal rises and closes again once its time runs out
+            if (signal && !this.lastSignal) {
+                this.timer = this.duration;
+                this.setOn(true);
+            }
+            this.lastSignal = signal;
+        } else {
+            this.setOn(signal);
+        }
+    }
+    
+    // Returns true when the state changed so the puzzle can re-evaluate
+    update(deltaTime) {
+        if (this.type !== 'timed_gate' || !this.isOn) return false;
+        
+        this.timer -= deltaTime;
+        if (this.timer <= 0) {
+            this.timer = 0;
+            this.setOn(false);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    applyVisualState() {
+        if (!this.mesh) return;
+        
+        switch (this.type) {
+            case 'switch':
+            case 'lever': {
+                // Handles tip over when thrown
+                const handle = this.mesh.userData.lever || this.mesh.children[1];
+                if (handle) {
+                    handle.rotation.z = this.isOn ? -Math.PI / 4 : Math.PI / 4;
+                }
+                break;
+            }
+            
+            case 'plate':
+                this.mesh.position.y = this.restPosition.y - (this.isOn ? 0.08 : 0);
+                break;
+            
+            case 'door':
+            case 'timed_gate':
+                // Open doors sink into the floor, taking their collision box with them
+                this.mesh.position.y = this.restPosition.y - (this.isOn ? 10 : 0);
+                if (this.mesh.userData.boundingBox) {
+                    this.mesh.updateMatrixWorld(true);
+                    this.mesh.userData.boundingBox.setFromObject(this.mesh);
+                }
+                break;
+        }
+    }
+    
+    reset() {
+        this.isOn = this.initialState;
+        this.timer = 0;
+        this.lastSignal = false;
+        this.applyVisualState();
+    }
+    
+    serialize() {
+        return { isOn: this.isOn, timer: this.timer, lastSignal: this.lastSignal };
+    }
+    
+    deserialize(state) {
+        this.isOn = !!state.isOn;
+        this.timer = state.timer || 0;
+        this.lastSignal = !!state.lastSignal;
+        this.applyVisualState();
+    }
+}
+
+// Logic gate over component and gate signals
+class PuzzleGate {
+    constructor(id, type, inputs = [], options = {}) {
+        this.id = id;
+        this.type = type; // and, or, sequence, timer
+        this.inputs = inputs;
+        this.duration = options.duration || 5;
+        
+        this.output = false;
+        this.progress = 0; // sequence: inputs turned on in order so far
+        this.timer = 0; // timer: seconds the output stays on
+        this.lastSignals = [];
+    }
+    
+    evaluate(puzzle) {
+        const signals = this.inputs.map(input => puzzle.getSignal(input));
+        
+        switch (this.type) {
+            case 'and':
+                this.output = signals.length > 0 && signals.every(Boolean);
+                break;
+            
+            case 'or':
+                this.output = signals.some(Boolean);
+                break;
+            
+            case 'sequence':
+                // Inputs must switch on in the listed order, a wrong one starts over
+                if (this.progress < this.inputs.length) {
+                    signals.forEach((signal, index) => {
+                        if (!signal || this.lastSignals[index]) return;
+                        
+                        if (index === this.progress) {
+                            this.progress++;
+                        } else if (this.progress < this.inputs.length) {
+                            this.progress = 0;
+                            puzzle.emit('sequenceReset', this);
+                        }
+                    });
+                }
+                this.output = this.progress >= this.inputs.length;
+                break;
+            
+            case 'timer':
+                // Holds the output on for a while after the input switches on
+                if (signals[0] && !this.lastSignals[0]) {
+                    this.timer = this.duration;
+                }
+                this.output = this.timer > 0;
+                break;
+        }
+        
+        this.lastSignals = signals;
+    }
+    
+    // Returns true when the timer ran out so the puzzle can re-evaluate
+    update(deltaTime) {
+        if (this.type !== 'timer' || this.timer <= 0) return false;
+        
+        this.timer = Math.max(0, this.timer - deltaTime);
+        return this.timer === 0;
+    }
+    
+    reset() {
+        this.output = false;
+        this.progress = 0;
+        this.timer = 0;
+        this.lastSignals = [];
+    }
+    
+    serialize() {
+        return {
+            output: this.output,
+            progress: this.progress,
+            timer: this.timer,
+            lastSignals: [...this.lastSignals]
+        };
+    }
+    
+    deserialize(state) {
+        this.output = !!state.output;
+        this.progress = state.progress || 0;
+        this.timer = state.timer || 0;
+        this.lastSignals = state.lastSignals || [];
+    }
+}
+
+// Logic for the temple puzzles - the temple builds the physical pieces and drives these components
+PuzzleSystem.definitions = {
+    flow_control: {
+        output: 'all_crystals',
+        components: [
+            { id: 'crystal_0', type: 'plate' },
+            { id: 'crystal_1', type: 'plate' },
+            { id: 'crystal_2', type: 'plate' },
+            
+            // Valve wheels raise the sluice gate in their channel
+            { id: 'valve_0', type: 'lever' },
+            { id: 'valve_1', type: 'lever' },
+            { id: 'sluice_0', type: 'door', input: 'valve_0' },
+            { id: 'sluice_1', type: 'door', input: 'valve_1' }
+        ],
+        gates: [
+            { id: 'all_crystals', type: 'and', inputs: ['crystal_0', 'crystal_1', 'crystal_2'] }
+        ]
+    },
+    
+    flame_sequence: {
+        output: 'order',
+        components: [
+            { id: 'torch_0', type: 'switch' },
+            { id: 'torch_1', type: 'switch' },
+            { id: 'torch_2', type: 'switch' },
+            { id: 'torch_3', type: 'switch' }
+        ],
+        gates: [
+            // The temple rewires the inputs to match the order saved for this playthrough
+            { id: 'order', type: 'sequence', inputs: ['torch_0', 'torch_1', 'torch_2', 'torch_3'] }
+        ]
+    },
+    
+    wind_currents: {
+        output: 'all_plates',
+        components: [
+            { id: 'plate_0', type: 'plate' },
+            { id: 'plate_1', type: 'plate' }
+        ],
+        gates: [
+            { id: 'all_plates', type: 'and', inputs: ['plate_0', 'plate_1'] }
+        ]
+    },
+    
+    circuit_completion: {
+        output: 'altar',
+        components: [
+            { id: 'breaker_0', type: 'lever' },
+            { id: 'breaker_1', type: 'lever' },
+            { id: 'altar', type: 'plate' },
+            
+            // Closing a breaker starts the countdown, the breakers trip if it runs out first
+            { id: 'overload', type: 'timed_gate', input: 'live', duration: 10 }
+        ],
+        gates: [
+            { id: 'live', type: 'or', inputs: ['breaker_0', 'breaker_1'] }
+        ]
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PuzzleSystem;
+}
@@ -0,0 +1,410 @@
+/**
+ * QuestSystem - Data-driven quests for Elemelon
+ * Quests are plain objects with typed objectives that advance from gameplay events
+ */
+
+class QuestSystem {
+    constructor(game) {
+        this.game = game;
+        this.isActive = false;
+        
+        // Location objectives are polled rather than evented
+        this.locationCheckInterval = 0.5;
+        this.locationCheckTimer = 0;
+    }
+    
+    async init() {
+        console.log('📋 Initializing Quest System...');
+        console.log(`📋 Quest System initialized with ${Object.keys(QuestSystem.definitions).length} quests`);
+    }
+    
+    // Called whenever gameplay (re)starts, so new and loaded games both pick up their quest state
+    start() {
+        this.isActive = true;
+        this.getState();
+        
+        this.startAvailableQuests();
+        this.updateHUD();
+    }
+    
+    stop() {
+        this.isActive = false;
+    }
+    
+    static registerQuest(definition) {
+        QuestSystem.definitions[definition.id] = definition;
+        console.log(`📋 Registered quest: ${definition.id}`);
+    }
+    
+    static async loadQuests(url) {
+        // JSON file with an array of quest definitions
+        const quests = await Utils.loadJSON(url);
+        if (!quests) return;
+        
+        quests.forEach(definition => QuestSystem.registerQuest(definition));
+    }
+    
+    // Quest progress lives in playerData so it is saved with everything else
+    getState() {
+        const playerData = this.game.getPlayerData();
+        if (!playerData.quests) {
+            playerData.quests = { active: {}, completed: [], tracked: null };
+        }
+        return playerData.quests;
+    }
+    
+    getDefinition(questId) {
+        return QuestSystem.definitions[questId] || null;
+    }
+    
+    isQuestActive(questId) {
+        return !!this.getState().active[questId];
+    }
+    
+    isQuestCompleted(questId) {
+        return this.getState().completed.includes(questId);
+    }
+    
+    canStartQuest(questId) {
+        const definition = this.getDefinition(questId);
+        if (!definition) return false;
+        if (this.isQuestActive(questId) || this.isQuestCompleted(questId)) return false;
+        
+        return (definition.prerequisites || []).every(id => this.isQuestCompleted(id));
+    }
+    
+    startQuest(questId) {
+        if (!this.canStartQuest(questId)) {
+            return false;
+        }
+        
+        const definition = this.getDefinition(questId);
+        const state = this.getState();
+        
+        state.active[questId] = {
+            progress: definition.objectives.map(() => 0)
+        };
+        
+        if (!state.tracked) {
+            state.tracked = questId;
+        }
+        
+        console.log(`📋 Quest started: ${definition.title}`);
+        this.game.uiManager?.showNotification(`📜 New quest: ${definition.title}`, 'info', 3000);
+        
+        this.updateHUD();
+        return true;
+    }
+    
+    startAvailableQuests() {
+        Object.values(QuestSystem.definitions).forEach(definition => {
+            if (definition.autoStart && this.canStartQuest(definition.id)) {
+                this.startQuest(definition.id);
+            }
+        });
+    }
+    
+    // Gameplay reports events here: talk, collect, defeat, puzzle, location
+    trigger(type, data = {}) {
+        const state = this.getState();
+        let changed = false;
+        
+        Object.keys(state.active).forEach(questId => {
+            const definition = this.getDefinition(questId);
+            if (!definition) return;
+            
+            const progress = state.active[questId].progress;
+            definition.objectives.forEach((objective, index) => {
+                const required = QuestSystem.getRequiredCount(objective);
+                if (objective.type !== type || progress[index] >= required) return;
+                if (!this.objectiveMatches(objective, data)) return;
+                
+                progress[index] = Math.min(required, progress[index] + (data.amount || 1));
+                changed = true;
+                
+                if (progress[index] >= required) {
+                    console.log(`📋 Objective complete: ${objective.description}`);
+                }
+            });
+            
+            if (this.areObjectivesComplete(questId)) {
+                this.completeQuest(questId);
+            }
+        });
+        
+        if (changed) {
+            this.updateHUD();
+        }
+    }
+    
+    objectiveMatches(objective, data) {
+        switch (objective.type) {
+            case 'location':
+                return objective.id === data.location;
+            case 'talk':
+                return objective.npc === data.npc;
+            case 'collect':
+                return objective.item === data.item;
+            case 'defeat':
+                // No enemy type means any enemy counts
+                return !objective.enemy || objective.enemy === data.enemy;
+            case 'puzzle':
+                return (!objective.puzzle || objective.puzzle === data.puzzle) &&
+                    (!objective.temple || objective.temple === data.temple);
+            default:
+                console.warn(`⚠️ Unknown quest objective type: ${objective.type}`);
+                return false;
+        }
+    }
+    
+    static getRequiredCount(objective) {
+        return objective.count || 1;
+    }
+    
+    areObjectivesComplete(questId) {
+        const definition = this.getDefinition(questId);
+        const progress = this.getState().active[questId]?.progress;
+        if (!definition || !progress) return false;
+        
+        return definition.objectives.every((objective, index) => progress[index] >= QuestSystem.getRequiredCount(objective));
+    }
+    
+    completeQuest(questId) {
+        const definition = this.getDefinition(questId);
+        const state = this.getState();
+        if (!definition || !state.active[questId]) return;
+        
+        delete state.active[questId];
+        state.completed.push(questId);
+        
+        console.log(`📋 Quest completed: ${definition.title}`);
+        this.game.uiManager?.showNotification(`✅ Quest complete: ${definition.title}`, 'success', 3500);
+        this.game.audioManager?.playSound('powerUp');
+        
+        this.giveRewards(definition.rewards);
+        
+        // Follow the next quest in the log
+        if (state.tracked === questId) {
+            state.tracked = Object.keys(state.active)[0] || null;
+        }
+        
+        // Completing a quest may unlock others
+        this.startAvailableQuests();
+        this.updateHUD();
+    }
+    
+    giveRewards(rewards) {
+        if (!rewards) return;
+        
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        if (rewards.tokens) {
+            player.addTokens(rewards.tokens);
+        }
+        
+        (rewards.items || []).forEach(item => {
+            player.addConsumable(item);
+        });
+    }
+    
+    update(deltaTime) {
+        if (!this.isActive) return;
+        
+        this.locationCheckTimer += deltaTime;
+        if (this.locationCheckTimer < this.locationCheckInterval) return;
+        this.locationCheckTimer = 0;
+        
+        this.checkLocationObjectives();
+    }
+    
+    checkLocationObjectives() {
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        const state = this.getState();
+        Object.keys(state.active).forEach(questId => {
+            const definition = this.getDefinition(questId);
+            const progress = state.active[questId].progress;
+            
+            definition?.objectives.forEach((objective, index) => {
+                if (objective.type !== 'location' || progress[index] >= 1) return;
+                
+                const dx = player.position.x - objective.position.x;
+                const dz = player.position.z - objective.position.z;
+                if (Math.sqrt(dx * dx + dz * dz) <= (objective.radius || 10)) {
+                    this.trigger('location', { location: objective.id });
+                }
+            });
+        });
+    }
+    
+    // HUD and journal
+    setTrackedQuest(questId) {
+        if (!this.isQuestActive(questId)) return;
+        
+        this.getState().tracked = questId;
+        this.updateHUD();
+    }
+    
+    getTrackedQuest() {
+        const state = this.getState();
+        const questId = state.tracked && state.active[state.tracked] ? state.tracked : Object.keys(state.active)[0];
+        return questId ? this.getQuestSummary(questId) : null;
+    }
+    
+    getQuestSummary(questId) {
+        const definition = this.getDefinition(questId);
+        const state = this.getState();
+        const isCompleted = this.isQuestCompleted(questId);
+        const progress = state.active[questId]?.progress || [];
+        
+        const objectives = definition.objectives.map((objective, index) => {
+            const required = QuestSystem.getRequiredCount(objective);
+            const current = isCompleted ? required : (progress[index] || 0);
+            return {
+                description: objective.description,
+                current: current,
+                required: required,
+                isComplete: current >= required
+            };
+        });
+        
+        return {
+            id: questId,
+            title: definition.title,
+            description: definition.description,
+            category: definition.category || 'side',
+            objectives: objectives,
+            completedCount: objectives.filter(objective => objective.isComplete).length,
+            isCompleted: isCompleted,
+            isTracked: state.tracked === questId
+        };
+    }
+    
+    getJournal() {
+        const state = this.getState();
+        return {
+            active: Object.keys(state.active).filter(id => this.getDefinition(id)).map(id => this.getQuestSummary(id)),
+            completed: state.completed.filter(id => this.getDefinition(id)).map(id => this.getQuestSummary(id))
+        };
+    }
+    
+    updateHUD() {
+        const quest = this.getTrackedQuest();
+        if (quest) {
+            this.game.uiManager?.updateQuestDisplay(quest);
+        } else {
+            this.game.uiManager?.hideQuestDisplay();
+        }
+    }
+    
+    dispose() {
+        this.stop();
+        console.log('📋 Quest System disposed');
+    }
+}
+
+// Quest definitions
+// Objective types: location { id, position, radius }, talk { npc }, collect { item, count },
+// defeat { enemy?, count }, puzzle { puzzle?, temple? }
+QuestSystem.definitions = {
+    welcome: {
+        id: 'welcome',
+        title: 'A Grey Welcome',
+        description: 'The Melon Elder waits near the plaza. Find out what happened to the world.',
+        category: 'main',
+        autoStart: true,
+        objectives: [
+            { type: 'talk', npc: 'elder', description: 'Talk to the Melon Elder' }
+        ],
+        rewards: { tokens: 10 }
+    },
+    
+    main_quest: {
+        id: 'main_quest',
+        title: 'Escape the Grey World',
+        description: 'Collect all four elemental powers and defeat Dr. Hegesh',
+        category: 'main',
+        autoStart: true,
+        prerequisites: ['welcome'],
+        objectives: [
+            { type: 'defeat', enemy: 'water_boss', description: 'Restore the Water Temple' },
+            { type: 'defeat', enemy: 'fire_boss', description: 'Restore the Fire Temple' },
+            { type: 'defeat', enemy: 'wind_boss', description: 'Restore the Wind Temple' },
+            { type: 'defeat', enemy: 'lightning_boss', description: 'Restore the Lightning Temple' },
+            { type: 'defeat', enemy: 'final_boss', description: 'Defeat Dr. Hegesh' }
+        ],
+        rewards: { tokens: 100 }
+    },
+    
+    temple_scout: {
+        id: 'temple_scout',
+        title: 'Temple Scouting',
+        description: 'The elder spoke of four temples at the corners of the city. Find each one.',
+        autoStart: true,
+        prerequisites: ['welcome'],
+        objectives: [
+            { type: 'location', id: 'water_temple', position: { x: -150, z: -150 }, radius: 30, description: 'Find the Water Temple' },
+            { type: 'location', id: 'fire_temple', position: { x: 150, z: 150 }, radius: 30, description: 'Find the Fire Temple' },
+            { type: 'location', id: 'wind_temple', position: { x: -150, z: 150 }, radius: 30, description: 'Find the Wind Temple' },
+            { type: 'location', id: 'lightning_temple', position: { x: 150, z: -150 }, radius: 30, description: 'Find the Lightning Temple' }
+        ],
+        rewards: { tokens: 20 }
+    },
+    
+    portal_lore: {
+        id: 'portal_lore',
+        title: 'Secrets of the Portal',
+        description: 'The elder says Rind the Trader keeps old maps of the portal.',
+        prerequisites: ['welcome'],
+        objectives: [
+            { type: 'talk', npc: 'merchant', description: 'Ask Rind the Trader about the portal' }
+        ],
+        rewards: { tokens: 15 }
+    },
+    
+    spare_change: {
+        id: 'spare_change',
+        title: 'Spare Change',
+        description: 'Coins are scattered all over the city. Gather enough to afford better gear.',
+        autoStart: true,
+        prerequisites: ['welcome'],
+        objectives: [
+            { type: 'collect', item: 'token', count: 15, description: 'Collect coins' }
+        ],
+        rewards: { items: [{ type: 'health', amount: 2, count: 2 }] }
+    },
+    
+    pest_control: {
+        id: 'pest_control',
+        title: 'Pest Control',
+        description: 'Grey creatures have been bothering the citizens. Thin them out.',
+        autoStart: true,
+        prerequisites: ['welcome'],
+        objectives: [
+            { type: 'defeat', count: 5, description: 'Defeat grey creatures' }
+        ],
+        rewards: { tokens: 30 }
+    },
+    
+    temple_trials: {
+        id: 'temple_trials',
+        title: 'Trials of the Temples',
+        description: 'Each temple guards its boss behind an ancient puzzle.',
+        autoStart: true,
+        prerequisites: ['temple_scout'],
+        objectives: [
+            { type: 'puzzle', temple: 'water', description: 'Solve the Water Temple puzzle' },
+            { type: 'puzzle', temple: 'fire', description: 'Solve the Fire Temple puzzle' },
+            { type: 'puzzle', temple: 'wind', description: 'Solve the Wind Temple puzzle' },
+            { type: 'puzzle', temple: 'lightning', description: 'Solve the Lightning Temple puzzle' }
+        ],
+        rewards: { tokens: 50, items: [{ type: 'health', amount: 2, count: 3 }] }
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestSystem;
+}
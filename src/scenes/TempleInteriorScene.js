@@ -0,0 +1,201 @@
+/**
+ * TempleInteriorScene - A temple's inside as its own scene
+ * Owns the room shell, lighting, fog and collision set; the temple builds its puzzles and boss into it
+ */
+
+class TempleInteriorScene {
+    constructor(game, temple) {
+        this.game = game;
+        this.temple = temple;
+        
+        // Swapped in by the SceneManager while the player is inside
+        this.scene = null;
+        this.collisionObjects = [];
+        this.enemies = [];
+        
+        this.exitDoor = null;
+        this.isLoaded = false;
+        
+        // Room shell
+        this.height = 14;
+        this.wallThickness = 1;
+    }
+    
+    load() {
+        if (this.isLoaded) return;
+        this.isLoaded = true;
+        
+        console.log(`🏛️ Loading ${this.temple.type} temple interior...`);
+        
+        const color = this.temple.getElementalColor();
+        
+        // Dim air tinted with the temple's element, the fog hides the far end of big rooms
+        const fogColor = new THREE.Color(color).multiplyScalar(0.15);
+        this.scene = new THREE.Scene();
+        this.scene.background = fogColor;
+        this.scene.fog = new THREE.Fog(fogColor, 15, 70);
+        
+        this.createLighting(color);
+        this.createRoom(color);
+        this.createExit(color);
+        
+        // Altar, torches, puzzles and the boss are built into the temple's interior group
+        this.scene.add(this.temple.interior);
+    }
+    
+    getBounds() {
+        return this.temple.interiorLayout.bounds;
+    }
+    
+    // Just inside the entrance, facing into the room
+    getSpawnPoint() {
+        const entrance = this.temple.interiorLayout.entrance;
+        return new THREE.Vector3(entrance.x, 1, entrance.z - 2);
+    }
+    
+    createLighting(color) {
+        this.scene.add(new THREE.AmbientLight(0x606060, 0.5));
+        this.scene.add(new THREE.HemisphereLight(color, 0x202020, 0.4));
+        
+        // Key light over the altar
+        const altar = this.temple.interiorLayout.altar;
+        const altarLight = new THREE.PointLight(color, 1.5, 40);
+        altarLight.position.set(altar.x, this.height - 2, altar.z);
+        this.scene.add(altarLight);
+        
+        // Warm lamps in each corner so the walls read through the fog
+        const bounds = this.getBounds();
+        const corners = [
+            { x: bounds.minX + 2, z: bounds.minZ + 2 },
+            { x: bounds.maxX - 2, z: bounds.minZ + 2 },
+            { x: bounds.minX + 2, z: bounds.maxZ - 2 },
+            { x: bounds.maxX - 2, z: bounds.maxZ - 2 }
+        ];
+        
+        corners.forEach(pos => {
+            const light = new THREE.PointLight(0xffe0b0, 0.6, 30);
+            light.position.set(pos.x, this.height * 0.6, pos.z);
+            this.scene.add(light);
+        });
+    }
+    
+    createRoom(color) {
+        const bounds = this.getBounds();
+        const width = bounds.maxX - bounds.minX;
+        const depth = bounds.maxZ - bounds.minZ;
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+        
+        // Floor
+        const floor = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, depth),
+            new THREE.MeshLambertMaterial({ color: 0x505050 })
+        );
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.set(centerX, 0, centerZ);
+        floor.receiveShadow = true;
+        this.scene.add(floor);
+        
+        // Ceiling
+        const ceiling = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, depth),
+            new THREE.MeshLambertMaterial({ color: 0x303030 })
+        );
+        ceiling.rotation.x = Math.PI / 2;
+        ceiling.position.set(centerX, this.height, centerZ);
+        this.scene.add(ceiling);
+        
+        // Walls pick up a little of the element's color
+        const wallMaterial = new THREE.MeshLambertMaterial({
+            color: new THREE.Color(color).lerp(new THREE.Color(0x606060), 0.7)
+        });
+        const thickness = this.wallThickness;
+        
+        [
+            { x: centerX, z: bounds.minZ - thickness / 2, width: width + thickness * 2, depth: thickness },
+            { x: centerX, z: bounds.maxZ + thickness / 2, width: width + thickness * 2, depth: thickness },
+            { x: bounds.minX - thickness / 2, z: centerZ, width: thickness, depth: depth },
+            { x: bounds.maxX + thickness / 2, z: centerZ, width: thickness, depth: depth }
+        ].forEach(data => {
+            const wall = new THREE.Mesh(new THREE.BoxGeometry(data.width, this.height, data.depth), wallMaterial);
+            wall.position.set(data.x, this.height / 2, data.z);
+            wall.receiveShadow = true;
+            this.addCollidable(wall);
+        });
+    }
+    
+    createExit(color) {
+        const entrance = this.temple.interiorLayout.entrance;
+        const wallZ = this.getBounds().maxZ;
+        
+        // Door back out, set into the entrance wall
+        const door = new THREE.Mesh(
+            new THREE.BoxGeometry(4, 8, 0.5),
+            new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+        );
+        door.position.set(entrance.x, 4, wallZ - 0.3);
+        door.userData = {
+            isTempleExit: true,
+            temple: this.temple,
+            interactable: true
+        };
+        this.scene.add(door);
+        
+        const frame = new THREE.Mesh(
+            new THREE.BoxGeometry(5, 9, 0.4),
+            new THREE.MeshLambertMaterial({ color: color })
+        );
+        frame.position.set(entrance.x, 4.5, wallZ - 0.1);
+        this.scene.add(frame);
+        
+        this.exitDoor = door;
+    }
+    
+    addCollidable(mesh) {
+        this.scene.add(mesh);
+        
+        // Collision boxes are kept in world space
+        mesh.updateMatrixWorld(true);
+        mesh.userData.isCollidable = true;
+        mesh.userData.boundingBox = new THREE.Box3().setFromObject(mesh);
+        
+        this.collisionObjects.push(mesh);
+    }
+    
+    getNearbyInteractables(position, radius) {
+        const interactables = this.temple.getNearbyInteractables(position, radius);
+        
+        if (this.exitDoor && position.distanceTo(this.exitDoor.position) <= radius) {
+            interactables.push(this.exitDoor);
+        }
+        
+        return interactables;
+    }
+    
+    dispose() {
+        this.temple.dispose();
+        
+        if (this.scene) {
+            // The temple cleans up its own interior group
+            this.scene.remove(this.temple.interior);
+            this.scene.traverse(object => {
+                object.geometry?.dispose();
+                object.material?.dispose();
+            });
+            this.scene.clear();
+            this.scene = null;
+        }
+        
+        this.collisionObjects = [];
+        this.enemies = [];
+        this.exitDoor = null;
+        this.isLoaded = false;
+        
+        console.log(`🏛️ ${this.temple.type} temple interior disposed`);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TempleInteriorScene;
+}
@@ -463,17 +463,15 @@ class Minimap {
     }
     
     drawGrassPatches(ctx, isFullMap) {
-        // Use deterministic grass positions based on world coordinates
-        const grassCount = isFullMap ? 300 : 150; // Fewer on minimap for performance
+        // Patch centers from the SceneManager, the blades themselves are one instanced batch
+        const patches = this.game.sceneManager?.grassPatches;
+        if (!patches) return;
+        
+        const step = isFullMap ? 1 : 2; // Fewer on minimap for performance
         const size = isFullMap ? 4 : 2;
         
-        // Generate consistent grass positions using simple hash function
-        for (let i = 0; i < grassCount; i++) {
-            // Use index-based deterministic positioning
-            const seedX = (i * 73) % 1600 - 800; // Deterministic X
-            const seedZ = ((i * 97) % 1600) - 800; // Deterministic Z
-            
-            const pos = this.worldToScreen(seedX, seedZ, isFullMap);
+        for (let i = 0; i < patches.length; i += step) {
+            const pos = this.worldToScreen(patches[i].x, patches[i].z, isFullMap);
             
             // Draw grass patch as slightly lighter grey
             ctx.fillStyle = '#505050';
@@ -486,37 +484,28 @@ class Minimap {
     }
     
     drawStonePaths(ctx, isFullMap) {
-        const pathCount = 8;
-        
-        // Draw winding stone paths with deterministic curves
-        for (let i = 0; i < pathCount; i++) {
-            const startAngle = (i / pathCount) * Math.PI * 2;
-            let currentX = Math.cos(startAngle) * 50;
-            let currentZ = Math.sin(startAngle) * 50;
-            let currentAngle = startAngle;
-            
-            ctx.strokeStyle = '#606060';
-            ctx.lineWidth = isFullMap ? 3 : 1.5;
-            ctx.lineCap = 'round';
+        const stonePaths = this.game.sceneManager?.stonePaths;
+        if (!stonePaths) return;
+        
+        ctx.strokeStyle = '#606060';
+        ctx.lineWidth = isFullMap ? 3 : 1.5;
+        ctx.lineCap = 'round';
+        
+        // Draw each winding path through its actual stones
+        stonePaths.forEach(path => {
+            if (path.length < 2) return;
             
-            const pos = this.worldToScreen(currentX, currentZ, isFullMap);
             ctx.beginPath();
-            ctx.moveTo(pos.x, pos.y);
-            
-            // Draw path segments with deterministic curves
-            for (let j = 0; j < 100; j++) {
-                // Use deterministic angle changes instead of random
-                const angleChange = Math.sin((i * 100 + j) * 0.1) * 0.3;
-                currentAngle += angleChange;
-                currentX += Math.cos(currentAngle) * 2;
-                currentZ += Math.sin(currentAngle) * 2;
-                
-                const segmentPos = this.worldToScreen(currentX, currentZ, isFullMap);
-                ctx.lineTo(segmentPos.x, segmentPos.y);
-            }
-            
+            path.forEach((stone, index) => {
+                const pos = this.worldToScreen(stone.x, stone.z, isFullMap);
+                if (index === 0) {
+                    ctx.moveTo(pos.x, pos.y);
+                } else {
+                    ctx.lineTo(pos.x, pos.y);
+                }
+            });
             ctx.stroke();
-        }
+        });
     }
     
     drawNaturalStructures(ctx, isFullMap) {
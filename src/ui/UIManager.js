@@ -13,11 +13,19 @@ class UIManager {
         this.inventory = null;
         this.minimap = null;
         this.interactionPrompt = null;
+        this.heatBar = null;
+        this.bossHealthBar = null;
+        this.questDisplay = null;
+        this.powerSlots = {}; // Elemental power HUD slots and their cooldown overlays, by element
         
         // UI state
         this.isInventoryOpen = false;
         this.isMapOpen = false;
+        this.isHeatBarVisible = false;
+        this.isJournalOpen = false;
+        this.gameProgress = 0;
         this.currentDialogue = null;
+        this.selectedChoice = 0;
         
         // Animation timers
         this.animationTimers = [];
@@ -45,6 +53,17 @@ class UIManager {
         this.tokensDisplay = document.getElementById('tokensDisplay');
         this.inventory = document.getElementById('inventory');
         this.minimap = document.getElementById('minimap');
+        this.heatBar = document.getElementById('heatBar');
+        this.bossHealthBar = document.getElementById('bossHealthBar');
+        this.questDisplay = document.getElementById('questDisplay');
+        
+        // Power slots are refreshed every frame, so look them up once
+        document.querySelectorAll('.power-slot').forEach(slot => {
+            this.powerSlots[slot.dataset.element] = {
+                slot,
+                overlay: slot.querySelector('.power-cooldown')
+            };
+        });
         
         // Create interaction prompt if it doesn't exist
         this.createInteractionPrompt();
@@ -79,7 +98,7 @@ class UIManager {
                     <span id="dialogueSpeaker"></span>
                     <button id="closeDialogue" class="close-dialogue">✕</button>
                 </div>
-                <div id="dialogueText" class="dialogue-text"></div>
+                <div id="npcDialogueText" class="dialogue-text"></div>
                 <div class="dialogue-actions">
                     <button id="continueDialogue" class="dialogue-btn">Continue</button>
                 </div>
@@ -89,12 +108,11 @@ class UIManager {
             
             // Setup dialogue controls
             document.getElementById('closeDialogue').addEventListener('click', () => {
-                this.hideDialogue();
+                this.closeDialogue();
             });
             
-            document.getElementById('continueDialogue').addEventListener('click', () => {
-                this.continueDialogue();
-            });
+            // Capture phase so dialogue keys don't also move, interact or pause
+            document.addEventListener('keydown', (event) => this.handleDialogueKey(event), true);
         }
         
         this.dialogueBox = dialogueBox;
@@ -176,6 +194,189 @@ class UIManager {
         animate();
     }
     
+    // Blaster heat system
+    updateHeat(heat, maxHeat, isOverheated) {
+        const heatBarFill = document.getElementById('heatBarFill');
+        const heatText = document.getElementById('heatText');
+        const heatPercent = (heat / maxHeat) * 100;
+        
+        if (heatBarFill) {
+            heatBarFill.style.width = `${heatPercent}%`;
+            heatBarFill.classList.toggle('hot', !isOverheated && heatPercent >= 70);
+            heatBarFill.classList.toggle('overheated', isOverheated);
+        }
+        
+        if (heatText) {
+            heatText.textContent = isOverheated ? 'LOCK' : `${Math.round(heatPercent)}%`;
+        }
+        
+        if (this.heatBar) {
+            this.heatBar.classList.toggle('overheated', isOverheated);
+        }
+    }
+    
+    setHeatBarVisible(visible) {
+        if (!this.heatBar || this.isHeatBarVisible === visible) return;
+        
+        this.heatBar.style.display = visible ? 'flex' : 'none';
+        this.isHeatBarVisible = visible;
+    }
+    
+    // Boss health bar
+    showBossHealthBar(name, element, phaseThresholds = []) {
+        if (!this.bossHealthBar) return;
+        
+        document.getElementById('bossName').textContent = name;
+        this.bossHealthBar.dataset.element = element || '';
+        
+        // Tick marks where the boss changes phase
+        const markers = document.getElementById('bossPhaseMarkers');
+        if (markers) {
+            markers.innerHTML = '';
+            phaseThresholds.forEach(threshold => {
+                const marker = document.createElement('div');
+                marker.className = 'boss-phase-marker';
+                marker.style.left = `${threshold * 100}%`;
+                markers.appendChild(marker);
+            });
+        }
+        
+        this.bossHealthBar.style.display = 'block';
+    }
+    
+    updateBossHealth(health, maxHealth, phaseIndex, phaseCount, phaseName) {
+        const fill = document.getElementById('bossHealthFill');
+        const phase = document.getElementById('bossPhase');
+        
+        if (fill) {
+            fill.style.width = `${(health / maxHealth) * 100}%`;
+        }
+        
+        if (phase) {
+            phase.textContent = phaseCount > 1 ? `${phaseName} · ${phaseIndex + 1}/${phaseCount}` : phaseName;
+        }
+    }
+    
+    hideBossHealthBar() {
+        if (this.bossHealthBar) {
+            this.bossHealthBar.style.display = 'none';
+        }
+    }
+    
+    // Quest tracking
+    updateQuestDisplay(quest) {
+        if (!this.questDisplay) return;
+        
+        const total = quest.objectives.length;
+        const nextObjective = quest.objectives.find(objective => !objective.isComplete);
+        
+        // Show the next objective, with a counter for multi-step ones
+        let description = quest.description;
+        if (nextObjective) {
+            description = nextObjective.required > 1
+                ? `${nextObjective.description} (${nextObjective.current}/${nextObjective.required})`
+                : nextObjective.description;
+        }
+        
+        document.getElementById('questTitle').textContent = quest.title;
+        document.getElementById('questDescription').textContent = description;
+        document.getElementById('questProgress').style.width = `${(quest.completedCount / total) * 100}%`;
+        document.getElementById('questProgressText').textContent = `${quest.completedCount}/${total}`;
+        
+        this.questDisplay.style.display = '';
+    }
+    
+    hideQuestDisplay() {
+        if (this.questDisplay) {
+            this.questDisplay.style.display = 'none';
+        }
+    }
+    
+    updateGameProgress(progress) {
+        this.gameProgress = progress;
+        
+        const journalProgress = document.getElementById('journalProgress');
+        if (journalProgress) {
+            journalProgress.textContent = `World restored: ${Math.round(progress)}%`;
+        }
+    }
+    
+    setJournalOpen(isOpen) {
+        this.isJournalOpen = isOpen;
+    }
+    
+    updateQuestJournal(journal) {
+        this.setJournalOpen(true);
+        this.updateGameProgress(this.game.getPlayerData().gameProgress);
+        
+        if (!journal) return;
+        
+        this.renderJournalList('journalActiveList', journal.active, 'No active quests');
+        this.renderJournalList('journalCompletedList', journal.completed, 'Nothing completed yet');
+    }
+    
+    renderJournalList(listId, quests, emptyText) {
+        const list = document.getElementById(listId);
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        if (quests.length === 0) {
+            list.innerHTML = `<div class="journal-empty">${emptyText}</div>`;
+            return;
+        }
+        
+        quests.forEach(quest => {
+            const entry = document.createElement('div');
+            entry.className = 'journal-entry';
+            entry.classList.toggle('tracked', quest.isTracked);
+            entry.classList.toggle('completed', quest.isCompleted);
+            entry.dataset.category = quest.category;
+            
+            const objectives = quest.objectives.map(objective => `
+                <li class="${objective.isComplete ? 'done' : ''}">
+                    ${objective.description}${objective.required > 1 ? ` (${objective.current}/${objective.required})` : ''}
+                </li>
+            `).join('');
+            
+            entry.innerHTML = `
+                <div class="journal-entry-title">${quest.isTracked ? '📍 ' : ''}${quest.title}</div>
+                <div class="journal-entry-description">${quest.description}</div>
+                <ul class="journal-objectives">${objectives}</ul>
+            `;
+            
+            // Clicking an active quest tracks it on the HUD
+            if (!quest.isCompleted) {
+                entry.addEventListener('click', () => {
+                    this.game.questSystem?.setTrackedQuest(quest.id);
+                    this.updateQuestJournal(this.game.questSystem?.getJournal());
+                });
+            }
+            
+            list.appendChild(entry);
+        });
+    }
+    
+    // Elemental powers
+    updateElementalPowers(states) {
+        states.forEach(state => {
+            const { slot, overlay } = this.powerSlots[state.element] || {};
+            if (!slot) return;
+            
+            const onCooldown = state.cooldownRemaining > 0;
+            slot.classList.toggle('locked', !state.unlocked);
+            slot.classList.toggle('cooling', state.unlocked && onCooldown);
+            slot.classList.toggle('ready', state.unlocked && !onCooldown);
+            
+            // Cooldown overlay drains from the top as the power recharges
+            if (overlay) {
+                const percent = onCooldown ? (state.cooldownRemaining / state.cooldown) * 100 : 0;
+                overlay.style.height = `${percent}%`;
+                overlay.textContent = onCooldown ? Math.ceil(state.cooldownRemaining) : '';
+            }
+        });
+    }
+    
     // Weapon system
     updateWeaponSlot(slot, weaponType) {
         const weaponSlot = document.querySelector(`[data-slot="${slot}"]`);
@@ -492,9 +693,21 @@ class UIManager {
         } else if (object.userData.isNPC) {
             promptText = 'Press E to talk';
             promptIcon = '💬';
+        } else if (object.userData.isPortal) {
+            promptText = object.userData.portal.getInteractionPrompt();
+            promptIcon = '🌀';
+        } else if (object.userData.isPuzzleElement) {
+            promptText = this.game.sceneManager?.activeTemple?.getInteractionPrompt(object) || promptText;
+            promptIcon = '🧩';
+        } else if (object.userData.isTempleExit) {
+            promptText = object.userData.temple.isExitSealed ? 'The doors are sealed' : 'Press E to leave the temple';
+            promptIcon = '🚪';
         } else if (object.userData.type === 'token') {
             promptText = 'Press E to collect';
             promptIcon = '🪙';
+        } else if (object.userData.type === 'chest') {
+            promptText = 'Press E to open';
+            promptIcon = '🎁';
         } else if (object.userData.type === 'weapon') {
             promptText = 'Press E to pick up';
             promptIcon = '🔫';
@@ -519,14 +732,103 @@ class UIManager {
     }
     
     // Dialogue system
-    showDialogue(speaker, text) {
+    showDialogue(speaker, text, choices = []) {
         if (!this.dialogueBox) return;
         
         document.getElementById('dialogueSpeaker').textContent = speaker;
-        document.getElementById('dialogueText').textContent = text;
+        document.getElementById('npcDialogueText').textContent = text;
         
         this.dialogueBox.style.display = 'block';
-        this.currentDialogue = { speaker, text };
+        this.currentDialogue = { speaker, text, choices };
+        this.selectedChoice = 0;
+        
+        this.renderDialogueChoices();
+    }
+    
+    renderDialogueChoices() {
+        const actions = this.dialogueBox.querySelector('.dialogue-actions');
+        actions.innerHTML = '';
+        
+        const choices = this.currentDialogue.choices;
+        
+        // Without choices the only option is to continue
+        if (choices.length === 0) {
+            const continueButton = document.createElement('button');
+            continueButton.className = 'dialogue-btn';
+            continueButton.textContent = 'Continue';
+            continueButton.addEventListener('click', () => this.continueDialogue());
+            actions.appendChild(continueButton);
+            return;
+        }
+        
+        choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.className = 'dialogue-choice';
+            button.classList.toggle('selected', index === this.selectedChoice);
+            
+            // Choice text comes from dialogue data, so it is never parsed as markup
+            const key = document.createElement('span');
+            key.className = 'choice-key';
+            key.textContent = index + 1;
+            button.appendChild(key);
+            button.appendChild(document.createTextNode(choice));
+            
+            button.addEventListener('mouseenter', () => this.selectDialogueChoice(index));
+            button.addEventListener('click', () => this.chooseDialogueOption(index));
+            actions.appendChild(button);
+        });
+    }
+    
+    selectDialogueChoice(index) {
+        const buttons = this.dialogueBox.querySelectorAll('.dialogue-choice');
+        if (buttons.length === 0) return;
+        
+        // Wrap around both ends of the list
+        this.selectedChoice = (index + buttons.length) % buttons.length;
+        buttons.forEach((button, i) => button.classList.toggle('selected', i === this.selectedChoice));
+    }
+    
+    chooseDialogueOption(index) {
+        const dialogueSystem = this.game.dialogueSystem;
+        if (dialogueSystem?.isActive()) {
+            dialogueSystem.choose(index);
+        } else {
+            this.hideDialogue();
+        }
+    }
+    
+    handleDialogueKey(event) {
+        if (!this.currentDialogue || event.repeat) return;
+        
+        const choices = this.currentDialogue.choices;
+        const key = event.code;
+        let handled = true;
+        
+        if (key === 'ArrowUp' || key === 'KeyW') {
+            this.selectDialogueChoice(this.selectedChoice - 1);
+        } else if (key === 'ArrowDown' || key === 'KeyS') {
+            this.selectDialogueChoice(this.selectedChoice + 1);
+        } else if (key === 'Enter' || key === 'Space' || key === 'KeyE') {
+            if (choices.length > 0) {
+                this.chooseDialogueOption(this.selectedChoice);
+            } else {
+                this.continueDialogue();
+            }
+        } else if (key.startsWith('Digit') && choices.length > 0) {
+            const index = parseInt(key.slice(5), 10) - 1;
+            if (index >= 0 && index < choices.length) {
+                this.chooseDialogueOption(index);
+            }
+        } else if (key === 'Escape') {
+            this.closeDialogue();
+        } else {
+            handled = false;
+        }
+        
+        if (handled) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+        }
     }
     
     hideDialogue() {
@@ -536,10 +838,18 @@ class UIManager {
         }
     }
     
+    closeDialogue() {
+        // Ending a conversation early also lets the NPC walk off again
+        if (this.game.dialogueSystem?.isActive()) {
+            this.game.dialogueSystem.end();
+        } else {
+            this.hideDialogue();
+        }
+    }
+    
     continueDialogue() {
-        // For now, just close dialogue
-        // In a full implementation, this would advance to next dialogue line
-        this.hideDialogue();
+        // Advance the conversation, or just close a one-off line
+        this.chooseDialogueOption(0);
     }
     
     // General UI methods
@@ -706,6 +1016,25 @@ class UIManager {
         // This would open the settings overlay
     }
     
+    // Fade the screen to black (or back) - resolves once the fade has finished
+    fadeScreen(toBlack, duration = 500) {
+        if (!this.fadeOverlay) {
+            this.fadeOverlay = document.createElement('div');
+            this.fadeOverlay.style.cssText = `
+                position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+                background: black; z-index: 900; opacity: 0; pointer-events: none;
+            `;
+            document.body.appendChild(this.fadeOverlay);
+        }
+        
+        this.fadeOverlay.style.transition = `opacity ${duration}ms ease`;
+        requestAnimationFrame(() => {
+            this.fadeOverlay.style.opacity = toBlack ? '1' : '0';
+        });
+        
+        return new Promise(resolve => setTimeout(resolve, duration));
+    }
+    
     showNotification(message, type = 'info', duration = 3000) {
         // Create notification element
         const notification = document.createElement('div');
@@ -0,0 +1,93 @@
+/**
+ * InstancedBatch - Draws many copies of one mesh in a single call
+ * Slots are handed out by add() and given back by remove(), so streamed content can share
+ * one InstancedMesh per part; each instance has its own transform and color
+ */
+
+class InstancedBatch {
+    constructor(geometry, material, capacity, options = {}) {
+        this.capacity = capacity;
+        this.size = 0; // Slots handed out so far, freed ones are reused first
+        this.freeSlots = [];
+        this.drawFraction = 1;
+        
+        this.mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        this.mesh.count = 0;
+        this.mesh.castShadow = !!options.castShadow;
+        this.mesh.receiveShadow = !!options.receiveShadow;
+        
+        // Instances spread over the whole world, the geometry's own bounds would cull them all at once
+        this.mesh.frustumCulled = false;
+        
+        // Colors multiply the material color, white leaves it as it is
+        this.mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
+        
+        this.hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+    }
+    
+    // Returns the instance's slot, or -1 when the batch is full
+    add(matrix, color = null) {
+        let index = this.freeSlots.pop();
+        if (index === undefined) {
+            if (this.size >= this.capacity) {
+                console.warn(`📦 Instanced batch full (${this.capacity})`);
+                return -1;
+            }
+            index = this.size++;
+            this.updateDrawCount();
+        }
+        
+        this.mesh.setMatrixAt(index, matrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+        
+        if (color) {
+            this.setColor(index, color);
+        }
+        
+        return index;
+    }
+    
+    // Stand-in meshes keep their shape for collision and raycasts, the batch draws them
+    addMesh(mesh, color = null) {
+        mesh.updateWorldMatrix(true, false);
+        return this.add(mesh.matrixWorld, color);
+    }
+    
+    remove(index) {
+        if (index < 0 || index >= this.size) return;
+        
+        // Collapsed to nothing until the slot is handed out again
+        this.mesh.setMatrixAt(index, this.hiddenMatrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.freeSlots.push(index);
+    }
+    
+    setColor(index, color) {
+        if (index < 0) return;
+        
+        this.mesh.setColorAt(index, color);
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+    
+    // Draws only the first share of the instances, for batches added in an order that thins evenly
+    setDrawFraction(fraction) {
+        this.drawFraction = fraction;
+        this.updateDrawCount();
+    }
+    
+    updateDrawCount() {
+        this.mesh.count = Math.ceil(this.size * this.drawFraction);
+    }
+    
+    dispose() {
+        this.mesh.parent?.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.mesh.dispose();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InstancedBatch;
+}
@@ -0,0 +1,120 @@
+/**
+ * Random - Seeded random numbers for Elemelon
+ * Every generator draws from a named stream (world, weather, loot, ai) derived from the world seed,
+ * so the same seed always rebuilds the same city
+ */
+
+// One independent sequence of numbers (mulberry32)
+class RandomStream {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    // Float in [0, 1), drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    float(min, max) {
+        return this.next() * (max - min) + min;
+    }
+    
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+    
+    choice(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+    
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+    
+    getState() {
+        return this.state;
+    }
+    
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+class Random {
+    static setSeed(seed) {
+        Random.seed = Random.parseSeed(seed);
+        
+        // Streams restart from the new seed the next time they are asked for
+        Random.streams = {};
+        
+        console.log(`🎲 World seed: ${Random.seed}`);
+        return Random.seed;
+    }
+    
+    static getSeed() {
+        return Random.seed;
+    }
+    
+    // Shared stream, e.g. Random.stream('ai').chance(0.3)
+    static stream(name) {
+        if (!Random.streams[name]) {
+            Random.streams[name] = Random.createStream(name);
+        }
+        return Random.streams[name];
+    }
+    
+    // Fresh stream that always starts the same way for this seed and key
+    static createStream(key) {
+        return new RandomStream(Random.hash(`${Random.seed}:${key}`));
+    }
+    
+    // Numbers are used as-is, any other text is hashed, empty picks a new seed
+    static parseSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        const text = String(seed ?? '').trim();
+        if (text === '') {
+            return Random.generateSeed();
+        }
+        
+        return /^\d+$/.test(text) ? Number(text) >>> 0 : Random.hash(text);
+    }
+    
+    // FNV-1a
+    static hash(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    static generateSeed() {
+        // The only place unseeded randomness is allowed
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+Random.seed = Random.generateSeed();
+Random.streams = {};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Random;
+}
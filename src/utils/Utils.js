@@ -13,16 +13,17 @@ class Utils {
         return start + (end - start) * factor;
     }
     
-    static randomFloat(min, max) {
-        return Math.random() * (max - min) + min;
+    // Random helpers draw from a seeded stream (see Random.js), 'world' unless told otherwise
+    static randomFloat(min, max, stream = 'world') {
+        return Random.stream(stream).float(min, max);
     }
     
-    static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    static randomInt(min, max, stream = 'world') {
+        return Random.stream(stream).int(min, max);
     }
     
-    static randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    static randomChoice(array, stream = 'world') {
+        return Random.stream(stream).choice(array);
     }
     
     static degToRad(degrees) {
@@ -104,13 +105,8 @@ class Utils {
     }
     
     // Array utilities
-    static shuffle(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+    static shuffle(array, stream = 'world') {
+        return Random.stream(stream).shuffle(array);
     }
     
     static removeFromArray(array, item) {
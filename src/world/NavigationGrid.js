@@ -0,0 +1,449 @@
+/**
+ * NavigationGrid - Walkability grid and A* pathfinding for Elemelon
+ * Baked from collision bounding boxes so enemies and NPCs can route around obstacles
+ */
+
+class NavigationGrid {
+    constructor(options = {}) {
+        // Grid layout (world is centred on the origin)
+        this.cellSize = options.cellSize || 2;
+        this.worldSize = options.worldSize || 1000;
+        this.agentRadius = options.agentRadius || 1;
+        this.columns = Math.ceil(this.worldSize / this.cellSize);
+        this.rows = this.columns;
+        this.halfSize = (this.columns * this.cellSize) / 2;
+        
+        // Cell data - how many obstacles cover each cell, so removing one leaves the others in place
+        this.blocked = new Uint16Array(this.columns * this.rows);
+        this.streets = new Uint8Array(this.columns * this.rows);
+        this.streetCells = [];
+        
+        // Search settings
+        this.maxIterations = options.maxIterations || 6000;
+        this.offStreetCost = 3; // Extra cost for leaving streets when preferStreets is set
+        
+        // Reusable A* buffers (stamped per search instead of cleared)
+        const cellCount = this.columns * this.rows;
+        this.gScore = new Float32Array(cellCount);
+        this.cameFrom = new Int32Array(cellCount);
+        this.visitStamp = new Uint32Array(cellCount);
+        this.closedStamp = new Uint32Array(cellCount);
+        this.searchId = 0;
+    }
+    
+    // Baking
+    bake(objects) {
+        console.log('🧭 Baking navigation grid...');
+        
+        this.blocked.fill(0);
+        let blockedCount = 0;
+        
+        objects.forEach(object => {
+            blockedCount += this.setObstacle(object, true);
+        });
+        
+        console.log(`🧭 Navigation grid baked: ${this.columns}x${this.rows} cells, ${blockedCount} blocked`);
+    }
+    
+    // Streamed world chunks add and remove their buildings after the bake
+    addObstacle(object) {
+        return this.setObstacle(object, true);
+    }
+    
+    removeObstacle(object) {
+        return this.setObstacle(object, false);
+    }
+    
+    // Adds or removes an object's collision box from the cells under it, returns how many became blocked or free
+    setObstacle(object, blocked) {
+        if (!object || object.userData?.isCollidable === false) return 0;
+        
+        // Collision boxes are stored in world space
+        const box = object.userData?.boundingBox || new THREE.Box3().setFromObject(object);
+        if (box.isEmpty()) return 0;
+        
+        // Anything floating well above head height doesn't block walking
+        if (box.min.y > 3) return 0;
+        
+        const min = this.worldToCell(box.min.x - this.agentRadius, box.min.z - this.agentRadius);
+        const max = this.worldToCell(box.max.x + this.agentRadius, box.max.z + this.agentRadius);
+        let changed = 0;
+        
+        for (let row = Math.max(0, min.row); row <= Math.min(this.rows - 1, max.row); row++) {
+            for (let col = Math.max(0, min.col); col <= Math.min(this.columns - 1, max.col); col++) {
+                const index = row * this.columns + col;
+                if (blocked) {
+                    if (this.blocked[index]++ === 0) changed++;
+                } else if (this.blocked[index] > 0) {
+                    if (--this.blocked[index] === 0) changed++;
+                }
+            }
+        }
+        
+        return changed;
+    }
+    
+    markStreets(points, radius = 2) {
+        // Flag cells along streets/paths so wandering can prefer them
+        const cellRadius = Math.ceil(radius / this.cellSize);
+        
+        points.forEach(point => {
+            const center = this.worldToCell(point.x, point.z);
+            
+            for (let row = center.row - cellRadius; row <= center.row + cellRadius; row++) {
+                for (let col = center.col - cellRadius; col <= center.col + cellRadius; col++) {
+                    if (!this.isInside(col, row)) continue;
+                    
+                    const index = row * this.columns + col;
+                    if (!this.streets[index] && !this.blocked[index]) {
+                        this.streets[index] = 1;
+                        this.streetCells.push(index);
+                    }
+                }
+            }
+        });
+    }
+    
+    // Coordinate helpers
+    worldToCell(x, z) {
+        return {
+            col: Math.floor((x + this.halfSize) / this.cellSize),
+            row: Math.floor((z + this.halfSize) / this.cellSize)
+        };
+    }
+    
+    cellToWorld(col, row) {
+        return new THREE.Vector3(
+            (col + 0.5) * this.cellSize - this.halfSize,
+            0,
+            (row + 0.5) * this.cellSize - this.halfSize
+        );
+    }
+    
+    isInside(col, row) {
+        return col >= 0 && col < this.columns && row >= 0 && row < this.rows;
+    }
+    
+    isWalkableCell(col, row) {
+        return this.isInside(col, row) && !this.blocked[row * this.columns + col];
+    }
+    
+    isWalkable(x, z) {
+        const cell = this.worldToCell(x, z);
+        return this.isWalkableCell(cell.col, cell.row);
+    }
+    
+    isStreet(x, z) {
+        const cell = this.worldToCell(x, z);
+        return this.isInside(cell.col, cell.row) && !!this.streets[cell.row * this.columns + cell.col];
+    }
+    
+    findNearestWalkableCell(col, row, maxRadius = 8) {
+        if (this.isWalkableCell(col, row)) return { col, row };
+        
+        // Search outward in square rings
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            for (let dr = -radius; dr <= radius; dr++) {
+                for (let dc = -radius; dc <= radius; dc++) {
+                    if (Math.abs(dr) !== radius && Math.abs(dc) !== radius) continue;
+                    
+                    if (this.isWalkableCell(col + dc, row + dr)) {
+                        return { col: col + dc, row: row + dr };
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    getRandomStreetPoint(center, radius) {
+        // Random street cell near the given point, or null if none are close
+        const candidates = this.streetCells.filter(index => {
+            const position = this.cellToWorld(index % this.columns, Math.floor(index / this.columns));
+            return Math.abs(position.x - center.x) <= radius && Math.abs(position.z - center.z) <= radius;
+        });
+        
+        if (candidates.length === 0) return null;
+        
+        const index = Random.stream('ai').choice(candidates);
+        return this.cellToWorld(index % this.columns, Math.floor(index / this.columns));
+    }
+    
+    // Line of sight across the grid
+    hasLineOfSight(from, to, requireStreet = false) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const steps = Math.max(1, Math.ceil(distance / (this.cellSize * 0.5)));
+        
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const x = from.x + dx * t;
+            const z = from.z + dz * t;
+            
+            if (!this.isWalkable(x, z)) return false;
+            if (requireStreet && !this.isStreet(x, z)) return false;
+        }
+        
+        return true;
+    }
+    
+    // A* path query
+    findPath(start, goal, options = {}) {
+        const startCell = this.worldToCell(start.x, start.z);
+        const goalCell = this.worldToCell(goal.x, goal.z);
+        
+        const from = this.findNearestWalkableCell(startCell.col, startCell.row);
+        const to = this.findNearestWalkableCell(goalCell.col, goalCell.row);
+        if (!from || !to) return null;
+        
+        const preferStreets = !!options.preferStreets;
+        const maxIterations = options.maxIterations || this.maxIterations;
+        const columns = this.columns;
+        const startIndex = from.row * columns + from.col;
+        const goalIndex = to.row * columns + to.col;
+        
+        this.searchId++;
+        const searchId = this.searchId;
+        
+        const open = new NavigationHeap();
+        this.gScore[startIndex] = 0;
+        this.cameFrom[startIndex] = -1;
+        this.visitStamp[startIndex] = searchId;
+        open.push(startIndex, this.heuristic(from.col, from.row, to.col, to.row));
+        
+        // Keep the closest node we reached in case the goal is cut off
+        let bestIndex = startIndex;
+        let bestHeuristic = Infinity;
+        let iterations = 0;
+        
+        while (open.size() > 0 && iterations < maxIterations) {
+            iterations++;
+            const current = open.pop();
+            
+            if (current === goalIndex) {
+                bestIndex = goalIndex;
+                break;
+            }
+            
+            if (this.closedStamp[current] === searchId) continue;
+            this.closedStamp[current] = searchId;
+            
+            const col = current % columns;
+            const row = (current - col) / columns;
+            
+            const h = this.heuristic(col, row, to.col, to.row);
+            if (h < bestHeuristic) {
+                bestHeuristic = h;
+                bestIndex = current;
+            }
+            
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (dr === 0 && dc === 0) continue;
+                    
+                    const nCol = col + dc;
+                    const nRow = row + dr;
+                    if (!this.isWalkableCell(nCol, nRow)) continue;
+                    
+                    // No cutting corners past blocked cells
+                    const isDiagonal = dr !== 0 && dc !== 0;
+                    if (isDiagonal && (!this.isWalkableCell(col + dc, row) || !this.isWalkableCell(col, row + dr))) continue;
+                    
+                    const neighbor = nRow * columns + nCol;
+                    if (this.closedStamp[neighbor] === searchId) continue;
+                    
+                    let stepCost = isDiagonal ? Math.SQRT2 : 1;
+                    if (preferStreets && !this.streets[neighbor]) {
+                        stepCost *= this.offStreetCost;
+                    }
+                    
+                    const tentative = this.gScore[current] + stepCost;
+                    if (this.visitStamp[neighbor] !== searchId || tentative < this.gScore[neighbor]) {
+                        this.visitStamp[neighbor] = searchId;
+                        this.gScore[neighbor] = tentative;
+                        this.cameFrom[neighbor] = current;
+                        open.push(neighbor, tentative + this.heuristic(nCol, nRow, to.col, to.row));
+                    }
+                }
+            }
+        }
+        
+        // Walk back from the goal (or closest reachable cell)
+        const cells = [];
+        let index = bestIndex;
+        while (index !== -1) {
+            cells.push(index);
+            index = index === startIndex ? -1 : this.cameFrom[index];
+        }
+        cells.reverse();
+        
+        const waypoints = cells.map(cell => this.cellToWorld(cell % columns, Math.floor(cell / columns)));
+        
+        // Finish on the exact goal when it's reachable
+        if (bestIndex === goalIndex && this.isWalkable(goal.x, goal.z)) {
+            waypoints[waypoints.length - 1] = new THREE.Vector3(goal.x, 0, goal.z);
+        }
+        
+        return this.smoothPath(waypoints, preferStreets);
+    }
+    
+    heuristic(col, row, goalCol, goalRow) {
+        // Octile distance for 8-way movement
+        const dx = Math.abs(col - goalCol);
+        const dz = Math.abs(row - goalRow);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    }
+    
+    smoothPath(waypoints, preferStreets = false) {
+        if (waypoints.length <= 2) return waypoints;
+        
+        // String pulling - skip every waypoint we can see past
+        const smoothed = [waypoints[0]];
+        let anchor = 0;
+        
+        while (anchor < waypoints.length - 1) {
+            let next = waypoints.length - 1;
+            
+            while (next > anchor + 1) {
+                const requireStreet = preferStreets &&
+                    this.isStreet(waypoints[anchor].x, waypoints[anchor].z) &&
+                    this.isStreet(waypoints[next].x, waypoints[next].z);
+                
+                if (this.hasLineOfSight(waypoints[anchor], waypoints[next], requireStreet)) break;
+                next--;
+            }
+            
+            smoothed.push(waypoints[next]);
+            anchor = next;
+        }
+        
+        return smoothed;
+    }
+}
+
+// Minimal binary heap keyed by f-score
+class NavigationHeap {
+    constructor() {
+        this.indices = [];
+        this.scores = [];
+    }
+    
+    size() {
+        return this.indices.length;
+    }
+    
+    push(index, score) {
+        this.indices.push(index);
+        this.scores.push(score);
+        
+        let i = this.indices.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[parent] <= this.scores[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+    
+    pop() {
+        const top = this.indices[0];
+        const lastIndex = this.indices.pop();
+        const lastScore = this.scores.pop();
+        
+        if (this.indices.length > 0) {
+            this.indices[0] = lastIndex;
+            this.scores[0] = lastScore;
+            
+            let i = 0;
+            const length = this.indices.length;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                
+                if (left < length && this.scores[left] < this.scores[smallest]) smallest = left;
+                if (right < length && this.scores[right] < this.scores[smallest]) smallest = right;
+                if (smallest === i) break;
+                
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        
+        return top;
+    }
+    
+    swap(a, b) {
+        [this.indices[a], this.indices[b]] = [this.indices[b], this.indices[a]];
+        [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+    }
+}
+
+// Steering helper that follows a path from the navigation grid
+class PathFollower {
+    constructor(navGrid) {
+        this.navGrid = navGrid;
+        this.path = [];
+        this.waypointIndex = 0;
+        this.destination = null;
+        this.waypointRadius = 1;
+        this.turnRate = 8; // How quickly the heading swings toward the next waypoint
+        this.heading = new THREE.Vector3();
+    }
+    
+    setDestination(from, to, options = {}) {
+        this.path = this.navGrid.findPath(from, to, options) || [];
+        this.waypointIndex = this.path.length > 1 ? 1 : 0;
+        this.destination = to.clone();
+        return this.path.length > 0;
+    }
+    
+    hasPath() {
+        return this.waypointIndex < this.path.length;
+    }
+    
+    clear() {
+        this.path = [];
+        this.waypointIndex = 0;
+        this.destination = null;
+    }
+    
+    getSteeringDirection(position, deltaTime) {
+        // Advance past waypoints we've reached
+        while (this.hasPath()) {
+            const waypoint = this.path[this.waypointIndex];
+            const dx = waypoint.x - position.x;
+            const dz = waypoint.z - position.z;
+            
+            if (dx * dx + dz * dz > this.waypointRadius * this.waypointRadius) break;
+            this.waypointIndex++;
+        }
+        
+        if (!this.hasPath()) return null;
+        
+        const waypoint = this.path[this.waypointIndex];
+        const desired = new THREE.Vector3(waypoint.x - position.x, 0, waypoint.z - position.z).normalize();
+        
+        // Ease the heading toward the desired direction instead of snapping
+        if (this.heading.lengthSq() === 0) {
+            this.heading.copy(desired);
+        } else {
+            this.heading.lerp(desired, Math.min(1, this.turnRate * deltaTime));
+            
+            // Opposite headings can cancel out - just take the new direction
+            if (this.heading.lengthSq() < 0.0001) {
+                this.heading.copy(desired);
+            }
+            this.heading.normalize();
+        }
+        
+        return this.heading.clone();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NavigationGrid, NavigationHeap, PathFollower };
+}
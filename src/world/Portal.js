@@ -0,0 +1,257 @@
+/**
+ * Portal - The locked portal in the city center
+ * Opens once all four elements are collected and hosts the final battle with Dr. Hegesh
+ */
+
+class Portal {
+    constructor(game, position) {
+        this.game = game;
+        this.position = position.clone();
+        
+        // Portal state
+        this.isUnlocked = false;
+        this.isCompleted = false;
+        
+        // Visuals
+        this.mesh = null;
+        this.core = null;
+        this.elementGems = {};
+        
+        this.encounter = new FinalBossEncounter(game, this);
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('🌀 Initializing Portal...');
+        
+        this.createMesh();
+        
+        console.log('🌀 Portal initialized');
+    }
+    
+    createMesh() {
+        const portalGroup = new THREE.Group();
+        
+        // Stone ring standing upright on the plaza
+        const ringGeometry = new THREE.TorusGeometry(5, 0.6, 12, 48);
+        const ringMaterial = new THREE.MeshLambertMaterial({ color: 0x505050 });
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.castShadow = true;
+        portalGroup.add(ring);
+        
+        // Swirling surface - dull grey while sealed
+        const coreGeometry = new THREE.CircleGeometry(4.4, 48);
+        const coreMaterial = new THREE.MeshBasicMaterial({
+            color: 0x666666,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide
+        });
+        this.core = new THREE.Mesh(coreGeometry, coreMaterial);
+        portalGroup.add(this.core);
+        
+        // One gem per element around the ring, lit as elements are collected
+        ['water', 'fire', 'wind', 'lightning'].forEach((element, i) => {
+            const angle = Math.PI / 2 - (i / 4) * Math.PI * 2;
+            const gemGeometry = new THREE.OctahedronGeometry(0.6);
+            const gemMaterial = new THREE.MeshBasicMaterial({ color: 0x404040 });
+            const gem = new THREE.Mesh(gemGeometry, gemMaterial);
+            
+            gem.position.set(Math.cos(angle) * 5, Math.sin(angle) * 5, 0.6);
+            portalGroup.add(gem);
+            this.elementGems[element] = gem;
+        });
+        
+        portalGroup.position.set(this.position.x, this.position.y + 6, this.position.z);
+        portalGroup.userData = {
+            type: 'portal',
+            isPortal: true,
+            portal: this,
+            interactable: true
+        };
+        
+        this.mesh = portalGroup;
+        this.game.gameEngine.addToScene(this.mesh);
+    }
+    
+    areAllElementsCollected() {
+        const collectedElements = this.game.getPlayerData().collectedElements;
+        return Object.values(collectedElements).every(Boolean);
+    }
+    
+    update(deltaTime) {
+        this.updateGems();
+        
+        // A finished save keeps its white core, it never goes back to the awakened color
+        if (!this.isUnlocked && !this.isCompleted && this.areAllElementsCollected()) {
+            this.unlock();
+        }
+        
+        // Swirl faster once the portal is open
+        if (this.core) {
+            this.core.rotation.z += deltaTime * (this.isUnlocked ? 2 : 0.2);
+        }
+        
+        this.encounter.update(deltaTime);
+    }
+    
+    updateGems() {
+        const collectedElements = this.game.getPlayerData().collectedElements;
+        
+        Object.entries(this.elementGems).forEach(([element, gem]) => {
+            const color = collectedElements[element] ? Utils.getElementalColor(element) : 0x404040;
+            if (gem.material.color.getHex() !== color) {
+                gem.material.color.setHex(color);
+            }
+        });
+    }
+    
+    unlock() {
+        this.isUnlocked = true;
+        this.core.material.color.setHex(0x9C27B0);
+        this.core.material.opacity = 0.8;
+        
+        console.log('🌀 The portal has awakened!');
+        this.game.uiManager?.showNotification('🌀 The portal in the city center has awakened...', 'success', 4000);
+    }
+    
+    getInteractionPrompt() {
+        if (this.isCompleted) return 'The way home is open';
+        return this.isUnlocked ? 'Press E to step toward the portal' : 'The portal is sealed';
+    }
+    
+    interact() {
+        if (this.isCompleted) {
+            this.game.uiManager?.showNotification('🌈 The world is whole again', 'info', 2000);
+            return;
+        }
+        
+        if (!this.isUnlocked) {
+            const collected = Object.values(this.game.getPlayerData().collectedElements).filter(Boolean).length;
+            this.game.uiManager?.showNotification(`🔒 The portal is sealed. Elements gathered: ${collected}/4`, 'info', 2500);
+            return;
+        }
+        
+        this.encounter.start();
+    }
+    
+    onEncounterComplete() {
+        this.isUnlocked = true;
+        this.isCompleted = true;
+        this.core.material.color.setHex(0xffffff);
+    }
+    
+    dispose() {
+        this.encounter.dispose();
+        
+        if (this.mesh) {
+            this.game.gameEngine.removeFromScene(this.mesh);
+        }
+    }
+}
+
+// Final Boss Encounter
+class FinalBossEncounter {
+    constructor(game, portal) {
+        this.game = game;
+        this.portal = portal;
+        this.boss = null;
+        this.isActive = false;
+        this.isResolving = false;
+    }
+    
+    async start() {
+        if (this.isActive) return;
+        this.isActive = true;
+        
+        console.log('🧪 Starting final encounter with Dr. Hegesh');
+        
+        // Story first, then the fight
+        await this.playCutscene(cutsceneManager => cutsceneManager.playFinalBossCutscene());
+        this.game.gameEngine.resumeGameLoop();
+        this.game.inputManager?.enablePointerLock();
+        
+        this.spawnBoss();
+        this.game.audioManager?.playEnvironmentalAudio('boss');
+    }
+    
+    spawnBoss() {
+        this.boss = new DrHegeshBoss(this.game);
+        this.boss.encounter = this;
+        
+        // Dr. Hegesh steps out in front of the portal
+        this.boss.setPosition(this.portal.position.x, this.portal.position.y, this.portal.position.z - 10);
+        
+        this.game.gameEngine.addToScene(this.boss.mesh);
+        this.game.sceneManager?.enemies.push(this.boss);
+        
+        this.boss.showHealthBar();
+    }
+    
+    update(deltaTime) {
+        if (!this.isActive || !this.boss || this.isResolving) return;
+        
+        if (this.boss.health <= 0) {
+            this.onBossDefeated();
+            return;
+        }
+        
+        const player = this.game.sceneManager?.player;
+        if (player && player.health <= 0) {
+            this.reset();
+        }
+    }
+    
+    async onBossDefeated() {
+        this.isResolving = true;
+        console.log('🏆 Dr. Hegesh defeated!');
+        
+        this.game.uiManager?.hideBossHealthBar();
+        await this.playVictorySequence();
+    }
+    
+    async playVictorySequence() {
+        const playerData = this.game.getPlayerData();
+        playerData.gameProgress = 100;
+        playerData.gameCompleted = true;
+        this.game.saveGame();
+        
+        this.portal.onEncounterComplete();
+        this.game.audioManager?.playEnvironmentalAudio('city');
+        this.game.uiManager?.showNotification('🌈 Color floods back into the world!', 'success', 4000);
+        
+        // Let the player watch the world come back before the ending plays
+        await this.game.sceneManager?.restoreWorldColor(5000);
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        
+        // Ending story, credits, then back to the main menu
+        await this.playCutscene(cutsceneManager => cutsceneManager.playEndingCutscene());
+    }
+    
+    // Enemies and the player hold still while the story plays, the caller decides what resumes
+    async playCutscene(play) {
+        this.game.gameEngine.pauseGameLoop();
+        await play(new CutsceneManager(this.game));
+    }
+    
+    reset() {
+        // Player fell - clear the fight so it can be retried
+        this.isActive = false;
+        this.game.uiManager?.hideBossHealthBar();
+        
+        if (this.boss) {
+            this.boss.dispose();
+            this.boss = null;
+        }
+    }
+    
+    dispose() {
+        this.reset();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Portal, FinalBossEncounter };
+}
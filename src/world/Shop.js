@@ -585,7 +585,8 @@ class Shop {
     
     generateInventoryHTML() {
         return this.inventory.map(item => {
-            const canAfford = this.shopUIData.playerTokens >= item.price;
+            const price = this.getItemPrice(item);
+            const canAfford = this.shopUIData.playerTokens >= price;
             const inStock = item.stock > 0;
             const meetsRequirements = this.checkRequirements(item.requirements);
             
@@ -598,7 +599,7 @@ class Shop {
                         <h3>${item.name}</h3>
                         <p>${item.description}</p>
                         <div class="item-details">
-                            <span class="price">🪙 ${item.price}</span>
+                            <span class="price">🪙 ${price}</span>
                             <span class="stock">Stock: ${item.stock}</span>
                         </div>
                     </div>
@@ -610,6 +611,15 @@ class Shop {
         }).join('');
     }
     
+    getItemPrice(item) {
+        // Deals struck in dialogue apply per shop type, per item or to the whole shop
+        const modifiers = this.game.getPlayerData().priceModifiers?.[this.type];
+        if (!modifiers) return item.price;
+        
+        const multiplier = modifiers[item.id] ?? modifiers.all ?? 1;
+        return Math.max(1, Math.round(item.price * multiplier));
+    }
+    
     checkRequirements(requirements) {
         if (!requirements || requirements.length === 0) return true;
         
@@ -660,7 +670,7 @@ class Shop {
         if (!player) return;
         
         // Check if player can afford item
-        if (player.tokens < item.price) {
+        if (player.tokens < this.getItemPrice(item)) {
             this.showShopMessage('Not enough tokens!', 'error');
             return;
         }
@@ -693,8 +703,10 @@ class Shop {
     }
     
     processPurchase(player, item) {
+        const price = this.getItemPrice(item);
+        
         // Deduct tokens
-        if (!player.spendTokens(item.price)) {
+        if (!player.spendTokens(price)) {
             return false;
         }
         
@@ -717,7 +729,7 @@ class Shop {
             return true;
         } else {
             // Refund tokens if item couldn't be added
-            player.addTokens(item.price);
+            player.addTokens(price);
             this.showShopMessage('Inventory full!', 'error');
             return false;
         }
@@ -786,7 +798,7 @@ class Shop {
         });
         
         // Add new items occasionally
-        if (Math.random() < 0.3) {
+        if (Random.stream('loot').chance(0.3)) {
             this.addSpecialItems();
         }
     }
@@ -4,23 +4,34 @@
  */
 
 class Temple {
-    constructor(game, type, position) {
+    constructor(game, type, position, options = {}) {
         this.game = game;
         this.type = type; // water, fire, wind, lightning
         this.position = position;
+        this.options = options; // exterior: an existing shell to use instead of building one
         
         // Temple properties
         this.isCompleted = false;
         this.isUnlocked = true;
         this.difficulty = 1;
         
-        // Temple structure
+        // Temple structure - the interior group is rendered in its own scene
         this.mesh = null;
+        this.interior = null;
+        this.door = null;
         this.interiorObjects = [];
         this.puzzleElements = [];
+        this.torches = [];
+        this.crystals = [];
+        this.exitBarrier = null;
+        this.isExitSealed = false;
         
         // Temple systems
         this.puzzleManager = null;
+        this.flowPuzzle = null;
+        this.flamePuzzle = null;
+        this.windPuzzle = null;
+        this.circuitPuzzle = null;
         this.bossEncounter = null;
         this.rewards = [];
         
@@ -35,19 +46,37 @@ class Temple {
         console.log(`🏛️ Initializing ${this.type} Temple...`);
         
         // Create temple structure
-        this.createTempleStructure();
+        if (this.options.exterior) {
+            this.useExterior(this.options.exterior);
+        } else {
+            this.createTempleStructure();
+        }
         
         // Setup temple systems
         this.setupPuzzleSystem();
         this.setupBossEncounter();
         this.setupRewards();
         
-        // Add visual effects
-        this.createVisualEffects();
+        // Add visual effects (shells built elsewhere bring their own)
+        if (!this.options.exterior) {
+            this.createVisualEffects();
+        }
         
         console.log(`🏛️ ${this.type} Temple initialized`);
     }
     
+    useExterior(group) {
+        // The shell is already in the world, it only needs an interior and a way in
+        this.mesh = group;
+        this.mesh.userData.temple = this;
+        
+        this.createInterior(group);
+        
+        // The door goes on the front face of the shell's collision box
+        const bounds = new THREE.Box3().setFromObject(group);
+        this.createEntrance(group, bounds.max.z - group.position.z + 0.3);
+    }
+    
     createTempleStructure() {
         const templeGroup = new THREE.Group();
         
@@ -183,13 +212,18 @@ class Temple {
     }
     
     createInterior(group) {
-        // Interior will be created when player enters
+        // Interior will be created when player enters, TempleInteriorScene renders it
+        this.interior = new THREE.Group();
+        this.interior.userData = { temple: this };
+        
         this.createInteriorLayout();
     }
     
     createInteriorLayout() {
-        // Define interior layout
+        // Define interior layout - bounds are the inside walls, which can be
+        // much larger than the shell seen from outside
         this.interiorLayout = {
+            bounds: { minX: -16, maxX: 16, minZ: -28, maxZ: 14 },
             entrance: { x: 0, z: 12 },
             altar: { x: 0, z: -10 },
             puzzleAreas: [
@@ -199,9 +233,19 @@ class Temple {
             ],
             bossArea: { x: 0, z: -15, radius: 8 }
         };
+        
+        // The wind temple's block puzzle needs a second plate
+        if (this.type === 'wind') {
+            this.interiorLayout.puzzleAreas.push({ x: -7, z: 8, type: 'pressure_plate' });
+        }
+        
+        // The lightning temple's circuit runs through two breakers
+        if (this.type === 'lightning') {
+            this.interiorLayout.puzzleAreas.push({ x: 8, z: 2, type: 'switch' });
+        }
     }
     
-    createEntrance(group) {
+    createEntrance(group, frontZ = 12.8) {
         // Temple entrance door
         const doorGeometry = new THREE.BoxGeometry(4, 8, 0.5);
         const doorMaterial = new THREE.MeshLambertMaterial({
@@ -211,7 +255,15 @@ class Temple {
         });
         
         const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.set(0, 4, 12.8);
+        door.position.set(0, 4, frontZ);
+        
+        // Walking up to the door is how the interior is entered
+        door.userData = {
+            type: this.type,
+            isTemple: true,
+            temple: this,
+            interactable: true
+        };
         
         group.add(door);
         
@@ -222,7 +274,7 @@ class Temple {
         });
         
         const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-        frame.position.set(0, 4.5, 12.5);
+        frame.position.set(0, 4.5, frontZ - 0.3);
         
         group.add(frame);
         
@@ -244,6 +296,7 @@ class Temple {
     
     setupPuzzleSystem() {
         this.puzzleManager = new TemplePuzzleManager(this.game, this.type);
+        this.puzzleManager.setTemple(this);
         
         // Define temple-specific puzzles
         this.definePuzzles();
@@ -403,11 +456,30 @@ class Temple {
         // Initialize temple interior
         this.initializeTempleInterior();
         
+        // Route elemental powers to this temple's puzzle elements
+        if (this.game.sceneManager) {
+            this.game.sceneManager.activeTemple = this;
+        }
+        
         // Start puzzle system
         this.puzzleManager?.startPuzzles();
     }
     
+    onPlayerExit(player) {
+        console.log(`🏛️ Player left ${this.type} temple`);
+        
+        if (this.game.sceneManager?.activeTemple === this) {
+            this.game.sceneManager.activeTemple = null;
+        }
+        
+        this.game.audioManager?.playEnvironmentalAudio('city');
+    }
+    
     initializeTempleInterior() {
+        // The interior is only built on the first visit
+        if (this.isInteriorReady) return;
+        this.isInteriorReady = true;
+        
         // Create interior objects when player enters
         this.createInteriorObjects();
         
@@ -444,7 +516,7 @@ class Temple {
             this.interiorLayout.altar.z
         );
         
-        this.mesh.add(altar);
+        this.interior.add(altar);
         this.altar = altar;
     }
     
@@ -466,7 +538,8 @@ class Temple {
         torchPositions.forEach(pos => {
             const torch = this.createTorch();
             torch.position.set(pos.x, 0, pos.z);
-            this.mesh.add(torch);
+            this.interior.add(torch);
+            this.torches.push(torch);
         });
     }
     
@@ -492,6 +565,12 @@ class Temple {
         torchGroup.add(post);
         torchGroup.add(flame);
         
+        torchGroup.userData = {
+            type: 'torch',
+            isLit: true,
+            flame: flame
+        };
+        
         return torchGroup;
     }
     
@@ -504,8 +583,9 @@ class Temple {
         
         crystalPositions.forEach(pos => {
             const crystal = this.createCrystal();
-            crystal.position.set(pos.x, 0, pos.z);
-            this.mesh.add(crystal);
+            crystal.position.set(pos.x, 1.5, pos.z);
+            this.interior.add(crystal);
+            this.crystals.push(crystal);
         });
     }
     
@@ -522,6 +602,11 @@ class Temple {
         const crystal = new THREE.Mesh(crystalGeometry, crystalMaterial);
         crystal.position.y = 1.5;
         
+        crystal.userData = {
+            type: 'crystal',
+            isPowered: false
+        };
+        
         return crystal;
     }
     
@@ -538,7 +623,8 @@ class Temple {
         symbol.rotation.x = -Math.PI / 2;
         symbol.position.set(0, 0.1, 0);
         
-        this.mesh.add(symbol);
+        this.interior.add(symbol);
+        this.elementalSymbol = symbol;
     }
     
     createInteractiveObjects() {
@@ -554,7 +640,7 @@ class Temple {
             .forEach(area => {
                 const switchObj = this.createSwitch();
                 switchObj.position.set(area.x, 0, area.z);
-                this.mesh.add(switchObj);
+                this.interior.add(switchObj);
                 this.puzzleElements.push(switchObj);
             });
     }
@@ -594,7 +680,7 @@ class Temple {
             .forEach(area => {
                 const plate = this.createPressurePlate();
                 plate.position.set(area.x, 0, area.z);
-                this.mesh.add(plate);
+                this.interior.add(plate);
                 this.puzzleElements.push(plate);
             });
     }
@@ -633,27 +719,258 @@ class Temple {
     }
     
     createWaterPuzzleElements() {
-        // Water flow channels, dams, etc.
+        // Water flow channels and valves feeding the crystals
         console.log('🌊 Creating water puzzle elements');
+        
+        this.flowPuzzle = new FlowControlPuzzle(this.game, this);
+        this.flowPuzzle.create();
     }
     
     createFirePuzzleElements() {
-        // Torch sequences, fire barriers, etc.
+        // Torches lit in the order hinted around the elemental symbol
         console.log('🔥 Creating fire puzzle elements');
+        
+        this.flamePuzzle = new FlameSequencePuzzle(this.game, this);
+        this.flamePuzzle.create();
     }
     
     createWindPuzzleElements() {
-        // Wind currents, moveable objects, etc.
+        // Fans, pushable blocks and the pressure plates they belong on
         console.log('💨 Creating wind puzzle elements');
+        
+        this.windPuzzle = new WindCurrentsPuzzle(this.game, this);
+        this.windPuzzle.create();
     }
     
     createLightningPuzzleElements() {
-        // Electrical circuits, conductors, etc.
+        // Conductors, movable wires and breaker switches wired to the altar
         console.log('⚡ Creating lightning puzzle elements');
+        
+        this.circuitPuzzle = new CircuitCompletionPuzzle(this.game, this);
+        this.circuitPuzzle.create();
+    }
+    
+    // Elemental power reactions
+    applyElementalPower(element, context) {
+        const affected = [];
+        const origin = context.origin;
+        const targets = [...this.torches, ...this.puzzleElements];
+        
+        targets.forEach(object => {
+            const position = new THREE.Vector3();
+            object.getWorldPosition(position);
+            
+            if (!this.isInPowerArea(position, context)) return;
+            
+            switch (element) {
+                case 'fire':
+                    // Flames light any torch they reach, sequence torches count as a step
+                    if (object.userData.type === 'torch' && !object.userData.isLit) {
+                        if (object.userData.puzzle === 'flame_sequence') {
+                            this.flamePuzzle?.lightTorch(object);
+                        } else {
+                            this.setTorchLit(object, true);
+                        }
+                        affected.push(object);
+                    }
+                    break;
+                    
+                case 'water':
+                    // Water puts torches out
+                    if (object.userData.type === 'torch' && object.userData.isLit) {
+                        this.setTorchLit(object, false);
+                        this.flamePuzzle?.onTorchExtinguished(object);
+                        affected.push(object);
+                    }
+                    break;
+                    
+                case 'lightning':
+                    // Lightning charges switches and other conductive elements
+                    if (object.userData.puzzle === 'circuit_completion' && object.userData.type === 'switch') {
+                        // Breakers in the circuit close as if thrown by hand
+                        this.circuitPuzzle?.setSwitch(object, true);
+                        affected.push(object);
+                    } else if (object.userData.type === 'switch' || object.userData.conductive) {
+                        this.powerElement(object);
+                        affected.push(object);
+                    }
+                    break;
+                    
+                case 'wind':
+                    // Gusts nudge anything marked as pushable
+                    if (object.userData.pushable && context.direction) {
+                        if (object.userData.puzzle === 'wind_currents') {
+                            this.windPuzzle?.pushBlock(object, context.direction);
+                        } else {
+                            object.position.add(context.direction.clone().multiplyScalar(1));
+                        }
+                        affected.push(object);
+                    }
+                    break;
+            }
+        });
+        
+        if (affected.length > 0) {
+            console.log(`✨ ${element} power affected ${affected.length} puzzle element(s) in the ${this.type} temple`);
+        }
+        
+        return affected;
+    }
+    
+    isInPowerArea(position, context) {
+        const toTarget = position.clone().sub(context.origin);
+        toTarget.y = 0;
+        
+        if (toTarget.length() > context.radius) return false;
+        
+        // Cone shaped powers also check the angle
+        if (context.angle && context.direction && toTarget.lengthSq() > 0) {
+            return context.direction.angleTo(toTarget) <= context.angle / 2;
+        }
+        
+        return true;
+    }
+    
+    setTorchLit(torch, isLit) {
+        torch.userData.isLit = isLit;
+        
+        const flame = torch.userData.flame;
+        if (flame) {
+            flame.visible = isLit;
+        }
+        
+        console.log(`🔥 Torch ${isLit ? 'lit' : 'extinguished'}`);
+    }
+    
+    powerElement(object) {
+        object.userData.isPowered = true;
+        object.userData.isActive = true;
+        
+        // Powered elements keep an electric glow on every mesh
+        object.traverse(child => {
+            if (child.material && child.material.emissive) {
+                child.material.emissive.setHex(0xffff40);
+                child.material.emissiveIntensity = 0.6;
+            }
+        });
+        
+        console.log(`⚡ ${object.userData.type || 'Element'} powered`);
+    }
+    
+    // Puzzle element interaction - tiles, valves and other hands-on pieces
+    getNearbyInteractables(position, radius) {
+        const elementPosition = new THREE.Vector3();
+        
+        return [...this.torches, ...this.puzzleElements]
+            .filter(object => object.userData.isPuzzleElement)
+            .map(object => {
+                object.getWorldPosition(elementPosition);
+                return { object, distance: position.distanceTo(elementPosition) };
+            })
+            .filter(entry => entry.distance <= radius)
+            .sort((a, b) => a.distance - b.distance)
+            .map(entry => entry.object);
+    }
+    
+    getPuzzleHandler(object) {
+        const handlers = {
+            flow_control: this.flowPuzzle,
+            flame_sequence: this.flamePuzzle,
+            wind_currents: this.windPuzzle,
+            circuit_completion: this.circuitPuzzle
+        };
+        
+        return handlers[object.userData.puzzle] || null;
+    }
+    
+    interactWithElement(object) {
+        this.getPuzzleHandler(object)?.interact(object);
+    }
+    
+    getInteractionPrompt(object) {
+        return this.getPuzzleHandler(object)?.getInteractionPrompt(object) || 'Press E to interact';
+    }
+    
+    // Per-save puzzle data (e.g. randomized orders) lives with the player data
+    getSavedPuzzleState() {
+        const playerData = this.game.getPlayerData();
+        if (!playerData.templePuzzles) {
+            playerData.templePuzzles = {};
+        }
+        if (!playerData.templePuzzles[this.type]) {
+            playerData.templePuzzles[this.type] = {};
+        }
+        
+        return playerData.templePuzzles[this.type];
+    }
+    
+    // Puzzles draw from their own stream seeded per save, so weather and other world draws never shift them
+    createPuzzleRandom(key) {
+        const playerData = this.game.getPlayerData();
+        if (playerData.puzzleSeed == null) {
+            playerData.puzzleSeed = Random.generateSeed();
+        }
+        
+        return new RandomStream(Random.hash(`${playerData.puzzleSeed}:${this.type}:${key}`));
+    }
+    
+    // Arena lock - the entrance is sealed while the boss is alive
+    sealExit() {
+        if (this.isExitSealed) return;
+        
+        const barrierGeometry = new THREE.BoxGeometry(5, 9, 1);
+        const barrierMaterial = new THREE.MeshBasicMaterial({
+            color: this.getElementalColor(),
+            transparent: true,
+            opacity: 0.5
+        });
+        
+        const barrier = new THREE.Mesh(barrierGeometry, barrierMaterial);
+        barrier.position.set(this.interiorLayout.entrance.x, 4.5, this.interiorLayout.bounds.maxZ - 0.5);
+        this.interior.add(barrier);
+        
+        // Collision boxes are kept in world space
+        this.interior.updateMatrixWorld(true);
+        barrier.userData = {
+            isCollidable: true,
+            isArenaBarrier: true,
+            boundingBox: new THREE.Box3().setFromObject(barrier)
+        };
+        this.game.sceneManager?.collisionObjects?.push(barrier);
+        
+        this.exitBarrier = barrier;
+        this.isExitSealed = true;
+        
+        this.game.audioManager?.playSound('doorOpen');
+        this.game.uiManager?.showNotification('🔒 The temple doors seal shut!', 'warning', 2500);
+    }
+    
+    unsealExit() {
+        if (!this.isExitSealed) return;
+        
+        const collisionObjects = this.game.sceneManager?.collisionObjects;
+        if (collisionObjects) {
+            const index = collisionObjects.indexOf(this.exitBarrier);
+            if (index > -1) {
+                collisionObjects.splice(index, 1);
+            }
+        }
+        
+        this.interior.remove(this.exitBarrier);
+        this.exitBarrier.geometry.dispose();
+        this.exitBarrier.material.dispose();
+        this.exitBarrier = null;
+        this.isExitSealed = false;
+        
+        this.game.audioManager?.playSound('doorOpen');
+        this.game.uiManager?.showNotification('🔓 The temple doors open', 'info', 2000);
     }
     
     // Temple completion
     onPuzzlesSolved() {
+        // Temples that already gave up their element have nothing left to unlock
+        if (this.isCompleted || this.game.getPlayerData().collectedElements[this.type]) return;
+        
         console.log(`🧩 ${this.type} temple puzzles solved!`);
         
         // Unlock boss encounter
@@ -711,6 +1028,9 @@ class Temple {
         // Update game progress
         const totalTemples = 4;
         playerData.gameProgress = (playerData.completedTemples / totalTemples) * 100;
+        
+        // Unlock the matching ability
+        player.elementalPowers?.onPowerUnlocked(this.type);
     }
     
     playPuzzleSolvedEffects() {
@@ -757,6 +1077,10 @@ class Temple {
         
         // Update puzzle system
         this.puzzleManager?.update(deltaTime);
+        this.flowPuzzle?.update(deltaTime);
+        this.flamePuzzle?.update(deltaTime);
+        this.windPuzzle?.update(deltaTime);
+        this.circuitPuzzle?.update(deltaTime);
         
         // Update boss encounter
         this.bossEncounter?.update(deltaTime);
@@ -767,12 +1091,17 @@ class Temple {
         if (this.ambientParticles) {
             this.ambientParticles.rotation.y += deltaTime * 0.5;
             
+            // Draw fewer when the adaptive quality has scaled particles down
+            const geometry = this.ambientParticles.geometry;
+            const count = Math.ceil(geometry.attributes.position.count * (this.game.gameEngine.getParticleScale?.() ?? 1));
+            geometry.setDrawRange(0, count);
+            
             // Animate particle positions
-            const positions = this.ambientParticles.geometry.attributes.position.array;
-            for (let i = 1; i < positions.length; i += 3) {
+            const positions = geometry.attributes.position.array;
+            for (let i = 1; i < count * 3; i += 3) {
                 positions[i] += Math.sin(Date.now() * 0.001 + i) * 0.01;
             }
-            this.ambientParticles.geometry.attributes.position.needsUpdate = true;
+            geometry.attributes.position.needsUpdate = true;
         }
         
         // Animate elemental aura
@@ -791,8 +1120,17 @@ class Temple {
             this.game.gameEngine.removeFromScene(this.mesh);
         }
         
+        if (this.game.sceneManager?.activeTemple === this) {
+            this.game.sceneManager.activeTemple = null;
+        }
+        
         this.puzzleManager?.dispose();
+        this.flowPuzzle?.dispose();
+        this.flamePuzzle?.dispose();
+        this.windPuzzle?.dispose();
+        this.circuitPuzzle?.dispose();
         this.bossEncounter?.dispose();
+        this.unsealExit();
         
         console.log(`🏛️ ${this.type} Temple disposed`);
     }
@@ -806,15 +1144,42 @@ class TemplePuzzleManager {
         this.puzzles = [];
         this.activePuzzles = [];
         this.completedPuzzles = [];
+        this.temple = null;
+        
+        // Shared puzzle logic by puzzle type, saved through the game's PuzzleSystem
+        this.logic = {};
+    }
+    
+    setTemple(temple) {
+        this.temple = temple;
     }
     
     addPuzzle(puzzleData) {
         this.puzzles.push(puzzleData);
+        
+        const logic = PuzzleSystem.createPuzzle(`${this.templeType}_${puzzleData.type}`, puzzleData.type);
+        if (!logic) return;
+        
+        logic.temple = this.templeType;
+        logic.on('solved', () => this.solvePuzzle(this.activePuzzles.indexOf(puzzleData)));
+        
+        this.game.puzzleSystem?.register(logic);
+        this.logic[puzzleData.type] = logic;
+    }
+    
+    getLogic(type) {
+        return this.logic[type] || null;
     }
     
     startPuzzles() {
-        this.activePuzzles = [...this.puzzles];
+        // Puzzles solved in this save stay solved
+        this.activePuzzles = this.puzzles.filter(puzzle => !this.getLogic(puzzle.type)?.isSolved);
+        this.completedPuzzles = this.puzzles.filter(puzzle => !this.activePuzzles.includes(puzzle));
         console.log(`🧩 Started ${this.activePuzzles.length} puzzles for ${this.templeType} temple`);
+        
+        if (this.activePuzzles.length === 0 && this.puzzles.length > 0) {
+            this.onAllPuzzlesSolved();
+        }
     }
     
     solvePuzzle(puzzleIndex) {
@@ -824,6 +1189,8 @@ class TemplePuzzleManager {
             
             console.log(`🧩 Solved puzzle: ${puzzle.description}`);
             
+            this.game.questSystem?.trigger('puzzle', { puzzle: puzzle.type, temple: this.templeType });
+            
             if (this.activePuzzles.length === 0) {
                 this.onAllPuzzlesSolved();
             }
@@ -833,7 +1200,7 @@ class TemplePuzzleManager {
     onAllPuzzlesSolved() {
         console.log(`🧩 All ${this.templeType} temple puzzles solved!`);
         // Notify temple
-        // this.temple?.onPuzzlesSolved();
+        this.temple?.onPuzzlesSolved();
     }
     
     update(deltaTime) {
@@ -841,80 +1208,1776 @@ class TemplePuzzleManager {
     }
     
     dispose() {
+        Object.values(this.logic).forEach(logic => this.game.puzzleSystem?.unregister(logic.id));
+        
         this.puzzles = [];
         this.activePuzzles = [];
         this.completedPuzzles = [];
+        this.logic = {};
     }
 }
 
-// Temple Boss Encounter
-class TempleBossEncounter {
-    constructor(game, templeType) {
+// Water Temple Flow Puzzle
+// Rotatable channel tiles and valves route water from the source basin to the crystals
+class FlowControlPuzzle {
+    constructor(game, temple) {
         this.game = game;
-        this.templeType = templeType;
-        this.temple = null;
-        this.boss = null;
-        this.isActive = false;
+        this.temple = temple;
+        
+        // Grid in temple space - row 0 sits by the source near the entrance,
+        // the last row drains towards the crystals at the back
+        this.rows = 5;
+        this.columns = 5;
+        this.tileSize = 2.5;
+        this.origin = { x: -5, z: 6 };
+        this.sourceColumn = 2;
+        
+        this.tiles = [];
+        this.outlets = [];
+        this.meshes = [];
+        this.logic = null;
+        this.isSolved = false;
+        this.random = null;
+        
+        this.waterColor = 0x40a0ff;
     }
     
-    setTemple(temple) {
-        this.temple = temple;
+    create() {
+        // Crystals report to the shared puzzle logic, which decides when the puzzle is solved
+        this.logic = this.temple.puzzleManager.getLogic('flow_control');
+        
+        this.createSource();
+        
+        // The same starting scramble on every visit, then the turns saved since
+        this.random = this.temple.createPuzzleRandom('flow_control');
+        const rotations = this.logic?.data.rotations || [];
+        FlowControlPuzzle.layout.forEach((tileData, index) => {
+            const tile = this.createTile(tileData, rotations[index]);
+            this.tiles.push(tile);
+            this.temple.puzzleElements.push(tile);
+        });
+        
+        FlowControlPuzzle.outlets.forEach(outletData => {
+            this.outlets.push(this.createOutlet(outletData));
+        });
+        
+        // Valve levers drive the sluice doors, which open their channel
+        this.logic?.on('componentChanged', component => {
+            if (component.type === 'door') this.onSluiceChanged(component);
+        });
+        this.tiles.filter(tile => tile.userData.type === 'valve').forEach(tile => {
+            const sluice = this.logic?.getComponent(tile.userData.sluice);
+            if (sluice && tile.userData.gate) {
+                sluice.bindMesh(tile.userData.gate);
+            }
+            this.setValveOpen(tile, !!sluice?.isOn);
+        });
+        
+        // Solved in an earlier visit - lay the channels out the way they were left
+        if (this.logic?.isSolved) {
+            this.showSolved();
+        }
+        
+        this.updateFlow();
+        this.logic?.on('solved', () => this.onSolved());
     }
     
-    prepare() {
-        // Prepare boss encounter
-        console.log(`👹 Preparing ${this.templeType} temple boss encounter`);
+    showSolved() {
+        this.isSolved = true;
+        
+        FlowControlPuzzle.layout.forEach(tileData => {
+            const tile = this.getTile(tileData.row, tileData.column);
+            
+            tile.userData.rotation = tileData.rotation;
+            tile.userData.targetRotation = tileData.rotation * Math.PI / 2;
+            tile.rotation.y = tile.userData.targetRotation;
+            
+            if (tile.userData.type === 'valve') {
+                this.logic?.getComponent(tile.userData.valve)?.setOn(true);
+            }
+        });
     }
     
-    activate() {
-        if (!this.isActive) {
-            this.isActive = true;
-            this.spawnBoss();
-            console.log(`👹 Activated ${this.templeType} temple boss encounter`);
+    getTilePosition(row, column) {
+        return {
+            x: this.origin.x + column * this.tileSize,
+            z: this.origin.z - row * this.tileSize
+        };
+    }
+    
+    addMesh(mesh) {
+        this.temple.interior.add(mesh);
+        this.meshes.push(mesh);
+    }
+    
+    createWaterMaterial() {
+        return new THREE.MeshBasicMaterial({
+            color: this.waterColor,
+            transparent: true,
+            opacity: 0.7
+        });
+    }
+    
+    createSource() {
+        const basinGroup = new THREE.Group();
+        
+        const basinGeometry = new THREE.CylinderGeometry(1.4, 1.6, 0.8, 16);
+        const basinMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
+        const basin = new THREE.Mesh(basinGeometry, basinMaterial);
+        basin.position.y = 0.4;
+        
+        const surfaceGeometry = new THREE.CircleGeometry(1.2, 16);
+        const surface = new THREE.Mesh(surfaceGeometry, this.createWaterMaterial());
+        surface.rotation.x = -Math.PI / 2;
+        surface.position.y = 0.82;
+        
+        basinGroup.add(basin);
+        basinGroup.add(surface);
+        
+        const position = this.getTilePosition(-1, this.sourceColumn);
+        basinGroup.position.set(position.x, 0, position.z);
+        this.addMesh(basinGroup);
+        
+        this.sourceSurface = surface;
+    }
+    
+    createTile(tileData, savedRotation) {
+        const tileGroup = new THREE.Group();
+        const openings = FlowControlPuzzle.shapes[tileData.shape];
+        
+        // Stone slab
+        const slabGeometry = new THREE.BoxGeometry(this.tileSize * 0.95, 0.2, this.tileSize * 0.95);
+        const slabMaterial = new THREE.MeshLambertMaterial({ color: tileData.valve ? 0x4a5560 : 0x6a6a6a });
+        const slab = new THREE.Mesh(slabGeometry, slabMaterial);
+        slab.position.y = 0.1;
+        tileGroup.add(slab);
+        
+        // Channel arms and the water running through them share a material per tile
+        const channelMaterial = new THREE.MeshLambertMaterial({ color: 0x3a3a3a });
+        const waterMaterial = this.createWaterMaterial();
+        const water = [];
+        
+        const hub = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.1, 0.8), channelMaterial);
+        hub.position.y = 0.25;
+        tileGroup.add(hub);
+        
+        const hubWater = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.06, 0.6), waterMaterial);
+        hubWater.position.y = 0.32;
+        tileGroup.add(hubWater);
+        water.push(hubWater);
+        
+        openings.forEach(direction => {
+            const offset = FlowControlPuzzle.offsets[direction];
+            const length = this.tileSize / 2;
+            const alongX = offset.x !== 0;
+            
+            const arm = new THREE.Mesh(
+                new THREE.BoxGeometry(alongX ? length : 0.8, 0.1, alongX ? 0.8 : length),
+                channelMaterial
+            );
+            arm.position.set(offset.x * length / 2, 0.25, offset.z * length / 2);
+            tileGroup.add(arm);
+            
+            const armWater = new THREE.Mesh(
+                new THREE.BoxGeometry(alongX ? length : 0.6, 0.06, alongX ? 0.6 : length),
+                waterMaterial
+            );
+            armWater.position.set(offset.x * length / 2, 0.32, offset.z * length / 2);
+            tileGroup.add(armWater);
+            water.push(armWater);
+        });
+        
+        // Valves get a wheel and a gate that blocks the channel while closed
+        let wheel = null;
+        let gate = null;
+        if (tileData.valve) {
+            wheel = new THREE.Mesh(
+                new THREE.TorusGeometry(0.5, 0.1, 8, 16),
+                new THREE.MeshLambertMaterial({ color: 0xB22222 })
+            );
+            wheel.position.set(0.9, 0.9, 0);
+            wheel.rotation.y = Math.PI / 2;
+            tileGroup.add(wheel);
+            
+            gate = new THREE.Mesh(
+                new THREE.BoxGeometry(1, 0.6, 0.2),
+                new THREE.MeshLambertMaterial({ color: 0x444444 })
+            );
+            gate.position.y = 0.5;
+            tileGroup.add(gate);
         }
+        
+        const position = this.getTilePosition(tileData.row, tileData.column);
+        tileGroup.position.set(position.x, 0, position.z);
+        
+        // Channels start scrambled, valves keep their orientation and start closed
+        const scrambled = tileData.valve ? tileData.rotation : this.random.int(0, 3);
+        const rotation = savedRotation ?? scrambled;
+        tileGroup.rotation.y = rotation * Math.PI / 2;
+        
+        // Valves are numbered in layout order to match their lever and sluice components
+        const valveIndex = this.tiles.filter(tile => tile.userData.type === 'valve').length;
+        
+        tileGroup.userData = {
+            type: tileData.valve ? 'valve' : 'pipe',
+            puzzle: 'flow_control',
+            isPuzzleElement: true,
+            interactable: true,
+            row: tileData.row,
+            column: tileData.column,
+            shape: tileData.shape,
+            rotation: rotation,
+            targetRotation: tileGroup.rotation.y,
+            isOpen: !tileData.valve,
+            flowDistance: -1,
+            water: water,
+            waterMaterial: waterMaterial,
+            wheel: wheel,
+            gate: gate,
+            valve: tileData.valve ? `valve_${valveIndex}` : null,
+            sluice: tileData.valve ? `sluice_${valveIndex}` : null
+        };
+        
+        this.addMesh(tileGroup);
+        return tileGroup;
     }
     
-    spawnBoss() {
-        // Create temple boss based on type
-        switch (this.templeType) {
-            case 'water':
-                this.boss = new WaterTempleBoss(this.game);
-                break;
-            case 'fire':
-                this.boss = new FireTempleBoss(this.game);
-                break;
-            default:
-                this.boss = new Enemy(this.game, `${this.templeType}_boss`);
-                break;
+    createOutlet(outletData) {
+        // Channel from the last row down to the crystal it feeds
+        const crystal = this.temple.crystals[outletData.crystal];
+        const start = this.getTilePosition(this.rows - 1, outletData.column);
+        const startZ = start.z - this.tileSize / 2;
+        const endZ = crystal ? crystal.position.z : startZ - 3;
+        const length = Math.abs(startZ - endZ);
+        
+        const channelGroup = new THREE.Group();
+        
+        const channel = new THREE.Mesh(
+            new THREE.BoxGeometry(0.8, 0.1, length),
+            new THREE.MeshLambertMaterial({ color: 0x3a3a3a })
+        );
+        channel.position.y = 0.05;
+        channelGroup.add(channel);
+        
+        const waterMaterial = this.createWaterMaterial();
+        const water = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.06, length), waterMaterial);
+        water.position.y = 0.12;
+        water.visible = false;
+        channelGroup.add(water);
+        
+        channelGroup.position.set(start.x, 0, (startZ + endZ) / 2);
+        this.addMesh(channelGroup);
+        
+        // Light that switches on when the crystal is fed
+        let light = null;
+        if (crystal) {
+            light = new THREE.PointLight(this.waterColor, 0, 12);
+            crystal.add(light);
         }
         
-        if (this.boss && this.temple) {
-            // Position boss in temple
-            const bossArea = this.temple.interiorLayout.bossArea;
-            this.boss.setPosition(bossArea.x, 0, bossArea.z);
+        return {
+            column: outletData.column,
+            crystalIndex: outletData.crystal,
+            crystal: crystal,
+            light: light,
+            water: water,
+            waterMaterial: waterMaterial,
+            isFed: false,
+            flowDistance: -1
+        };
+    }
+    
+    getTile(row, column) {
+        return this.tiles.find(tile => tile.userData.row === row && tile.userData.column === column) || null;
+    }
+    
+    getOpenings(tile) {
+        return FlowControlPuzzle.shapes[tile.userData.shape].map(direction => (direction + tile.userData.rotation) % 4);
+    }
+    
+    canFlowInto(tile, fromDirection) {
+        return tile.userData.isOpen && this.getOpenings(tile).includes(fromDirection);
+    }
+    
+    // Breadth-first flood from the source through every connected opening
+    updateFlow() {
+        this.tiles.forEach(tile => {
+            tile.userData.flowDistance = -1;
+        });
+        
+        const queue = [];
+        const firstTile = this.getTile(0, this.sourceColumn);
+        
+        // The source pours in from the north edge of the first row
+        if (firstTile && this.canFlowInto(firstTile, 0)) {
+            firstTile.userData.flowDistance = 0;
+            queue.push(firstTile);
+        }
+        
+        while (queue.length > 0) {
+            const tile = queue.shift();
             
-            // Add boss to scene
-            this.game.gameEngine.addToScene(this.boss.mesh);
+            this.getOpenings(tile).forEach(direction => {
+                const step = FlowControlPuzzle.steps[direction];
+                const next = this.getTile(tile.userData.row + step.row, tile.userData.column + step.column);
+                
+                if (!next || next.userData.flowDistance >= 0) return;
+                if (!this.canFlowInto(next, (direction + 2) % 4)) return;
+                
+                next.userData.flowDistance = tile.userData.flowDistance + 1;
+                queue.push(next);
+            });
         }
+        
+        // Show water in every tile it reached
+        this.tiles.forEach(tile => {
+            const isWet = tile.userData.flowDistance >= 0;
+            tile.userData.water.forEach(mesh => {
+                mesh.visible = isWet;
+            });
+        });
+        
+        this.updateOutlets();
     }
     
-    onBossDefeated() {
-        this.isActive = false;
-        this.temple?.onBossDefeated();
+    updateOutlets() {
+        this.outlets.forEach(outlet => {
+            // Outlets drain out of the south edge of the last row
+            const tile = this.getTile(this.rows - 1, outlet.column);
+            const isFed = !!tile && tile.userData.flowDistance >= 0 && this.getOpenings(tile).includes(2);
+            
+            outlet.flowDistance = isFed ? tile.userData.flowDistance + 1 : -1;
+            outlet.water.visible = isFed;
+            
+            if (isFed !== outlet.isFed) {
+                outlet.isFed = isFed;
+                this.setCrystalPowered(outlet, isFed);
+            }
+            
+            this.logic?.getComponent(`crystal_${outlet.crystalIndex}`)?.setOn(isFed);
+        });
     }
     
-    update(deltaTime) {
-        if (this.isActive && this.boss) {
-            this.boss.update(deltaTime);
+    setCrystalPowered(outlet, isPowered) {
+        const crystal = outlet.crystal;
+        if (!crystal) return;
+        
+        crystal.userData.isPowered = isPowered;
+        crystal.material.emissiveIntensity = isPowered ? 2.5 : 0.3; // Powered crystals glow through the bloom pass
+        
+        if (outlet.light) {
+            outlet.light.intensity = isPowered ? 1.5 : 0;
+        }
+        
+        if (isPowered && !this.isSolved) {
+            this.game.audioManager?.playSound('powerUp');
+            console.log(`💎 Crystal powered (column ${outlet.column})`);
+        }
+    }
+    
+    interact(tile) {
+        if (this.isSolved) return;
+        
+        if (tile.userData.type === 'valve') {
+            // The lever's sluice door opens or closes the channel in onSluiceChanged
+            this.logic?.getComponent(tile.userData.valve)?.interact();
+            console.log(`🚰 Valve ${tile.userData.isOpen ? 'opened' : 'closed'}`);
+        } else {
+            // Rotate a quarter turn clockwise, the mesh catches up in update()
+            tile.userData.rotation = (tile.userData.rotation + 1) % 4;
+            tile.userData.targetRotation += Math.PI / 2;
             
-            // Check if boss is defeated
-            if (this.boss.health <= 0) {
-                this.onBossDefeated();
-            }
+            this.game.audioManager?.playSound('buttonClick');
+            this.logic?.setData('rotations', this.tiles.map(candidate => candidate.userData.rotation));
         }
+        
+        this.updateFlow();
     }
     
-    dispose() {
+    onSluiceChanged(sluice) {
+        const tile = this.tiles.find(candidate => candidate.userData.sluice === sluice.id);
+        if (!tile) return;
+        
+        this.setValveOpen(tile, sluice.isOn);
+        this.updateFlow();
+    }
+    
+    // The sluice door itself is moved by its component
+    setValveOpen(tile, isOpen) {
+        tile.userData.isOpen = isOpen;
+        
+        if (tile.userData.wheel) {
+            tile.userData.wheel.material.color.setHex(isOpen ? 0x228B22 : 0xB22222);
+        }
+    }
+    
+    getInteractionPrompt(tile) {
+        if (this.isSolved) return 'The water flows freely';
+        
+        if (tile.userData.type === 'valve') {
+            return tile.userData.isOpen ? 'Press E to close the valve' : 'Press E to open the valve';
+        }
+        
+        return 'Press E to rotate the channel';
+    }
+    
+    onSolved() {
+        this.isSolved = true;
+        console.log('🌊 Water flow puzzle solved!');
+        
+        this.game.uiManager?.showNotification('🌊 Water reaches every crystal!', 'success', 3000);
+    }
+    
+    update(deltaTime) {
+        const time = Date.now() * 0.001;
+        
+        this.tiles.forEach(tile => {
+            // Ease rotating tiles into place
+            const delta = tile.userData.targetRotation - tile.rotation.y;
+            if (Math.abs(delta) > 0.001) {
+                tile.rotation.y += delta * Math.min(1, deltaTime * 12);
+            }
+            
+            // Ripples travel outward from the source along the flow
+            if (tile.userData.flowDistance >= 0) {
+                tile.userData.waterMaterial.opacity = 0.55 + Math.sin(time * 4 - tile.userData.flowDistance) * 0.25;
+            }
+        });
+        
+        this.outlets.forEach(outlet => {
+            if (outlet.isFed) {
+                outlet.waterMaterial.opacity = 0.55 + Math.sin(time * 4 - outlet.flowDistance) * 0.25;
+                
+                if (outlet.crystal) {
+                    outlet.crystal.rotation.y += deltaTime;
+                }
+            }
+        });
+        
+        if (this.sourceSurface) {
+            this.sourceSurface.material.opacity = 0.6 + Math.sin(time * 2) * 0.15;
+        }
+    }
+    
+    dispose() {
+        this.meshes.forEach(mesh => {
+            this.temple.interior?.remove(mesh);
+            mesh.traverse(child => {
+                child.geometry?.dispose();
+                child.material?.dispose();
+            });
+        });
+        
+        this.outlets.forEach(outlet => {
+            if (outlet.light) {
+                outlet.crystal.remove(outlet.light);
+            }
+        });
+        
+        this.temple.puzzleElements = this.temple.puzzleElements.filter(object => !this.tiles.includes(object));
+        this.tiles = [];
+        this.outlets = [];
+        this.meshes = [];
+    }
+}
+
+// Direction indices: 0 north (towards the source), 1 east, 2 south (towards the crystals), 3 west
+FlowControlPuzzle.steps = [
+    { row: -1, column: 0 },
+    { row: 0, column: 1 },
+    { row: 1, column: 0 },
+    { row: 0, column: -1 }
+];
+
+// Local mesh offsets matching the directions above (rows advance along -z)
+FlowControlPuzzle.offsets = [
+    { x: 0, z: 1 },
+    { x: 1, z: 0 },
+    { x: 0, z: -1 },
+    { x: -1, z: 0 }
+];
+
+// Open sides of each tile shape at rotation 0, each quarter turn shifts them clockwise
+FlowControlPuzzle.shapes = {
+    straight: [0, 2],
+    corner: [0, 1],
+    tee: [0, 1, 2],
+    cross: [0, 1, 2, 3]
+};
+
+// Solved rotations are listed for reference, channels are scrambled when the puzzle is built
+FlowControlPuzzle.layout = [
+    // Source row splits west and east
+    { row: 0, column: 0, shape: 'corner', rotation: 1 },
+    { row: 0, column: 1, shape: 'straight', rotation: 1 },
+    { row: 0, column: 2, shape: 'tee', rotation: 3 },
+    { row: 0, column: 3, shape: 'tee', rotation: 1 },
+    { row: 0, column: 4, shape: 'corner', rotation: 2 },
+    
+    // West branch winds down to the left crystal
+    { row: 1, column: 0, shape: 'corner', rotation: 0 },
+    { row: 1, column: 1, shape: 'corner', rotation: 2 },
+    { row: 2, column: 1, shape: 'straight', rotation: 0 },
+    { row: 3, column: 1, shape: 'corner', rotation: 3 },
+    { row: 3, column: 0, shape: 'corner', rotation: 1 },
+    { row: 4, column: 0, shape: 'straight', rotation: 0 },
+    
+    // Middle branch doubles back through a valve to the crystal behind the altar
+    { row: 1, column: 3, shape: 'corner', rotation: 3 },
+    { row: 1, column: 2, shape: 'corner', rotation: 1 },
+    { row: 2, column: 2, shape: 'straight', rotation: 0, valve: true },
+    { row: 3, column: 2, shape: 'straight', rotation: 0 },
+    { row: 4, column: 2, shape: 'straight', rotation: 0 },
+    
+    // East branch passes a valve and jogs around to the right crystal
+    { row: 1, column: 4, shape: 'straight', rotation: 0 },
+    { row: 2, column: 4, shape: 'straight', rotation: 0, valve: true },
+    { row: 3, column: 4, shape: 'corner', rotation: 3 },
+    { row: 3, column: 3, shape: 'corner', rotation: 1 },
+    { row: 4, column: 3, shape: 'corner', rotation: 0 },
+    { row: 4, column: 4, shape: 'corner', rotation: 2 },
+    
+    // Spare tiles
+    { row: 2, column: 0, shape: 'tee', rotation: 0 },
+    { row: 2, column: 3, shape: 'straight', rotation: 0 },
+    { row: 4, column: 1, shape: 'corner', rotation: 0 }
+];
+
+// Last-row columns that drain into crystals (indices into Temple.crystals)
+FlowControlPuzzle.outlets = [
+    { column: 0, crystal: 0 },
+    { column: 4, crystal: 1 },
+    { column: 2, crystal: 2 }
+];
+
+// Fire Temple Flame Sequence Puzzle
+// Torches must be lit in the order shown by the glyphs around the elemental symbol
+class FlameSequencePuzzle {
+    constructor(game, temple) {
+        this.game = game;
+        this.temple = temple;
+        this.torches = temple.torches;
+        
+        this.sequence = [];
+        this.hints = [];
+        this.meshes = [];
+        this.logic = null;
+        this.resetTimer = null;
+        this.isResetting = false;
+        this.isSolved = false;
+        
+        this.dimColor = 0x803020;
+        this.litColor = 0xffa040;
+        this.wrongColor = 0xff0000;
+    }
+    
+    create() {
+        this.logic = this.temple.puzzleManager.getLogic('flame_sequence');
+        this.sequence = this.getSequence();
+        
+        // The sequence gate listens to the torches in this save's order
+        const order = this.logic?.getGate('order');
+        if (order) {
+            order.inputs = this.sequence.map(index => `torch_${index}`);
+        }
+        
+        this.isSolved = !!this.logic?.isSolved;
+        
+        // A sequence left half done comes back with its torches lit, anything else starts over
+        const isTorchOn = index => !!this.logic?.getComponent(`torch_${index}`)?.isOn;
+        const litTorches = this.sequence.slice(0, this.getProgress());
+        if (!this.isSolved && this.torches.some((torch, index) => isTorchOn(index) !== litTorches.includes(index))) {
+            this.logic?.restart();
+        }
+        
+        // Torches become puzzle pieces, lit if they were lit when the player left
+        this.torches.forEach((torch, index) => {
+            Object.assign(torch.userData, {
+                puzzle: 'flame_sequence',
+                isPuzzleElement: true,
+                interactable: true,
+                torchIndex: index
+            });
+            
+            this.temple.setTorchLit(torch, this.isSolved || isTorchOn(index));
+            this.createTorchGlyph(torch, index);
+        });
+        
+        this.createHints();
+        
+        const litSteps = this.isSolved ? this.hints.length : this.getProgress();
+        for (let step = 0; step < litSteps; step++) {
+            this.setHintColor(step, this.litColor);
+        }
+        
+        this.logic?.on('sequenceReset', () => this.onWrongTorch());
+        this.logic?.on('solved', () => this.onSolved());
+    }
+    
+    getProgress() {
+        return this.logic?.getGate('order')?.progress || 0;
+    }
+    
+    getSequence() {
+        // Each save gets its own order so it can't be looked up
+        const state = this.temple.getSavedPuzzleState();
+        
+        if (!Array.isArray(state.flameSequence) || state.flameSequence.length !== this.torches.length) {
+            state.flameSequence = this.temple.createPuzzleRandom('flame_sequence').shuffle(this.torches.map((torch, index) => index));
+        }
+        
+        return state.flameSequence;
+    }
+    
+    createGlyph(index, radius, color) {
+        const glyph = FlameSequencePuzzle.glyphs[index % FlameSequencePuzzle.glyphs.length];
+        
+        const geometry = new THREE.CircleGeometry(radius, glyph.sides);
+        const material = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.rotation.z = glyph.spin;
+        
+        return mesh;
+    }
+    
+    addMesh(mesh) {
+        this.temple.interior.add(mesh);
+        this.meshes.push(mesh);
+    }
+    
+    createTorchGlyph(torch, index) {
+        // Floor glyph just inside each torch identifies it
+        const glyph = this.createGlyph(index, 0.8, this.dimColor);
+        glyph.position.set(torch.position.x * 0.8, 0.05, torch.position.z);
+        this.addMesh(glyph);
+    }
+    
+    createHints() {
+        // One glyph per step around the elemental symbol, starting on the entrance side
+        // and going clockwise, with pips marking the step number
+        const center = this.temple.elementalSymbol?.position || new THREE.Vector3();
+        const step = (Math.PI * 2) / this.sequence.length;
+        
+        this.sequence.forEach((torchIndex, order) => {
+            const angle = order * step;
+            const directionX = Math.sin(angle);
+            const directionZ = Math.cos(angle);
+            
+            const glyph = this.createGlyph(torchIndex, 0.7, this.dimColor);
+            glyph.position.set(center.x + directionX * 3.2, 0.12, center.z + directionZ * 3.2);
+            this.addMesh(glyph);
+            
+            const pips = [];
+            for (let i = 0; i <= order; i++) {
+                const spread = (i - order / 2) * 0.4;
+                const pip = new THREE.Mesh(
+                    new THREE.CircleGeometry(0.12, 8),
+                    new THREE.MeshBasicMaterial({ color: this.dimColor })
+                );
+                pip.rotation.x = -Math.PI / 2;
+                pip.position.set(
+                    center.x + directionX * 4.3 + directionZ * spread,
+                    0.12,
+                    center.z + directionZ * 4.3 - directionX * spread
+                );
+                this.addMesh(pip);
+                pips.push(pip);
+            }
+            
+            this.hints.push({ glyph, pips });
+        });
+    }
+    
+    setHintColor(order, color) {
+        const hint = this.hints[order];
+        if (!hint) return;
+        
+        hint.glyph.material.color.setHex(color);
+        hint.pips.forEach(pip => pip.material.color.setHex(color));
+    }
+    
+    lightTorch(torch) {
+        if (this.isSolved || this.isResetting || torch.userData.isLit) return;
+        
+        this.temple.setTorchLit(torch, true);
+        
+        // The sequence gate decides whether this was the right torch
+        this.logic?.getComponent(`torch_${torch.userData.torchIndex}`)?.setOn(true);
+        if (this.isResetting || this.isSolved) return;
+        
+        this.setHintColor(this.getProgress() - 1, this.litColor);
+        this.game.audioManager?.playSound('buttonClick');
+    }
+    
+    onWrongTorch() {
+        this.isResetting = true;
+        console.log('🔥 Wrong torch - flame sequence reset');
+        
+        this.game.audioManager?.playSound('enemyHit');
+        this.game.uiManager?.showNotification('🔥 The flames gutter out... wrong order', 'warning', 2000);
+        
+        // Every flame and hint flashes red before the room goes dark again
+        this.torches.forEach(torch => {
+            const flame = torch.userData.flame;
+            if (flame) {
+                flame.visible = true;
+                flame.material.color.setHex(this.wrongColor);
+            }
+        });
+        this.hints.forEach((hint, order) => this.setHintColor(order, this.wrongColor));
+        
+        this.resetTimer = setTimeout(() => {
+            this.resetTimer = null;
+            this.isResetting = false;
+            this.reset();
+        }, 800);
+    }
+    
+    onTorchExtinguished(torch) {
+        // Dousing a torch mid-sequence starts the sequence over
+        if (this.isSolved || this.isResetting || torch.userData.puzzle !== 'flame_sequence') return;
+        
+        if (this.getProgress() > 0) {
+            this.reset();
+        }
+    }
+    
+    reset() {
+        this.logic?.restart();
+        
+        this.torches.forEach(torch => {
+            torch.userData.flame?.material.color.setHex(this.temple.getElementalColor());
+            this.temple.setTorchLit(torch, false);
+        });
+        this.hints.forEach((hint, order) => this.setHintColor(order, this.dimColor));
+    }
+    
+    interact(torch) {
+        this.lightTorch(torch);
+    }
+    
+    getInteractionPrompt(torch) {
+        if (this.isSolved) return 'The flames burn bright';
+        if (torch.userData.isLit) return 'The torch is already burning';
+        
+        return 'Press E to light the torch';
+    }
+    
+    onSolved() {
+        this.isSolved = true;
+        console.log('🔥 Flame sequence puzzle solved!');
+        
+        this.game.audioManager?.playSound('powerUp');
+        this.game.uiManager?.showNotification('🔥 The torches blaze in harmony!', 'success', 3000);
+        this.hints.forEach((hint, step) => this.setHintColor(step, this.litColor));
+    }
+    
+    update(deltaTime) {
+        // Lit flames flicker
+        const time = Date.now() * 0.001;
+        
+        this.torches.forEach((torch, index) => {
+            const flame = torch.userData.flame;
+            if (flame && torch.userData.isLit) {
+                flame.scale.setScalar(1 + Math.sin(time * 12 + index * 2) * 0.12);
+            }
+        });
+    }
+    
+    dispose() {
+        if (this.resetTimer) {
+            clearTimeout(this.resetTimer);
+            this.resetTimer = null;
+        }
+        
+        this.meshes.forEach(mesh => {
+            this.temple.interior?.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        
+        this.meshes = [];
+        this.hints = [];
+    }
+}
+
+// Torch glyphs, told apart by their number of sides
+FlameSequencePuzzle.glyphs = [
+    { name: 'triangle', sides: 3, spin: 0 },
+    { name: 'square', sides: 4, spin: Math.PI / 4 },
+    { name: 'pentagon', sides: 5, spin: 0 },
+    { name: 'hexagon', sides: 6, spin: 0 }
+];
+
+// Wind Temple Currents Puzzle
+// Wall fans blow directional currents that slide stone blocks onto the pressure plates
+class WindCurrentsPuzzle {
+    constructor(game, temple) {
+        this.game = game;
+        this.temple = temple;
+        
+        this.fans = [];
+        this.blocks = [];
+        this.plates = [];
+        this.obstacles = [];
+        this.meshes = [];
+        this.logic = null;
+        this.isSolved = false;
+        
+        // Tuning
+        this.fanStrength = 14;
+        this.playerPushRatio = 0.6;
+        this.friction = 3;
+        this.blockSize = 2;
+        this.wallLimit = 10.5; // Block centers stay inside the temple walls
+        this.lockRadius = 1.5;
+    }
+    
+    create() {
+        this.logic = this.temple.puzzleManager.getLogic('wind_currents');
+        this.plates = this.temple.puzzleElements.filter(object => object.userData.type === 'pressure_plate');
+        
+        WindCurrentsPuzzle.obstacles.forEach(data => this.createObstacle(data));
+        WindCurrentsPuzzle.fans.forEach(data => this.createFan(data));
+        WindCurrentsPuzzle.blocks.forEach(data => this.createBlock(data));
+        
+        // A solved room comes back with every block resting on its plate
+        if (this.logic?.isSolved) {
+            this.isSolved = true;
+            this.blocks.forEach((block, index) => {
+                if (this.plates[index]) this.settleBlock(block, this.plates[index]);
+            });
+        } else {
+            // Blocks already pushed home stay on their plates
+            const plateBlocks = this.logic?.data.plateBlocks || {};
+            this.plates.forEach((plate, index) => {
+                const block = this.blocks[plateBlocks[index]];
+                if (block && this.logic?.getComponent(`plate_${index}`)?.isOn) {
+                    this.settleBlock(block, plate);
+                }
+            });
+        }
+        
+        this.logic?.on('solved', () => this.onSolved());
+    }
+    
+    addMesh(mesh) {
+        this.temple.interior.add(mesh);
+        this.meshes.push(mesh);
+    }
+    
+    createObstacle(data) {
+        const pillar = new THREE.Mesh(
+            new THREE.BoxGeometry(this.blockSize, 4, this.blockSize),
+            new THREE.MeshLambertMaterial({ color: 0x707070 })
+        );
+        pillar.position.set(data.x, 2, data.z);
+        this.addMesh(pillar);
+        
+        // Pillars stop the player as well as the blocks
+        this.temple.interior.updateMatrixWorld(true);
+        pillar.userData = {
+            isCollidable: true,
+            boundingBox: new THREE.Box3().setFromObject(pillar)
+        };
+        this.game.sceneManager?.collisionObjects?.push(pillar);
+        
+        this.obstacles.push(pillar);
+    }
+    
+    createFan(data) {
+        const fanGroup = new THREE.Group();
+        
+        // Housing
+        const housing = new THREE.Mesh(
+            new THREE.CylinderGeometry(1.4, 1.4, 0.6, 16),
+            new THREE.MeshLambertMaterial({ color: 0x555555 })
+        );
+        housing.rotation.x = Math.PI / 2;
+        fanGroup.add(housing);
+        
+        // Blades spin while the fan runs
+        const blades = new THREE.Group();
+        for (let i = 0; i < 3; i++) {
+            const blade = new THREE.Mesh(
+                new THREE.BoxGeometry(0.3, 1.2, 0.1),
+                new THREE.MeshLambertMaterial({ color: this.temple.getElementalColor() })
+            );
+            blade.position.y = 0.6;
+            const arm = new THREE.Group();
+            arm.rotation.z = (i / 3) * Math.PI * 2;
+            arm.add(blade);
+            blades.add(arm);
+        }
+        blades.position.z = 0.35;
+        fanGroup.add(blades);
+        
+        // Face the blow direction
+        fanGroup.position.set(data.x, 1.6, data.z);
+        fanGroup.rotation.y = Math.atan2(data.direction.x, data.direction.z);
+        
+        // Wind streaks drifting down the current
+        const streakCount = 24;
+        const positions = new Float32Array(streakCount * 3);
+        const offsets = [];
+        for (let i = 0; i < streakCount; i++) {
+            offsets.push({
+                along: Math.random() * data.length,
+                across: (Math.random() - 0.5) * data.width,
+                height: 0.5 + Math.random() * 2.5
+            });
+        }
+        const streakGeometry = new THREE.BufferGeometry();
+        streakGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const streaks = new THREE.Points(streakGeometry, new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 0.3,
+            transparent: true,
+            opacity: 0.6
+        }));
+        streaks.visible = false;
+        
+        this.addMesh(fanGroup);
+        this.addMesh(streaks);
+        
+        fanGroup.userData = {
+            type: 'fan',
+            puzzle: 'wind_currents',
+            isPuzzleElement: true,
+            interactable: true,
+            isOn: false
+        };
+        this.temple.puzzleElements.push(fanGroup);
+        
+        const fan = {
+            mesh: fanGroup,
+            blades: blades,
+            streaks: streaks,
+            streakOffsets: offsets,
+            origin: { x: data.x, z: data.z },
+            direction: data.direction,
+            length: data.length,
+            width: data.width
+        };
+        this.updateStreaks(fan, 0);
+        this.fans.push(fan);
+    }
+    
+    createBlock(data) {
+        const block = new THREE.Mesh(
+            new THREE.BoxGeometry(this.blockSize, this.blockSize, this.blockSize),
+            new THREE.MeshLambertMaterial({ color: 0x9E9E9E })
+        );
+        block.position.set(data.x, this.blockSize / 2, data.z);
+        block.castShadow = true;
+        
+        block.userData = {
+            type: 'wind_block',
+            puzzle: 'wind_currents',
+            isPuzzleElement: true,
+            interactable: true,
+            pushable: true,
+            start: { x: data.x, z: data.z },
+            velocity: new THREE.Vector3(),
+            plate: null
+        };
+        
+        this.addMesh(block);
+        this.temple.puzzleElements.push(block);
+        this.blocks.push(block);
+    }
+    
+    // Force volumes are boxes running from each fan along its direction
+    isInCurrent(fan, x, z) {
+        const dx = x - fan.origin.x;
+        const dz = z - fan.origin.z;
+        const along = dx * fan.direction.x + dz * fan.direction.z;
+        const across = Math.abs(dx * fan.direction.z - dz * fan.direction.x);
+        
+        return along >= 0 && along <= fan.length && across <= fan.width / 2;
+    }
+    
+    getForceAt(x, z) {
+        const force = new THREE.Vector3();
+        
+        this.fans.forEach(fan => {
+            if (fan.mesh.userData.isOn && this.isInCurrent(fan, x, z)) {
+                force.x += fan.direction.x * this.fanStrength;
+                force.z += fan.direction.z * this.fanStrength;
+            }
+        });
+        
+        return force;
+    }
+    
+    pushBlock(block, direction, strength = 8) {
+        // The temple is never rotated, so world directions apply directly to its interior
+        if (block.userData.plate) return;
+        
+        block.userData.velocity.x += direction.x * strength;
+        block.userData.velocity.z += direction.z * strength;
+    }
+    
+    isBlocked(block, x, z) {
+        if (Math.abs(x) > this.wallLimit || Math.abs(z) > this.wallLimit) return true;
+        
+        const others = [...this.obstacles, ...this.blocks].filter(object => object !== block);
+        return others.some(object =>
+            Math.abs(object.position.x - x) < this.blockSize &&
+            Math.abs(object.position.z - z) < this.blockSize
+        );
+    }
+    
+    updateBlock(block, deltaTime) {
+        const data = block.userData;
+        if (data.plate) return;
+        
+        const force = this.getForceAt(block.position.x, block.position.z);
+        data.velocity.x += force.x * deltaTime;
+        data.velocity.z += force.z * deltaTime;
+        data.velocity.multiplyScalar(Math.max(0, 1 - this.friction * deltaTime));
+        
+        // Move one axis at a time so blocks slide along walls and each other
+        const stepX = data.velocity.x * deltaTime;
+        if (stepX !== 0) {
+            if (this.isBlocked(block, block.position.x + stepX, block.position.z)) {
+                data.velocity.x = 0;
+            } else {
+                block.position.x += stepX;
+            }
+        }
+        
+        const stepZ = data.velocity.z * deltaTime;
+        if (stepZ !== 0) {
+            if (this.isBlocked(block, block.position.x, block.position.z + stepZ)) {
+                data.velocity.z = 0;
+            } else {
+                block.position.z += stepZ;
+            }
+        }
+        
+        this.checkPlates(block);
+    }
+    
+    checkPlates(block) {
+        const plate = this.plates.find(candidate => {
+            if (candidate.userData.isPressed) return false;
+            const dx = candidate.position.x - block.position.x;
+            const dz = candidate.position.z - block.position.z;
+            return Math.sqrt(dx * dx + dz * dz) <= this.lockRadius;
+        });
+        
+        if (!plate) return;
+        
+        this.settleBlock(block, plate);
+        
+        this.game.audioManager?.playSound('buttonClick');
+        console.log('💨 Block settled on a pressure plate');
+        
+        const plateIndex = this.plates.indexOf(plate);
+        this.logic?.setData('plateBlocks', { ...this.logic.data.plateBlocks, [plateIndex]: this.blocks.indexOf(block) });
+        this.logic?.getComponent(`plate_${plateIndex}`)?.setOn(true);
+    }
+    
+    settleBlock(block, plate) {
+        // The plate grabs the block and sinks under its weight
+        block.userData.plate = plate;
+        block.userData.velocity.set(0, 0, 0);
+        block.position.x = plate.position.x;
+        block.position.z = plate.position.z;
+        block.position.y = this.blockSize / 2 + 0.1;
+        
+        plate.userData.isPressed = true;
+        plate.position.y = 0.02;
+        plate.material.color.setHex(this.temple.getElementalColor());
+    }
+    
+    updatePlayer(deltaTime) {
+        const player = this.game.sceneManager?.player;
+        if (!player) return;
+        
+        const local = this.temple.interior.worldToLocal(player.position.clone());
+        const force = this.getForceAt(local.x, local.z);
+        
+        // Currents nudge the player's velocity, movement collision still applies
+        player.currentVelocity.x += force.x * this.playerPushRatio * deltaTime;
+        player.currentVelocity.z += force.z * this.playerPushRatio * deltaTime;
+    }
+    
+    updateStreaks(fan, deltaTime) {
+        const positions = fan.streaks.geometry.attributes.position.array;
+        
+        fan.streakOffsets.forEach((offset, i) => {
+            offset.along = (offset.along + deltaTime * 8) % fan.length;
+            
+            positions[i * 3] = fan.origin.x + fan.direction.x * offset.along + fan.direction.z * offset.across;
+            positions[i * 3 + 1] = offset.height;
+            positions[i * 3 + 2] = fan.origin.z + fan.direction.z * offset.along - fan.direction.x * offset.across;
+        });
+        
+        fan.streaks.geometry.attributes.position.needsUpdate = true;
+    }
+    
+    interact(object) {
+        if (object.userData.type === 'fan') {
+            object.userData.isOn = !object.userData.isOn;
+            
+            const fan = this.fans.find(candidate => candidate.mesh === object);
+            if (fan) {
+                fan.streaks.visible = object.userData.isOn;
+            }
+            
+            this.game.audioManager?.playSound('buttonClick');
+            console.log(`💨 Fan ${object.userData.isOn ? 'started' : 'stopped'}`);
+        } else if (object.userData.type === 'wind_block' && !object.userData.plate) {
+            // Stuck blocks can be sent back to where they started
+            object.position.set(object.userData.start.x, this.blockSize / 2, object.userData.start.z);
+            object.userData.velocity.set(0, 0, 0);
+            
+            this.game.audioManager?.playSound('doorOpen');
+        }
+    }
+    
+    getInteractionPrompt(object) {
+        if (object.userData.type === 'fan') {
+            if (this.isSolved) return 'The fan hums quietly';
+            return object.userData.isOn ? 'Press E to stop the fan' : 'Press E to start the fan';
+        }
+        
+        if (object.userData.plate) return 'The block rests on the plate';
+        
+        return 'Press E to return the block';
+    }
+    
+    onSolved() {
+        this.isSolved = true;
+        console.log('💨 Wind currents puzzle solved!');
+        
+        this.game.audioManager?.playSound('powerUp');
+        this.game.uiManager?.showNotification('💨 Every plate is weighed down!', 'success', 3000);
+    }
+    
+    update(deltaTime) {
+        this.blocks.forEach(block => this.updateBlock(block, deltaTime));
+        this.updatePlayer(deltaTime);
+        
+        this.fans.forEach(fan => {
+            if (!fan.mesh.userData.isOn) return;
+            
+            fan.blades.rotation.z += deltaTime * 15;
+            this.updateStreaks(fan, deltaTime);
+        });
+    }
+    
+    dispose() {
+        const collisionObjects = this.game.sceneManager?.collisionObjects;
+        if (collisionObjects) {
+            this.obstacles.forEach(pillar => {
+                const index = collisionObjects.indexOf(pillar);
+                if (index > -1) {
+                    collisionObjects.splice(index, 1);
+                }
+            });
+        }
+        
+        this.meshes.forEach(mesh => {
+            this.temple.interior?.remove(mesh);
+            mesh.traverse(child => {
+                child.geometry?.dispose();
+                child.material?.dispose();
+            });
+        });
+        
+        const owned = [...this.blocks, ...this.fans.map(fan => fan.mesh)];
+        this.temple.puzzleElements = this.temple.puzzleElements.filter(object => !owned.includes(object));
+        
+        this.fans = [];
+        this.blocks = [];
+        this.obstacles = [];
+        this.meshes = [];
+    }
+}
+
+// Fans sit against the walls, each current runs the width of the room
+WindCurrentsPuzzle.fans = [
+    { x: -6, z: 11.2, direction: { x: 0, z: -1 }, length: 22, width: 3 },
+    { x: -11.2, z: -5, direction: { x: 1, z: 0 }, length: 22, width: 3 },
+    { x: 11.2, z: 8, direction: { x: -1, z: 0 }, length: 22, width: 3 },
+    { x: 6, z: -11.2, direction: { x: 0, z: 1 }, length: 22, width: 3 }
+];
+
+// Blocks have to be stopped by these pillars before they can turn into a second current
+WindCurrentsPuzzle.obstacles = [
+    { x: -6, z: -7.5 },
+    { x: 6, z: 10.5 }
+];
+
+WindCurrentsPuzzle.blocks = [
+    { x: -6, z: 2 },
+    { x: 6, z: 2 }
+];
+
+// Lightning Temple Circuit Puzzle
+// Wires carry current from the generator through both breaker switches to the altar
+class CircuitCompletionPuzzle {
+    constructor(game, temple) {
+        this.game = game;
+        this.temple = temple;
+        
+        this.nodes = {};
+        this.edges = [];
+        this.switches = [];
+        this.meshes = [];
+        this.heldWires = 0;
+        this.logic = null;
+        this.isSolved = false;
+        
+        // Overload - the logic's timed gate trips a live circuit unless it reaches the altar in time
+        this.lastOverloadTimer = 0;
+        this.shockRadius = 4;
+        
+        this.deadColor = 0x333333;
+        this.liveColor = 0xffff40;
+    }
+    
+    create() {
+        this.logic = this.temple.puzzleManager.getLogic('circuit_completion');
+        this.switches = this.temple.puzzleElements.filter(object => object.userData.type === 'switch');
+        
+        const isSolved = !!this.logic?.isSolved;
+        this.isSolved = isSolved;
+        
+        // An overload that ran out while the player was away already tripped the breakers
+        if (!isSolved && this.isLive() && this.getOverloadTimer() === 0) {
+            this.switches.forEach((switchObj, index) => this.logic?.getComponent(`breaker_${index}`)?.setOn(false));
+        }
+        
+        this.switches.forEach((switchObj, index) => {
+            Object.assign(switchObj.userData, {
+                puzzle: 'circuit_completion',
+                isPuzzleElement: true,
+                isActive: isSolved || !!this.logic?.getComponent(`breaker_${index}`)?.isOn
+            });
+            this.updateLever(switchObj);
+        });
+        
+        CircuitCompletionPuzzle.nodes.forEach(data => this.createNode(data));
+        CircuitCompletionPuzzle.edges.forEach(data => this.createEdge(data));
+        
+        // The circuit comes back wired the way the player left it, with any wires they were carrying
+        const wires = this.logic?.data.wires || [];
+        this.edges.forEach((edge, index) => {
+            if (wires[index] !== undefined) edge.hasWire = wires[index];
+        });
+        this.heldWires = this.logic?.data.heldWires || 0;
+        
+        if (isSolved) {
+            this.lightAltar();
+        }
+        
+        this.logic?.on('gateChanged', gate => this.onGateChanged(gate));
+        this.logic?.on('componentChanged', component => this.onComponentChanged(component));
+        this.logic?.on('solved', () => this.onSolved());
+        
+        this.updateCircuit();
+    }
+    
+    isLive() {
+        return !!this.logic?.getSignal('live');
+    }
+    
+    getOverloadTimer() {
+        return this.logic?.getComponent('overload')?.timer || 0;
+    }
+    
+    onGateChanged(gate) {
+        if (this.isSolved) return;
+        
+        // Closing the first breaker puts the circuit under load
+        if (gate.id === 'live' && gate.output) {
+            this.lastOverloadTimer = this.getOverloadTimer();
+            this.game.uiManager?.showNotification(`⚡ The circuit is live! Overload in ${Math.ceil(this.lastOverloadTimer)}s`, 'warning', 2500);
+        }
+    }
+    
+    onComponentChanged(component) {
+        // The overload gate closed again with the breakers still closed
+        if (!this.isSolved && component.id === 'overload' && !component.isOn && this.isLive()) {
+            this.onOverload();
+        }
+    }
+    
+    addMesh(mesh) {
+        this.temple.interior.add(mesh);
+        this.meshes.push(mesh);
+    }
+    
+    createNode(data) {
+        const node = {
+            id: data.id,
+            kind: data.kind || 'conductor',
+            isReached: false,
+            mesh: null,
+            position: null
+        };
+        
+        if (node.kind === 'switch') {
+            // Breakers reuse the temple's switches
+            node.mesh = this.switches[data.switch] || null;
+        } else if (node.kind === 'altar') {
+            node.mesh = this.temple.altar || null;
+        } else {
+            const height = node.kind === 'generator' ? 3 : 1.6;
+            const pylon = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.3, 0.5, height, 8),
+                new THREE.MeshLambertMaterial({
+                    color: node.kind === 'generator' ? 0x8888aa : 0x777777,
+                    emissive: this.deadColor,
+                    emissiveIntensity: 0.5
+                })
+            );
+            pylon.position.set(data.x, height / 2, data.z);
+            this.addMesh(pylon);
+            node.mesh = pylon;
+        }
+        
+        node.position = node.mesh
+            ? new THREE.Vector3(node.mesh.position.x, 0, node.mesh.position.z)
+            : new THREE.Vector3(data.x, 0, data.z);
+        
+        this.nodes[node.id] = node;
+    }
+    
+    createEdge(data) {
+        const from = this.nodes[data.from];
+        const to = this.nodes[data.to];
+        const length = from.position.distanceTo(to.position);
+        
+        // Wire stretched between the two nodes just above the floor
+        const wire = new THREE.Mesh(
+            new THREE.BoxGeometry(0.2, 0.2, length),
+            new THREE.MeshLambertMaterial({
+                color: 0x444444,
+                emissive: this.deadColor,
+                emissiveIntensity: 0.8
+            })
+        );
+        wire.position.set((from.position.x + to.position.x) / 2, 0.6, (from.position.z + to.position.z) / 2);
+        wire.rotation.y = Math.atan2(to.position.x - from.position.x, to.position.z - from.position.z);
+        this.addMesh(wire);
+        
+        const edge = {
+            from: data.from,
+            to: data.to,
+            wire: wire,
+            isGap: !!data.gap,
+            hasWire: !data.gap || !!data.wire,
+            socket: null
+        };
+        
+        // Gaps get a socket at their midpoint where wires are taken or placed
+        if (edge.isGap) {
+            const socket = new THREE.Mesh(
+                new THREE.TorusGeometry(0.6, 0.12, 8, 16),
+                new THREE.MeshBasicMaterial({ color: 0x6060ff })
+            );
+            socket.rotation.x = -Math.PI / 2;
+            socket.position.set(wire.position.x, 0.15, wire.position.z);
+            socket.userData = {
+                type: 'wire_socket',
+                puzzle: 'circuit_completion',
+                isPuzzleElement: true,
+                interactable: true,
+                edge: edge
+            };
+            this.addMesh(socket);
+            this.temple.puzzleElements.push(socket);
+            
+            edge.socket = socket;
+        }
+        
+        wire.visible = edge.hasWire;
+        this.edges.push(edge);
+    }
+    
+    isConducting(node) {
+        return node.kind !== 'switch' || !!node.mesh?.userData.isActive;
+    }
+    
+    // Flood the graph from the generator - open breakers are reached but pass nothing on
+    updateCircuit() {
+        Object.values(this.nodes).forEach(node => {
+            node.isReached = false;
+        });
+        
+        const generator = Object.values(this.nodes).find(node => node.kind === 'generator');
+        const queue = [generator];
+        generator.isReached = true;
+        
+        while (queue.length > 0) {
+            const node = queue.shift();
+            if (!this.isConducting(node)) continue;
+            
+            this.edges.forEach(edge => {
+                if (!edge.hasWire) return;
+                
+                const otherId = edge.from === node.id ? edge.to : edge.to === node.id ? edge.from : null;
+                const other = otherId && this.nodes[otherId];
+                if (!other || other.isReached) return;
+                
+                other.isReached = true;
+                queue.push(other);
+            });
+        }
+        
+        this.updateVisuals();
+        
+        const altar = Object.values(this.nodes).find(node => node.kind === 'altar');
+        if (altar?.isReached) {
+            this.logic?.getComponent('altar')?.setOn(true);
+        }
+    }
+    
+    isEdgeLive(edge) {
+        return edge.hasWire && this.nodes[edge.from].isReached && this.nodes[edge.to].isReached;
+    }
+    
+    updateVisuals() {
+        this.edges.forEach(edge => {
+            edge.wire.visible = edge.hasWire;
+            edge.wire.material.emissive.setHex(this.isEdgeLive(edge) ? this.liveColor : this.deadColor);
+            
+            if (edge.socket) {
+                edge.socket.material.color.setHex(edge.hasWire ? 0x6060ff : 0xff6060);
+            }
+        });
+        
+        Object.values(this.nodes).forEach(node => {
+            if (node.kind === 'conductor' || node.kind === 'generator') {
+                node.mesh.material.emissive.setHex(node.isReached ? this.liveColor : this.deadColor);
+            }
+        });
+    }
+    
+    setSwitch(switchObj, isActive) {
+        if (this.isSolved || switchObj.userData.isActive === isActive) return;
+        
+        switchObj.userData.isActive = isActive;
+        this.updateLever(switchObj);
+        
+        this.game.audioManager?.playSound('buttonClick');
+        
+        // Breakers feed the live and overload gates
+        this.logic?.getComponent(`breaker_${this.switches.indexOf(switchObj)}`)?.setOn(isActive);
+        
+        this.updateCircuit();
+    }
+    
+    updateLever(switchObj) {
+        // Lever flips over when the breaker closes
+        const isActive = switchObj.userData.isActive;
+        const lever = switchObj.children[1];
+        if (lever) {
+            lever.rotation.z = isActive ? -Math.PI / 4 : Math.PI / 4;
+            lever.material.color.setHex(isActive ? this.liveColor : 0x444444);
+        }
+    }
+    
+    onOverload() {
+        console.log('⚡ Circuit overloaded - breakers tripped');
+        
+        // Anyone standing next to live metal gets a jolt
+        if (this.isPlayerNearLiveNode()) {
+            this.shockPlayer();
+        }
+        
+        this.switches.forEach(switchObj => this.setSwitch(switchObj, false));
+        
+        this.game.audioManager?.playSound('enemyHit');
+        this.game.uiManager?.showNotification('⚡ Overload! The breakers tripped', 'error', 2500);
+    }
+    
+    isPlayerNearLiveNode() {
+        const player = this.game.sceneManager?.player;
+        if (!player) return false;
+        
+        const local = this.temple.interior.worldToLocal(player.position.clone());
+        local.y = 0;
+        
+        return Object.values(this.nodes).some(node => node.isReached && node.position.distanceTo(local) <= this.shockRadius);
+    }
+    
+    shockPlayer() {
+        this.game.sceneManager?.player?.takeDamage(1);
+        this.game.audioManager?.playSound('playerHurt');
+    }
+    
+    interact(object) {
+        if (this.isSolved) return;
+        
+        if (object.userData.type === 'switch') {
+            this.setSwitch(object, !object.userData.isActive);
+            return;
+        }
+        
+        const edge = object.userData.edge;
+        if (!edge) return;
+        
+        // Handling a wire while the breakers are closed hurts
+        if (edge.hasWire && this.isLive() && this.isEdgeLive(edge)) {
+            this.shockPlayer();
+            this.game.uiManager?.showNotification('⚡ Zap! Open the breakers before moving live wires', 'warning', 2000);
+            return;
+        }
+        
+        if (edge.hasWire) {
+            edge.hasWire = false;
+            this.heldWires++;
+        } else if (this.heldWires > 0) {
+            edge.hasWire = true;
+            this.heldWires--;
+        } else {
+            this.game.uiManager?.showNotification('🔌 You need a wire from another socket', 'info', 1500);
+            return;
+        }
+        
+        this.game.audioManager?.playSound('itemPickup');
+        
+        // Remembered so a reload can show the wiring
+        this.logic?.setData('wires', this.edges.map(candidate => candidate.hasWire));
+        this.logic?.setData('heldWires', this.heldWires);
+        
+        this.updateCircuit();
+    }
+    
+    getInteractionPrompt(object) {
+        if (this.isSolved) return 'Power flows to the altar';
+        
+        if (object.userData.type === 'switch') {
+            return object.userData.isActive ? 'Press E to open the breaker' : 'Press E to close the breaker';
+        }
+        
+        const edge = object.userData.edge;
+        if (edge?.hasWire) return 'Press E to take the wire';
+        if (this.heldWires > 0) return `Press E to place a wire (${this.heldWires} carried)`;
+        
+        return 'An empty wire socket';
+    }
+    
+    onSolved() {
+        this.isSolved = true;
+        console.log('⚡ Circuit completion puzzle solved!');
+        
+        this.lightAltar();
+        
+        this.game.audioManager?.playSound('powerUp');
+        this.game.uiManager?.showNotification('⚡ The altar surges with power!', 'success', 3000);
+    }
+    
+    lightAltar() {
+        // The altar drinks in the current
+        const altar = this.temple.altar;
+        if (altar && !this.altarLight) {
+            altar.material.emissive.setHex(this.liveColor);
+            altar.material.emissiveIntensity = 0.8;
+            
+            const altarLight = new THREE.PointLight(this.liveColor, 2, 20);
+            altarLight.position.y = 2;
+            altar.add(altarLight);
+            this.altarLight = altarLight;
+        }
+    }
+    
+    update(deltaTime) {
+        // The puzzle system counts the overload timer down, this only warns about it
+        const overload = this.logic?.getComponent('overload');
+        const timer = this.getOverloadTimer();
+        const isLive = !this.isSolved && this.isLive();
+        
+        if (isLive && this.lastOverloadTimer > 3 && timer <= 3 && timer > 0) {
+            this.game.uiManager?.showNotification('⚡ The circuit is about to overload!', 'warning', 1500);
+        }
+        this.lastOverloadTimer = timer;
+        
+        // Live wires crackle, faster as the overload nears
+        const time = Date.now() * 0.001;
+        const crackle = isLive && overload ? 10 + (overload.duration - timer) * 4 : 10;
+        
+        this.edges.forEach(edge => {
+            if (this.isEdgeLive(edge)) {
+                edge.wire.material.emissiveIntensity = 0.6 + Math.abs(Math.sin(time * crackle + edge.wire.position.x)) * 0.4;
+            }
+        });
+    }
+    
+    dispose() {
+        if (this.altarLight) {
+            this.temple.altar?.remove(this.altarLight);
+            this.altarLight = null;
+        }
+        
+        this.meshes.forEach(mesh => {
+            this.temple.interior?.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        
+        const sockets = this.edges.map(edge => edge.socket).filter(Boolean);
+        this.temple.puzzleElements = this.temple.puzzleElements.filter(object => !sockets.includes(object));
+        
+        this.nodes = {};
+        this.edges = [];
+        this.meshes = [];
+    }
+}
+
+// Circuit nodes in temple space - breaker switches and the altar use existing temple objects
+CircuitCompletionPuzzle.nodes = [
+    { id: 'generator', kind: 'generator', x: -9, z: 10 },
+    { id: 'a', x: -9, z: 3 },
+    { id: 'breaker1', kind: 'switch', switch: 0 },
+    { id: 'b', x: -3, z: -5 },
+    { id: 'c', x: 3, z: 2 },
+    { id: 'breaker2', kind: 'switch', switch: 1 },
+    { id: 'd', x: 8, z: -6 },
+    { id: 'altar', kind: 'altar' },
+    
+    // Dead ends that hold the loose wires at the start
+    { id: 'e', x: -3, z: 7 },
+    { id: 'f', x: 3, z: 8 },
+    { id: 'g', x: -5, z: -10 }
+];
+
+// Gaps take a movable wire, the ones listed with `wire` start with one in place
+CircuitCompletionPuzzle.edges = [
+    { from: 'generator', to: 'a' },
+    { from: 'a', to: 'breaker1' },
+    { from: 'breaker1', to: 'b' },
+    { from: 'b', to: 'c', gap: true },
+    { from: 'c', to: 'breaker2', gap: true },
+    { from: 'breaker2', to: 'd' },
+    { from: 'd', to: 'altar', gap: true },
+    { from: 'a', to: 'e', gap: true, wire: true },
+    { from: 'c', to: 'f', gap: true, wire: true },
+    { from: 'b', to: 'g', gap: true, wire: true }
+];
+
+// Temple Boss Encounter
+class TempleBossEncounter {
+    constructor(game, templeType) {
+        this.game = game;
+        this.templeType = templeType;
+        this.temple = null;
+        this.boss = null;
+        this.isActive = false;
+    }
+    
+    setTemple(temple) {
+        this.temple = temple;
+    }
+    
+    prepare() {
+        // Prepare boss encounter
+        console.log(`👹 Preparing ${this.templeType} temple boss encounter`);
+    }
+    
+    activate() {
+        if (!this.isActive) {
+            this.isActive = true;
+            this.spawnBoss();
+            this.lockArena();
+            this.game.audioManager?.playEnvironmentalAudio('boss');
+            console.log(`👹 Activated ${this.templeType} temple boss encounter`);
+        }
+    }
+    
+    spawnBoss() {
+        // Create temple boss based on type
+        switch (this.templeType) {
+            case 'water':
+                this.boss = new WaterTempleBoss(this.game);
+                break;
+            case 'fire':
+                this.boss = new FireTempleBoss(this.game);
+                break;
+            case 'wind':
+                this.boss = new WindTempleBoss(this.game);
+                break;
+            case 'lightning':
+                this.boss = new LightningTempleBoss(this.game);
+                break;
+            default:
+                this.boss = new Boss(this.game, `${this.templeType}_boss`, { element: this.templeType });
+                break;
+        }
+        
+        this.boss.encounter = this;
+        
+        if (this.temple) {
+            // Boss area is laid out relative to the temple interior
+            const bossArea = this.temple.interiorLayout.bossArea;
+            const position = this.temple.interior.localToWorld(new THREE.Vector3(bossArea.x, 0, bossArea.z));
+            this.boss.setPosition(position.x, position.y, position.z);
+        }
+        
+        // Add boss to scene and to the enemy list so weapons and powers can hit it
+        this.game.gameEngine.addToScene(this.boss.mesh);
+        this.game.sceneManager?.enemies.push(this.boss);
+        
+        this.boss.showHealthBar();
+    }
+    
+    lockArena() {
+        this.temple?.sealExit();
+    }
+    
+    unlockArena() {
+        this.temple?.unsealExit();
+        this.game.uiManager?.hideBossHealthBar();
+    }
+    
+    onBossDefeated() {
+        this.isActive = false;
+        this.unlockArena();
+        this.game.audioManager?.playEnvironmentalAudio('temple');
+        this.temple?.onBossDefeated();
+    }
+    
+    reset() {
+        // Player fell - clear the fight so it can be retried
+        this.isActive = false;
+        this.unlockArena();
+        
+        if (this.boss) {
+            this.boss.dispose();
+            this.boss = null;
+        }
+    }
+    
+    update(deltaTime) {
+        if (!this.isActive || !this.boss) return;
+        
+        // The boss itself is updated with the other enemies by the SceneManager
+        if (this.boss.health <= 0) {
+            this.onBossDefeated();
+            return;
+        }
+        
+        const player = this.game.sceneManager?.player;
+        if (player && player.health <= 0) {
+            this.reset();
+        }
+    }
+    
+    dispose() {
+        this.unlockArena();
+        
         if (this.boss) {
             this.boss.dispose();
         }
@@ -1,6 +1,7 @@
 /**
- * World - Main world management for Elemelon
- * Handles world generation, physics, and environmental systems
+ * World - Chunked world streaming for Elemelon
+ * Splits the map into grid cells that are generated around the player and disposed when far away,
+ * keeping per-chunk changes (collected tokens, opened chests) in the save
  */
 
 class World {
@@ -8,230 +9,460 @@ class World {
         this.game = game;
         this.gameEngine = game.gameEngine;
         
-        // World properties
-        this.size = 1000;
-        this.isGenerated = false;
+        // World properties (matches the SceneManager terrain)
+        this.size = 2000;
+        this.cityRadius = 260; // Hand-built city and temples, streamed buildings only go up outside it
         
-        // World objects
-        this.terrain = null;
+        // Chunks are keyed `${gridX},${gridZ}` like the old static spatial grid
+        this.chunkSize = 50;
+        this.loadRadius = 3; // In chunks around the player
+        this.unloadRadius = 4; // A little further, so walking along a border doesn't thrash
+        this.chunks = new Map();
+        this.currentChunkKey = null;
+        
+        // Seeded stream, swapped per chunk while generating so a chunk always comes back the same
+        this.random = null;
+        
+        // Loaded chunk content
         this.buildings = [];
-        this.environment = [];
+        this.batches = {}; // Instanced lamp, bench and tree parts shared by every chunk
+        
+        // Fixed landmarks streamed content has to keep clear of
+        this.landmarks = [];
+        this.staticObstacles = [];
         
         // Environmental effects
         this.weather = 'clear';
         this.timeOfDay = 12; // 0-24 hours
         this.ambientSounds = [];
         
-        // Physics world
-        this.physicsObjects = [];
-        this.collisionGroups = {
-            static: [],
-            dynamic: [],
-            triggers: []
+        // Weather, blended from the conditions when it last changed into World.weatherTypes[this.weather]
+        this.weatherFrom = null;
+        this.weatherState = { fog: 1, rain: 0, wind: 0, darkness: 0 };
+        this.weatherBlend = 1;
+        this.weatherTransitionTime = 12; // Seconds to blend into new weather
+        this.weatherTimer = 0;
+        this.weatherArea = null; // Element of the temple area the player is in
+        this.weatherAudio = null;
+        this.windDirection = new THREE.Vector3(1, 0, 0);
+        this.baseFog = null; // Linear fog distances from the GameEngine
+        this.rainParticles = null;
+        this.dustParticles = null;
+        this.particleArea = 60; // Weather particles fill a box this wide around the player
+        this.particleHeight = 40;
+        this.lightningTimer = 0;
+        this.lightningFlash = 0;
+        
+        // Day/night cycle
+        this.dayLength = 1200; // Real seconds per in-game day
+        this.nightStart = 20;
+        this.nightEnd = 6;
+        this.isNight = false;
+        
+        // A fixed set of lights moved onto the lit lamps nearest the player - changing how many
+        // lights the scene has would recompile every material
+        this.lampLights = [];
+        this.lampLightCount = 4;
+        this.baseLighting = null; // Daytime light levels from the GameEngine
+        this.greyColor = new THREE.Color();
+        
+        // Color restoration
+        this.colorProgress = 0; // 0 = grey world, 1 = full color, eased towards story progress
+        this.districtRadii = {}; // Color spreading out from each completed temple, by element
+        this.districtRadius = 160;
+        this.districtSpreadSpeed = 20; // Meters per second
+        
+        // Night-only enemies
+        this.nightEnemies = [];
+        this.maxNightEnemies = 6;
+        this.nightSpawnInterval = 8;
+        this.nightSpawnTimer = 0;
+        
+        // Overworld scene, chunks and night creatures stay here while the player is in a temple
+        this.scene = null;
+    }
+    
+    init() {
+        console.log('🌍 Initializing World...');
+        
+        // Nothing is generated up front, chunks stream in once the player moves about
+        const sceneManager = this.game.sceneManager;
+        this.scene = this.gameEngine.scene;
+        this.staticObstacles = [...(sceneManager?.collisionObjects || [])];
+        this.landmarks = [
+            { position: new THREE.Vector3(0, 0, 0), radius: 30 }, // Plaza, portal and spawn
+            ...(sceneManager?.temples || []).map(temple => ({ position: temple.position, radius: 40 })),
+            ...(sceneManager?.shops || []).map(shop => ({ position: shop.position, radius: 15 }))
+        ];
+        
+        this.createInstanceBatches();
+        this.createLampLights();
+        this.setupEnvironment();
+        
+        console.log(`🌍 World initialized (${this.chunkSize}m chunks, load radius ${this.loadRadius})`);
+    }
+    
+    // Chunks
+    getChunkKey(gridX, gridZ) {
+        return `${gridX},${gridZ}`;
+    }
+    
+    getChunkCoords(position) {
+        return {
+            gridX: Math.floor(position.x / this.chunkSize),
+            gridZ: Math.floor(position.z / this.chunkSize)
         };
     }
     
-    async init() {
-        console.log('🌍 Initializing World...');
-        
-        // Generate world
-        await this.generateWorld();
+    isChunkInsideWorld(gridX, gridZ) {
+        const half = this.size / 2;
+        return gridX * this.chunkSize >= -half && (gridX + 1) * this.chunkSize <= half &&
+            gridZ * this.chunkSize >= -half && (gridZ + 1) * this.chunkSize <= half;
+    }
+    
+    getChunkAt(position) {
+        const { gridX, gridZ } = this.getChunkCoords(position);
+        return this.chunks.get(this.getChunkKey(gridX, gridZ)) || null;
+    }
+    
+    updateChunks(position) {
+        const { gridX, gridZ } = this.getChunkCoords(position);
+        const key = this.getChunkKey(gridX, gridZ);
         
-        // Setup physics
-        this.setupPhysics();
+        // Only re-check when the player crosses into another chunk
+        if (key === this.currentChunkKey) return;
+        this.currentChunkKey = key;
         
-        // Initialize environmental systems
-        this.setupEnvironment();
+        for (let dx = -this.loadRadius; dx <= this.loadRadius; dx++) {
+            for (let dz = -this.loadRadius; dz <= this.loadRadius; dz++) {
+                if (dx * dx + dz * dz > this.loadRadius * this.loadRadius) continue;
+                
+                const chunkX = gridX + dx;
+                const chunkZ = gridZ + dz;
+                if (!this.chunks.has(this.getChunkKey(chunkX, chunkZ)) && this.isChunkInsideWorld(chunkX, chunkZ)) {
+                    this.loadChunk(chunkX, chunkZ);
+                }
+            }
+        }
         
-        console.log('🌍 World initialized');
+        this.chunks.forEach(chunk => {
+            const dx = chunk.gridX - gridX;
+            const dz = chunk.gridZ - gridZ;
+            if (dx * dx + dz * dz > this.unloadRadius * this.unloadRadius) {
+                this.unloadChunk(chunk);
+            }
+        });
     }
     
-    async generateWorld() {
-        console.log('🌍 Generating world...');
+    loadChunk(gridX, gridZ) {
+        const chunk = this.generateChunk(gridX, gridZ);
+        this.chunks.set(chunk.key, chunk);
         
-        // Generate terrain
-        this.generateTerrain();
+        this.scene.add(chunk.group);
+        this.buildings.push(...chunk.buildings);
         
-        // Generate city layout
-        this.generateCity();
+        // Streamed buildings collide and block pathfinding like the rest of the city
+        const sceneManager = this.game.sceneManager;
+        chunk.collidables.forEach(object => {
+            sceneManager?.collisionObjects?.push(object);
+            sceneManager?.navGrid?.addObstacle(object);
+        });
         
-        // Generate natural features
-        this.generateNaturalFeatures();
+        return chunk;
+    }
+    
+    unloadChunk(chunk) {
+        const sceneManager = this.game.sceneManager;
+        chunk.collidables.forEach(object => {
+            Utils.removeFromArray(sceneManager?.collisionObjects || [], object);
+            sceneManager?.navGrid?.removeObstacle(object);
+        });
         
-        // Place world objects
-        this.placeWorldObjects();
+        this.buildings = this.buildings.filter(building => !chunk.buildings.includes(building));
+        chunk.decorations.forEach(decoration => this.removeInstances(decoration));
         
-        // Generate temples
-        this.generateTemples();
+        chunk.group.parent?.remove(chunk.group);
+        chunk.group.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.dispose();
+        });
         
-        // Generate shops
-        this.generateShops();
+        this.chunks.delete(chunk.key);
+    }
+    
+    generateChunk(gridX, gridZ) {
+        const key = this.getChunkKey(gridX, gridZ);
+        const chunk = {
+            key,
+            gridX,
+            gridZ,
+            group: new THREE.Group(),
+            buildings: [],
+            decorations: [],
+            lamps: [],
+            collidables: [],
+            tokens: [],
+            chests: []
+        };
+        chunk.group.name = `chunk_${key}`;
+        
+        // Layout and loot each get their own stream, so collecting things never shifts the layout
+        this.random = Random.createStream(`chunk:${key}`);
+        const loot = Random.createStream(`loot:${key}`);
         
-        // Generate NPCs
-        this.generateNPCs();
+        this.placeStreetLamp(chunk);
+        this.placeBuilding(chunk);
+        this.placeDecorations(chunk);
+        this.placeCollectibles(chunk, loot);
+        this.placeChest(chunk, loot);
         
-        this.isGenerated = true;
-        console.log('🌍 World generation complete');
+        this.random = null;
+        return chunk;
     }
     
-    generateTerrain() {
-        // Create base terrain - mostly flat with subtle variations
-        const terrainGeometry = new THREE.PlaneGeometry(this.size, this.size, 200, 200);
+    getRandomChunkPosition(chunk, margin = 0, random = this.random) {
+        const span = this.chunkSize - margin * 2;
+        const x = chunk.gridX * this.chunkSize + margin + random.next() * span;
+        const z = chunk.gridZ * this.chunkSize + margin + random.next() * span;
         
-        // Add subtle, smooth height variation using noise
-        const vertices = terrainGeometry.attributes.position.array;
-        for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i];
-            const z = vertices[i + 2];
-            
-            // Create smooth, subtle terrain variations
-            const height = this.getTerrainHeightAt(x, z) * 0.3; // Much more subtle
-            vertices[i + 1] = height; // Y coordinate
+        return new THREE.Vector3(x, this.getTerrainHeightAt(x, z), z);
+    }
+    
+    // Keeps streamed content off the plaza, temples, shops and the hand-placed scenery
+    isReservedPosition(position, clearance = 0) {
+        for (const landmark of this.landmarks) {
+            const dx = position.x - landmark.position.x;
+            const dz = position.z - landmark.position.z;
+            if (Math.sqrt(dx * dx + dz * dz) < landmark.radius + clearance) return true;
         }
         
-        terrainGeometry.attributes.position.needsUpdate = true;
-        terrainGeometry.computeVertexNormals();
+        for (const object of this.staticObstacles) {
+            const box = object.userData?.boundingBox;
+            if (box && box.distanceToPoint(position) < clearance) return true;
+        }
         
-        // Create more interesting terrain material with texture-like appearance
-        const terrainMaterial = new THREE.MeshLambertMaterial({
-            color: 0x4a5d4a, // Darker grey-green
-            wireframe: false
+        return false;
+    }
+    
+    isNearChunkBuilding(chunk, position, clearance) {
+        return chunk.buildings.some(building => {
+            return position.distanceTo(building.position) < building.userData.radius + clearance;
         });
-        
-        this.terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
-        this.terrain.rotation.x = -Math.PI / 2;
-        this.terrain.receiveShadow = true;
-        this.terrain.position.y = 0;
-        
-        this.gameEngine.addToScene(this.terrain);
-        this.collisionGroups.static.push(this.terrain);
-        
-        console.log('🏔️ Generated smooth terrain');
     }
     
-    getTerrainHeightAt(x, z) {
-        // Use same formula as Player.js for consistency but much more subtle
-        const scale1 = 0.01;
-        const scale2 = 0.02;
-        const scale3 = 0.05;
+    // Lamps stand at chunk corners, where the old street grid crossed
+    placeStreetLamp(chunk) {
+        if (this.random.next() > 0.5) return;
         
-        const height1 = Math.sin(x * scale1) * Math.cos(z * scale1) * 3;
-        const height2 = Math.sin(x * scale2) * Math.cos(z * scale2) * 1.5;
-        const height3 = Math.sin(x * scale3) * Math.cos(z * scale3) * 0.5;
+        const x = chunk.gridX * this.chunkSize;
+        const z = chunk.gridZ * this.chunkSize;
+        const position = new THREE.Vector3(x, this.getTerrainHeightAt(x, z), z);
+        if (this.isReservedPosition(position, 2)) return;
         
-        return height1 + height2 + height3;
+        const lamp = this.createStreetLamp();
+        lamp.position.copy(position);
+        this.addInstances(lamp);
+        this.setStreetLamp(lamp, this.isNight);
+        chunk.group.add(lamp);
+        chunk.decorations.push(lamp);
+        chunk.lamps.push(lamp);
     }
     
-    generateCity() {
-        console.log('🏙️ Generating city layout...');
+    placeBuilding(chunk) {
+        const roll = this.random.next();
+        
+        const center = new THREE.Vector3((chunk.gridX + 0.5) * this.chunkSize, 0, (chunk.gridZ + 0.5) * this.chunkSize);
+        if (center.length() < this.cityRadius || roll > 0.35) return;
         
-        // Create city districts
-        this.createDistricts();
+        const building = this.createRandomBuilding();
         
-        // Generate street network
-        this.generateStreets();
+        // Buildings stay inside their own chunk so neighbours never overlap
+        const position = this.getRandomChunkPosition(chunk, building.userData.radius);
+        if (this.isReservedPosition(position, building.userData.radius + 2)) return;
         
-        // Place buildings
-        this.generateBuildings();
+        building.position.copy(position);
+        chunk.group.add(building);
         
-        // Add city infrastructure
-        this.addCityInfrastructure();
+        building.userData.isCollidable = true;
+        building.userData.boundingBox = new THREE.Box3().setFromObject(building);
+        
+        chunk.buildings.push(building);
+        chunk.collidables.push(building);
     }
     
-    createDistricts() {
-        // Define city districts
-        this.districts = [
-            { 
-                name: 'Central Plaza', 
-                center: { x: 0, z: 0 }, 
-                radius: 30,
-                type: 'commercial'
-            },
-            { 
-                name: 'Temple District', 
-                center: { x: 0, z: 0 }, 
-                radius: 200,
-                type: 'religious'
-            },
-            { 
-                name: 'Market District', 
-                center: { x: 0, z: 0 }, 
-                radius: 50,
-                type: 'commercial'
-            }
-        ];
+    placeDecorations(chunk) {
+        const count = Math.floor(this.random.next() * 3);
+        
+        for (let i = 0; i < count; i++) {
+            const decoration = this.createRandomDecoration();
+            const position = this.getRandomChunkPosition(chunk, 5);
+            
+            if (this.isReservedPosition(position, 4) || this.isNearChunkBuilding(chunk, position, 4)) continue;
+            
+            decoration.position.copy(position);
+            this.addInstances(decoration);
+            chunk.group.add(decoration);
+            chunk.decorations.push(decoration);
+        }
     }
     
-    generateStreets() {
-        // Create main street grid
-        const streetWidth = 4;
-        const streetMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x404040 
-        });
+    placeCollectibles(chunk, loot) {
+        const collected = this.getChunkState(chunk.key)?.tokens || [];
+        const count = Math.floor(loot.next() * 3);
         
-        // North-South streets
-        for (let x = -200; x <= 200; x += 50) {
-            const streetGeometry = new THREE.PlaneGeometry(streetWidth, 400);
-            const street = new THREE.Mesh(streetGeometry, streetMaterial);
-            street.rotation.x = -Math.PI / 2;
-            street.position.set(x, 0.1, 0);
+        for (let index = 0; index < count; index++) {
+            const position = this.getRandomChunkPosition(chunk, 2, loot);
+            
+            // Positions are drawn even for collected tokens so the rest keep their spots
+            if (collected.includes(index)) continue;
+            if (this.isReservedPosition(position, 1.5) || this.isNearChunkBuilding(chunk, position, 1.5)) continue;
+            
+            const token = this.createTokenCollectible();
+            token.position.copy(position);
+            token.position.y += 1;
+            token.userData.baseY = token.position.y;
+            token.userData.chunkKey = chunk.key;
+            token.userData.index = index;
             
-            this.gameEngine.addToScene(street);
-            this.environment.push(street);
+            chunk.group.add(token);
+            chunk.tokens.push(token);
+        }
+    }
+    
+    placeChest(chunk, loot) {
+        if (loot.next() > 0.1) return;
+        
+        const position = this.getRandomChunkPosition(chunk, 4, loot);
+        const tokens = 5 + Math.floor(loot.next() * 11);
+        if (this.isReservedPosition(position, 2) || this.isNearChunkBuilding(chunk, position, 2)) return;
+        
+        const chest = this.createChest();
+        chest.position.copy(position);
+        chest.rotation.y = loot.next() * Math.PI * 2;
+        chest.userData.chunkKey = chunk.key;
+        chest.userData.index = 0;
+        chest.userData.tokens = tokens;
+        
+        // Opened chests stay where they were, just empty
+        if (this.getChunkState(chunk.key)?.chests.includes(0)) {
+            this.setChestOpen(chest);
         }
         
-        // East-West streets
-        for (let z = -200; z <= 200; z += 50) {
-            const streetGeometry = new THREE.PlaneGeometry(400, streetWidth);
-            const street = new THREE.Mesh(streetGeometry, streetMaterial);
-            street.rotation.x = -Math.PI / 2;
-            street.position.set(0, 0.1, z);
-            
-            this.gameEngine.addToScene(street);
-            this.environment.push(street);
+        chunk.group.add(chest);
+        chunk.chests.push(chest);
+    }
+    
+    // Per-chunk changes live in playerData so they are saved with the game
+    getChunkState(key, create = false) {
+        const playerData = this.game.getPlayerData();
+        if (!playerData.worldChunks) {
+            if (!create) return null;
+            playerData.worldChunks = {};
         }
+        
+        if (!playerData.worldChunks[key] && create) {
+            playerData.worldChunks[key] = { tokens: [], chests: [] };
+        }
+        return playerData.worldChunks[key] || null;
     }
     
-    generateBuildings() {
-        const buildingCount = 80;
-        const cityRadius = 250;
+    collectToken(token) {
+        const { chunkKey, index } = token.userData;
+        const chunk = this.chunks.get(chunkKey);
+        if (!chunk) return false;
         
-        for (let i = 0; i < buildingCount; i++) {
-            const building = this.createRandomBuilding();
-            
-            // Find valid position
-            let position;
-            let attempts = 0;
-            do {
-                position = this.getRandomCityPosition(cityRadius);
-                attempts++;
-            } while (!this.isValidBuildingPosition(position) && attempts < 50);
-            
-            if (attempts < 50) {
-                building.position.copy(position);
-                // Position building on terrain
-                const terrainHeight = this.getTerrainHeightAt(position.x, position.z);
-                building.position.y = terrainHeight;
+        Utils.removeFromArray(chunk.tokens, token);
+        chunk.group.remove(token);
+        
+        this.getChunkState(chunkKey, true).tokens.push(index);
+        return true;
+    }
+    
+    openChest(chest) {
+        if (chest.userData.isOpened) return false;
+        
+        const { chunkKey, index, tokens } = chest.userData;
+        this.getChunkState(chunkKey, true).chests.push(index);
+        this.setChestOpen(chest);
+        
+        this.game.sceneManager?.player?.addTokens(tokens);
+        this.game.questSystem?.trigger('collect', { item: 'token', amount: tokens });
+        this.game.audioManager?.playSound('doorOpen');
+        this.game.uiManager?.showNotification(`🎁 Found ${tokens} coins in the chest!`, 'success', 2500);
+        
+        console.log(`🎁 Opened chest in chunk ${chunkKey} (${tokens} tokens)`);
+        return true;
+    }
+    
+    setChestOpen(chest) {
+        chest.userData.isOpened = true;
+        chest.userData.interactable = false;
+        chest.userData.lid.rotation.x = -Math.PI * 0.6;
+    }
+    
+    // Tokens and unopened chests in the chunks around a position
+    getNearbyInteractables(position, radius) {
+        const interactables = [];
+        const { gridX, gridZ } = this.getChunkCoords(position);
+        
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const chunk = this.chunks.get(this.getChunkKey(gridX + dx, gridZ + dz));
+                if (!chunk) continue;
                 
-                this.buildings.push(building);
-                this.gameEngine.addToScene(building);
-                this.collisionGroups.static.push(building);
+                chunk.tokens.forEach(token => {
+                    if (position.distanceTo(token.position) <= radius) {
+                        interactables.push(token);
+                    }
+                });
+                
+                chunk.chests.forEach(chest => {
+                    if (!chest.userData.isOpened && position.distanceTo(chest.position) <= radius) {
+                        interactables.push(chest);
+                    }
+                });
             }
         }
         
-        console.log(`🏗️ Generated ${this.buildings.length} buildings`);
+        return interactables;
+    }
+    
+    // Drops every chunk and restarts the clock, so the next update streams the current save back in
+    reset() {
+        this.unloadAllChunks();
+        this.despawnNightEnemies();
+        this.initColorRestoration();
+        this.initDayNightCycle();
+    }
+    
+    unloadAllChunks() {
+        this.chunks.forEach(chunk => this.unloadChunk(chunk));
+        this.currentChunkKey = null;
+    }
+    
+    getTerrainHeightAt(x, z) {
+        // Same formula and scaling as Player.getTerrainHeight, so objects sit where the player walks
+        const scale1 = 0.01;
+        const scale2 = 0.02;
+        const scale3 = 0.05;
+        
+        const height1 = Math.sin(x * scale1) * Math.cos(z * scale1) * 3;
+        const height2 = Math.sin(x * scale2) * Math.cos(z * scale2) * 1.5;
+        const height3 = Math.sin(x * scale3) * Math.cos(z * scale3) * 0.5;
+        
+        return (height1 + height2 + height3) * 0.3;
     }
     
     createRandomBuilding() {
-        const width = 6 + Math.random() * 12;
-        const height = 10 + Math.random() * 25;
-        const depth = 6 + Math.random() * 12;
+        const width = 6 + this.random.next() * 12;
+        const height = 10 + this.random.next() * 25;
+        const depth = 6 + this.random.next() * 12;
         
         const buildingGroup = new THREE.Group();
         
         // Choose building style
         const buildingTypes = ['modern', 'industrial', 'residential'];
-        const buildingType = buildingTypes[Math.floor(Math.random() * buildingTypes.length)];
+        const buildingType = buildingTypes[Math.floor(this.random.next() * buildingTypes.length)];
         
         // Create main structure based on type
         if (buildingType === 'modern') {
@@ -260,7 +491,7 @@ class World {
         // Main structure
         const geometry = new THREE.BoxGeometry(width, height, depth);
         const material = new THREE.MeshLambertMaterial({
-            color: new THREE.Color().setHSL(0.6, 0.1, 0.3 + Math.random() * 0.2) // Blue-grey tones
+            color: new THREE.Color().setHSL(0.6, 0.1, 0.3 + this.random.next() * 0.2) // Blue-grey tones
         });
         
         const building = new THREE.Mesh(geometry, material);
@@ -281,7 +512,7 @@ class World {
         // Main structure - more angular
         const geometry = new THREE.BoxGeometry(width, height * 0.8, depth);
         const material = new THREE.MeshLambertMaterial({
-            color: new THREE.Color().setHSL(0.1, 0.2, 0.25 + Math.random() * 0.15) // Brown-grey
+            color: new THREE.Color().setHSL(0.1, 0.2, 0.25 + this.random.next() * 0.15) // Brown-grey
         });
         
         const building = new THREE.Mesh(geometry, material);
@@ -299,7 +530,7 @@ class World {
         // Main structure
         const geometry = new THREE.BoxGeometry(width, height, depth);
         const material = new THREE.MeshLambertMaterial({
-            color: new THREE.Color().setHSL(0.05, 0.3, 0.35 + Math.random() * 0.2) // Warm grey-brown
+            color: new THREE.Color().setHSL(0.05, 0.3, 0.35 + this.random.next() * 0.2) // Warm grey-brown
         });
         
         const building = new THREE.Mesh(geometry, material);
@@ -339,7 +570,7 @@ class World {
         group.add(entrance);
         
         // Add rooftop details
-        if (Math.random() < 0.4) {
+        if (this.random.next() < 0.4) {
             const rooftopGeometry = new THREE.BoxGeometry(width * 0.3, 2, depth * 0.3);
             const rooftopMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
             const rooftop = new THREE.Mesh(rooftopGeometry, rooftopMaterial);
@@ -350,15 +581,15 @@ class World {
     
     addIndustrialDetails(group, width, height, depth) {
         // Add pipes and industrial elements
-        const pipeCount = 2 + Math.floor(Math.random() * 3);
+        const pipeCount = 2 + Math.floor(this.random.next() * 3);
         for (let i = 0; i < pipeCount; i++) {
             const pipeGeometry = new THREE.CylinderGeometry(0.3, 0.3, height * 0.6);
             const pipeMaterial = new THREE.MeshLambertMaterial({ color: 0x666666 });
             const pipe = new THREE.Mesh(pipeGeometry, pipeMaterial);
             pipe.position.set(
-                (Math.random() - 0.5) * width * 0.8,
+                (this.random.next() - 0.5) * width * 0.8,
                 height * 0.3,
-                (Math.random() - 0.5) * depth * 0.8
+                (this.random.next() - 0.5) * depth * 0.8
             );
             group.add(pipe);
         }
@@ -395,7 +626,7 @@ class World {
         }
         
         // Add balconies
-        if (Math.random() < 0.6) {
+        if (this.random.next() < 0.6) {
             const balconyGeometry = new THREE.BoxGeometry(width * 0.8, 0.2, 1.5);
             const balconyMaterial = new THREE.MeshLambertMaterial({ color: 0x666666 });
             const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
@@ -404,121 +635,119 @@ class World {
         }
     }
     
-    getRandomCityPosition(radius) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * radius;
+    // Lamps, benches and trees are drawn through one batch per part, shared by every loaded chunk
+    createInstanceBatches() {
+        const capacity = 256; // Well above what the chunks within the unload radius can hold
+        const woodMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
         
-        return new THREE.Vector3(
-            Math.cos(angle) * distance,
-            0,
-            Math.sin(angle) * distance
-        );
+        this.batches = {
+            lampPost: new InstancedBatch(new THREE.CylinderGeometry(0.2, 0.2, 8), new THREE.MeshLambertMaterial({ color: 0x333333 }), capacity, { castShadow: true }),
+            lampHead: new InstancedBatch(new THREE.SphereGeometry(1, 8, 8), new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.8 }), capacity),
+            benchSeat: new InstancedBatch(new THREE.BoxGeometry(3, 0.2, 1), woodMaterial, capacity),
+            benchBack: new InstancedBatch(new THREE.BoxGeometry(3, 1, 0.2), woodMaterial, capacity),
+            treeTrunk: new InstancedBatch(new THREE.CylinderGeometry(0.3, 0.5, 4), new THREE.MeshLambertMaterial({ color: 0x4A4A4A }), capacity),
+            treeLeaves: new InstancedBatch(new THREE.SphereGeometry(2, 8, 8), new THREE.MeshLambertMaterial({ color: 0x555555 }), capacity)
+        };
+        
+        Object.values(this.batches).forEach(batch => this.scene.add(batch.mesh));
     }
     
-    isValidBuildingPosition(position) {
-        const minDistance = 20;
+    // Places an object's batched parts where the object now stands
+    addInstances(object) {
+        const parts = object.userData.instanceParts;
+        if (!parts) return;
         
-        // Check distance from spawn point
-        if (position.length() < 30) return false;
-        
-        // Check distance from temples
-        const templePositions = [
-            new THREE.Vector3(-150, 0, -150),
-            new THREE.Vector3(150, 0, -150),
-            new THREE.Vector3(-150, 0, 150),
-            new THREE.Vector3(150, 0, 150)
-        ];
-        
-        for (const templePos of templePositions) {
-            if (position.distanceTo(templePos) < 40) return false;
-        }
-        
-        // Check distance from other buildings
-        for (const building of this.buildings) {
-            if (position.distanceTo(building.position) < minDistance) return false;
-        }
+        object.updateMatrix();
+        Object.entries(parts).forEach(([name, part]) => {
+            const matrix = new THREE.Matrix4().makeTranslation(part.position.x, part.position.y, part.position.z);
+            matrix.premultiply(object.matrix);
+            object.userData.instances[name] = this.batches[name].add(matrix, part.color);
+        });
+    }
+    
+    removeInstances(object) {
+        const instances = object.userData.instances;
+        if (!instances) return;
         
-        return true;
+        Object.entries(instances).forEach(([name, index]) => this.batches[name]?.remove(index));
+        object.userData.instances = {};
     }
     
-    addCityInfrastructure() {
-        // Add street lamps
-        this.addStreetLamps();
+    createStreetLamp() {
+        const lampGroup = new THREE.Group();
         
-        // Add decorative elements
-        this.addDecorations();
+        // Post and head are drawn by the lamp batches, the light comes from the shared lamp lights
+        lampGroup.userData = {
+            type: 'streetLamp',
+            isOn: false,
+            instanceParts: {
+                lampPost: { position: new THREE.Vector3(0, 4, 0) },
+                lampHead: { position: new THREE.Vector3(0, 8, 0) }
+            },
+            instances: {}
+        };
         
-        // Add ambient objects
-        this.addAmbientObjects();
+        return lampGroup;
     }
     
-    addStreetLamps() {
-        const lampPositions = [];
+    setStreetLamp(lamp, on) {
+        lamp.userData.isOn = on;
         
-        // Place lamps at street intersections
-        for (let x = -200; x <= 200; x += 50) {
-            for (let z = -200; z <= 200; z += 50) {
-                if (Math.abs(x) > 25 || Math.abs(z) > 25) { // Avoid center area
-                    lampPositions.push({ x, z });
-                }
-            }
-        }
+        const head = this.batches.lampHead;
+        if (!head) return;
         
-        lampPositions.forEach(pos => {
-            const lamp = this.createStreetLamp();
-            lamp.position.set(pos.x, 0, pos.z);
-            this.gameEngine.addToScene(lamp);
-            this.environment.push(lamp);
-        });
+        head.setColor(lamp.userData.instances.lampHead ?? -1, World.lampHeadColors[on ? 'on' : 'off']);
         
-        console.log(`💡 Added ${lampPositions.length} street lamps`);
+        // Every lamp switches at once, so the heads can share one opacity
+        head.mesh.material.opacity = on ? 1 : 0.8;
     }
     
-    createStreetLamp() {
-        const lampGroup = new THREE.Group();
-        
-        // Lamp post
-        const postGeometry = new THREE.CylinderGeometry(0.2, 0.2, 8);
-        const postMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
-        const post = new THREE.Mesh(postGeometry, postMaterial);
-        post.position.y = 4;
-        post.castShadow = true;
-        
-        // Lamp head
-        const headGeometry = new THREE.SphereGeometry(1, 8, 8);
-        const headMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xffffaa,
-            transparent: true,
-            opacity: 0.8
+    updateStreetLamps() {
+        this.chunks.forEach(chunk => {
+            chunk.lamps.forEach(lamp => this.setStreetLamp(lamp, this.isNight));
         });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 8;
-        
-        lampGroup.add(post);
-        lampGroup.add(head);
-        
-        return lampGroup;
     }
     
-    addDecorations() {
-        // Add fountains, statues, benches, etc.
-        const decorationCount = 20;
-        
-        for (let i = 0; i < decorationCount; i++) {
-            const decoration = this.createRandomDecoration();
-            const position = this.getRandomCityPosition(100);
-            
-            if (this.isValidDecorationPosition(position)) {
-                decoration.position.copy(position);
-                this.gameEngine.addToScene(decoration);
-                this.environment.push(decoration);
+    createLampLights() {
+        for (let i = 0; i < this.lampLightCount; i++) {
+            // Always in the scene, a light with no lamp to sit on is just turned down to nothing
+            const light = new THREE.PointLight(0xffdd99, 0, 25);
+            this.scene.add(light);
+            this.lampLights.push(light);
+        }
+    }
+    
+    updateLampLights(position) {
+        const lamps = [];
+        this.chunks.forEach(chunk => {
+            chunk.lamps.forEach(lamp => {
+                if (lamp.userData.isOn) lamps.push(lamp);
+            });
+        });
+        lamps.sort((a, b) => a.position.distanceToSquared(position) - b.position.distanceToSquared(position));
+        
+        this.lampLights.forEach((light, index) => {
+            const lamp = lamps[index];
+            light.intensity = lamp ? 2 : 0;
+            if (lamp) {
+                light.position.copy(lamp.position);
+                light.position.y += 7.5;
+            }
+        });
+    }
+    
+    isNearLitLamp(position, radius) {
+        for (const chunk of this.chunks.values()) {
+            for (const lamp of chunk.lamps) {
+                if (lamp.userData.isOn && position.distanceTo(lamp.position) < radius) return true;
             }
         }
+        return false;
     }
     
     createRandomDecoration() {
         const decorationTypes = ['fountain', 'statue', 'bench', 'tree'];
-        const type = decorationTypes[Math.floor(Math.random() * decorationTypes.length)];
+        const type = decorationTypes[Math.floor(this.random.next() * decorationTypes.length)];
         
         switch (type) {
             case 'fountain':
@@ -575,148 +804,38 @@ class World {
         return statueGroup;
     }
     
+    // Seat and back are drawn by the bench batches
     createBench() {
         const benchGroup = new THREE.Group();
         
-        // Bench seat
-        const seatGeometry = new THREE.BoxGeometry(3, 0.2, 1);
-        const seatMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
-        const seat = new THREE.Mesh(seatGeometry, seatMaterial);
-        seat.position.y = 1;
-        
-        // Bench back
-        const backGeometry = new THREE.BoxGeometry(3, 1, 0.2);
-        const back = new THREE.Mesh(backGeometry, seatMaterial);
-        back.position.set(0, 1.5, -0.4);
-        
-        benchGroup.add(seat);
-        benchGroup.add(back);
+        benchGroup.userData = {
+            type: 'bench',
+            instanceParts: {
+                benchSeat: { position: new THREE.Vector3(0, 1, 0) },
+                benchBack: { position: new THREE.Vector3(0, 1.5, -0.4) }
+            },
+            instances: {}
+        };
         
         return benchGroup;
     }
     
+    // Trunk and leaves are drawn by the tree batches
     createTree() {
         const treeGroup = new THREE.Group();
         
-        // Trunk
-        const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.5, 4);
-        const trunkMaterial = new THREE.MeshLambertMaterial({ color: 0x4A4A4A });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        trunk.position.y = 2;
-        
-        // Leaves (simple sphere)
-        const leavesGeometry = new THREE.SphereGeometry(2, 8, 8);
-        const leavesMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
-        const leaves = new THREE.Mesh(leavesGeometry, leavesMaterial);
-        leaves.position.y = 5;
-        
-        treeGroup.add(trunk);
-        treeGroup.add(leaves);
+        treeGroup.userData = {
+            type: 'tree',
+            instanceParts: {
+                treeTrunk: { position: new THREE.Vector3(0, 2, 0) },
+                treeLeaves: { position: new THREE.Vector3(0, 5, 0) }
+            },
+            instances: {}
+        };
         
         return treeGroup;
     }
     
-    isValidDecorationPosition(position) {
-        const minDistance = 15;
-        
-        // Check distance from buildings
-        for (const building of this.buildings) {
-            if (position.distanceTo(building.position) < minDistance) return false;
-        }
-        
-        // Check distance from other decorations
-        for (const decoration of this.environment) {
-            if (decoration.position && position.distanceTo(decoration.position) < 8) return false;
-        }
-        
-        return true;
-    }
-    
-    addAmbientObjects() {
-        // Add small ambient objects like trash cans, signs, etc.
-        // This would be expanded in a full implementation
-    }
-    
-    generateNaturalFeatures() {
-        // Add natural elements to break up the urban environment
-        this.addParkAreas();
-        this.addWaterFeatures();
-    }
-    
-    addParkAreas() {
-        // Create small park areas with grass and trees
-        const parkCount = 3;
-        
-        for (let i = 0; i < parkCount; i++) {
-            const parkCenter = this.getRandomCityPosition(150);
-            if (this.isValidParkPosition(parkCenter)) {
-                this.createParkArea(parkCenter);
-            }
-        }
-    }
-    
-    createParkArea(center) {
-        // Create grass area
-        const grassGeometry = new THREE.CircleGeometry(15, 16);
-        const grassMaterial = new THREE.MeshLambertMaterial({ color: 0x4A4A4A });
-        const grass = new THREE.Mesh(grassGeometry, grassMaterial);
-        grass.rotation.x = -Math.PI / 2;
-        grass.position.copy(center);
-        grass.position.y = 0.1;
-        
-        this.gameEngine.addToScene(grass);
-        this.environment.push(grass);
-        
-        // Add trees around the park
-        const treeCount = 5;
-        for (let i = 0; i < treeCount; i++) {
-            const angle = (i / treeCount) * Math.PI * 2;
-            const treePos = new THREE.Vector3(
-                center.x + Math.cos(angle) * 12,
-                0,
-                center.z + Math.sin(angle) * 12
-            );
-            
-            const tree = this.createTree();
-            tree.position.copy(treePos);
-            this.gameEngine.addToScene(tree);
-            this.environment.push(tree);
-        }
-    }
-    
-    isValidParkPosition(position) {
-        // Check if position is suitable for a park
-        return this.isValidBuildingPosition(position);
-    }
-    
-    addWaterFeatures() {
-        // Add small water features like ponds
-        // This would be expanded in a full implementation
-    }
-    
-    placeWorldObjects() {
-        // Place interactive objects throughout the world
-        this.placeCollectibles();
-        this.placeInteractiveObjects();
-    }
-    
-    placeCollectibles() {
-        // Place token collectibles around the world
-        const tokenCount = 50;
-        
-        for (let i = 0; i < tokenCount; i++) {
-            const token = this.createTokenCollectible();
-            const position = this.getRandomCityPosition(200);
-            
-            if (this.isValidCollectiblePosition(position)) {
-                token.position.copy(position);
-                token.position.y = 1;
-                this.gameEngine.addToScene(token);
-                this.collisionGroups.triggers.push(token);
-            }
-        }
-    }
-    
     createTokenCollectible() {
         const tokenGroup = new THREE.Group();
         
@@ -741,115 +860,200 @@ class World {
         return tokenGroup;
     }
     
-    isValidCollectiblePosition(position) {
-        // Check if position is accessible and not inside buildings
-        const minDistance = 5;
-        
-        for (const building of this.buildings) {
-            if (position.distanceTo(building.position) < minDistance) return false;
-        }
+    createChest() {
+        const chestGroup = new THREE.Group();
+        const woodMaterial = new THREE.MeshLambertMaterial({ color: 0x8B5A2B });
+        const trimMaterial = new THREE.MeshLambertMaterial({ color: 0xC9A227 });
+        
+        // Box
+        const base = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.9, 1), woodMaterial);
+        base.position.y = 0.45;
+        base.castShadow = true;
+        chestGroup.add(base);
+        
+        // Lid hinges along the back edge
+        const lid = new THREE.Group();
+        lid.position.set(0, 0.9, -0.5);
+        const lidMesh = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.35, 1), woodMaterial);
+        lidMesh.position.set(0, 0.175, 0.5);
+        lidMesh.castShadow = true;
+        lid.add(lidMesh);
+        
+        const lock = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.3, 0.1), trimMaterial);
+        lock.position.set(0, 0, 1.02);
+        lid.add(lock);
+        chestGroup.add(lid);
+        
+        chestGroup.userData = {
+            type: 'chest',
+            interactable: true,
+            isOpened: false,
+            lid: lid
+        };
         
-        return true;
-    }
-    
-    placeInteractiveObjects() {
-        // Place objects that players can interact with
-        // This would include quest objects, lore items, etc.
+        return chestGroup;
     }
     
-    setupPhysics() {
-        console.log('🌍 Setting up world physics...');
+    setupEnvironment() {
+        console.log('🌍 Setting up environment...');
         
-        // Initialize collision detection systems
-        this.setupCollisionDetection();
+        // Initialize weather system
+        this.initWeatherSystem();
         
-        // Setup trigger zones
-        this.setupTriggerZones();
-    }
-    
-    setupCollisionDetection() {
-        // Set up spatial partitioning for efficient collision detection
-        this.spatialGrid = new Map();
-        this.gridSize = 50;
+        // Bring back the color already restored
+        this.initColorRestoration();
         
-        // Populate spatial grid with static objects
-        this.collisionGroups.static.forEach(obj => {
-            this.addToSpatialGrid(obj);
-        });
+        // Setup day/night cycle
+        this.initDayNightCycle();
+        
+        // Initialize ambient sounds
+        this.initAmbientSounds();
     }
     
-    addToSpatialGrid(object) {
-        if (!object.position) return;
-        
-        const gridX = Math.floor(object.position.x / this.gridSize);
-        const gridZ = Math.floor(object.position.z / this.gridSize);
-        const key = `${gridX},${gridZ}`;
-        
-        if (!this.spatialGrid.has(key)) {
-            this.spatialGrid.set(key, []);
+    initWeatherSystem() {
+        this.weather = 'overcast'; // Fits the grey world theme
+        this.weatherFrom = this.getWeatherParameters(this.weather);
+        this.weatherState = { ...this.weatherFrom };
+        this.weatherBlend = 1;
+        this.weatherTimer = this.rollWeatherDuration();
+        this.weatherArea = null;
+        this.lightningTimer = 0;
+        this.lightningFlash = 0;
+        
+        // Weather thins or thickens the engine's fog from these distances
+        const fog = this.scene?.fog;
+        if (fog && !this.baseFog) {
+            this.baseFog = { near: fog.near, far: fog.far };
         }
         
-        this.spatialGrid.get(key).push(object);
+        if (!this.rainParticles && this.game.getGameSettings?.().graphics.particles !== false) {
+            this.rainParticles = this.createWeatherParticles(1500, 0xAABBCC, 0.15, 0.6);
+            this.dustParticles = this.createWeatherParticles(400, 0xC8C0B0, 0.25, 0.5);
+        }
     }
     
-    getObjectsInGrid(position) {
-        const gridX = Math.floor(position.x / this.gridSize);
-        const gridZ = Math.floor(position.z / this.gridSize);
-        
-        const objects = [];
-        
-        // Check surrounding grid cells
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dz = -1; dz <= 1; dz++) {
-                const key = `${gridX + dx},${gridZ + dz}`;
-                if (this.spatialGrid.has(key)) {
-                    objects.push(...this.spatialGrid.get(key));
-                }
-            }
-        }
-        
-        return objects;
+    getWeatherParameters(type) {
+        const { fog, rain, wind, darkness } = World.weatherTypes[type];
+        return { fog, rain, wind, darkness };
     }
     
-    setupTriggerZones() {
-        // Create trigger zones for temples, shops, etc.
-        // These are invisible areas that trigger events when entered
+    rollWeatherDuration() {
+        return Random.stream('weather').float(90, 240);
     }
     
-    setupEnvironment() {
-        console.log('🌍 Setting up environment...');
+    // Drops and dust are laid out once in a box and wrapped around as they move
+    createWeatherParticles(count, color, size, opacity) {
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = (Math.random() - 0.5) * this.particleArea;
+            positions[i * 3 + 1] = Math.random() * this.particleHeight;
+            positions[i * 3 + 2] = (Math.random() - 0.5) * this.particleArea;
+        }
         
-        // Initialize weather system
-        this.initWeatherSystem();
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setDrawRange(0, 0);
         
-        // Setup day/night cycle
-        this.initDayNightCycle();
+        const material = new THREE.PointsMaterial({
+            color: color,
+            size: size,
+            transparent: true,
+            opacity: opacity,
+            depthWrite: false
+        });
         
-        // Initialize ambient sounds
-        this.initAmbientSounds();
-    }
-    
-    initWeatherSystem() {
-        this.weather = 'overcast'; // Fits the grey world theme
-        // In a full implementation, this would handle weather effects
+        const particles = new THREE.Points(geometry, material);
+        particles.frustumCulled = false;
+        particles.visible = false;
+        this.scene?.add(particles);
+        
+        return particles;
     }
     
     initDayNightCycle() {
-        // The grey world has a perpetual overcast day
-        this.timeOfDay = 14; // Afternoon lighting
+        // Remember the daytime light levels the engine was set up with
+        if (!this.baseLighting) {
+            this.baseLighting = {
+                sun: this.gameEngine.directionalLight?.intensity ?? 1.2,
+                ambient: this.gameEngine.ambientLight?.intensity ?? 0.5
+            };
+        }
+        
+        // The clock carries on from the save, new games start in the afternoon
+        this.timeOfDay = this.game.getPlayerData().timeOfDay ?? 14;
+        this.isNight = this.isNightTime();
+        this.nightSpawnTimer = this.nightSpawnInterval;
+        
         this.updateLighting();
+        this.updateStreetLamps();
+    }
+    
+    isNightTime(hour = this.timeOfDay) {
+        return hour >= this.nightStart || hour < this.nightEnd;
+    }
+    
+    // Story progress: each restored element brings back some color, defeating Dr. Hegesh brings it all
+    getColorProgress() {
+        if (this.game.sceneManager?.isColorRestored) return 1;
+        
+        const collected = Object.values(this.game.getPlayerData().collectedElements || {}).filter(Boolean).length;
+        return collected / 4;
     }
     
     updateLighting() {
-        // Update directional light based on time of day
         const light = this.gameEngine.directionalLight;
+        const ambient = this.gameEngine.ambientLight;
+        
+        // Sun rises in the east at 6, overhead at noon
+        const angle = ((this.timeOfDay - 6) / 24) * Math.PI * 2;
+        const elevation = Math.sin(angle);
+        const daylight = Utils.clamp((elevation + 0.1) / 0.4, 0, 1);
+        
         if (light) {
-            // Grey world has dim, diffused lighting
-            light.intensity = 0.6;
-            light.color.setHex(0x888888);
+            // After sunset the same light plays the moon on the other side of the sky
+            const side = elevation >= 0 ? 1 : -1;
+            light.position.set(Math.cos(angle) * 250 * side, Math.abs(elevation) * 230 + 20, 80);
+            light.intensity = Utils.lerp(0.25, this.baseLighting.sun, daylight) * (1 - this.weatherState.darkness);
+            this.applyColorProgress(this.getKeyframeColor(World.sunColors, light.color), 1);
+        }
+        
+        if (ambient) {
+            // Lightning lights up the whole city for a moment
+            ambient.intensity = Utils.lerp(0.15, this.baseLighting.ambient, daylight) * (1 - this.weatherState.darkness * 0.5) +
+                this.lightningFlash * 6;
+        }
+        
+        // Sky dome, background and fog share one color so the horizon blends
+        const skybox = this.game.sceneManager?.skybox;
+        if (skybox) {
+            this.applyColorProgress(this.getKeyframeColor(World.skyColors, skybox.material.color), 0.65);
+            skybox.material.color.multiplyScalar(1 - this.weatherState.darkness);
+            this.scene?.background?.copy(skybox.material.color);
+            this.scene?.fog?.color.copy(skybox.material.color);
         }
     }
     
+    getKeyframeColor(keyframes, target) {
+        for (let i = 1; i < keyframes.length; i++) {
+            const [hour, hex] = keyframes[i];
+            if (this.timeOfDay > hour) continue;
+            
+            const [prevHour, prevHex] = keyframes[i - 1];
+            const t = (this.timeOfDay - prevHour) / (hour - prevHour);
+            return target.setHex(prevHex).lerp(this.greyColor.setHex(hex), t);
+        }
+        return target.setHex(keyframes[keyframes.length - 1][1]);
+    }
+    
+    // The grey world shows every color as a grey of the same brightness
+    applyColorProgress(color, brightness) {
+        // The engine's color pass greys the whole frame when post-processing is on
+        if (this.gameEngine.colorPass) return color;
+        
+        const grey = (color.r * 0.3 + color.g * 0.59 + color.b * 0.11) * brightness;
+        return color.lerp(this.greyColor.setRGB(grey, grey, grey), 1 - this.colorProgress);
+    }
+    
     initAmbientSounds() {
         // Initialize ambient city sounds
         this.ambientSounds = [
@@ -871,14 +1075,21 @@ class World {
     
     // Update methods
     update(deltaTime) {
-        // Update environmental systems
+        // The clock keeps running inside temples, everything else only lives in the overworld
         this.updateEnvironmentalEffects(deltaTime);
         
-        // Update physics
-        this.updatePhysics(deltaTime);
+        const sceneManager = this.game.sceneManager;
+        if (sceneManager?.activeInterior) return;
+        
+        // Stream chunks around the player
+        if (sceneManager?.player) {
+            this.updateChunks(sceneManager.player.position);
+            this.updateLampLights(sceneManager.player.position);
+        }
         
         // Update dynamic objects
-        this.updateDynamicObjects(deltaTime);
+        this.updateCollectibles(deltaTime);
+        this.updateNightEnemies(deltaTime);
     }
     
     updateEnvironmentalEffects(deltaTime) {
@@ -887,221 +1098,444 @@ class World {
         
         // Update day/night cycle
         this.updateDayNightCycle(deltaTime);
+        
+        // Spread restored color
+        this.updateColorRestoration(deltaTime);
     }
     
     updateWeatherEffects(deltaTime) {
-        // Update weather-related visual effects
-        // In the grey world, this might include fog, subtle wind effects
+        const sceneManager = this.game.sceneManager;
+        const isOutside = !sceneManager?.activeInterior;
+        
+        if (isOutside) {
+            this.updateWeatherArea(sceneManager?.player?.position);
+        }
+        
+        this.weatherTimer -= deltaTime;
+        if (this.weatherTimer <= 0) {
+            this.setWeather(this.pickWeather());
+        }
+        
+        // Ease every parameter from where the last weather left off
+        this.weatherBlend = Math.min(1, this.weatherBlend + deltaTime / this.weatherTransitionTime);
+        const target = World.weatherTypes[this.weather];
+        Object.keys(this.weatherState).forEach(key => {
+            this.weatherState[key] = Utils.lerp(this.weatherFrom[key], target[key], this.weatherBlend);
+        });
+        
+        // Gusts swing the wind a little either side of its heading
+        const gust = Math.sin(Date.now() * 0.0003) * 0.3 * deltaTime;
+        this.windDirection.applyAxisAngle(World.upAxis, gust).normalize();
+        
+        const fog = this.scene?.fog;
+        if (fog && this.baseFog) {
+            fog.near = this.baseFog.near / this.weatherState.fog;
+            fog.far = this.baseFog.far / this.weatherState.fog;
+        }
+        
+        this.updateWeatherParticles(deltaTime, isOutside ? sceneManager?.player?.position : null);
+        this.updateLightningStrikes(deltaTime);
+        
+        // Temples are sheltered, their own music takes over
+        const audio = isOutside ? this.weather : null;
+        if (audio !== this.weatherAudio) {
+            this.weatherAudio = audio;
+            this.game.audioManager?.playWeatherAudio(audio);
+        }
     }
     
-    updateDayNightCycle(deltaTime) {
-        // The grey world has static lighting, but this could change
-        // as the player restores color
+    // Temple surroundings lean towards their element's weather
+    updateWeatherArea(position) {
+        if (!position) return;
+        
+        const temple = (this.game.sceneManager?.temples || []).find(temple =>
+            Utils.distance2D(position.x, position.z, temple.position.x, temple.position.z) < World.weatherAreaRadius
+        );
+        const area = temple?.userData.type || null;
+        
+        if (area !== this.weatherArea) {
+            this.weatherArea = area;
+            
+            // Don't make the player wait minutes for the area's weather to roll in
+            if (area) {
+                this.weatherTimer = Math.min(this.weatherTimer, 5);
+            }
+        }
     }
     
-    updatePhysics(deltaTime) {
-        // Update physics simulations
-        this.updateCollisions();
+    pickWeather() {
+        const weights = { ...World.weatherWeights };
+        const bias = World.templeWeatherBias[this.weatherArea] || {};
+        Object.entries(bias).forEach(([type, weight]) => {
+            weights[type] = Math.max(0, weights[type] + weight);
+        });
+        
+        // Favor a change over the same weather again
+        weights[this.weather] *= 0.5;
+        
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        let roll = Random.stream('weather').float(0, total);
+        for (const [type, weight] of Object.entries(weights)) {
+            roll -= weight;
+            if (roll < 0) return type;
+        }
+        return 'overcast';
     }
     
-    updateCollisions() {
-        // Handle collision detection and response
-        // This would be more complex in a full implementation
+    setWeather(type) {
+        this.weatherTimer = this.rollWeatherDuration();
+        if (type === this.weather) return;
+        
+        this.weatherFrom = { ...this.weatherState };
+        this.weather = type;
+        this.weatherBlend = 0;
+        
+        const angle = Random.stream('weather').float(0, Math.PI * 2);
+        this.windDirection.set(Math.cos(angle), 0, Math.sin(angle));
+        
+        console.log(`🌦️ Weather changing to ${type}`);
+        this.game.uiManager?.showNotification(World.weatherTypes[type].message, 'info', 3000);
     }
     
-    updateDynamicObjects(deltaTime) {
-        // Update any dynamic world objects
-        this.updateCollectibles(deltaTime);
-        this.updateNPCs(deltaTime);
+    updateWeatherParticles(deltaTime, position) {
+        const { rain, wind } = this.weatherState;
+        const windSpeed = wind * deltaTime;
+        
+        // Rain slants with the wind, dust is blown along near the ground
+        this.moveWeatherParticles(this.rainParticles, position, rain, (positions, i) => {
+            positions[i] += this.windDirection.x * windSpeed;
+            positions[i + 1] -= 25 * deltaTime;
+            positions[i + 2] += this.windDirection.z * windSpeed;
+        });
+        
+        this.moveWeatherParticles(this.dustParticles, position, Utils.clamp((wind - 2) / 6, 0, 1), (positions, i) => {
+            positions[i] += this.windDirection.x * windSpeed * 2;
+            positions[i + 1] += Math.sin(positions[i] * 0.5) * deltaTime;
+            positions[i + 2] += this.windDirection.z * windSpeed * 2;
+        });
     }
     
-    updateNPCs(deltaTime) {
-        // Update all NPCs
-        if (this.npcs) {
-            this.npcs.forEach(npc => {
-                npc.update(deltaTime);
-            });
+    moveWeatherParticles(particles, position, amount, move) {
+        if (!particles) return;
+        
+        const attribute = particles.geometry.attributes.position;
+        const scale = this.gameEngine.getParticleScale?.() ?? 1;
+        const count = position ? Math.floor(attribute.count * amount * scale) : 0;
+        particles.visible = count > 0;
+        particles.geometry.setDrawRange(0, count);
+        if (!count) return;
+        
+        // The box travels with the player so the weather never runs out
+        particles.position.set(position.x, 0, position.z);
+        
+        const half = this.particleArea / 2;
+        const positions = attribute.array;
+        for (let i = 0; i < count * 3; i += 3) {
+            move(positions, i);
+            
+            if (positions[i] > half) positions[i] -= this.particleArea;
+            if (positions[i] < -half) positions[i] += this.particleArea;
+            if (positions[i + 1] < 0) positions[i + 1] += this.particleHeight;
+            if (positions[i + 1] > this.particleHeight) positions[i + 1] -= this.particleHeight;
+            if (positions[i + 2] > half) positions[i + 2] -= this.particleArea;
+            if (positions[i + 2] < -half) positions[i + 2] += this.particleArea;
         }
+        attribute.needsUpdate = true;
     }
     
-    updateCollectibles(deltaTime) {
-        // Animate collectible tokens
-        this.collisionGroups.triggers.forEach(obj => {
-            if (obj.userData && obj.userData.type === 'token') {
-                obj.rotation.y += deltaTime * 2;
-                obj.position.y = 1 + Math.sin(Date.now() * 0.003) * 0.2;
-            }
-        });
+    updateLightningStrikes(deltaTime) {
+        this.lightningFlash = Math.max(0, this.lightningFlash - deltaTime);
+        if (this.weather !== 'storm' || this.weatherBlend < 0.5) return;
+        
+        this.lightningTimer -= deltaTime;
+        if (this.lightningTimer > 0) return;
+        
+        this.lightningTimer = Random.stream('weather').float(6, 15);
+        
+        // Only the overworld sees the flash, thunder carries into the temples
+        if (!this.game.sceneManager?.activeInterior) {
+            this.lightningFlash = 0.2;
+        }
+        this.game.audioManager?.playSound('thunder', 0.8);
     }
     
-    // Utility methods
-    getCollisionObjects() {
-        return this.collisionGroups.static;
+    // Gameplay hooks, temples are sheltered from the weather
+    getRainIntensity() {
+        return this.game.sceneManager?.activeInterior ? 0 : this.weatherState.rain;
     }
     
-    getTriggerObjects() {
-        return this.collisionGroups.triggers;
+    getStormIntensity() {
+        if (this.game.sceneManager?.activeInterior || this.weather !== 'storm') return 0;
+        return this.weatherBlend;
     }
     
-    findNearestBuilding(position) {
-        let nearest = null;
-        let nearestDistance = Infinity;
+    // Pushes a projectile's position along with the wind
+    applyWind(position, deltaTime) {
+        if (this.game.sceneManager?.activeInterior) return;
+        position.addScaledVector(this.windDirection, this.weatherState.wind * 0.5 * deltaTime);
+    }
+    
+    updateDayNightCycle(deltaTime) {
+        this.timeOfDay = (this.timeOfDay + deltaTime * 24 / this.dayLength) % 24;
+        this.game.getPlayerData().timeOfDay = this.timeOfDay;
         
-        for (const building of this.buildings) {
-            const distance = position.distanceTo(building.position);
-            if (distance < nearestDistance) {
-                nearestDistance = distance;
-                nearest = building;
-            }
-        }
+        this.updateLighting();
         
-        return nearest;
+        const isNight = this.isNightTime();
+        if (isNight !== this.isNight) {
+            this.isNight = isNight;
+            this.updateStreetLamps();
+            
+            console.log(isNight ? '🌙 Night falls' : '🌅 Day breaks');
+            this.game.uiManager?.showNotification(
+                isNight ? '🌙 Night falls... strange creatures are stirring' : '🌅 The sun rises',
+                'info',
+                3000
+            );
+        }
     }
     
-    generateTemples() {
-        console.log('🏛️ Generating elemental temples...');
+    initColorRestoration() {
+        const collectedElements = this.game.getPlayerData().collectedElements || {};
         
-        // Define temple positions in the four corners of the world
-        const templeData = [
-            { type: 'water', position: new THREE.Vector3(-200, 0, -200) },
-            { type: 'fire', position: new THREE.Vector3(200, 0, 200) },
-            { type: 'wind', position: new THREE.Vector3(-200, 0, 200) },
-            { type: 'lightning', position: new THREE.Vector3(200, 0, -200) }
-        ];
+        this.colorProgress = this.getColorProgress();
+        this.districtRadii = {};
+        (this.game.sceneManager?.temples || []).forEach(temple => {
+            const type = temple.userData.type;
+            this.districtRadii[type] = collectedElements[type] ? this.districtRadius : 0;
+        });
+        
+        this.updateColorRestoration(0);
+    }
+    
+    // Completed temples recolor their district first, the whole world follows as more elements return
+    updateColorRestoration(deltaTime) {
+        const sceneManager = this.game.sceneManager;
+        const collectedElements = this.game.getPlayerData().collectedElements || {};
         
-        this.temples = [];
+        // Color eases back in over a few seconds whenever the story moves on
+        const step = deltaTime * 0.2;
+        this.colorProgress += Utils.clamp(this.getColorProgress() - this.colorProgress, -step, step);
         
-        templeData.forEach(data => {
-            // Adjust position for terrain height
-            const terrainHeight = this.getTerrainHeightAt(data.position.x, data.position.z);
-            data.position.y = terrainHeight;
-            
-            // Create temple
-            const temple = new Temple(this.game, data.type, data.position);
-            this.temples.push(temple);
-            
-            // Add to collision groups
-            this.collisionGroups.static.push(temple.mesh);
+        const districts = (sceneManager?.temples || []).map(temple => {
+            const type = temple.userData.type;
+            const target = collectedElements[type] ? this.districtRadius : 0;
+            const spread = deltaTime * this.districtSpreadSpeed;
+            const radius = (this.districtRadii[type] || 0) + Utils.clamp(target - (this.districtRadii[type] || 0), -spread, spread);
             
-            console.log(`🏛️ Generated ${data.type} temple at (${data.position.x}, ${data.position.z})`);
+            this.districtRadii[type] = radius;
+            return { position: temple.position, radius };
         });
         
-        console.log(`🏛️ Generated ${this.temples.length} temples`);
+        // Temples keep their element's colors inside, out here only the restored districts stand out
+        if (sceneManager?.activeInterior) {
+            this.gameEngine.setColorRestoration?.(1);
+        } else {
+            this.gameEngine.setColorRestoration?.(this.colorProgress * this.colorProgress, districts);
+        }
     }
     
-    generateShops() {
-        console.log('🏪 Generating shops...');
+    // Night creatures roam away from lit lamps and go back into hiding at dawn
+    updateNightEnemies(deltaTime) {
+        const enemies = this.game.sceneManager?.enemies || [];
+        this.nightEnemies = this.nightEnemies.filter(enemy => enemy.state !== 'dead' && enemies.includes(enemy));
         
-        // Define shop positions around the central area
-        const shopPositions = [
-            { x: -30, z: 0, type: 'weapons' },
-            { x: 30, z: 0, type: 'consumables' },
-            { x: 0, z: -30, type: 'equipment' },
-            { x: 0, z: 30, type: 'general' }
-        ];
-        
-        this.shops = [];
+        if (!this.isNight) {
+            this.despawnNightEnemies();
+            return;
+        }
         
-        shopPositions.forEach(data => {
-            const terrainHeight = this.getTerrainHeightAt(data.x, data.z);
-            const position = new THREE.Vector3(data.x, terrainHeight, data.z);
-            
-            const shop = new Shop(this.game, data.type, position);
-            this.shops.push(shop);
-            
-            // Add to collision groups
-            this.collisionGroups.static.push(shop.mesh);
-            
-            console.log(`🏪 Generated ${data.type} shop at (${data.x}, ${data.z})`);
-        });
+        this.nightSpawnTimer -= deltaTime;
+        if (this.nightSpawnTimer > 0 || this.nightEnemies.length >= this.maxNightEnemies) return;
         
-        console.log(`🏪 Generated ${this.shops.length} shops`);
+        this.nightSpawnTimer = this.nightSpawnInterval;
+        this.spawnNightEnemy();
     }
     
-    generateNPCs() {
-        console.log('🍈 Generating NPCs...');
+    spawnNightEnemy() {
+        const sceneManager = this.game.sceneManager;
+        const player = sceneManager?.player;
+        if (!player) return null;
         
-        this.npcs = [];
-        const npcCount = 25; // Reasonable number of NPCs
+        const ai = Random.stream('ai');
         
-        for (let i = 0; i < npcCount; i++) {
-            const npc = new NPC(this.game);
+        for (let attempt = 0; attempt < 5; attempt++) {
+            // Just out of sight, never on the plaza or under a lamp
+            const angle = ai.next() * Math.PI * 2;
+            const distance = ai.float(30, 55);
+            const x = player.position.x + Math.cos(angle) * distance;
+            const z = player.position.z + Math.sin(angle) * distance;
+            const position = new THREE.Vector3(x, this.getTerrainHeightAt(x, z), z);
             
-            // Find valid position for NPC
-            let position;
-            let attempts = 0;
-            do {
-                position = this.getRandomCityPosition(150);
-                attempts++;
-            } while (!this.isValidNPCPosition(position) && attempts < 30);
+            if (this.isReservedPosition(position, 5) || this.isNearLitLamp(position, 15)) continue;
+            if (sceneManager.navGrid && !sceneManager.navGrid.isWalkable(x, z)) continue;
             
-            if (attempts < 30) {
-                // Adjust for terrain height
-                const terrainHeight = this.getTerrainHeightAt(position.x, position.z);
-                position.y = terrainHeight;
-                
-                npc.setPosition(position.x, position.y, position.z);
-                this.npcs.push(npc);
-                
-                // Add to scene
-                this.gameEngine.addToScene(npc.mesh);
-                
-                // Add to collision groups as dynamic objects
-                this.collisionGroups.dynamic.push(npc);
-            }
+            const enemy = new Enemy(this.game, 'night_creature', { archetype: 'patrol' });
+            enemy.setPosition(position.x, position.y, position.z);
+            
+            this.scene.add(enemy.mesh);
+            sceneManager.enemies.push(enemy);
+            this.nightEnemies.push(enemy);
+            
+            console.log(`🌙 Night creature appeared at (${x.toFixed(0)}, ${z.toFixed(0)})`);
+            return enemy;
         }
         
-        console.log(`🍈 Generated ${this.npcs.length} NPCs`);
+        return null;
     }
     
-    isValidNPCPosition(position) {
-        const minDistance = 8;
-        
-        // Check distance from player spawn
-        if (position.length() < 20) return false;
-        
-        // Check distance from buildings
-        for (const building of this.buildings) {
-            if (position.distanceTo(building.position) < minDistance) return false;
-        }
+    despawnNightEnemies() {
+        this.nightEnemies.forEach(enemy => enemy.dispose());
+        this.nightEnemies = [];
+    }
+    
+    updateCollectibles(deltaTime) {
+        // Animate collectible tokens
+        this.chunks.forEach(chunk => {
+            chunk.tokens.forEach(token => {
+                token.rotation.y += deltaTime * 2;
+                token.position.y = token.userData.baseY + Math.sin(Date.now() * 0.003) * 0.2;
+            });
+        });
+    }
+    
+    // Utility methods
+    getCollisionObjects() {
+        const objects = [];
+        this.chunks.forEach(chunk => objects.push(...chunk.collidables));
+        return objects;
+    }
+    
+    getTriggerObjects() {
+        const objects = [];
+        this.chunks.forEach(chunk => objects.push(...chunk.tokens, ...chunk.chests));
+        return objects;
+    }
+    
+    // Collidables in the chunk around a position and its neighbours
+    getObjectsInGrid(position) {
+        const { gridX, gridZ } = this.getChunkCoords(position);
+        const objects = [];
         
-        // Check distance from temples
-        if (this.temples) {
-            for (const temple of this.temples) {
-                if (position.distanceTo(temple.mesh.position) < 30) return false;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const chunk = this.chunks.get(this.getChunkKey(gridX + dx, gridZ + dz));
+                if (chunk) {
+                    objects.push(...chunk.collidables);
+                }
             }
         }
         
-        // Check distance from shops
-        if (this.shops) {
-            for (const shop of this.shops) {
-                if (position.distanceTo(shop.mesh.position) < 15) return false;
-            }
-        }
+        return objects;
+    }
+    
+    findNearestBuilding(position) {
+        let nearest = null;
+        let nearestDistance = Infinity;
         
-        // Check distance from other NPCs
-        for (const npc of this.npcs) {
-            if (position.distanceTo(npc.position) < 5) return false;
+        for (const building of this.buildings) {
+            const distance = position.distanceTo(building.position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = building;
+            }
         }
         
-        return true;
+        return nearest;
     }
     
     // Cleanup
     dispose() {
         // Clean up world resources
+        this.unloadAllChunks();
+        this.despawnNightEnemies();
         this.buildings = [];
-        this.environment = [];
-        this.temples = [];
-        this.shops = [];
-        this.npcs = [];
-        this.collisionGroups = { static: [], dynamic: [], triggers: [] };
-        this.spatialGrid.clear();
+        
+        Object.values(this.batches).forEach(batch => batch.dispose());
+        this.batches = {};
+        
+        this.lampLights.forEach(light => this.scene?.remove(light));
+        this.lampLights = [];
+        
+        // Hand the engine its daytime lighting and clear air back
+        if (this.baseLighting) {
+            if (this.gameEngine.directionalLight) this.gameEngine.directionalLight.intensity = this.baseLighting.sun;
+            if (this.gameEngine.ambientLight) this.gameEngine.ambientLight.intensity = this.baseLighting.ambient;
+        }
+        if (this.baseFog && this.scene?.fog) {
+            this.scene.fog.near = this.baseFog.near;
+            this.scene.fog.far = this.baseFog.far;
+        }
+        
+        [this.rainParticles, this.dustParticles].forEach(particles => {
+            if (!particles) return;
+            this.scene?.remove(particles);
+            particles.geometry.dispose();
+            particles.material.dispose();
+        });
+        this.rainParticles = null;
+        this.dustParticles = null;
+        
+        this.game.audioManager?.playWeatherAudio(null);
+        this.weatherAudio = null;
+        this.landmarks = [];
+        this.staticObstacles = [];
         
         console.log('🌍 World disposed');
     }
 }
 
+// Lamp head instance colors, the shared head material is white
+World.lampHeadColors = {
+    on: new THREE.Color(0xffe9a8),
+    off: new THREE.Color(0x8a8a80)
+};
+
+// Weather states: fog thickness (1 = engine default), rain and dust amount, wind speed, how much sun is blocked
+World.weatherTypes = {
+    overcast: { fog: 1, rain: 0, wind: 0, darkness: 0, message: '☁️ Grey clouds settle over the city' },
+    fog: { fog: 3, rain: 0, wind: 0, darkness: 0.1, message: '🌫️ A thick fog rolls in' },
+    rain: { fog: 1.6, rain: 0.6, wind: 2, darkness: 0.25, message: '🌧️ It starts to rain... fire burns weaker' },
+    storm: { fog: 2, rain: 1, wind: 5, darkness: 0.45, message: '⛈️ A storm breaks... lightning crackles with power' },
+    windy: { fog: 0.8, rain: 0, wind: 8, darkness: 0, message: '💨 The wind picks up' }
+};
+
+World.weatherWeights = { overcast: 4, fog: 2, rain: 2, storm: 1, windy: 2 };
+
+// Temple areas add to (or take from) the weights above
+World.weatherAreaRadius = 150;
+World.templeWeatherBias = {
+    water: { rain: 5, fog: 3 },
+    lightning: { storm: 6, rain: 1 },
+    wind: { windy: 6, fog: -2 },
+    fire: { overcast: 4, rain: -2, storm: -1, fog: -2 }
+};
+
+World.upAxis = new THREE.Vector3(0, 1, 0);
+
+// Sky and sun colors through the day as [hour, color] keyframes
+World.skyColors = [
+    [0, 0x0B1026],
+    [5, 0x1C2541],
+    [6.5, 0xF4A261],
+    [8, 0x87CEEB],
+    [17, 0x87CEEB],
+    [18.5, 0xFF8C5A],
+    [20, 0x1C2541],
+    [24, 0x0B1026]
+];
+
+World.sunColors = [
+    [0, 0x8899CC],
+    [5.5, 0x8899CC],
+    [6.5, 0xFFB070],
+    [8, 0xFFFFFF],
+    [17, 0xFFFFFF],
+    [18.5, 0xFF9050],
+    [19.5, 0x8899CC],
+    [24, 0x8899CC]
+];
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = World;